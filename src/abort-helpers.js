@@ -0,0 +1,59 @@
+const { AbortError } = require('./errors');
+
+/**
+ * Helpers to make the long-running operations cancellable with an AbortSignal.
+ */
+class AbortHelpers {
+    /**
+     * Throws an AbortError if the signal is aborted.
+     * @param {AbortSignal} [signal] - Abort signal.
+     */
+    static throwIfAborted(signal) {
+        if (signal?.aborted)
+            throw new AbortError(signal.reason);
+    }
+
+    /**
+     * Waits for the given time. Rejects with an AbortError and clears the timer if the signal is aborted.
+     * @param {number} ms - Time to wait in milliseconds.
+     * @param {AbortSignal} [signal] - Abort signal.
+     * @returns {Promise<void>}
+     */
+    static sleep(ms, signal = null) {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                reject(new AbortError(signal.reason));
+                return;
+            }
+
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(new AbortError(signal.reason));
+            };
+            const timer = setTimeout(() => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+            signal?.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+
+    /**
+     * Registers a handler which is called when the signal is aborted.
+     * @param {AbortSignal} [signal] - Abort signal.
+     * @param {Function} handler - Handler called with the AbortError.
+     * @returns {Function} Function to remove the handler.
+     */
+    static onAbort(signal, handler) {
+        if (!signal)
+            return () => { };
+
+        const listener = () => handler(new AbortError(signal.reason));
+        signal.addEventListener('abort', listener, { once: true });
+        return () => signal.removeEventListener('abort', listener);
+    }
+}
+
+module.exports = {
+    AbortHelpers
+}
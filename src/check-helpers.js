@@ -0,0 +1,64 @@
+const crypto = require("crypto");
+const codec = require('ripple-address-codec');
+const { Buffer } = require('buffer');
+const { XrplConstants } = require('./xrpl-common');
+const { UtilHelpers } = require('./util-helpers');
+
+const CHECK_SPACE_KEY = '0043';
+
+/**
+ * Helpers for check ledger indexes and check objects.
+ */
+class CheckHelpers {
+    /**
+     * Gets the ledger index (Check ID) of a check.
+     * @param {string} account Address of the check sender.
+     * @param {number} sequence Sequence (Or the ticket sequence) of the CheckCreate transaction.
+     * @returns {string} Ledger object index of the check.
+     */
+    static getCheckIndex(account, sequence) {
+        return crypto.createHash('sha512')
+            .update(Buffer.from(CHECK_SPACE_KEY + Buffer.from(codec.decodeAccountID(account)).toString('hex') + sequence.toString(16).padStart(8, '0'), 'hex'))
+            .digest('hex').substring(0, 64).toUpperCase();
+    }
+
+    /**
+     * Formats an invoice ID for a check. 256-bit hex values are kept as they are and other strings are hashed with SHA-256.
+     * @param {string} invoiceId Invoice ID or any invoice reference.
+     * @returns {string} 256-bit hex invoice ID.
+     */
+    static formatInvoiceId(invoiceId) {
+        if (/^[0-9A-Fa-f]{64}$/.test(invoiceId))
+            return invoiceId.toUpperCase();
+        return crypto.createHash('sha256').update(invoiceId).digest('hex').toUpperCase();
+    }
+
+    /**
+     * Decodes a check ledger object into a readable form.
+     * @param {Object} check Check ledger object.
+     * @returns {Object} Decoded check. Format: {id, sender, destination, sequence, amount, currency, issuer, expiration, expired, destinationTag, sourceTag, invoiceId}.
+     * Amount of a XAH check is in drops.
+     */
+    static decodeCheck(check) {
+        const isNative = typeof check.SendMax === 'string';
+        const expiration = (check.Expiration !== undefined) ? UtilHelpers.fromRippleTime(check.Expiration) : null;
+        return {
+            id: check.index || this.getCheckIndex(check.Account, check.Sequence),
+            sender: check.Account,
+            destination: check.Destination,
+            sequence: check.Sequence,
+            amount: isNative ? check.SendMax : check.SendMax.value,
+            currency: isNative ? XrplConstants.XAH : check.SendMax.currency,
+            issuer: isNative ? null : check.SendMax.issuer,
+            expiration: expiration,
+            expired: !!expiration && expiration.getTime() <= Date.now(),
+            destinationTag: check.DestinationTag ?? null,
+            sourceTag: check.SourceTag ?? null,
+            invoiceId: check.InvoiceID || null
+        };
+    }
+}
+
+module.exports = {
+    CheckHelpers
+}
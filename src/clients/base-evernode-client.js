@@ -5,12 +5,17 @@ const { XrplAccount } = require('../xrpl-account');
 const { XrplApiEvents, XrplConstants, XrplTransactionTypes } = require('../xrpl-common');
 const { EvernodeEvents, EventTypes, MemoFormats, EvernodeConstants, HookStateKeys, HookParamKeys, RegExp, ReputationConstants } = require('../evernode-common');
 const { Defaults } = require('../defaults');
-const { EncryptionHelper } = require('../encryption-helper');
 const { EventEmitter } = require('../event-emitter');
 const { UtilHelpers } = require('../util-helpers');
 const { StateHelpers } = require('../state-helpers');
 const { EvernodeHelpers } = require('../evernode-helpers');
 const { HookHelpers } = require('../hook-helpers');
+const { Logger } = require('../logger');
+const { ValidationError, HostUnavailableError } = require('../errors');
+const { LocalKeyProvider } = require('../key-providers');
+const { MultiSignSession } = require('../multi-sign-session');
+const { PayloadHelpers } = require('../payload-helpers');
+const { Keystore, WalletHelpers } = require('../wallet');
 const xrpl = require('xrpl');
 
 const CANDIDATE_PROPOSE_HASHES_PARAM_OFFSET = 0;
@@ -30,6 +35,32 @@ const REPUTATION_VALUE_PARAM_OFFSET = 20;
 // By reputation address <host_address(20)><token_id(32)><error(1)>
 const HOST_DEREG_FROM_REP_PARAM_SIZE = 53;
 
+const CONFIG_STATE_KEYS = {
+    registryAddress: HookStateKeys.REGISTRY_ADDR,
+    heartbeatAddress: HookStateKeys.HEARTBEAT_ADDR,
+    reputationAddress: HookStateKeys.REPUTATION_ADDR,
+    evrIssuerAddress: HookStateKeys.EVR_ISSUER_ADDR,
+    foundationAddress: HookStateKeys.FOUNDATION_ADDR,
+    hostRegFee: HookStateKeys.HOST_REG_FEE,
+    momentSize: HookStateKeys.MOMENT_SIZE,
+    hostHeartbeatFreq: HookStateKeys.HOST_HEARTBEAT_FREQ,
+    momentBaseInfo: HookStateKeys.MOMENT_BASE_INFO,
+    leaseAcquireWindow: HookStateKeys.LEASE_ACQUIRE_WINDOW,
+    rewardInfo: HookStateKeys.REWARD_INFO,
+    rewardConfiguration: HookStateKeys.REWARD_CONFIGURATION,
+    hostCount: HookStateKeys.HOST_COUNT,
+    momentTransitInfo: HookStateKeys.MOMENT_TRANSIT_INFO,
+    registryMaxTrxEmitFee: HookStateKeys.MAX_TRX_EMISSION_FEE,
+    governanceConfiguration: HookStateKeys.GOVERNANCE_CONFIGURATION,
+    governanceInfo: HookStateKeys.GOVERNANCE_INFO,
+    transactionFeeBaseInfo: HookStateKeys.TRX_FEE_BASE_INFO,
+    networkConfiguration: HookStateKeys.NETWORK_CONFIGURATION,
+}
+
+// Config snapshots shared among the clients which use the same XrplApi instance.
+// XrplApi -> Map(governor address -> { ledgerIndex, promise })
+const sharedConfigs = new WeakMap();
+
 /**
  * Creates an instance of BaseEvernodeClient.
  * @param {string} xrpAddress - The XRP address associated with the client.
@@ -42,6 +73,13 @@ const HOST_DEREG_FROM_REP_PARAM_SIZE = 53;
  * @param {string} [options.rippledServer] - The URL of the rippled server to use if a new XrplApi instance is created.
  * @param {Object} [options.config] - Optional configuration settings.
  * @param {string} [options.messagePrivateKey] - The private key for message encryption, if required.
+ * @param {Object} [options.logger] - Console-compatible logger to use instead of the default logger.
+ * @param {boolean|Object} [options.cache] - Read cache options of the XrplApi instance if a new instance is created.
+ * @param {boolean|Object} [options.rateLimit] - Request rate limit options of the XrplApi instance if a new instance is created.
+ * @param {Object|boolean} [options.retry] - Throttled request retry options of the XrplApi instance if a new instance is created.
+ * @param {boolean} [options.manageSequence] - Allocate the client account transaction sequences locally to allow concurrent submissions.
+ * @param {Signer} [options.signer] - Signer used instead of the secret to sign the transactions. Eg: A CallbackSigner or RemoteSigner.
+ * @param {KeyProvider} [options.keyProvider] - Key provider used instead of the message private key to decrypt the messages.
  */
 class BaseEvernodeClient {
 
@@ -53,19 +91,22 @@ class BaseEvernodeClient {
 
         this.connected = false;
         this.governorAddress = options.governorAddress || Defaults.values.governorAddress;
+        this.logger = new Logger(options.logger);
 
-        this.xrplApi = options.xrplApi || Defaults.values.xrplApi || new XrplApi(options.rippledServer);
+        this.xrplApi = options.xrplApi || Defaults.values.xrplApi || new XrplApi(options.rippledServer, { logger: options.logger, cache: options.cache, rateLimit: options.rateLimit, retry: options.retry });
         if (!options.xrplApi && !Defaults.values.xrplApi)
             this.#ownsXrplApi = true;
 
         if (options.config)
             this.config = options.config;
 
-        this.xrplAcc = new XrplAccount(xrpAddress, xrpSecret, { xrplApi: this.xrplApi });
+        this.xrplAcc = new XrplAccount(xrpAddress, xrpSecret, { xrplApi: this.xrplApi, logger: options.logger, manageSequence: options.manageSequence, signer: options.signer });
         this.accKeyPair = xrpSecret && this.xrplAcc.deriveKeypair();
         this.messagePrivateKey = options.messagePrivateKey || (this.accKeyPair ? this.accKeyPair.privateKey : null);
         if (this.messagePrivateKey && !RegExp.PublicPrivateKey.test(this.messagePrivateKey))
-            throw "Message private key is not valid.";
+            throw new ValidationError("Message private key is not valid.");
+        this.keyProvider = options.keyProvider ||
+            (this.messagePrivateKey ? new LocalKeyProvider(this.messagePrivateKey, this.accKeyPair?.publicKey) : null);
         this.#watchEvents = watchEvents;
         this.#autoSubscribe = autoSubscribe;
         this.events = new EventEmitter();
@@ -75,6 +116,42 @@ class BaseEvernodeClient {
         this.xrplAcc.on(XrplApiEvents.URI_TOKEN_CREATE_SELL_OFFER, (tx, error) => this.#handleEvernodeEvent(tx, error));
     }
 
+    /**
+     * Creates a client from a keystore profile. Used through HostClient, TenantClient or FoundationClient.
+     * Seed keys are used as the account secret and mnemonic derived keys sign through a KeyPairSigner.
+     * The account key is used as the message key unless `options.messagePrivateKey` or `options.keyProvider` is given.
+     * @param {Keystore|string} keystore Keystore or keystore file path.
+     * @param {string} profileName Profile name.
+     * @param {string} passphrase Passphrase of the profile.
+     * @param {Object} [options={}] Client options. See the client constructor.
+     * @returns {Promise<BaseEvernodeClient>} The client.
+     * @example const client = await HostClient.fromKeystore('/etc/evernode/keystore.json', 'host', passphrase, { xrplApi: xrplApi });
+     */
+    static async fromKeystore(keystore, profileName, passphrase, options = {}) {
+        const store = (typeof keystore === 'string') ? Keystore.load(keystore) : keystore;
+        const profile = await store.unlock(profileName, passphrase);
+        return new this(profile.account.address, profile.account.seed, { ...this._getProfileOptions(profile, options), ...options });
+    }
+
+    /**
+     * Gets the client options for the keys of an unlocked keystore profile. Clients override this to use the other keys of the profile.
+     * @param {Object} profile Unlocked keystore profile.
+     * @param {Object} options Client options given by the caller.
+     * @returns {Object} Client options.
+     */
+    static _getProfileOptions(profile, options) {
+        const account = profile.account;
+        if (account.seed)
+            return {};
+        return {
+            signer: WalletHelpers.getSigner(account),
+            ...((options.messagePrivateKey || options.keyProvider) ? {} : {
+                messagePrivateKey: account.privateKey,
+                keyProvider: new LocalKeyProvider(account.privateKey, account.publicKey)
+            })
+        };
+    }
+
     /**
      * Listens to the subscribed events. This will listen for the event without detaching the handler until it's 'off'.
      * @param {string} event - The name of the event to listen for.
@@ -121,7 +198,7 @@ class BaseEvernodeClient {
         await this.xrplAcc.getInfo();
 
         if (!this.config && !options.skipConfigs)
-            this.config = await this.#getEvernodeConfig();
+            this.config = await BaseEvernodeClient.loadConfig(this.xrplApi, this.governorAddress);
 
         this.connected = true;
 
@@ -142,6 +219,54 @@ class BaseEvernodeClient {
             await this.xrplApi.disconnect();
     }
 
+    /**
+     * Gets the public key which the other parties should use to encrypt the messages sent to this client.
+     * @returns {Promise<string|null>} Hex encoded public key or null if the client cannot decrypt messages.
+     */
+    async getMessagePublicKey() {
+        return this.keyProvider ? await this.keyProvider.getPublicKey() : (this.accKeyPair?.publicKey || null);
+    }
+
+    /**
+     * Rotates the account key to a new regular key. The new key is verified with an AccountSet which also updates the
+     * MessageKey when the message key changes, So the other parties encrypt to the new key from the same ledger.
+     * The message key follows the account key unless the client was given a separate message key or key provider.
+     * Messages encrypted to the previous message key before the rotation cannot be decrypted afterwards.
+     * @param {string|null} newSecret Secret of the new regular key. Can be null if `options.signer` is given.
+     * @param {Object} [options={}] Rotation options.
+     * @param {Signer} [options.signer] Signer of the new regular key, Used instead of the secret.
+     * @param {KeyProvider} [options.keyProvider] New message key provider.
+     * @param {boolean} [options.disableMaster=false] Disable the master key after the new key is verified.
+     * @param {boolean} [options.rollback=true] Restore the previous regular key if the verification fails.
+     * @param {AbortSignal} [options.signal] Stops waiting for the results of the transactions.
+     * @returns {Promise<Object>} Rotation result. Format: {regularKey, previousRegularKey, masterDisabled, messageKey}.
+     */
+    async rotateAccountKey(newSecret, options = {}) {
+        if (!newSecret === !options.signer)
+            throw new ValidationError('Either the new secret or a signer should be specified.');
+
+        const newKeyPair = newSecret ? UtilHelpers.deriveKeypair(newSecret) : null;
+        const followsAccountKey = !!this.accKeyPair && this.messagePrivateKey === this.accKeyPair.privateKey;
+        const keyProvider = options.keyProvider ||
+            ((followsAccountKey && newKeyPair) ? new LocalKeyProvider(newKeyPair.privateKey, newKeyPair.publicKey) : null);
+        const messageKey = keyProvider ? await keyProvider.getPublicKey() : null;
+
+        const res = await this.xrplAcc.rotateRegularKey(newSecret || options.signer, {
+            disableMaster: options.disableMaster,
+            rollback: options.rollback,
+            signal: options.signal,
+            verificationFields: messageKey ? { MessageKey: messageKey } : {}
+        });
+
+        if (keyProvider) {
+            this.keyProvider = keyProvider;
+            this.messagePrivateKey = options.keyProvider ? null : newKeyPair.privateKey;
+        }
+        this.accKeyPair = newKeyPair;
+
+        return { ...res, messageKey: messageKey || await this.xrplAcc.getMessageKey() };
+    }
+
     /**
      * Subscribes to the client events.
      * @example await client.subscribe();
@@ -204,6 +329,19 @@ class BaseEvernodeClient {
         return [];
     }
 
+    /**
+     * Iterates the hook states of the governor page by page, So the whole namespace is not kept in memory.
+     * @returns {AsyncGenerator<Object>} Hook states as { key, data }.
+     */
+    async *#iterateHookStates() {
+        for await (const page of this.xrplApi.iterateNamespaceEntries(this.governorAddress, EvernodeConstants.HOOK_NAMESPACE)) {
+            for (const entry of page.items) {
+                if (entry.LedgerEntryType === 'HookState')
+                    yield { key: entry.HookStateKey, data: entry.HookStateData };
+            }
+        }
+    }
+
     /**
      * Get the moment from the given index (timestamp).
      * @param {number} index [Optional] Index (timestamp) to get the moment value.
@@ -232,51 +370,71 @@ class BaseEvernodeClient {
     }
 
     /**
-     * Get Evernode configuration
+     * Get Evernode configuration from the governor hook states.
+     * @param {XrplApi} xrplApi XrplApi instance to read from.
+     * @param {string} governorAddress Governor account address.
      * @returns An object containing all the configuration keys and their corresponding values.
      */
-    async #getEvernodeConfig() {
-        const configStateKeys = {
-            registryAddress: HookStateKeys.REGISTRY_ADDR,
-            heartbeatAddress: HookStateKeys.HEARTBEAT_ADDR,
-            reputationAddress: HookStateKeys.REPUTATION_ADDR,
-            evrIssuerAddress: HookStateKeys.EVR_ISSUER_ADDR,
-            foundationAddress: HookStateKeys.FOUNDATION_ADDR,
-            hostRegFee: HookStateKeys.HOST_REG_FEE,
-            momentSize: HookStateKeys.MOMENT_SIZE,
-            hostHeartbeatFreq: HookStateKeys.HOST_HEARTBEAT_FREQ,
-            momentBaseInfo: HookStateKeys.MOMENT_BASE_INFO,
-            leaseAcquireWindow: HookStateKeys.LEASE_ACQUIRE_WINDOW,
-            rewardInfo: HookStateKeys.REWARD_INFO,
-            rewardConfiguration: HookStateKeys.REWARD_CONFIGURATION,
-            hostCount: HookStateKeys.HOST_COUNT,
-            momentTransitInfo: HookStateKeys.MOMENT_TRANSIT_INFO,
-            registryMaxTrxEmitFee: HookStateKeys.MAX_TRX_EMISSION_FEE,
-            governanceConfiguration: HookStateKeys.GOVERNANCE_CONFIGURATION,
-            governanceInfo: HookStateKeys.GOVERNANCE_INFO,
-            transactionFeeBaseInfo: HookStateKeys.TRX_FEE_BASE_INFO,
-            networkConfiguration: HookStateKeys.NETWORK_CONFIGURATION,
-        }
+    static async #getEvernodeConfig(xrplApi, governorAddress) {
+        // Read the config states in parallel. The governor namespace also holds the host states, So it's not paged through.
+        const keys = Object.entries(CONFIG_STATE_KEYS);
+        const entries = await Promise.all(keys.map(([, value]) => xrplApi.getLedgerEntry(StateHelpers.getHookStateIndex(governorAddress, value))));
+
         let config = {};
-        for (const [key, value] of Object.entries(configStateKeys)) {
-            const index = StateHelpers.getHookStateIndex(this.governorAddress, value);
-            const ledgerEntry = await this.xrplApi.getLedgerEntry(index);
-            const stateData = ledgerEntry?.HookStateData;
-            if (stateData) {
-                const stateDecoded = StateHelpers.decodeStateData(Buffer.from(value, 'hex'), Buffer.from(stateData, 'hex'));
+        for (let i = 0; i < keys.length; i++) {
+            const [key, value] = keys[i];
+            const data = entries[i]?.HookStateData;
+            if (data) {
+                const stateDecoded = StateHelpers.decodeStateData(Buffer.from(value, 'hex'), Buffer.from(data, 'hex'));
                 config[key] = stateDecoded.value;
             }
         }
         return config;
     }
 
+    /**
+     * Loads the Evernode configuration of a governor. The loaded config snapshot is shared among all the clients
+     * using the same XrplApi instance until a new ledger is validated.
+     * @param {XrplApi} xrplApi XrplApi instance to read from.
+     * @param {string} governorAddress Governor account address.
+     * @param {boolean} [refresh=false] Whether to skip the shared snapshot and load from the ledger.
+     * @returns An object containing all the configuration keys and their corresponding values.
+     * @example const config = await BaseEvernodeClient.loadConfig(xrplApi, governorAddress);
+     */
+    static async loadConfig(xrplApi, governorAddress, refresh = false) {
+        let configs = sharedConfigs.get(xrplApi);
+        if (!configs) {
+            configs = new Map();
+            sharedConfigs.set(xrplApi, configs);
+        }
+
+        let snapshot = configs.get(governorAddress);
+        if (refresh || !snapshot || snapshot.ledgerIndex !== xrplApi.ledgerIndex) {
+            snapshot = {
+                ledgerIndex: xrplApi.ledgerIndex,
+                promise: BaseEvernodeClient.#getEvernodeConfig(xrplApi, governorAddress)
+            };
+            configs.set(governorAddress, snapshot);
+        }
+
+        try {
+            return await snapshot.promise;
+        }
+        catch (e) {
+            // Do not keep failed loads.
+            if (configs.get(governorAddress) === snapshot)
+                configs.delete(governorAddress);
+            throw e;
+        }
+    }
+
     /**
      * Loads the configs from XRPL hook and updates the in-memory config.
      * @returns void
      * @example await client.refreshConfig();
      */
     async refreshConfig() {
-        this.config = await this.#getEvernodeConfig();
+        this.config = await BaseEvernodeClient.loadConfig(this.xrplApi, this.governorAddress, true);
     }
 
     /**
@@ -286,20 +444,71 @@ class BaseEvernodeClient {
      */
     async #handleEvernodeEvent(tx, error) {
         if (error)
-            console.error(error);
+            this.logger.error(error, { address: this.xrplAcc.address });
         else if (!tx)
-            console.log('handleEvernodeEvent: Invalid transaction.');
+            this.logger.warn('handleEvernodeEvent: Invalid transaction.', { address: this.xrplAcc.address });
         else {
             try {
                 const ev = await this.extractEvernodeEvent(tx);
-                if (ev && this.#watchEvents.find(e => e === ev.name))
+                if (ev && this.#watchEvents.find(e => e === ev.name)) {
+                    this.logger.debug(`Evernode event ${ev.name} received.`, { event: ev.name, txHash: tx.hash, address: this.xrplAcc.address });
                     this.events.emit(ev.name, ev.data);
+                }
             } catch (e) {
-                console.log("Error occurred while handling Evernode events", e)
+                this.logger.error("Error occurred while handling Evernode events", { txHash: tx.hash, address: this.xrplAcc.address, error: e })
             }
         }
     }
 
+    /**
+     * Extracts the acquire payload carried in the memos of the given type.
+     * Payloads sent to our account are reassembled, Decrypted and decompressed. Others are returned as memo data.
+     * Signed payloads are verified against the keys of the sender account.
+     * @param {object} tx Transaction with deserialized memos.
+     * @param {string} memoType Memo type of the payload.
+     * @param {string} decryptionWarning Warning to log if the decryption fails.
+     * @returns The payload and its signature in format `{payload, signature}`. Payload is the base64 data if it is not for us or cannot be decrypted.
+     * Signature is null for unsigned payloads, Otherwise `{publicKey, verified}`.
+     */
+    async #extractPayload(tx, memoType, decryptionWarning) {
+        const memos = tx.Memos.filter(m => m.type === memoType);
+        if (memos[0].format !== MemoFormats.BASE64 || tx.Destination !== this.xrplAcc.address)
+            return { payload: memos[0].data, signature: null };
+
+        let payloadBuf;
+        let opened;
+        try {
+            payloadBuf = PayloadHelpers.join(memos.map(m => m.data));
+            opened = await PayloadHelpers.open(payloadBuf, this.keyProvider);
+        }
+        catch (e) {
+            // Malformed payloads are kept as they are, So the event is still delivered.
+            this.logger.warn('Invalid acquire payload.', { txHash: tx.hash, error: e.message });
+            return { payload: memos[0].data, signature: null };
+        }
+
+        if (!opened) {
+            // Keep the encrypted data without the flags if the decryption fails.
+            this.logger.warn(decryptionWarning, { txHash: tx.hash });
+            return { payload: payloadBuf.slice(1).toString('base64'), signature: null };
+        }
+
+        if (!opened.signer)
+            return { payload: opened.data, signature: null };
+
+        // The signing key should be the master key or the regular key of the sender.
+        let verified = opened.signer.valid;
+        if (verified)
+            verified = !!(await this.xrplApi.isValidKeyForAddress(opened.signer.publicKey, tx.Account).catch(() => false));
+        if (!verified)
+            this.logger.warn('Payload signature verification failed.', { txHash: tx.hash, account: tx.Account });
+
+        return {
+            payload: opened.data,
+            signature: { publicKey: opened.signer.publicKey, verified: verified }
+        };
+    }
+
     /**
      * Extracts the transaction info from a given transaction.
      * Note: You need to deserialize HookParameters before passing the transaction to this function.
@@ -338,21 +547,7 @@ class BaseEvernodeClient {
             tx.Memos[0].type === EventTypes.ACQUIRE_LEASE && tx.Memos[0].format === MemoFormats.BASE64 && tx.Memos[0].data) {
 
             // If our account is the destination host account, then decrypt the payload if it is encrypted.
-            let payload = tx.Memos[0].data;
-            if (tx.Memos[0].format === MemoFormats.BASE64 && tx.Destination === this.xrplAcc.address) {
-                const prefixBuf = (Buffer.from(payload, 'base64')).slice(0, 1);
-                if (prefixBuf.readInt8() == 1) { // 1 denoted the data is encrypted
-                    payload = Buffer.from(payload, 'base64').slice(1).toString('base64');
-                    const decrypted = this.messagePrivateKey && await EncryptionHelper.decrypt(this.messagePrivateKey, payload);
-                    if (decrypted)
-                        payload = decrypted;
-                    else
-                        console.log('Failed to decrypt acquire data.');
-                }
-                else {
-                    payload = JSON.parse(Buffer.from(payload, 'base64').slice(1).toString());
-                }
-            }
+            const { payload, signature } = await this.#extractPayload(tx, EventTypes.ACQUIRE_LEASE, 'Failed to decrypt acquire data.');
 
             return {
                 name: EvernodeEvents.AcquireLease,
@@ -363,38 +558,26 @@ class BaseEvernodeClient {
                     leaseAmount: tx.URITokenSellOffer?.Amount?.value,
                     acquireRefId: tx.hash,
                     tenant: tx.Account,
-                    payload: payload
+                    payload: payload,
+                    payloadSignature: signature
                 }
             }
         }
         else if (eventType === EventTypes.ACQUIRE_SUCCESS && eventData && tx.Memos.length &&
             tx.Memos[0].type === EventTypes.ACQUIRE_SUCCESS && tx.Memos[0].data) {
 
-            let payload = tx.Memos[0].data;
             const acquireRefId = eventData;
 
             // If our account is the destination user account, then decrypt the payload if it is encrypted.
-            if (tx.Memos[0].format === MemoFormats.BASE64 && tx.Destination === this.xrplAcc.address) {
-                const prefixBuf = (Buffer.from(payload, 'base64')).slice(0, 1);
-                if (prefixBuf.readInt8() == 1) { // 1 denoted the data is encrypted
-                    payload = Buffer.from(payload, 'base64').slice(1).toString('base64');
-                    const decrypted = this.messagePrivateKey && await EncryptionHelper.decrypt(this.messagePrivateKey, payload);
-                    if (decrypted)
-                        payload = decrypted;
-                    else
-                        console.log('Failed to decrypt instance data.');
-                }
-                else {
-                    payload = JSON.parse(Buffer.from(payload, 'base64').slice(1).toString());
-                }
-            }
+            const { payload, signature } = await this.#extractPayload(tx, EventTypes.ACQUIRE_SUCCESS, 'Failed to decrypt instance data.');
 
             return {
                 name: EvernodeEvents.AcquireSuccess,
                 data: {
                     transaction: tx,
                     acquireRefId: acquireRefId,
-                    payload: payload
+                    payload: payload,
+                    payloadSignature: signature
                 }
             }
 
@@ -783,10 +966,9 @@ class BaseEvernodeClient {
      * @returns The list of hosts. 
      */
     async getAllHostsFromLedger(getDomain = true) {
-        const states = await this.getHookStates();
         let hosts = {};
 
-        for (const state of states) {
+        for await (const state of this.#iterateHookStates()) {
             const stateKey = Buffer.from(state.key, 'hex');
             if (state.data) {
                 const stateData = Buffer.from(state.data, 'hex');
@@ -819,10 +1001,9 @@ class BaseEvernodeClient {
      * @returns The list of candidates. 
      */
     async getAllCandidatesFromLedger() {
-        const states = await this.getHookStates();
         let candidates = {};
 
-        for (const state of states) {
+        for await (const state of this.#iterateHookStates()) {
             const stateKey = Buffer.from(state.key, 'hex');
             if (state.data) {
                 const stateData = Buffer.from(state.data, 'hex');
@@ -845,7 +1026,7 @@ class BaseEvernodeClient {
      */
     async pruneDeadHost(hostAddress) {
         if (this.xrplAcc.address === this.config.registryAddress)
-            throw 'Invalid function call';
+            throw new ValidationError('Invalid function call');
 
         let paramData = Buffer.alloc(20, 0);
         codec.decodeAccountID(hostAddress).copy(paramData);
@@ -876,7 +1057,7 @@ class BaseEvernodeClient {
                     ]
                 });
         } else
-            throw "No Registration URI token was found for the Host account."
+            throw new HostUnavailableError("No Registration URI token was found for the Host account.");
 
     }
 
@@ -928,7 +1109,7 @@ class BaseEvernodeClient {
                 return filteredCandidates;
             }
         } catch (error) {
-            console.log(error)
+            this.logger.error('Error occurred while getting dud host candidates.', { address: ownerAddress, error: error });
         }
         return [];
     }
@@ -1169,13 +1350,13 @@ class BaseEvernodeClient {
      * @param {string} hashes Hook candidate hashes in hex format, <GOVERNOR_HASH(32)><REGISTRY_HASH(32)><HEARTBEAT_HASH(32)>.
      * @param {string} shortName Short name for the proposal candidate.
      * @param {*} options [Optional] transaction options.
-     * @returns Proposed candidate id.
+     * @returns Proposed candidate id. If `options.multiSign` is set, {candidateId, session} with the MultiSignSession of the proposal.
      * @ignore
      */
     async _propose(hashes, shortName, options = {}) {
         const hashesBuf = Buffer.from(hashes, 'hex');
         if (!hashesBuf || hashesBuf.length != 128)
-            throw 'Invalid hashes: Hashes should contain all four Governor, Registry, Heartbeat, Reputation hook hashes.';
+            throw new ValidationError('Invalid hashes: Hashes should contain all four Governor, Registry, Heartbeat, Reputation hook hashes.');
 
         // Check whether hook hashes exist in the definition.
         let keylets = [];
@@ -1183,7 +1364,7 @@ class BaseEvernodeClient {
             const index = HookHelpers.getHookDefinitionIndex(hashes.substr(i * 64, 64));
             const ledgerEntry = await this.xrplApi.getLedgerEntry(index);
             if (!ledgerEntry)
-                throw `No hook exists with the specified ${hook} hook hash.`;
+                throw new ValidationError(`No hook exists with the specified ${hook} hook hash.`);
             else
                 keylets.push(HookHelpers.getKeylet('HOOK_DEFINITION', index));
         }
@@ -1198,22 +1379,19 @@ class BaseEvernodeClient {
         // Get the proposal fee. Proposal fee is current epochs moment worth of rewards.
         const proposalFee = EvernodeHelpers.getEpochRewardQuota(this.config.rewardInfo.epoch, this.config.rewardConfiguration.firstEpochRewardQuota);
 
-        await this.xrplAcc.makePayment(this.governorAddress,
+        const res = await this._makeGovernancePayment(this.governorAddress,
             proposalFee.toString(),
             EvernodeConstants.EVR,
             this.config.evrIssuerAddress,
-            null,
-            {
-                hookParams: [
-                    { name: HookParamKeys.PARAM_EVENT_TYPE_KEY, value: EventTypes.CANDIDATE_PROPOSE },
-                    { name: HookParamKeys.PARAM_EVENT_DATA_KEY, value: paramBuf.slice(0, MAX_HOOK_PARAM_SIZE).toString('hex').toUpperCase() },
-                    { name: HookParamKeys.PARAM_EVENT_DATA2_KEY, value: paramBuf.slice(MAX_HOOK_PARAM_SIZE).toString('hex').toUpperCase() }
+            [
+                { name: HookParamKeys.PARAM_EVENT_TYPE_KEY, value: EventTypes.CANDIDATE_PROPOSE },
+                { name: HookParamKeys.PARAM_EVENT_DATA_KEY, value: paramBuf.slice(0, MAX_HOOK_PARAM_SIZE).toString('hex').toUpperCase() },
+                { name: HookParamKeys.PARAM_EVENT_DATA2_KEY, value: paramBuf.slice(MAX_HOOK_PARAM_SIZE).toString('hex').toUpperCase() }
 
-                ],
-                ...options.transactionOptions
-            });
+            ],
+            options);
 
-        return uniqueId;
+        return (res instanceof MultiSignSession) ? { candidateId: uniqueId, session: res } : uniqueId;
     }
 
     /**
@@ -1225,18 +1403,15 @@ class BaseEvernodeClient {
      */
     async _withdraw(candidateId, options = {}) {
         const candidateIdBuf = Buffer.from(candidateId, 'hex');
-        return await this.xrplAcc.makePayment(this.governorAddress,
+        return await this._makeGovernancePayment(this.governorAddress,
             XrplConstants.MIN_DROPS,
             null,
             null,
-            null,
-            {
-                hookParams: [
-                    { name: HookParamKeys.PARAM_EVENT_TYPE_KEY, value: EventTypes.CANDIDATE_WITHDRAW },
-                    { name: HookParamKeys.PARAM_EVENT_DATA_KEY, value: candidateIdBuf.toString('hex').toUpperCase() }
-                ],
-                ...options.transactionOptions
-            });
+            [
+                { name: HookParamKeys.PARAM_EVENT_TYPE_KEY, value: EventTypes.CANDIDATE_WITHDRAW },
+                { name: HookParamKeys.PARAM_EVENT_DATA_KEY, value: candidateIdBuf.toString('hex').toUpperCase() }
+            ],
+            options);
     }
 
     /**
@@ -1252,18 +1427,41 @@ class BaseEvernodeClient {
         // Get the proposal fee. Proposal fee is 25% of current epochs moment worth of rewards.
         const proposalFee = (EvernodeHelpers.getEpochRewardQuota(this.config.rewardInfo.epoch, this.config.rewardConfiguration.firstEpochRewardQuota) / 4);
 
-        return await this.xrplAcc.makePayment(this.governorAddress,
+        return await this._makeGovernancePayment(this.governorAddress,
             proposalFee.toString(),
             EvernodeConstants.EVR,
             this.config.evrIssuerAddress,
-            null,
-            {
-                hookParams: [
-                    { name: HookParamKeys.PARAM_EVENT_TYPE_KEY, value: EventTypes.DUD_HOST_REPORT },
-                    { name: HookParamKeys.PARAM_EVENT_DATA_KEY, value: candidateId }
-                ],
-                ...options.transactionOptions
-            });
+            [
+                { name: HookParamKeys.PARAM_EVENT_TYPE_KEY, value: EventTypes.DUD_HOST_REPORT },
+                { name: HookParamKeys.PARAM_EVENT_DATA_KEY, value: candidateId }
+            ],
+            options);
+    }
+
+    /**
+     * Makes a governance payment, Or creates a multi-sign session for it if `options.multiSign` is set.
+     * @param {string} toAddr Destination hook address.
+     * @param {string} amount Payment amount.
+     * @param {string|null} currency Currency code.
+     * @param {string|null} issuer Currency issuer.
+     * @param {Array} hookParams Hook parameters of the governance event.
+     * @param {*} options Options of the governance call. `transactionOptions` are passed to the transaction and
+     * `multiSign` (true or MultiSignSession.create() options) returns a MultiSignSession instead of signing with the account.
+     * Call release() on an abandoned session, So its sequence is given back to the account.
+     * @returns Transaction result or the MultiSignSession.
+     * @ignore
+     */
+    async _makeGovernancePayment(toAddr, amount, currency, issuer, hookParams, options = {}) {
+        if (!options.multiSign)
+            return await this.xrplAcc.makePayment(toAddr, amount, currency, issuer, null, { hookParams: hookParams, ...options.transactionOptions });
+
+        // Signatures are collected over a longer period, So the transaction should stay valid for longer.
+        const preparedTxn = await this.xrplAcc.prepareMakePayment(toAddr, amount, currency, issuer, null, {
+            hookParams: hookParams,
+            maxLedgerIndex: this.xrplApi.ledgerIndex + XrplConstants.MULTISIGN_MAX_LEDGER_OFFSET,
+            ...options.transactionOptions
+        });
+        return await MultiSignSession.create(this.xrplApi, preparedTxn, options.multiSign === true ? {} : options.multiSign);
     }
 }
 
@@ -4,6 +4,7 @@ const { EventTypes, HookParamKeys } = require('../evernode-common');
 const { StateHelpers } = require('../state-helpers');
 const { XrplConstants } = require('../xrpl-common');
 const { BaseEvernodeClient } = require('./base-evernode-client');
+const { ValidationError } = require('../errors');
 
 const CANDIDATE_VOTE_UNIQUE_ID_PARAM_OFFSET = 0;
 const CANDIDATE_VOTE_VALUE_PARAM_OFFSET = 32;
@@ -21,6 +22,8 @@ const FoundationEvents = {}
 /**
  * FoundationClient class to manage and interact with foundation operations.
  * It extends the BaseEvernodeClient.
+ * Governance calls accept `options.multiSign` (true or MultiSignSession.create() options) for a multi-signed foundation account.
+ * Then they return a MultiSignSession to collect the signatures of the signer list members instead of submitting the transaction.
  * @extends BaseEvernodeClient
  */
 class FoundationClient extends BaseEvernodeClient {
@@ -40,11 +43,11 @@ class FoundationClient extends BaseEvernodeClient {
      * @param {string} hashes Hook candidate hashes in hex format, <GOVERNOR_HASH(32)><REGISTRY_HASH(32)><HEARTBEAT_HASH(32)>.
      * @param {string} shortName Short name for the proposal candidate.
      * @param {*} options [Optional] transaction options.
-     * @returns Proposed candidate id.
+     * @returns Proposed candidate id. If `options.multiSign` is set, {candidateId, session} with the MultiSignSession of the proposal.
      */
     async propose(hashes, shortName, options = {}) {
         if (this.xrplAcc.address !== this.config.foundationAddress)
-            throw `Invalid foundation address ${this.xrplAcc.address}.`;
+            throw new ValidationError(`Invalid foundation address ${this.xrplAcc.address}.`);
 
         return await super._propose(hashes, shortName, options);
     }
@@ -53,11 +56,11 @@ class FoundationClient extends BaseEvernodeClient {
      * Withdraw a hook candidate.
      * @param {string} candidateId Id of the candidate in hex format.
      * @param {*} options [Optional] transaction options.
-     * @returns Transaction result.
+     * @returns Transaction result or the MultiSignSession if `options.multiSign` is set.
      */
     async withdraw(candidateId, options = {}) {
         if (this.xrplAcc.address !== this.config.foundationAddress)
-            throw `Invalid foundation address ${this.xrplAcc.address}.`;
+            throw new ValidationError(`Invalid foundation address ${this.xrplAcc.address}.`);
 
         return await super._withdraw(candidateId, options);
     }
@@ -67,39 +70,36 @@ class FoundationClient extends BaseEvernodeClient {
      * @param {string} candidateId Id of the candidate in hex format.
      * @param {int} vote Vote value CandidateVote (0 - Reject, 1 - Support).
      * @param {*} options [Optional] transaction options.
-     * @returns Transaction result.
+     * @returns Transaction result or the MultiSignSession if `options.multiSign` is set.
      */
     async vote(candidateId, vote, options = {}) {
         if (this.xrplAcc.address !== this.config.foundationAddress)
-            throw `Invalid foundation address ${this.xrplAcc.address}.`;
+            throw new ValidationError(`Invalid foundation address ${this.xrplAcc.address}.`);
 
         const voteBuf = Buffer.alloc(CANDIDATE_VOTE_PARAM_SIZE);
         Buffer.from(candidateId, 'hex').copy(voteBuf, CANDIDATE_VOTE_UNIQUE_ID_PARAM_OFFSET);
         voteBuf.writeUInt8(vote, CANDIDATE_VOTE_VALUE_PARAM_OFFSET);
 
-        return await this.xrplAcc.makePayment(this.config.heartbeatAddress,
+        return await this._makeGovernancePayment(this.config.heartbeatAddress,
             XrplConstants.MIN_DROPS,
             null,
             null,
-            null,
-            {
-                hookParams: [
-                    { name: HookParamKeys.PARAM_EVENT_TYPE_KEY, value: EventTypes.CANDIDATE_VOTE },
-                    { name: HookParamKeys.PARAM_EVENT_DATA_KEY, value: voteBuf.toString('hex').toUpperCase() }
-                ],
-                ...options.transactionOptions
-            });
+            [
+                { name: HookParamKeys.PARAM_EVENT_TYPE_KEY, value: EventTypes.CANDIDATE_VOTE },
+                { name: HookParamKeys.PARAM_EVENT_DATA_KEY, value: voteBuf.toString('hex').toUpperCase() }
+            ],
+            options);
     }
 
     /**
      * Report dud host for removal.
      * @param {string} hostAddress Address of the dud host.
      * @param {*} options [Optional] transaction options.
-     * @returns Transaction result.
+     * @returns Transaction result or the MultiSignSession if `options.multiSign` is set.
      */
     async reportDudHost(hostAddress, options = {}) {
         if (this.xrplAcc.address !== this.config.foundationAddress)
-            throw `Invalid foundation address ${this.xrplAcc.address}.`;
+            throw new ValidationError(`Invalid foundation address ${this.xrplAcc.address}.`);
 
         return await this._reportDudHost(hostAddress, options);
     }
@@ -109,11 +109,11 @@ class FoundationClient extends BaseEvernodeClient {
      * @param {string} hostAddress Address of the dud host.
      * @param {int} vote Vote value CandidateVote (0 - Reject, 1 - Support).
      * @param {*} options [Optional] transaction options.
-     * @returns Transaction result.
+     * @returns Transaction result or the MultiSignSession if `options.multiSign` is set.
      */
     async voteDudHost(hostAddress, vote, options = {}) {
         if (this.xrplAcc.address !== this.config.foundationAddress)
-            throw `Invalid foundation address ${this.xrplAcc.address}.`;
+            throw new ValidationError(`Invalid foundation address ${this.xrplAcc.address}.`);
 
         const candidateId = StateHelpers.getDudHostCandidateId(hostAddress);
         return await this.vote(candidateId, vote, options);
@@ -123,11 +123,11 @@ class FoundationClient extends BaseEvernodeClient {
      * Vote for a piloted mode.
      * @param {int} vote Vote value CandidateVote (0 - Reject, 1 - Support).
      * @param {*} options [Optional] transaction options.
-     * @returns Transaction result.
+     * @returns Transaction result or the MultiSignSession if `options.multiSign` is set.
      */
     async votePilotedMode(vote, options = {}) {
         if (this.xrplAcc.address !== this.config.foundationAddress)
-            throw `Invalid foundation address ${this.xrplAcc.address}.`;
+            throw new ValidationError(`Invalid foundation address ${this.xrplAcc.address}.`);
 
         const candidateId = StateHelpers.getPilotedModeCandidateId();
         return await this.vote(candidateId, vote, options);
@@ -137,27 +137,24 @@ class FoundationClient extends BaseEvernodeClient {
      * Change the governance mode.
      * @param {int} mode Mode  (1 - Piloted, 2 - CoPiloted, 3 - AutoPiloted).
      * @param {*} options [Optional] transaction options.
-     * @returns Transaction result.
+     * @returns Transaction result or the MultiSignSession if `options.multiSign` is set.
      */
     async changeGovernanceMode(mode, options = {}) {
         if (this.xrplAcc.address !== this.config.foundationAddress)
-            throw `Invalid foundation address ${this.xrplAcc.address}.`;
+            throw new ValidationError(`Invalid foundation address ${this.xrplAcc.address}.`);
 
         const modeBuf = Buffer.alloc(1);
         modeBuf.writeUInt8(mode);
 
-        return await this.xrplAcc.makePayment(this.governorAddress,
+        return await this._makeGovernancePayment(this.governorAddress,
             XrplConstants.MIN_DROPS,
             null,
             null,
-            null,
-            {
-                hookParams: [
-                    { name: HookParamKeys.PARAM_EVENT_TYPE_KEY, value: EventTypes.GOVERNANCE_MODE_CHANGE },
-                    { name: HookParamKeys.PARAM_EVENT_DATA_KEY, value: modeBuf.toString('hex').toUpperCase() }
-                ],
-                ...options.transactionOptions
-            });
+            [
+                { name: HookParamKeys.PARAM_EVENT_TYPE_KEY, value: EventTypes.GOVERNANCE_MODE_CHANGE },
+                { name: HookParamKeys.PARAM_EVENT_DATA_KEY, value: modeBuf.toString('hex').toUpperCase() }
+            ],
+            options);
     }
 
     /**
@@ -165,28 +162,25 @@ class FoundationClient extends BaseEvernodeClient {
      * @param {string} hostAddress Address of the dud host.
      * @param {number} reputation Host reputation value.
      * @param {*} options [Optional] transaction options.
-     * @returns Transaction result.
+     * @returns Transaction result or the MultiSignSession if `options.multiSign` is set.
      */
     async updateHostReputation(hostAddress, reputation, options = {}) {
         if (this.xrplAcc.address !== this.config.foundationAddress)
-            throw `Invalid foundation address ${this.xrplAcc.address}.`;
+            throw new ValidationError(`Invalid foundation address ${this.xrplAcc.address}.`);
 
         const reputationBuf = Buffer.alloc(REPUTATION_PARAM_SIZE);
         codec.decodeAccountID(hostAddress).copy(reputationBuf, REPUTATION_HOST_ADDRESS_PARAM_OFFSET);
         reputationBuf.writeUInt8(reputation, REPUTATION_VALUE_PARAM_OFFSET)
 
-        return await this.xrplAcc.makePayment(this.config.registryAddress,
+        return await this._makeGovernancePayment(this.config.registryAddress,
             XrplConstants.MIN_DROPS,
             null,
             null,
-            null,
-            {
-                hookParams: [
-                    { name: HookParamKeys.PARAM_EVENT_TYPE_KEY, value: EventTypes.HOST_UPDATE_REPUTATION },
-                    { name: HookParamKeys.PARAM_EVENT_DATA_KEY, value: reputationBuf.toString('hex').toUpperCase() }
-                ],
-                ...options.transactionOptions
-            });
+            [
+                { name: HookParamKeys.PARAM_EVENT_TYPE_KEY, value: EventTypes.HOST_UPDATE_REPUTATION },
+                { name: HookParamKeys.PARAM_EVENT_DATA_KEY, value: reputationBuf.toString('hex').toUpperCase() }
+            ],
+            options);
     }
 }
 
@@ -1,4 +1,5 @@
-const { HookTypes } = require("../../defaults");
+const { HookTypes, Defaults } = require("../../defaults");
+const { BaseEvernodeClient } = require("../base-evernode-client");
 const { RegistryClient } = require("./registry-client");
 const { GovernorClient } = require("./governor-client");
 const { HeartbeatClient } = require("./heartbeat-client");
@@ -46,14 +47,22 @@ class HookClientFactory {
      * const reputationClient = await HookClientFactory.create(HookTypes.reputation);
      */
     static async create(hookType, options = {}) {
+        // Work on a copy, So the loaded config does not leak into the caller's options.
+        options = { ...options };
+
         let governorClient;
-        if (hookType !== HookTypes.governor && !options.config) {
+        const xrplApi = options.xrplApi || Defaults.values.xrplApi;
+        if (hookType !== HookTypes.governor && !options.config && xrplApi) {
+            // Load the config snapshot directly with the shared XrplApi instead of connecting a throwaway governor client.
+            if (!xrplApi.isConnected())
+                await xrplApi.connect();
+            options.config = await BaseEvernodeClient.loadConfig(xrplApi, options.governorAddress || Defaults.values.governorAddress);
+        }
+        else if (hookType !== HookTypes.governor && !options.config) {
             governorClient = new GovernorClient(options);
             try {
                 await governorClient.connect();
                 options.config = governorClient.config;
-            } catch (error) {
-                throw (error)
             } finally {
                 await governorClient.disconnect();
             }
@@ -1,3 +1,4 @@
+const { Buffer } = require('buffer');
 const { StateHelpers } = require("../../state-helpers");
 const { BaseEvernodeClient } = require("../base-evernode-client");
 
@@ -4,7 +4,7 @@ const { HookClientFactory } = require("../clients/hook-clients/hook-client-facto
 const { HookTypes } = require("../defaults");
 const { EvernodeEvents, EvernodeConstants, MemoFormats, EventTypes, ErrorCodes, HookParamKeys, RegExp, ReputationConstants } = require('../evernode-common');
 const { XrplAccount } = require('../xrpl-account');
-const { EncryptionHelper } = require('../encryption-helper');
+const { PayloadHelpers } = require('../payload-helpers');
 const { Buffer } = require('buffer');
 const codec = require('ripple-address-codec');
 const { XflHelpers } = require('../xfl-helpers');
@@ -12,6 +12,9 @@ const { EvernodeHelpers } = require('../evernode-helpers');
 const { StateHelpers } = require('../state-helpers');
 const { TransactionHelper } = require('../transaction-helper');
 const { UtilHelpers } = require('../util-helpers');
+const { AbortHelpers } = require('../abort-helpers');
+const { WalletHelpers } = require('../wallet');
+const { AbortError, ValidationError, HostUnavailableError, TransactionFailedError, TimeoutError } = require('../errors');
 
 const OFFER_WAIT_TIMEOUT = 60;
 
@@ -76,20 +79,49 @@ const TX_RETRY_INTERVAL = 10000;
  * @extends BaseEvernodeClient
  */
 class HostClient extends BaseEvernodeClient {
+    #reputationKey;
 
     /**
      * Creates an instance of HostClient.
      * @param {string} xrpAddress - The XRP address to associate with this client.
      * @param {string} xrpSecret - The secret (private key) associated with the XRP address.
      * @param {Object} [options={}] - Additional configuration options for the HostClient.
+     * @param {string} [options.reputationAddress] - XRPL address of the reputation account. Taken from the wallet locator if not given.
+     * @param {string} [options.reputationSecret] - XRPL secret of the reputation account.
+     * @param {Signer} [options.reputationSigner] - Signer of the reputation account used instead of the secret.
      */
     constructor(xrpAddress, xrpSecret, options = {}) {
         super(xrpAddress, xrpSecret, Object.values(HostEvents), true, options);
+        this.#reputationKey = {
+            address: options.reputationAddress || null,
+            secret: options.reputationSecret || null,
+            signer: options.reputationSigner || null
+        };
+    }
+
+    /**
+     * Gets the client options for the keys of an unlocked keystore profile, Including the reputation account of the host.
+     * @param {Object} profile Unlocked keystore profile.
+     * @param {Object} options Client options given by the caller.
+     * @returns {Object} Client options.
+     */
+    static _getProfileOptions(profile, options) {
+        const reputation = profile.reputation;
+        return {
+            ...super._getProfileOptions(profile, options),
+            ...(reputation ? {
+                reputationAddress: reputation.address,
+                ...(reputation.seed ? { reputationSecret: reputation.seed } : { reputationSigner: WalletHelpers.getSigner(reputation) })
+            } : {})
+        };
     }
 
     async connect(options = {}) {
         const res = await super.connect(options);
-        await this.setReputationAcc(options.reputationAddress, options.reputationSecret);
+        // Reputation account given at the connection takes precedence over the one given at the construction.
+        const reputation = (options.reputationAddress || options.reputationSecret) ?
+            { address: options.reputationAddress, secret: options.reputationSecret, signer: null } : this.#reputationKey;
+        await this.setReputationAcc(reputation.address, reputation.secret, reputation.signer);
         return res;
     }
 
@@ -97,8 +129,9 @@ class HostClient extends BaseEvernodeClient {
      * Set reputation account detatils.
      * @param {string} [reputationAddress = null] - XRPL address of the reputation account.
      * @param {string} [reputationSecret = null] - XRPL secret of the reputation account.
+     * @param {Signer} [reputationSigner = null] - Signer of the reputation account used instead of the secret.
      */
-    async setReputationAcc(reputationAddress = null, reputationSecret = null) {
+    async setReputationAcc(reputationAddress = null, reputationSecret = null, reputationSigner = null) {
         let hostReputationAccId;
         if (!reputationAddress && !reputationSecret) {
             hostReputationAccId = (await this.xrplAcc.getWalletLocator())?.slice(2, 42);
@@ -107,7 +140,7 @@ class HostClient extends BaseEvernodeClient {
         }
 
         if (reputationAddress || reputationSecret)
-            this.reputationAcc = new XrplAccount(reputationAddress, reputationSecret, { xrplApi: this.xrplApi });
+            this.reputationAcc = new XrplAccount(reputationAddress, reputationSecret, { xrplApi: this.xrplApi, logger: this.logger, signer: reputationSigner || undefined });
 
         if (!this.reputationAcc || this.reputationAcc.address === this.xrplAcc.address || this.reputationAcc.address !== reputationAddress)
             this.reputationAcc = null;
@@ -201,21 +234,21 @@ class HostClient extends BaseEvernodeClient {
                 return await callback(feeUplift, submissionRef);
             }
             catch (e) {
-                if (attempt == maxAttempts || e.code === "tecDUPLICATE" || e.code === "tefPAST_SEQ" || e.code === "tefALREADY")
+                if (attempt == maxAttempts || e instanceof AbortError || e.code === "tecDUPLICATE" || e.code === "tefPAST_SEQ" || e.code === "tefALREADY")
                     throw e;
-                else if (e.status === "TOOK_LONG") {
+                else if (e instanceof TimeoutError) {
                     feeUplift += (options?.feeUplift || 0);
                 }
-                console.error(e);
-                console.error(`Submission attempt ${attempt} failed. Retrying...`);
-                await new Promise(resolve => setTimeout(resolve, TX_RETRY_INTERVAL));
+                const failedTxHash = submissionRef?.submissionResult?.result?.tx_json?.hash;
+                this.logger.error(`Submission attempt ${attempt} failed. Retrying...`, { txHash: failedTxHash, address: this.xrplAcc.address, attempt: attempt, error: e });
+                await AbortHelpers.sleep(TX_RETRY_INTERVAL, options.signal);
 
                 // Check again wether the transaction is validated before retry.
                 const txHash = submissionRef?.submissionResult?.result?.tx_json?.hash;
                 if (txHash) {
                     const txResponse = await this.xrplApi.getTransactionValidatedResults(txHash);
                     if (txResponse && txResponse.code === "tesSUCCESS") {
-                        console.log('Transaction is validated and success, Retry skipped!')
+                        this.logger.info('Transaction is validated and success, Retry skipped!', { txHash: txHash, address: this.xrplAcc.address })
                         return txResponse;
                     }
                 }
@@ -236,7 +269,7 @@ class HostClient extends BaseEvernodeClient {
 
         let accountSetFields = {};
         accountSetFields = (flags.lsfDefaultRipple) ? { ...accountSetFields, Flags: { asfDefaultRipple: false } } : accountSetFields;
-        accountSetFields = (!msgKey) ? { ...accountSetFields, MessageKey: this.accKeyPair.publicKey } : accountSetFields;
+        accountSetFields = (!msgKey) ? { ...accountSetFields, MessageKey: await this.getMessagePublicKey() } : accountSetFields;
 
         domain = domain.toLowerCase();
         accountSetFields = (!curDomain || curDomain !== domain) ?
@@ -244,14 +277,14 @@ class HostClient extends BaseEvernodeClient {
 
         if (Object.keys(accountSetFields).length !== 0) {
             await this.#submitWithRetry(async (feeUplift, submissionRef) => {
-                await this.xrplAcc.setAccountFields(accountSetFields, { maxLedgerIndex: this.#getMaxLedgerSequence(), feeUplift: feeUplift, submissionRef: submissionRef });
-            }, { ...(options.retryOptions ? options.retryOptions : {}), submissionRef: options.submissionRef });
+                await this.xrplAcc.setAccountFields(accountSetFields, { maxLedgerIndex: this.#getMaxLedgerSequence(), feeUplift: feeUplift, submissionRef: submissionRef, signal: options.signal });
+            }, { ...(options.retryOptions ? options.retryOptions : {}), submissionRef: options.submissionRef, signal: options.signal });
         }
 
         if (trustLines.length === 0) {
             await this.#submitWithRetry(async (feeUplift, submissionRef) => {
-                await this.xrplAcc.setTrustLine(EvernodeConstants.EVR, this.config.evrIssuerAddress, "99999999999999", null, null, { maxLedgerIndex: this.#getMaxLedgerSequence(), feeUplift: feeUplift, submissionRef: submissionRef });
-            }, { ...(options.retryOptions ? options.retryOptions : {}), submissionRef: options.submissionRef });
+                await this.xrplAcc.setTrustLine(EvernodeConstants.EVR, this.config.evrIssuerAddress, "99999999999999", null, null, { maxLedgerIndex: this.#getMaxLedgerSequence(), feeUplift: feeUplift, submissionRef: submissionRef, signal: options.signal });
+            }, { ...(options.retryOptions ? options.retryOptions : {}), submissionRef: options.submissionRef, signal: options.signal });
         }
     }
 
@@ -261,7 +294,7 @@ class HostClient extends BaseEvernodeClient {
      * @param {string} reputationSecret Secret of the reputation account.
      */
     async prepareReputationAccount(reputationAddress, reputationSecret, accountMode = null, options = {}) {
-        const repAcc = new XrplAccount(reputationAddress, reputationSecret, { xrplApi: this.xrplApi });
+        const repAcc = new XrplAccount(reputationAddress, reputationSecret, { xrplApi: this.xrplApi, logger: this.logger });
         const [trustLines, walletLocator, hostWalletLocator] = await Promise.all([
             repAcc.getTrustLines(EvernodeConstants.EVR, this.config.evrIssuerAddress),
             repAcc.getWalletLocator(),
@@ -346,16 +379,16 @@ class HostClient extends BaseEvernodeClient {
 
             if (Object.keys(accountSetFields).length !== 0) {
                 await this.#submitWithRetry(async (feeUplift, submissionRef) => {
-                    await repAcc.setAccountFields(accountSetFields, { maxLedgerIndex: this.#getMaxLedgerSequence(), feeUplift: feeUplift, submissionRef: submissionRef });
-                }, { ...(options.retryOptions ? options.retryOptions : {}), submissionRef: options.submissionRef });
+                    await repAcc.setAccountFields(accountSetFields, { maxLedgerIndex: this.#getMaxLedgerSequence(), feeUplift: feeUplift, submissionRef: submissionRef, signal: options.signal });
+                }, { ...(options.retryOptions ? options.retryOptions : {}), submissionRef: options.submissionRef, signal: options.signal });
             }
 
             let hostAccountSetFields = {};
             hostAccountSetFields = (!hostWalletLocator || hostWalletLocator != hostReputationAccId) ? { ...hostAccountSetFields, WalletLocator: hostReputationAccId } : hostAccountSetFields;
             if (Object.keys(hostAccountSetFields).length !== 0) {
                 await this.#submitWithRetry(async (feeUplift, submissionRef) => {
-                    await this.xrplAcc.setAccountFields(hostAccountSetFields, { maxLedgerIndex: this.#getMaxLedgerSequence(), feeUplift: feeUplift, submissionRef: submissionRef });
-                }, { ...(options.retryOptions ? options.retryOptions : {}), submissionRef: options.submissionRef });
+                    await this.xrplAcc.setAccountFields(hostAccountSetFields, { maxLedgerIndex: this.#getMaxLedgerSequence(), feeUplift: feeUplift, submissionRef: submissionRef, signal: options.signal });
+                }, { ...(options.retryOptions ? options.retryOptions : {}), submissionRef: options.submissionRef, signal: options.signal });
             }
 
             await this.setReputationAcc(reputationAddress, reputationSecret);
@@ -363,8 +396,8 @@ class HostClient extends BaseEvernodeClient {
 
         if (trustLines.length === 0) {
             await this.#submitWithRetry(async (feeUplift, submissionRef) => {
-                await repAcc.setTrustLine(EvernodeConstants.EVR, this.config.evrIssuerAddress, "99999999999999", null, null, { maxLedgerIndex: this.#getMaxLedgerSequence(), feeUplift: feeUplift, submissionRef: submissionRef });
-            }, { ...(options.retryOptions ? options.retryOptions : {}), submissionRef: options.submissionRef });
+                await repAcc.setTrustLine(EvernodeConstants.EVR, this.config.evrIssuerAddress, "99999999999999", null, null, { maxLedgerIndex: this.#getMaxLedgerSequence(), feeUplift: feeUplift, submissionRef: submissionRef, signal: options.signal });
+            }, { ...(options.retryOptions ? options.retryOptions : {}), submissionRef: options.submissionRef, signal: options.signal });
         }
     }
 
@@ -376,11 +409,11 @@ class HostClient extends BaseEvernodeClient {
     async setReputationContractInfo(peerPort, publicKey, moment = null, options = {}) {
         const wl = await this.xrplAcc.getWalletLocator();
         if (!wl)
-            throw 'This host is not opted in for reputation.';
+            throw new ValidationError('This host is not opted in for reputation.');
 
         const repAccMode = Buffer.from(wl, 'hex').readUInt8();
         if (repAccMode === EvernodeConstants.ReputationAccountMode.None)
-            throw 'Invalid reputation account mode.';
+            throw new ValidationError('Invalid reputation account mode.');
 
         const repMoment = moment ?? await this.getMoment();
 
@@ -406,8 +439,8 @@ class HostClient extends BaseEvernodeClient {
 
         if (accountSetFields || hookParams) {
             await this.#submitWithRetry(async (feeUplift, submissionRef) => {
-                await this.reputationAcc.setAccountFields(accountSetFields, { ...(hookParams ? hookParams : {}), allowEmptyAccountSet: !accountSetFields, maxLedgerIndex: this.#getMaxLedgerSequence(), feeUplift: feeUplift, submissionRef: submissionRef });
-            }, { ...(options.retryOptions ? options.retryOptions : {}), submissionRef: options.submissionRef });
+                await this.reputationAcc.setAccountFields(accountSetFields, { ...(hookParams ? hookParams : {}), allowEmptyAccountSet: !accountSetFields, maxLedgerIndex: this.#getMaxLedgerSequence(), feeUplift: feeUplift, submissionRef: submissionRef, signal: options.signal });
+            }, { ...(options.retryOptions ? options.retryOptions : {}), submissionRef: options.submissionRef, signal: options.signal });
         }
 
     }
@@ -475,7 +508,7 @@ class HostClient extends BaseEvernodeClient {
                     try {
                         const hostReputationInfo = await reputationClient.getReputationContractInfoByOrderedId(i);
                         if (!hostReputationInfo)
-                            throw 'No reputation info for this order id';
+                            throw new ValidationError('No reputation info for this order id');
                         data[i.toString()] = {
                             publicKey: hostReputationInfo.contract?.pubkey ?? "-1",
                             orderId: i
@@ -583,7 +616,7 @@ class HostClient extends BaseEvernodeClient {
 
                     ipBuf.copy(uriBuf, ipDataOffset + 1, 0, ipDataLen);
                 } else {
-                    throw "Invalid outbound IP address was provided";
+                    throw new ValidationError("Invalid outbound IP address was provided");
                 }
             }
 
@@ -591,46 +624,49 @@ class HostClient extends BaseEvernodeClient {
 
             try {
                 await this.#submitWithRetry(async (feeUplift, submissionRef) => {
-                    await this.xrplAcc.mintURIToken(uri, null, { isBurnable: true, isHexUri: false }, { maxLedgerIndex: this.#getMaxLedgerSequence(), feeUplift: feeUplift, submissionRef: submissionRef });
-                }, { ...(options.retryOptions ? options.retryOptions : {}), submissionRef: options.submissionRef });
+                    await this.xrplAcc.mintURIToken(uri, null, { isBurnable: true, isHexUri: false }, { maxLedgerIndex: this.#getMaxLedgerSequence(), feeUplift: feeUplift, submissionRef: submissionRef, signal: options.signal });
+                }, { ...(options.retryOptions ? options.retryOptions : {}), submissionRef: options.submissionRef, signal: options.signal });
             } catch (e) {
                 // Re-minting the URIToken after burning that sold URIToken.
                 if (e.code === "tecDUPLICATE") {
                     const uriTokenId = this.xrplAcc.generateIssuedURITokenId(uri);
-                    console.log(`Burning URIToken related to a previously sold lease.`);
-                    await this.xrplAcc.burnURIToken(uriTokenId, { maxLedgerIndex: this.#getMaxLedgerSequence() });
-                    console.log("Re-mint the URIToken for the new lease offer.")
-                    await this.xrplAcc.mintURIToken(uri, null, { isBurnable: true, isHexUri: false }, { maxLedgerIndex: this.#getMaxLedgerSequence() });
+                    this.logger.info(`Burning URIToken related to a previously sold lease.`, { uriTokenId: uriTokenId });
+                    await this.xrplAcc.burnURIToken(uriTokenId, { maxLedgerIndex: this.#getMaxLedgerSequence(), signal: options.signal });
+                    this.logger.info("Re-mint the URIToken for the new lease offer.")
+                    await this.xrplAcc.mintURIToken(uri, null, { isBurnable: true, isHexUri: false }, { maxLedgerIndex: this.#getMaxLedgerSequence(), signal: options.signal });
+                }
+                else if (e instanceof AbortError) {
+                    throw e;
                 }
             }
 
             uriToken = await this.xrplAcc.getURITokenByUri(uri);
             // If uri token is not found in first try, Retry again.
             if (!uriToken) {
-                console.log(`URI token not found, Retrying in 1 second.`)
-                await new Promise(resolve => setTimeout(resolve, 1000));
+                this.logger.info(`URI token not found, Retrying in 1 second.`)
+                await AbortHelpers.sleep(1000, options.signal);
                 uriToken = await this.xrplAcc.getURITokenByUri(uri);
             }
         }
         else {
             uriToken = existing.token;
-            console.log(`Found exiting lease for index ${leaseIndex}. Minting skipped.`);
+            this.logger.info(`Found exiting lease for index ${leaseIndex}. Minting skipped.`);
         }
 
         // Throw if still not found.
         if (!uriToken)
-            throw "Offer lease URI token not found.";
+            throw new ValidationError("Offer lease URI token not found.");
 
         if (!uriToken.Amount) {
             await this.#submitWithRetry(async (feeUplift, submissionRef) => {
                 await this.xrplAcc.sellURIToken(uriToken.index,
                     leaseAmount.toString(),
                     EvernodeConstants.EVR,
-                    this.config.evrIssuerAddress, null, null, { maxLedgerIndex: this.#getMaxLedgerSequence(), feeUplift: feeUplift, submissionRef: submissionRef });
-            }, { ...(options.retryOptions ? options.retryOptions : {}), submissionRef: options.submissionRef });
+                    this.config.evrIssuerAddress, null, null, { maxLedgerIndex: this.#getMaxLedgerSequence(), feeUplift: feeUplift, submissionRef: submissionRef, signal: options.signal });
+            }, { ...(options.retryOptions ? options.retryOptions : {}), submissionRef: options.submissionRef, signal: options.signal });
         }
         else {
-            console.log(`Found exiting offer for the lease ${uriToken.uriTokenId}. Offer skipped.`);
+            this.logger.info(`Found exiting offer for the lease ${uriToken.uriTokenId}. Offer skipped.`);
         }
     }
 
@@ -686,7 +722,7 @@ class HostClient extends BaseEvernodeClient {
 
                 ipBuf.copy(uriBuf, ipDataOffset + 1, 0, ipDataLen);
             } else {
-                throw "Invalid outbound IP address was provided";
+                throw new ValidationError("Invalid outbound IP address was provided");
             }
         }
 
@@ -694,16 +730,19 @@ class HostClient extends BaseEvernodeClient {
 
         try {
             await this.#submitWithRetry(async (feeUplift, submissionRef) => {
-                await this.xrplAcc.mintURIToken(uri, null, { isBurnable: true, isHexUri: false }, { maxLedgerIndex: this.#getMaxLedgerSequence(), feeUplift: feeUplift, submissionRef: submissionRef });
-            }, { ...(options.retryOptions ? options.retryOptions : {}), submissionRef: options.submissionRef });
+                await this.xrplAcc.mintURIToken(uri, null, { isBurnable: true, isHexUri: false }, { maxLedgerIndex: this.#getMaxLedgerSequence(), feeUplift: feeUplift, submissionRef: submissionRef, signal: options.signal });
+            }, { ...(options.retryOptions ? options.retryOptions : {}), submissionRef: options.submissionRef, signal: options.signal });
         } catch (e) {
             // Re-minting the URIToken after burning that sold URIToken.
             if (e.code === "tecDUPLICATE") {
                 const uriTokenId = this.xrplAcc.generateIssuedURITokenId(uri);
-                console.log(`Burning URIToken related to a previously sold lease.`);
-                await this.xrplAcc.burnURIToken(uriTokenId, { maxLedgerIndex: this.#getMaxLedgerSequence() });
-                console.log("Re-mint the URIToken for the new lease offer.")
-                await this.xrplAcc.mintURIToken(uri, null, { isBurnable: true, isHexUri: false }, { maxLedgerIndex: this.#getMaxLedgerSequence() });
+                this.logger.info(`Burning URIToken related to a previously sold lease.`, { uriTokenId: uriTokenId });
+                await this.xrplAcc.burnURIToken(uriTokenId, { maxLedgerIndex: this.#getMaxLedgerSequence(), signal: options.signal });
+                this.logger.info("Re-mint the URIToken for the new lease offer.")
+                await this.xrplAcc.mintURIToken(uri, null, { isBurnable: true, isHexUri: false }, { maxLedgerIndex: this.#getMaxLedgerSequence(), signal: options.signal });
+            }
+            else if (e instanceof AbortError) {
+                throw e;
             }
         }
     }
@@ -717,8 +756,8 @@ class HostClient extends BaseEvernodeClient {
         await this.#submitWithRetry(async (feeUplift, submissionRef) => {
             await this.xrplAcc.sellURIToken(uriTokenId, leaseAmount.toString(),
                 EvernodeConstants.EVR,
-                this.config.evrIssuerAddress, null, null, { maxLedgerIndex: this.#getMaxLedgerSequence(), feeUplift: feeUplift, submissionRef: submissionRef });
-        }, { ...(options.retryOptions ? options.retryOptions : {}), submissionRef: options.submissionRef });
+                this.config.evrIssuerAddress, null, null, { maxLedgerIndex: this.#getMaxLedgerSequence(), feeUplift: feeUplift, submissionRef: submissionRef, signal: options.signal });
+        }, { ...(options.retryOptions ? options.retryOptions : {}), submissionRef: options.submissionRef, signal: options.signal });
     }
 
     /**
@@ -729,11 +768,11 @@ class HostClient extends BaseEvernodeClient {
         const uriToken = await this.xrplApi.getURITokenByIndex(uriTokenId);
         if (uriToken) {
             await this.#submitWithRetry(async (feeUplift, submissionRef) => {
-                await this.xrplAcc.burnURIToken(uriTokenId, { maxLedgerIndex: this.#getMaxLedgerSequence(), feeUplift: feeUplift, submissionRef: submissionRef });
-            }, { ...(options.retryOptions ? options.retryOptions : {}), submissionRef: options.submissionRef });
+                await this.xrplAcc.burnURIToken(uriTokenId, { maxLedgerIndex: this.#getMaxLedgerSequence(), feeUplift: feeUplift, submissionRef: submissionRef, signal: options.signal });
+            }, { ...(options.retryOptions ? options.retryOptions : {}), submissionRef: options.submissionRef, signal: options.signal });
         }
         else {
-            console.log(`Uri token ${uriTokenId} not found or already burned. Burn skipped.`);
+            this.logger.info(`Uri token ${uriTokenId} not found or already burned. Burn skipped.`, { uriTokenId: uriTokenId });
         }
     }
 
@@ -752,12 +791,12 @@ class HostClient extends BaseEvernodeClient {
             const regInfo = await this.getHostInfo(this.xrplAcc.address);
             if (regInfo) {
                 const sellOffer = (await registryAcc.getURITokens()).find(o => o.index == regInfo.uriTokenId && o.Amount);
-                console.log('Pending sell offer found.')
+                this.logger.info('Pending sell offer found.')
                 if (sellOffer) {
                     await this.#submitWithRetry(async (feeUplift, submissionRef) => {
-                        await this.xrplAcc.buyURIToken(sellOffer, null, { maxLedgerIndex: this.#getMaxLedgerSequence(), feeUplift: feeUplift, submissionRef: submissionRef });
-                    }, { ...(options.retryOptions ? options.retryOptions : {}), submissionRef: options.submissionRef });
-                    console.log("Registration was successfully completed after acquiring the NFT.");
+                        await this.xrplAcc.buyURIToken(sellOffer, null, { maxLedgerIndex: this.#getMaxLedgerSequence(), feeUplift: feeUplift, submissionRef: submissionRef, signal: options.signal });
+                    }, { ...(options.retryOptions ? options.retryOptions : {}), submissionRef: options.submissionRef, signal: options.signal });
+                    this.logger.info("Registration was successfully completed after acquiring the NFT.");
                     return await this.isRegistered();
                 }
             }
@@ -780,49 +819,50 @@ class HostClient extends BaseEvernodeClient {
      * @param {string} emailAddress Email address of the host.
      * @param {number} leaseAmount Lease fee of the host.
      * @param {*} options [Optional] transaction options.
+     * @param {AbortSignal} [options.signal] - Signal to cancel the operation. The operation rejects with an AbortError when aborted.
      * @returns Transaction result.
      */
     async register(countryCode, cpuMicroSec, ramMb, diskMb, totalInstanceCount, cpuModel, cpuCount, cpuSpeed, description, emailAddress, leaseAmount, options = {}) {
         if (!/^([A-Z]{2})$/.test(countryCode))
-            throw "countryCode should consist of 2 uppercase alphabetical characters";
+            throw new ValidationError("countryCode should consist of 2 uppercase alphabetical characters");
         else if (!cpuMicroSec || isNaN(cpuMicroSec) || cpuMicroSec % 1 != 0 || cpuMicroSec < 0)
-            throw "cpuMicroSec should be a positive integer";
+            throw new ValidationError("cpuMicroSec should be a positive integer");
         else if (!ramMb || isNaN(ramMb) || ramMb % 1 != 0 || ramMb < 0)
-            throw "ramMb should be a positive integer";
+            throw new ValidationError("ramMb should be a positive integer");
         else if (!diskMb || isNaN(diskMb) || diskMb % 1 != 0 || diskMb < 0)
-            throw "diskMb should be a positive integer";
+            throw new ValidationError("diskMb should be a positive integer");
         else if (!totalInstanceCount || isNaN(totalInstanceCount) || totalInstanceCount % 1 != 0 || totalInstanceCount < 0)
-            throw "totalInstanceCount should be a positive integer";
+            throw new ValidationError("totalInstanceCount should be a positive integer");
         else if (!cpuCount || isNaN(cpuCount) || cpuCount % 1 != 0 || cpuCount < 0)
-            throw "CPU count should be a positive integer";
+            throw new ValidationError("CPU count should be a positive integer");
         else if (!cpuSpeed || isNaN(cpuSpeed) || cpuSpeed % 1 != 0 || cpuSpeed < 0)
-            throw "CPU speed should be a positive integer";
+            throw new ValidationError("CPU speed should be a positive integer");
         else if (!cpuModel)
-            throw "cpu model cannot be empty";
+            throw new ValidationError("cpu model cannot be empty");
         else if (!leaseAmount || isNaN(leaseAmount) || diskMb < 0)
-            throw "leaseAmount should be a positive float";
+            throw new ValidationError("leaseAmount should be a positive float");
 
         // Need to use control characters inside this regex to match ascii characters.
         // Here we allow all the characters in ascii range except ";" for the description.
         // no-control-regex is enabled default by eslint:recommended, So we disable it only for next line.
         // eslint-disable-next-line no-control-regex
         else if (!/^((?![;])[\x00-\x7F]){0,26}$/.test(description))
-            throw "description should consist of 0-26 ascii characters except ';'";
+            throw new ValidationError("description should consist of 0-26 ascii characters except ';'");
 
         else if (!emailAddress || !(/.+@.+/.test(emailAddress)) || (emailAddress.length > 40))
-            throw "Email address should be valid and can not have more than 40 characters.";
+            throw new ValidationError("Email address should be valid and can not have more than 40 characters.");
 
         if (await this.isRegistered())
-            throw "Host already registered.";
+            throw new ValidationError("Host already registered.");
 
         // Check whether are there lease offers in for the host due to a previous registration.
         const existingLeaseURITokens = (await this.xrplAcc.getURITokens()).filter(n => n.Issuer == this.xrplAcc.address && EvernodeHelpers.isValidURI(n.URI, EvernodeConstants.LEASE_TOKEN_PREFIX_HEX));
         if (existingLeaseURITokens) {
-            console.log("Burning unsold URITokens related to the previous leases.");
+            this.logger.info("Burning unsold URITokens related to the previous leases.");
             for (const uriToken of existingLeaseURITokens) {
                 await this.#submitWithRetry(async (feeUplift, submissionRef) => {
-                    await this.xrplAcc.burnURIToken(uriToken.index, { maxLedgerIndex: this.#getMaxLedgerSequence(), feeUplift: feeUplift, submissionRef: submissionRef });
-                }, { ...(options.retryOptions ? options.retryOptions : {}), submissionRef: options.submissionRef });
+                    await this.xrplAcc.burnURIToken(uriToken.index, { maxLedgerIndex: this.#getMaxLedgerSequence(), feeUplift: feeUplift, submissionRef: submissionRef, signal: options.signal });
+                }, { ...(options.retryOptions ? options.retryOptions : {}), submissionRef: options.submissionRef, signal: options.signal });
             }
         }
 
@@ -846,7 +886,7 @@ class HostClient extends BaseEvernodeClient {
 
         }
         catch (e) {
-            console.log("No initiated transfers were found.");
+            this.logger.info("No initiated transfers were found.");
         }
 
         // <country_code(2)><cpu_microsec(4)><ram_mb(4)><disk_mb(4)><no_of_total_instances(4)><cpu_model(40)><cpu_count(2)><cpu_speed(2)><description(26)><email_address(40)><host_lease_amount(8,xfl)>
@@ -875,12 +915,12 @@ class HostClient extends BaseEvernodeClient {
                         { name: HookParamKeys.PARAM_EVENT_DATA_KEY, value: paramBuf.toString('hex').toUpperCase() }
                     ],
                     maxLedgerIndex: this.#getMaxLedgerSequence(),
-                    feeUplift: feeUplift, submissionRef: submissionRef,
+                    feeUplift: feeUplift, submissionRef: submissionRef, signal: options.signal,
                     ...options.transactionOptions
                 });
-        }, { ...(options.retryOptions ? options.retryOptions : {}), submissionRef: options.submissionRef });
+        }, { ...(options.retryOptions ? options.retryOptions : {}), submissionRef: options.submissionRef, signal: options.signal });
 
-        console.log('Waiting for the sell offer', tx.id)
+        this.logger.info('Waiting for the sell offer', { txHash: tx.id })
         const registryAcc = new XrplAccount(this.config.registryAddress, null, { xrplApi: this.xrplApi });
         let sellOffer = null;
         let attempts = 0;
@@ -899,26 +939,23 @@ class HostClient extends BaseEvernodeClient {
             offerLedgerIndex = this.xrplApi.ledgerIndex;
             if (sellOffer)
                 break;
-            await new Promise(resolve => setTimeout(resolve, 1000));
+            await AbortHelpers.sleep(1000, options.signal);
             attempts++;
         }
         if (!sellOffer)
-            throw 'No sell offer found within timeout.';
+            throw new TimeoutError('No sell offer found within timeout.');
 
-        console.log('Accepting the sell offer..');
+        this.logger.info('Accepting the sell offer..');
 
         // Wait until the next ledger after the offer is created.
         // Otherwise if the offer accepted in the same legder which it's been created,
         // We cannot fetch the offer from registry contract event handler since it's getting deleted immediately.
-        await new Promise(async resolve => {
-            while (this.xrplApi.ledgerIndex <= offerLedgerIndex)
-                await new Promise(resolve2 => setTimeout(resolve2, 1000));
-            resolve();
-        });
+        while (this.xrplApi.ledgerIndex <= offerLedgerIndex)
+            await AbortHelpers.sleep(1000, options.signal);
 
         await this.#submitWithRetry(async (feeUplift, submissionRef) => {
-            await this.xrplAcc.buyURIToken(sellOffer, null, { maxLedgerIndex: this.#getMaxLedgerSequence(), feeUplift: feeUplift, submissionRef: submissionRef });
-        }, { ...(options.retryOptions ? options.retryOptions : {}), submissionRef: options.submissionRef });
+            await this.xrplAcc.buyURIToken(sellOffer, null, { maxLedgerIndex: this.#getMaxLedgerSequence(), feeUplift: feeUplift, submissionRef: submissionRef, signal: options.signal });
+        }, { ...(options.retryOptions ? options.retryOptions : {}), submissionRef: options.submissionRef, signal: options.signal });
         return await this.isRegistered();
     }
 
@@ -931,7 +968,7 @@ class HostClient extends BaseEvernodeClient {
     async deregister(error = null, options = {}) {
 
         if (!(await this.isRegistered()))
-            throw "Host not registered."
+            throw new HostUnavailableError("Host not registered.");
 
         const fromRep = options.fromReputationAccount;
         const regUriToken = await this.getRegistrationUriToken();
@@ -943,7 +980,7 @@ class HostClient extends BaseEvernodeClient {
             codec.decodeAccountID(this.xrplAcc.address).copy(paramBuf, 0);
 
             if (!deregAcc)
-                throw 'No reputation account is configured.';
+                throw new ValidationError('No reputation account is configured.');
         }
         else
             deregAcc = this.xrplAcc;
@@ -966,14 +1003,28 @@ class HostClient extends BaseEvernodeClient {
                         { name: HookParamKeys.PARAM_EVENT_DATA_KEY, value: paramBuf.toString('hex').toUpperCase() }
                     ],
                     maxLedgerIndex: this.#getMaxLedgerSequence(),
-                    feeUplift: feeUplift, submissionRef: submissionRef,
+                    feeUplift: feeUplift, submissionRef: submissionRef, signal: options.signal,
                     ...options.transactionOptions
                 });
-        }, { ...(options.retryOptions ? options.retryOptions : {}), submissionRef: options.submissionRef });
+        }, { ...(options.retryOptions ? options.retryOptions : {}), submissionRef: options.submissionRef, signal: options.signal });
 
         return await this.isRegistered();
     }
 
+    /**
+     * Deletes the host account and sends the remaining balance to the destination. See XrplAccount.teardown().
+     * The host should be deregistered first, Since the registration token and the EVR trust line are still needed while registered.
+     * @param {string} destination Address which receives the remaining balance.
+     * @param {*} options [Optional] Teardown options. `dryRun` only returns the plan.
+     * @returns {Promise<Object>} The teardown plan with the step results.
+     */
+    async teardown(destination, options = {}) {
+        if (await this.isRegistered())
+            throw new ValidationError("Host is still registered. Deregister the host before deleting the account.");
+
+        return await this.xrplAcc.teardown(destination, options);
+    }
+
     /**
      * Update the host registration in the Evernode network.
      * @param {number} activeInstanceCount Currently active instance count in the host.
@@ -1014,7 +1065,7 @@ class HostClient extends BaseEvernodeClient {
         if (version) {
             const components = version.split('.').map(v => parseInt(v));
             if (components.length != 3)
-                throw 'Invalid version format.';
+                throw new ValidationError('Invalid version format.');
             paramBuf.writeUInt8(components[0], HOST_UPDATE_VERSION_PARAM_OFFSET);
             paramBuf.writeUInt8(components[1], HOST_UPDATE_VERSION_PARAM_OFFSET + 1);
             paramBuf.writeUInt8(components[2], HOST_UPDATE_VERSION_PARAM_OFFSET + 2);
@@ -1034,10 +1085,10 @@ class HostClient extends BaseEvernodeClient {
                         { name: HookParamKeys.PARAM_EVENT_DATA_KEY, value: paramBuf.toString('hex') }
                     ],
                     maxLedgerIndex: this.#getMaxLedgerSequence(),
-                    feeUplift: feeUplift, submissionRef: submissionRef,
+                    feeUplift: feeUplift, submissionRef: submissionRef, signal: options.signal,
                     ...options.transactionOptions
                 });
-        }, { ...(options.retryOptions ? options.retryOptions : {}), submissionRef: options.submissionRef });
+        }, { ...(options.retryOptions ? options.retryOptions : {}), submissionRef: options.submissionRef, signal: options.signal });
 
     }
 
@@ -1050,7 +1101,7 @@ class HostClient extends BaseEvernodeClient {
     async heartbeat(voteInfo = {}, options = {}) {
         let unofferedLeases = await this.getUnofferedLeases();
         if (unofferedLeases.length > 0) {
-            console.log("Unoffered leases detected. Heartbeat was not sent.");
+            this.logger.warn("Unoffered leases detected. Heartbeat was not sent.");
             return;
         }
 
@@ -1083,11 +1134,8 @@ class HostClient extends BaseEvernodeClient {
         catch (e) {
             const validationErr = e?.hookExecutionResult?.find(r => r.message.includes(VOTE_VALIDATION_ERR));
             if (validationErr) {
-                console.log('Vote validation error occurred.')
-                throw {
-                    code: VOTE_VALIDATION_ERR,
-                    error: validationErr.message
-                }
+                this.logger.warn('Vote validation error occurred.')
+                throw new TransactionFailedError({ ...e, code: VOTE_VALIDATION_ERR, error: validationErr.message }, validationErr.message);
             }
             throw e;
         }
@@ -1099,6 +1147,10 @@ class HostClient extends BaseEvernodeClient {
      * @param {string} tenantAddress XRPL address of the tenant.
      * @param {string} instanceInfo Created instance info.
      * @param {*} options [Optional] transaction options.
+     * `options.ticket` sends the response with a ticket so it does not wait on the other responses. Pass `true` to pick an available ticket.
+     * `options.compression` compresses the instance info (One of PayloadCompressions) and `options.memoChunkSize` splits it into several memos of at most that many bytes.
+     * `options.signPayload` signs the instance info with the host account key, So the tenant can verify that it came from this host.
+     * Tenants running older clients can only read unsigned, Uncompressed single memo instance info.
      * @returns Transaction result.
      */
     async acquireSuccess(txHash, tenantAddress, instanceInfo, options = {}) {
@@ -1108,8 +1160,6 @@ class HostClient extends BaseEvernodeClient {
 
         let encKey = null;
         let doEncrypt = true;
-        // Initialize with not-encrypted prefix flag and the data.
-        let data = Buffer.concat([Buffer.from([0x00]), Buffer.from(JSON.stringify(instanceInfo))]).toString('base64');
 
         if ('messageKey' in options) {
             if (options.messageKey !== 'none' && RegExp.PublicPrivateKey.test(options.messageKey)) {
@@ -1117,32 +1167,35 @@ class HostClient extends BaseEvernodeClient {
             } else if (options.messageKey === 'none') {
                 doEncrypt = false;
             } else
-                throw "Tenant encryption key not valid.";
+                throw new ValidationError("Tenant encryption key not valid.");
         } else {
             encKey = await tenantAcc.getMessageKey();
         }
 
-        if (doEncrypt) {
-            if (!encKey)
-                throw "Tenant encryption key not set.";
-            const encrypted = await EncryptionHelper.encrypt(encKey, instanceInfo);
-            // Override encrypted prefix flag and the data.
-            data = Buffer.concat([Buffer.from([0x01]), Buffer.from(encrypted, 'base64')]).toString('base64');
-        }
+        if (doEncrypt && !encKey)
+            throw new ValidationError("Tenant encryption key not set.");
+        if (options.signPayload && !this.xrplAcc.getSigner())
+            throw new ValidationError("Cannot sign the payload: Account has no secret or signer.");
+
+        const memoData = await PayloadHelpers.encode(instanceInfo, {
+            encryptionKey: doEncrypt ? encKey : null,
+            compression: options.compression,
+            chunkSize: options.memoChunkSize,
+            signer: options.signPayload ? this.xrplAcc.getSigner() : null
+        });
 
         return this.xrplAcc.makePayment(tenantAddress,
             XrplConstants.MIN_DROPS,
             null,
             null,
-            [
-                { type: EventTypes.ACQUIRE_SUCCESS, format: MemoFormats.BASE64, data: data }
-            ],
+            memoData.map(d => ({ type: EventTypes.ACQUIRE_SUCCESS, format: MemoFormats.BASE64, data: d })),
             {
                 hookParams: [
                     { name: HookParamKeys.PARAM_EVENT_TYPE_KEY, value: EventTypes.ACQUIRE_SUCCESS },
                     { name: HookParamKeys.PARAM_EVENT_DATA_KEY, value: txHash }
                 ],
                 maxLedgerIndex: this.#getMaxLedgerSequence(),
+                ticket: options.ticket,
                 ...options.transactionOptions,
                 submissionRef: options.submissionRef
             });
@@ -1155,6 +1208,7 @@ class HostClient extends BaseEvernodeClient {
      * @param {number} leaseAmount Lease amount to be refunded.
      * @param {string} reason Reason for the error.
      * @param {*} options [Optional] transaction options.
+     * `options.ticket` sends the response with a ticket so it does not wait on the other responses. Pass `true` to pick an available ticket.
      * @returns Transaction result.
      */
     async acquireError(txHash, tenantAddress, leaseAmount, reason, options = {}) {
@@ -1172,6 +1226,7 @@ class HostClient extends BaseEvernodeClient {
                     { name: HookParamKeys.PARAM_EVENT_DATA_KEY, value: txHash }
                 ],
                 maxLedgerIndex: this.#getMaxLedgerSequence(),
+                ticket: options.ticket,
                 ...options.transactionOptions,
                 submissionRef: options.submissionRef
             });
@@ -1183,6 +1238,7 @@ class HostClient extends BaseEvernodeClient {
      * @param {string} tenantAddress XRPL address of the tenant.
      * @param {number} expiryMoment Moment which the instance will expire.
      * @param {*} options [Optional] transaction options.
+     * `options.ticket` sends the response with a ticket so it does not wait on the other responses. Pass `true` to pick an available ticket.
      * @returns Transaction result.
      */
     async extendSuccess(txHash, tenantAddress, expiryMoment, options = {}) {
@@ -1202,6 +1258,7 @@ class HostClient extends BaseEvernodeClient {
                     { name: HookParamKeys.PARAM_EVENT_DATA_KEY, value: txHash }
                 ],
                 maxLedgerIndex: this.#getMaxLedgerSequence(),
+                ticket: options.ticket,
                 ...options.transactionOptions,
                 submissionRef: options.submissionRef
             });
@@ -1291,10 +1348,11 @@ class HostClient extends BaseEvernodeClient {
      * Initiate a host transfer.
      * @param {string} transfereeAddress [Optional] Xrpl account address to host registration to be transferred.
      * @param {*} options [Optional] transaction options.
+     * @param {AbortSignal} [options.signal] - Signal to cancel the operation. The operation rejects with an AbortError when aborted.
      */
     async transfer(transfereeAddress = this.xrplAcc.address, options = {}) {
         if (!(await this.isRegistered()))
-            throw "Host is not registered.";
+            throw new HostUnavailableError("Host is not registered.");
 
         const transfereeAcc = new XrplAccount(transfereeAddress, null, { xrplApi: this.xrplApi });
 
@@ -1302,7 +1360,7 @@ class HostClient extends BaseEvernodeClient {
             // Find the new transferee also owns an Evernode Host Registration token.
             const token = (await transfereeAcc.getURITokens()).find(n => n.URI.startsWith(EvernodeConstants.TOKEN_PREFIX_HEX) && n.Issuer === this.config.registryAddress);
             if (token)
-                throw "The transferee is already registered in Evernode.";
+                throw new ValidationError("The transferee is already registered in Evernode.");
         }
 
         const paramData = codec.decodeAccountID(transfereeAddress);
@@ -1322,10 +1380,10 @@ class HostClient extends BaseEvernodeClient {
                         { name: HookParamKeys.PARAM_EVENT_DATA_KEY, value: paramData.toString('hex') }
                     ],
                     maxLedgerIndex: this.#getMaxLedgerSequence(),
-                    feeUplift: feeUplift, submissionRef: submissionRef,
+                    feeUplift: feeUplift, submissionRef: submissionRef, signal: options.signal,
                     ...options.transactionOptions
                 });
-        }, { ...(options.retryOptions ? options.retryOptions : {}), submissionRef: options.submissionRef });
+        }, { ...(options.retryOptions ? options.retryOptions : {}), submissionRef: options.submissionRef, signal: options.signal });
 
         let token = null;
         let attempts = 0;
@@ -1335,11 +1393,11 @@ class HostClient extends BaseEvernodeClient {
             token = (await regAcc.getURITokens()).find(o => o.index == regUriToken.index);
             if (token)
                 break;
-            await new Promise(resolve => setTimeout(resolve, 1000));
+            await AbortHelpers.sleep(1000, options.signal);
             attempts++;
         }
         if (!token)
-            throw 'Token hasn\'t transferred within timeout.';
+            throw new TimeoutError('Token hasn\'t transferred within timeout.');
     }
 
     /**
@@ -1368,7 +1426,7 @@ class HostClient extends BaseEvernodeClient {
      */
     async propose(hashes, shortName, options = {}) {
         if (!(await this.isRegistered()))
-            throw 'Host should be registered to propose candidates.';
+            throw new HostUnavailableError('Host should be registered to propose candidates.');
 
         options.transactionOptions = { maxLedgerIndex: this.#getMaxLedgerSequence(), ...(options.transactionOptions || {}) }
         return await super._propose(hashes, shortName, options);
@@ -1382,7 +1440,7 @@ class HostClient extends BaseEvernodeClient {
      */
     async withdraw(candidateId, options = {}) {
         if (!(await this.isRegistered()))
-            throw 'Host should be registered to withdraw candidates.';
+            throw new HostUnavailableError('Host should be registered to withdraw candidates.');
 
         options.transactionOptions = { maxLedgerIndex: this.#getMaxLedgerSequence(), ...(options.transactionOptions || {}) }
         return await super._withdraw(candidateId, options);
@@ -1396,7 +1454,7 @@ class HostClient extends BaseEvernodeClient {
      */
     async reportDudHost(hostAddress, options = {}) {
         if (!(await this.isRegistered()))
-            throw 'Host should be registered to report dud hosts.';
+            throw new HostUnavailableError('Host should be registered to report dud hosts.');
 
         options.transactionOptions = { maxLedgerIndex: this.#getMaxLedgerSequence(), ...(options.transactionOptions || {}) }
         return await this._reportDudHost(hostAddress, options);
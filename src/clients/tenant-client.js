@@ -1,12 +1,13 @@
 const { BaseEvernodeClient } = require('./base-evernode-client');
 const { EvernodeEvents, MemoFormats, EventTypes, ErrorCodes, ErrorReasons, EvernodeConstants, HookParamKeys, RegExp } = require('../evernode-common');
-const { EncryptionHelper } = require('../encryption-helper');
-const { Buffer } = require('buffer');
+const { PayloadHelpers } = require('../payload-helpers');
 const { XrplAccount } = require('../xrpl-account');
 const { UtilHelpers } = require('../util-helpers');
 const { EvernodeHelpers } = require('../evernode-helpers');
 const { TransactionHelper } = require('../transaction-helper');
 const { XrplConstants } = require('../xrpl-common');
+const { AbortHelpers } = require('../abort-helpers');
+const { AbortError, ValidationError, HostUnavailableError, TimeoutError, LeaseError } = require('../errors');
 
 const DEFAULT_WAIT_TIMEOUT = 300000;
 
@@ -59,10 +60,10 @@ class TenantClient extends BaseEvernodeClient {
     async prepareAccount(options = {}) {
         try {
             if (!await this.xrplAcc.getMessageKey())
-                await this.xrplAcc.setAccountFields({ MessageKey: this.accKeyPair.publicKey }, options);
+                await this.xrplAcc.setAccountFields({ MessageKey: await this.getMessagePublicKey() }, options);
         }
         catch (err) {
-            console.log("Error in preparing user xrpl account for Evernode.", err);
+            this.logger.error("Error in preparing user xrpl account for Evernode.", { address: this.xrplAcc.address, error: err });
         }
     }
 
@@ -70,25 +71,25 @@ class TenantClient extends BaseEvernodeClient {
      * Retrieves and validates a lease host based on the given host address.
      * @param {string} hostAddress - The XRP Ledger address of the host.
      * @returns {Promise<Object>} - Returns the host object if valid and active.
-     * @throws Will throw an error if the host is invalid, inactive, or not registered.
+     * @throws {HostUnavailableError} If the host is invalid, inactive, or not registered.
      */
     async getLeaseHost(hostAddress) {
         const host = new XrplAccount(hostAddress, null, { xrplApi: this.xrplApi });
         // Find an owned URI token with matching Evernode host NFT prefix.
         const uriToken = (await host.getURITokens()).find(n => n.URI.startsWith(EvernodeConstants.TOKEN_PREFIX_HEX) && n.Issuer === this.config.registryAddress);
         if (!uriToken)
-            throw { reason: ErrorReasons.HOST_INVALID, error: "Host is not registered." };
+            throw new HostUnavailableError("Host is not registered.", ErrorReasons.HOST_INVALID);
 
         // Check whether the token was actually issued from Evernode registry contract.
         if (uriToken.Issuer != this.config.registryAddress)
-            throw { reason: ErrorReasons.HOST_INVALID, error: "Host is not registered." };
+            throw new HostUnavailableError("Host is not registered.", ErrorReasons.HOST_INVALID);
 
         // Check whether active.
         const hostInfo = await this.getHostInfo(host.address);
         if (!hostInfo)
-            throw { reason: ErrorReasons.HOST_INVALID, error: "Host is not registered." };
+            throw new HostUnavailableError("Host is not registered.", ErrorReasons.HOST_INVALID);
         else if (!hostInfo.active)
-            throw { reason: ErrorReasons.HOST_INACTIVE, error: "Host is not active." };
+            throw new HostUnavailableError("Host is not active.", ErrorReasons.HOST_INACTIVE);
 
         return host;
     }
@@ -105,6 +106,7 @@ class TenantClient extends BaseEvernodeClient {
      * Ex: { timeout: '<number> This specifies a timeout for the transaction to be completed. It accepts a number and time in milliseconds. This is optional and defaults to 60000 unless provided', 
      * leaseOfferIndex: '<number> The preferred index of the lease available in the given host. An avaialble offer index will be taken unless this field is provided',
      * transactionOptions: '<object> During the acquiring process, an URITokenBuy transaction takes place. Therefore the [fields defined in the official Xahau documentation for the URITokenBuy transaction](https://docs.xahau.network/technical/protocol-reference/transactions/transaction-types/uritokenbuy) can be specified within this object.'}.
+     * @param {AbortSignal} [options.signal] - Signal to cancel the operation. The operation rejects with an AbortError when aborted.
      * @returns The transaction result.
      * @example 
      * const tx = await this.acquireLeaseSubmit(hostAddress, requirement);
@@ -148,8 +150,9 @@ class TenantClient extends BaseEvernodeClient {
      */
     async acquireLeaseSubmit(hostAddress, requirement, options = {}) {
 
+        AbortHelpers.throwIfAborted(options.signal);
         const preparedAcquireTxn = await this.prepareAcquireLeaseTransaction(hostAddress, requirement, options);
-        return await this.xrplAcc.signAndSubmit(preparedAcquireTxn);
+        return await this.xrplAcc.signAndSubmit(preparedAcquireTxn, {}, { signal: options.signal });
     }
 
     /**
@@ -157,6 +160,9 @@ class TenantClient extends BaseEvernodeClient {
      * @param {string} hostAddress XRPL address of the host to acquire the lease.
      * @param {object} requirement The instance requirements and configuration.
      * @param {object} options [Optional] Options for the XRPL transaction.
+     * `options.compression` compresses the requirement (One of PayloadCompressions) and `options.memoChunkSize` splits it into several memos of at most that many bytes.
+     * `options.signPayload` signs the requirement with the account key, So the host can verify that it came from this account.
+     * Hosts running older clients can only read unsigned, Uncompressed single memo requirements.
      * @returns Prepared Acquire transaction.
      */
     async prepareAcquireLeaseTransaction(hostAddress, requirement, options = {}) {
@@ -177,12 +183,10 @@ class TenantClient extends BaseEvernodeClient {
         }
 
         if (!buyUriOffer)
-            throw { reason: ErrorReasons.NO_OFFER, error: "No offers available." };
+            throw new ValidationError("No offers available.", { reason: ErrorReasons.NO_OFFER });
 
         let encKey = null;
         let doEncrypt = true;
-        // Initialize with not-encrypted prefix flag and the data.
-        let data = Buffer.concat([Buffer.from([0x00]), Buffer.from(JSON.stringify(requirement))]).toString('base64');
 
         if ('messageKey' in options) {
             if (options.messageKey !== 'none' && RegExp.PublicPrivateKey.test(options.messageKey)) {
@@ -190,27 +194,30 @@ class TenantClient extends BaseEvernodeClient {
             } else if (options.messageKey === 'none') {
                 doEncrypt = false;
             } else
-                throw { reason: ErrorReasons.INTERNAL_ERR, error: "Host encryption key not valid." };
+                throw new ValidationError("Host encryption key not valid.", { reason: ErrorReasons.INTERNAL_ERR });
         } else {
             encKey = await hostAcc.getMessageKey();
         }
 
-        if (doEncrypt) {
-            if (!encKey)
-                throw { reason: ErrorReasons.INTERNAL_ERR, error: "Host encryption key not set." };
-            const encrypted = await EncryptionHelper.encrypt(encKey, requirement, {
+        if (doEncrypt && !encKey)
+            throw new ValidationError("Host encryption key not set.", { reason: ErrorReasons.INTERNAL_ERR });
+        if (options.signPayload && !this.xrplAcc.getSigner())
+            throw new ValidationError("Cannot sign the payload: Account has no secret or signer.", { reason: ErrorReasons.INTERNAL_ERR });
+
+        const memoData = await PayloadHelpers.encode(requirement, {
+            encryptionKey: doEncrypt ? encKey : null,
+            encryptionOptions: {
                 iv: options.iv, // Must be null or 16 bytes.
                 ephemPrivateKey: options.ephemPrivateKey // Must be null or 32 bytes.
-            });
-            // Override encrypted prefix flag and the data.
-            data = Buffer.concat([Buffer.from([0x01]), Buffer.from(encrypted, 'base64')]).toString('base64');
-        }
+            },
+            compression: options.compression,
+            chunkSize: options.memoChunkSize,
+            signer: options.signPayload ? this.xrplAcc.getSigner() : null
+        });
 
         return await this.xrplAcc.prepareBuyURIToken(
             buyUriOffer,
-            [
-                { type: EventTypes.ACQUIRE_LEASE, format: MemoFormats.BASE64, data: data }
-            ],
+            memoData.map(d => ({ type: EventTypes.ACQUIRE_LEASE, format: MemoFormats.BASE64, data: d })),
             {
                 hookParams: [
                     { name: HookParamKeys.PARAM_EVENT_TYPE_KEY, value: EventTypes.ACQUIRE_LEASE }
@@ -225,7 +232,11 @@ class TenantClient extends BaseEvernodeClient {
      * This function is called within the acquireLease function. This accepts two parameters as below.
      * @param {object} tx The transaction returned by the acquireLeaseSubmit function.
      * @param {object} options [Optional] Options for the XRPL transaction.
-     * @returns An object including transaction details,instance info, and acquireReference Id.
+     * @param {AbortSignal} [options.signal] - Signal to cancel the operation. The operation rejects with an AbortError when aborted.
+     * @param {string} [options.hostAddress] - Address of the host which the lease was acquired from. Signed instance info should be signed by this host.
+     * @param {boolean} [options.requireSignedPayload=false] - Rejects unsigned instance info. Signed instance info is always verified against the host account keys.
+     * @returns An object including transaction details,instance info, acquireReference Id and whether the instance info is verified to be signed by the host.
+     * Rejects with a LeaseError (INVALID_SIGNATURE) if the instance info signature cannot be verified.
      * @example const response = await watchAcquireResponse(tx);
      * 
      * //sample response
@@ -259,61 +270,87 @@ class TenantClient extends BaseEvernodeClient {
      *     user_port: '<string> The port used for the communication between the user and the instance',
      *     domain: '<string> The public domain address of the host server'
      *   },
-     *   acquireRefId: '<string> The hash of the transaction that requested the initial acquiring of the instance'
+     *   acquireRefId: '<string> The hash of the transaction that requested the initial acquiring of the instance',
+     *   hostVerified: '<boolean> Whether the instance info is signed by a key of the host account'
      * }
      */
     async watchAcquireResponse(tx, options = {}) {
-        console.log(`Waiting for acquire response... (txHash: ${tx.id})`);
+        this.logger.info(`Waiting for acquire response... (txHash: ${tx.id})`, { txHash: tx.id });
+
+        AbortHelpers.throwIfAborted(options.signal);
 
         return new Promise(async (resolve, reject) => {
             let rejected = false;
             const failTimeout = setTimeout(() => {
                 rejected = true;
-                reject({ error: ErrorCodes.ACQUIRE_ERR, reason: ErrorReasons.TIMEOUT });
+                reject(new TimeoutError('Acquire response was not received within the timeout.', { error: ErrorCodes.ACQUIRE_ERR }));
             }, options.timeout || DEFAULT_WAIT_TIMEOUT);
+            // Stop watching and clear the timeout if the caller aborts.
+            const removeAbortHandler = AbortHelpers.onAbort(options.signal, (e) => {
+                rejected = true;
+                clearTimeout(failTimeout);
+                reject(e);
+            });
 
             let relevantTx = null;
             while (!rejected && !relevantTx) {
                 try {
-                    const txList = await this.xrplAcc.getAccountTrx(tx.details.ledger_index);
-                    for (let t of txList) {
-                        t.tx.Memos = TransactionHelper.deserializeMemos(t.tx?.Memos);
-                        t.tx.HookParameters = TransactionHelper.deserializeHookParams(t.tx?.HookParameters);
-
-                        if (t.meta?.delivered_amount)
-                            t.tx.DeliveredAmount = t.meta.delivered_amount;
-
-                        const res = await this.extractEvernodeEvent(t.tx);
-                        if ((res?.name === EvernodeEvents.AcquireSuccess || res?.name === EvernodeEvents.AcquireError) && res?.data?.acquireRefId === tx.id) {
-                            clearTimeout(failTimeout);
-                            relevantTx = res;
-                            break;
+                    // Stop fetching further pages once the response is found.
+                    for await (const page of this.xrplAcc.iterateAccountTrx(tx.details.ledger_index)) {
+                        for (let t of page.items) {
+                            t.tx.Memos = TransactionHelper.deserializeMemos(t.tx?.Memos);
+                            t.tx.HookParameters = TransactionHelper.deserializeHookParams(t.tx?.HookParameters);
+
+                            if (t.meta?.delivered_amount)
+                                t.tx.DeliveredAmount = t.meta.delivered_amount;
+
+                            const res = await this.extractEvernodeEvent(t.tx);
+                            if ((res?.name === EvernodeEvents.AcquireSuccess || res?.name === EvernodeEvents.AcquireError) && res?.data?.acquireRefId === tx.id) {
+                                clearTimeout(failTimeout);
+                                relevantTx = res;
+                                break;
+                            }
                         }
+                        if (relevantTx || rejected)
+                            break;
                     }
                 }
                 catch (e) {
                     rejected = true;
                     clearTimeout(failTimeout);
-                    reject({ error: ErrorCodes.ACQUIRE_ERR, reason: 'UNKNOWN', acquireRefId: tx.id });
+                    reject(new LeaseError(ErrorCodes.ACQUIRE_ERR, 'UNKNOWN', { acquireRefId: tx.id, cause: e }));
                     break;
                 }
-                await new Promise(resolveSleep => setTimeout(resolveSleep, 2000));
+                await AbortHelpers.sleep(2000, options.signal).catch(() => { });
             }
+            removeAbortHandler();
 
             if (!rejected) {
                 if (relevantTx?.name === TenantEvents.AcquireSuccess) {
-                    resolve({
-                        transaction: relevantTx?.data.transaction,
-                        instance: relevantTx?.data.payload.content,
-                        acquireRefId: relevantTx?.data.acquireRefId
-                    });
+                    // Signed instance info should be signed by the host which the lease was acquired from.
+                    const signature = relevantTx.data.payloadSignature;
+                    const hostVerified = !!signature?.verified &&
+                        (!options.hostAddress || relevantTx.data.transaction.Account === options.hostAddress);
+
+                    if ((signature || options.requireSignedPayload) && !hostVerified) {
+                        reject(new LeaseError(ErrorCodes.ACQUIRE_ERR, ErrorReasons.INVALID_SIGNATURE, {
+                            transaction: relevantTx.data.transaction,
+                            acquireRefId: relevantTx.data.acquireRefId
+                        }));
+                    }
+                    else {
+                        resolve({
+                            transaction: relevantTx?.data.transaction,
+                            instance: relevantTx?.data.payload.content,
+                            acquireRefId: relevantTx?.data.acquireRefId,
+                            hostVerified: hostVerified
+                        });
+                    }
                 } else if (relevantTx?.name === TenantEvents.AcquireError) {
-                    reject({
-                        error: ErrorCodes.ACQUIRE_ERR,
+                    reject(new LeaseError(ErrorCodes.ACQUIRE_ERR, relevantTx?.data.reason, {
                         transaction: relevantTx?.data.transaction,
-                        reason: relevantTx?.data.reason,
                         acquireRefId: relevantTx?.data.acquireRefId
-                    });
+                    }));
                 }
             }
         });
@@ -328,7 +365,8 @@ class TenantClient extends BaseEvernodeClient {
      * @param {string} requirement.contract_id - The unique contract identifier.
      * @param {string} requirement.image - The image used to create the HotPocket instance.
      * @param {Object} requirement.config - Configuration object for the instance. 
-     * Note: Providing all the configurations herewith can cause _'TRANSACTION_FAILURE'_ error due to exceeding the maximum allowed memo size for now.
+     * Note: Providing all the configurations herewith can cause _'TRANSACTION_FAILURE'_ error due to exceeding the maximum allowed memo size.
+     * Use `options.compression` and `options.memoChunkSize` to reduce the memo size when the host runs a client which supports them.
      * For more details about '_config' object , please refer to https://docs.evernode.org/en/latest/sdk/hotpocket/reference/configuration.html.
      * @param {Object} [options={}] - Optional configurations for the transaction.
      * @param {number} [options.timeout=60000] - Timeout for the transaction in milliseconds.
@@ -338,6 +376,11 @@ class TenantClient extends BaseEvernodeClient {
      * @param {Object} [options.transactionOptions] - Options for the URITokenBuy transaction as defined in the Xahau documentation.
      * During the acquiring process, an URITokenBuy transaction takes place.
      * Therefore the [fields defined in the official Xahau documentation for the URITokenBuy transaction](https://docs.xahau.network/technical/protocol-reference/transactions/transaction-types/uritokenbuy) can be specified within this object.
+     * @param {string} [options.compression='none'] - Compression of the requirement payload. One of PayloadCompressions ('none', 'deflate' or 'brotli').
+     * @param {number} [options.memoChunkSize] - Maximum payload bytes per memo. Larger payloads are split into several memos.
+     * @param {boolean} [options.signPayload=false] - Signs the requirement with the account key, So the host can verify that it came from this account.
+     * @param {boolean} [options.requireSignedPayload=false] - Rejects the response if the instance info is not signed by the host.
+     * @param {AbortSignal} [options.signal] - Signal to cancel the operation. The operation rejects with an AbortError when aborted.
      * @returns {Promise<Object>} Resolves with an object containing the transaction details and instance details.<br>
      * @returns {Object} transaction - Information about the transaction.<br>
      * @returns {string} transaction.Account - The address of the account initiating the transaction.<br>
@@ -357,8 +400,9 @@ class TenantClient extends BaseEvernodeClient {
      * @returns {string} instance.user_port - The port used for user communication.<br>
      * @returns {string} instance.domain - The public domain of the host server.<br>
      * @returns {string} acquireRefId - The reference ID for the acquisition.
+     * @returns {boolean} hostVerified - Whether the instance info is signed by a key of the host account.
      * 
-     * @throws {Error} Throws an error if the acquisition fails.
+     * @throws {LeaseError|TimeoutError|AbortError} Throws an error if the acquisition fails.
      * @throws {Object} error - The error object with details about the failure.
      * @throws {string} error.error - The error code ('ACQUIRE_ERR').
      * @throws {string} error.reason - The reason for the acquisition failure.
@@ -454,11 +498,14 @@ class TenantClient extends BaseEvernodeClient {
     acquireLease(hostAddress, requirement, options = {}) {
         return new Promise(async (resolve, reject) => {
             const tx = await this.acquireLeaseSubmit(hostAddress, requirement, options).catch(error => {
-                reject({ error: ErrorCodes.ACQUIRE_ERR, reason: error.reason || ErrorReasons.TRANSACTION_FAILURE, content: error.error || error });
+                if (error instanceof AbortError)
+                    reject(error);
+                else
+                    reject(new LeaseError(ErrorCodes.ACQUIRE_ERR, error.reason || ErrorReasons.TRANSACTION_FAILURE, { content: error.error || error }));
             });
             if (tx) {
                 try {
-                    const response = await this.watchAcquireResponse(tx, options);
+                    const response = await this.watchAcquireResponse(tx, { hostAddress: hostAddress, ...options });
                     resolve(response);
                 } catch (error) {
                     reject(error);
@@ -474,6 +521,7 @@ class TenantClient extends BaseEvernodeClient {
      * @param {string} tokenID Tenant received instance name. this name can be retrieve by performing acquire Lease.
      * @param {object} options This is an optional field and contains necessary details for the transactions.
      * @param {object} [options.transactionOptions] During the extending lease process, a Payment transaction takes place. Therefore the fields defined in the official Xahau documentation for the Payment transaction can be specified within this object.
+     * @param {AbortSignal} [options.signal] - Signal to cancel the operation. The operation rejects with an AbortError when aborted.
      * @returns The transaction result.
      * @example const tx = await this.extendLeaseSubmit(hostAddress, amount, tokenID, options);
      * 
@@ -515,8 +563,9 @@ class TenantClient extends BaseEvernodeClient {
      * } 
      */
     async extendLeaseSubmit(hostAddress, amount, tokenID, options = {}) {
+        AbortHelpers.throwIfAborted(options.signal);
         const preparedExtendTxn = await this.prepareExtendLeaseTransaction(hostAddress, amount, tokenID, options);
-        return await this.xrplAcc.signAndSubmit(preparedExtendTxn);
+        return await this.xrplAcc.signAndSubmit(preparedExtendTxn, {}, { signal: options.signal });
     }
 
     /**
@@ -548,6 +597,7 @@ class TenantClient extends BaseEvernodeClient {
      * @param {object} tx Response of extendLeaseSubmit.
      * @param {object} options This is an optional field and contains necessary details for the transactions.
      * @param {number} [options.timeout=60000] -  This specifies a timeout for the transaction to be completed. it accepts a number and time in milliseconds. this is optional and defaults to 60000 unless provided.
+     * @param {AbortSignal} [options.signal] - Signal to cancel the operation. The operation rejects with an AbortError when aborted.
      * @returns An object including transaction details.
      * @example 
      * //example request
@@ -583,42 +633,55 @@ class TenantClient extends BaseEvernodeClient {
      * }
      */
     async watchExtendResponse(tx, options = {}) {
-        console.log(`Waiting for extend lease response... (txHash: ${tx.id})`);
+        this.logger.info(`Waiting for extend lease response... (txHash: ${tx.id})`, { txHash: tx.id });
+
+        AbortHelpers.throwIfAborted(options.signal);
 
         return new Promise(async (resolve, reject) => {
             let rejected = false;
             const failTimeout = setTimeout(() => {
                 rejected = true;
-                reject({ error: ErrorCodes.EXTEND_ERR, reason: ErrorReasons.TIMEOUT });
+                reject(new TimeoutError('Extend response was not received within the timeout.', { error: ErrorCodes.EXTEND_ERR }));
             }, options.timeout || DEFAULT_WAIT_TIMEOUT);
+            // Stop watching and clear the timeout if the caller aborts.
+            const removeAbortHandler = AbortHelpers.onAbort(options.signal, (e) => {
+                rejected = true;
+                clearTimeout(failTimeout);
+                reject(e);
+            });
 
             let relevantTx = null;
             while (!rejected && !relevantTx) {
                 try {
-                    const txList = await this.xrplAcc.getAccountTrx(tx.details.ledger_index);
-                    for (let t of txList) {
-                        t.tx.Memos = TransactionHelper.deserializeMemos(t.tx.Memos);
-                        t.tx.HookParameters = TransactionHelper.deserializeHookParams(t.tx?.HookParameters);
-
-                        if (t.meta?.delivered_amount)
-                            t.tx.DeliveredAmount = t.meta.delivered_amount;
-
-                        const res = await this.extractEvernodeEvent(t.tx);
-                        if ((res?.name === TenantEvents.ExtendSuccess || res?.name === TenantEvents.ExtendError) && res?.data?.extendRefId === tx.id) {
-                            clearTimeout(failTimeout);
-                            relevantTx = res;
-                            break;
+                    // Stop fetching further pages once the response is found.
+                    for await (const page of this.xrplAcc.iterateAccountTrx(tx.details.ledger_index)) {
+                        for (let t of page.items) {
+                            t.tx.Memos = TransactionHelper.deserializeMemos(t.tx.Memos);
+                            t.tx.HookParameters = TransactionHelper.deserializeHookParams(t.tx?.HookParameters);
+
+                            if (t.meta?.delivered_amount)
+                                t.tx.DeliveredAmount = t.meta.delivered_amount;
+
+                            const res = await this.extractEvernodeEvent(t.tx);
+                            if ((res?.name === TenantEvents.ExtendSuccess || res?.name === TenantEvents.ExtendError) && res?.data?.extendRefId === tx.id) {
+                                clearTimeout(failTimeout);
+                                relevantTx = res;
+                                break;
+                            }
                         }
+                        if (relevantTx || rejected)
+                            break;
                     }
                 }
                 catch (e) {
                     rejected = true;
                     clearTimeout(failTimeout);
-                    reject({ error: ErrorCodes.EXTEND_ERR, reason: 'UNKNOWN', extendRefId: tx.id });
+                    reject(new LeaseError(ErrorCodes.EXTEND_ERR, 'UNKNOWN', { extendRefId: tx.id, cause: e }));
                     break;
                 }
-                await new Promise(resolveSleep => setTimeout(resolveSleep, 1000));
+                await AbortHelpers.sleep(1000, options.signal).catch(() => { });
             }
+            removeAbortHandler();
 
             if (!rejected) {
                 if (relevantTx?.name === TenantEvents.ExtendSuccess) {
@@ -628,12 +691,10 @@ class TenantClient extends BaseEvernodeClient {
                         extendRefId: relevantTx?.data.extendRefId
                     });
                 } else if (relevantTx?.name === TenantEvents.ExtendError) {
-                    reject({
-                        error: ErrorCodes.EXTEND_ERR,
+                    reject(new LeaseError(ErrorCodes.EXTEND_ERR, relevantTx?.data.reason, {
                         transaction: relevantTx?.data.transaction,
-                        reason: relevantTx?.data.reason,
                         extendRefId: relevantTx?.data.extendRefId
-                    });
+                    }));
                 }
             }
         });
@@ -647,6 +708,7 @@ class TenantClient extends BaseEvernodeClient {
      * @param {object} options This is an optional field and contains necessary details for the transactions.
      * @param {string} [options.transactionOptions] During the extending lease process, a Payment transaction takes place. Therefore the fields defined in the official Xahau documentation for the Payment transaction can be specified within this object
      * @param {string} [options.timeout] This specifies a timeout for the transaction to be completed. it accepts a number and time in milliseconds. this is optional and defaults to 60000 unless provided.
+     * @param {AbortSignal} [options.signal] - Signal to cancel the operation. The operation rejects with an AbortError when aborted.
      * @returns An object including transaction details.
      * @example const result = await tenant.extendLease(hostAddress, moments, instanceName, {  timeout: timeout,});
      * 
@@ -684,21 +746,22 @@ class TenantClient extends BaseEvernodeClient {
             const uriToken = (await this.xrplAcc.getURITokens())?.find(n => n.index == tokenID);
 
             if (!uriToken) {
-                reject({ error: ErrorCodes.EXTEND_ERR, reason: ErrorReasons.NO_TOKEN, content: 'Could not find the uri token for lease extend request.' });
+                reject(new LeaseError(ErrorCodes.EXTEND_ERR, ErrorReasons.NO_TOKEN, { content: 'Could not find the uri token for lease extend request.' }));
                 return;
             }
 
-            let minLedgerIndex = this.xrplApi.ledgerIndex;
-
             // Get the agreement lease amount from the nft and calculate EVR amount to be sent.
             const uriInfo = UtilHelpers.decodeLeaseTokenUri(uriToken.URI);
             const tx = await this.extendLeaseSubmit(hostAddress, moments * uriInfo.leaseAmount, tokenID, options).catch(error => {
-                reject({ error: ErrorCodes.EXTEND_ERR, reason: error.reason || ErrorReasons.TRANSACTION_FAILURE, content: error.error || error });
+                if (error instanceof AbortError)
+                    reject(error);
+                else
+                    reject(new LeaseError(ErrorCodes.EXTEND_ERR, error.reason || ErrorReasons.TRANSACTION_FAILURE, { content: error.error || error }));
             });
 
             if (tx) {
                 try {
-                    const response = await this.watchExtendResponse(tx, minLedgerIndex, options)
+                    const response = await this.watchExtendResponse(tx, options);
                     resolve(response);
                 } catch (error) {
                     reject(error);
@@ -724,7 +787,7 @@ class TenantClient extends BaseEvernodeClient {
                 });
         }
         else {
-            console.log(`Uri token ${uriTokenId} not found or already burned. Burn skipped.`);
+            this.logger.info(`Uri token ${uriTokenId} not found or already burned. Burn skipped.`, { uriTokenId: uriTokenId });
         }
     }
 }
@@ -1,4 +1,5 @@
 const https = require('https');
+const { ValidationError, ConnectionError } = require('./errors');
 
 const DefinitionsUrl = 'https://raw.githubusercontent.com/EvernodeXRPL/evernode-resources/main/definitions/definitions.json';
 
@@ -21,7 +22,7 @@ const getDefinitions = async () => {
         https.get(DefinitionsUrl, res => {
             let data = [];
             if (res.statusCode != 200)
-                reject(`Error: ${res.statusMessage}`);
+                reject(new ConnectionError(`Error: ${res.statusMessage}`));
             res.on('data', chunk => {
                 data.push(chunk);
             });
@@ -29,7 +30,7 @@ const getDefinitions = async () => {
                 resolve(JSON.parse(data));
             });
         }).on('error', err => {
-            reject(`Error: ${err.message}`);
+            reject(new ConnectionError(`Error: ${err.message}`));
         });
     });
 }
@@ -46,14 +47,14 @@ class Defaults {
         const definitions = await getDefinitions();
 
         if (!definitions[network])
-            throw `Invalid network: ${network}`;
+            throw new ValidationError(`Invalid network: ${network}`);
 
         this.set(definitions[network]);
     }
 
     /**
      * Override Evernode default configs.
-     * @param {object} newDefaults Configurations to override `{ governorAddress: '{string} governor xrpl address', rippledServer: '{string} rippled server url', xrplApi: '{XrplApi} xrpl instance', stateIndexId: '{string} firestore index', networkID: '{number} rippled network id' }`
+     * @param {object} newDefaults Configurations to override `{ governorAddress: '{string} governor xrpl address', rippledServer: '{string} rippled server url', xrplApi: '{XrplApi} xrpl instance', stateIndexId: '{string} firestore index', networkID: '{number} rippled network id', logger: '{object} console-compatible logger', logLevel: '{string} minimum log level', definitionsCache: '{string} server definitions cache file path' }`
      * @returns {void}
      * @example Defaults.set({governorAddress: 'rGVHr1PrfL93UAjyw3DWZoi9adz2sLp2yL'});
      */
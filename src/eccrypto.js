@@ -3,6 +3,7 @@
 // tiny-secp256k1 used by xrpl libs during ncc/webpack build.
 
 var EC = require("elliptic").ec;
+var Buffer = require("buffer").Buffer;
 var ec = new EC("secp256k1");
 var browserCrypto = global.crypto || global.msCrypto || {};
 var subtle = browserCrypto.subtle || browserCrypto.webkitSubtle;
@@ -140,7 +141,7 @@ var getPublic = exports.getPublic = function (privateKey) {
 /**
  * Get compressed version of public key.
  */
-var getPublicCompressed = exports.getPublicCompressed = function (privateKey) { // jshint ignore:line
+exports.getPublicCompressed = function (privateKey) { // jshint ignore:line
     assert(privateKey.length === 32, "Bad private key");
     assert(isValidPrivateKey(privateKey), "Bad private key");
     // See https://github.com/wanderer/secp256k1-node/issues/46
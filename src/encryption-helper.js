@@ -1,3 +1,8 @@
+const { Buffer } = require('buffer');
+const { Logger } = require('./logger');
+
+const logger = new Logger();
+
 class ed25519 {
     static async #getLibrary() {
         const _sodium = require('libsodium-wrappers');
@@ -50,7 +55,7 @@ class secp256k1 {
         }
 
         const decrypted = await eccrypto.decrypt(privateKeyBuf.slice(1), encryptedObj)
-            .catch(err => console.log(err));
+            .catch(err => logger.warn('Decryption failed.', { error: err }));
 
         return decrypted;
     }
@@ -85,26 +90,49 @@ class EncryptionHelper {
      * @returns {Promise<string|null>} A promise that resolves to the encrypted message in base64 format, or null if encryption fails.
      */
     static async encrypt(publicKey, message, options = {}) {
+        const result = await this.encryptBuffer(publicKey, Buffer.from(JSON.stringify(message)), options);
+        return result ? result.toString(this.contentFormat) : null;
+    }
+
+    /**
+     * Encrypts a buffer using the given public key.
+     * @param {string} publicKey - The public key to use for encryption.
+     * @param {Buffer} messageBuf - The data to be encrypted.
+     * @param {Object} [options={}] - Optional encryption parameters.
+     * @returns {Promise<Buffer|null>} A promise that resolves to the encrypted data, or null if encryption fails.
+     */
+    static async encryptBuffer(publicKey, messageBuf, options = {}) {
         const publicKeyBuf = Buffer.from(publicKey, this.keyFormat);
-        const messageBuf = Buffer.from(JSON.stringify(message));
         const encryptor = this.#getEncryptor(publicKey);
-        const result = await encryptor.encrypt(publicKeyBuf, messageBuf, options);
-        return result ? result.toString(this.contentFormat) : null;
+        return await encryptor.encrypt(publicKeyBuf, messageBuf, options);
     }
 
     /**
-     * Decrypts an encrypted message using the given private key.
-     * @param {string} privateKey - The private key to use for decryption.
+     * Decrypts an encrypted message using the given private key or key provider.
+     * @param {string|KeyProvider} privateKey - The private key or the key provider to use for decryption.
      * @param {string} encrypted - The encrypted message string.
      * @returns {Promise<Object|null>} A promise that resolves to the decrypted message as an object, or null if decryption fails.
      */
     static async decrypt(privateKey, encrypted) {
-        const privateKeyBuf = Buffer.from(privateKey, this.keyFormat);
         const encryptedBuf = Buffer.from(encrypted, this.contentFormat);
-        const encryptor = this.#getEncryptor(privateKey);
-        const decrypted = await encryptor.decrypt(privateKeyBuf, encryptedBuf);
+        // Key providers decrypt without exposing the private key.
+        const decrypted = (typeof privateKey?.decrypt === 'function') ?
+            await privateKey.decrypt(encryptedBuf) :
+            await this.decryptBuffer(privateKey, encryptedBuf);
         return decrypted ? JSON.parse(decrypted.toString()) : null;
     }
+
+    /**
+     * Decrypts an encrypted buffer using the given private key.
+     * @param {string} privateKey - The private key to use for decryption.
+     * @param {Buffer} encryptedBuf - The encrypted data.
+     * @returns {Promise<Buffer|null>} A promise that resolves to the decrypted data, or null if decryption fails.
+     */
+    static async decryptBuffer(privateKey, encryptedBuf) {
+        const privateKeyBuf = Buffer.from(privateKey, this.keyFormat);
+        const encryptor = this.#getEncryptor(privateKey);
+        return await encryptor.decrypt(privateKeyBuf, encryptedBuf);
+    }
 }
 
 module.exports = {
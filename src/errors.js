@@ -0,0 +1,128 @@
+const { ErrorCodes, ErrorReasons } = require('./evernode-common');
+
+/**
+ * Base class of the errors thrown by the library. `code` is a stable identifier from `ErrorCodes` or `ErrorReasons`
+ * (Or the transaction result code for transaction failures) which can be checked instead of the message.
+ */
+class EvernodeError extends Error {
+    /**
+     * @param {string} message - Error message.
+     * @param {string} code - Error code.
+     * @param {Object} [fields={}] - Additional details attached to the error.
+     */
+    constructor(message, code, fields = {}) {
+        super(message);
+        Object.assign(this, fields);
+        this.name = new.target.name;
+        this.code = code;
+    }
+}
+
+/**
+ * Thrown when the given arguments, configuration or ledger data are not valid for the operation.
+ */
+class ValidationError extends EvernodeError {
+    /**
+     * @param {string} message - Error message.
+     * @param {Object} [fields={}] - Additional details attached to the error.
+     */
+    constructor(message, fields = {}) {
+        super(message, ErrorReasons.VALIDATION_ERR, fields);
+    }
+}
+
+/**
+ * Thrown when a host is not registered in Evernode or not active.
+ */
+class HostUnavailableError extends EvernodeError {
+    /**
+     * @param {string} message - Error message.
+     * @param {string} [reason=ErrorReasons.HOST_INVALID] - ErrorReasons.HOST_INVALID or ErrorReasons.HOST_INACTIVE.
+     * @param {Object} [fields={}] - Additional details attached to the error.
+     */
+    constructor(message, reason = ErrorReasons.HOST_INVALID, fields = {}) {
+        // `reason` and `error` are kept for the consumers checking the previously thrown objects.
+        super(message, reason, { reason: reason, error: message, ...fields });
+    }
+}
+
+/**
+ * Thrown when a submitted transaction is not successful or could not be submitted.
+ */
+class TransactionFailedError extends EvernodeError {
+    /**
+     * @param {Object} result - Transaction result (id, code, details and hookExecutionResult if any).
+     * @param {string} [message] - Error message. Defaults to a message with the result code.
+     */
+    constructor(result = {}, message = null) {
+        const code = result.code || ErrorReasons.TRANSACTION_FAILURE;
+        super(message || `Transaction failed with ${code}.`, code, { reason: ErrorReasons.TRANSACTION_FAILURE, ...result });
+    }
+}
+
+/**
+ * Thrown when an operation does not complete within the expected time.
+ * Transactions which are not validated before their LastLedgerSequence also carry `status: 'TOOK_LONG'`.
+ */
+class TimeoutError extends EvernodeError {
+    /**
+     * @param {string} message - Error message.
+     * @param {Object} [fields={}] - Additional details attached to the error.
+     */
+    constructor(message, fields = {}) {
+        super(message, ErrorReasons.TIMEOUT, { reason: ErrorReasons.TIMEOUT, ...fields });
+    }
+}
+
+/**
+ * Thrown when the rippled servers cannot be connected or are not functioning.
+ */
+class ConnectionError extends EvernodeError {
+    /**
+     * @param {string} message - Error message.
+     * @param {Object} [fields={}] - Additional details attached to the error.
+     */
+    constructor(message, fields = {}) {
+        super(message, ErrorReasons.CONNECTION_ERR, fields);
+    }
+}
+
+/**
+ * Thrown when a lease acquire or extend request fails. `code` is ErrorCodes.ACQUIRE_ERR or ErrorCodes.EXTEND_ERR
+ * and `reason` is one of ErrorReasons or the reason sent by the host.
+ */
+class LeaseError extends EvernodeError {
+    /**
+     * @param {string} code - ErrorCodes.ACQUIRE_ERR or ErrorCodes.EXTEND_ERR.
+     * @param {string} reason - Failure reason.
+     * @param {Object} [fields={}] - Additional details attached to the error.
+     */
+    constructor(code, reason, fields = {}) {
+        const operation = (code === ErrorCodes.EXTEND_ERR) ? 'extend' : 'acquire';
+        // `error` is kept for the consumers checking the previously thrown objects.
+        super(`Lease ${operation} failed: ${reason}.`, code, { error: code, reason: reason, ...fields });
+    }
+}
+
+/**
+ * Thrown when an operation is cancelled through its AbortSignal.
+ */
+class AbortError extends EvernodeError {
+    /**
+     * @param {any} [reason] - Abort reason given to the AbortController.
+     */
+    constructor(reason = undefined) {
+        super((typeof reason === 'string' && reason) || 'The operation was aborted.', ErrorReasons.ABORTED, { reason: reason });
+    }
+}
+
+module.exports = {
+    EvernodeError,
+    ValidationError,
+    HostUnavailableError,
+    TransactionFailedError,
+    TimeoutError,
+    ConnectionError,
+    LeaseError,
+    AbortError
+}
@@ -0,0 +1,122 @@
+const crypto = require("crypto");
+const codec = require('ripple-address-codec');
+const { Buffer } = require('buffer');
+const { ValidationError } = require('./errors');
+
+const ESCROW_SPACE_KEY = '0075';
+const PREIMAGE_TAG = 0xA0; // PREIMAGE-SHA-256 type tag.
+const PREIMAGE_FIELD_TAG = 0x80;
+const COST_FIELD_TAG = 0x81;
+const MAX_FULFILLMENT_SIZE = 256; // Larger fulfillments are rejected by EscrowFinish.
+
+function encodeLength(length) {
+    if (length < 128)
+        return Buffer.from([length]);
+    const bytes = [];
+    for (let l = length; l > 0; l >>= 8)
+        bytes.unshift(l & 0xFF);
+    return Buffer.from([0x80 | bytes.length, ...bytes]);
+}
+
+function encodeField(tag, data) {
+    return Buffer.concat([Buffer.from([tag]), encodeLength(data.length), data]);
+}
+
+// Reads a DER field with the given tag and returns its content and the offset after it.
+function readField(buf, offset, tag) {
+    if (buf[offset] !== tag)
+        throw new ValidationError('Invalid crypto-condition encoding.');
+    let length = buf[offset + 1];
+    let start = offset + 2;
+    if (length & 0x80) {
+        const count = length & 0x7F;
+        length = 0;
+        for (let i = 0; i < count; i++)
+            length = (length << 8) | buf[start + i];
+        start += count;
+    }
+    if (start + length > buf.length)
+        throw new ValidationError('Invalid crypto-condition encoding.');
+    return { data: buf.slice(start, start + length), next: start + length };
+}
+
+/**
+ * Helpers for escrow ledger indexes and PREIMAGE-SHA-256 crypto-conditions.
+ */
+class EscrowHelpers {
+    /**
+     * Generates a PREIMAGE-SHA-256 condition and its fulfillment.
+     * @param {Buffer|string} [preimage] Preimage buffer or hex string. A random 32 byte preimage is used if not given.
+     * @returns {Object} Hex encoded { condition, fulfillment, preimage }. The fulfillment should be kept secret until the escrow is finished.
+     */
+    static generateConditionPair(preimage = null) {
+        const preimageBuf = preimage ? Buffer.from(preimage, typeof preimage === 'string' ? 'hex' : undefined) : crypto.randomBytes(32);
+        const fulfillment = encodeField(PREIMAGE_TAG, encodeField(PREIMAGE_FIELD_TAG, preimageBuf));
+        if (fulfillment.length > MAX_FULFILLMENT_SIZE)
+            throw new ValidationError(`Fulfillment cannot be larger than ${MAX_FULFILLMENT_SIZE} bytes.`);
+
+        return {
+            condition: this.getCondition(fulfillment.toString('hex')),
+            fulfillment: fulfillment.toString('hex').toUpperCase(),
+            preimage: preimageBuf.toString('hex').toUpperCase()
+        };
+    }
+
+    /**
+     * Derives the condition of a PREIMAGE-SHA-256 fulfillment.
+     * @param {string} fulfillment Hex encoded fulfillment.
+     * @returns {string} Hex encoded condition.
+     */
+    static getCondition(fulfillment) {
+        const preimage = this.#readPreimage(fulfillment);
+        const fingerprint = crypto.createHash('sha256').update(preimage).digest();
+
+        // Cost of a preimage condition is the preimage length, Encoded as a minimal unsigned integer.
+        const costBytes = [];
+        for (let c = preimage.length; c > 0; c >>= 8)
+            costBytes.unshift(c & 0xFF);
+        const cost = Buffer.from(costBytes.length ? costBytes : [0]);
+
+        return encodeField(PREIMAGE_TAG, Buffer.concat([encodeField(PREIMAGE_FIELD_TAG, fingerprint), encodeField(COST_FIELD_TAG, cost)]))
+            .toString('hex').toUpperCase();
+    }
+
+    /**
+     * Checks whether a fulfillment satisfies a condition.
+     * @param {string} condition Hex encoded condition.
+     * @param {string} fulfillment Hex encoded fulfillment.
+     * @returns {boolean} True if the fulfillment matches the condition.
+     */
+    static verifyFulfillment(condition, fulfillment) {
+        try {
+            return this.getCondition(fulfillment) === condition.toUpperCase();
+        }
+        catch (e) {
+            return false;
+        }
+    }
+
+    static #readPreimage(fulfillment) {
+        const buf = Buffer.from(fulfillment, 'hex');
+        const outer = readField(buf, 0, PREIMAGE_TAG);
+        if (outer.next !== buf.length)
+            throw new ValidationError('Invalid crypto-condition encoding.');
+        return readField(outer.data, 0, PREIMAGE_FIELD_TAG).data;
+    }
+
+    /**
+     * Gets the ledger index of an escrow.
+     * @param {string} owner Address of the escrow owner.
+     * @param {number} sequence Sequence (Or the ticket sequence) of the EscrowCreate transaction.
+     * @returns {string} Ledger object index of the escrow.
+     */
+    static getEscrowIndex(owner, sequence) {
+        return crypto.createHash('sha512')
+            .update(Buffer.from(ESCROW_SPACE_KEY + Buffer.from(codec.decodeAccountID(owner)).toString('hex') + sequence.toString(16).padStart(8, '0'), 'hex'))
+            .digest('hex').substring(0, 64).toUpperCase();
+    }
+}
+
+module.exports = {
+    EscrowHelpers
+}
@@ -96,6 +96,15 @@ const MemoFormats = {
     HEX: 'hex'
 }
 
+/**
+ * Compressions supported for the acquire payloads
+ */
+const PayloadCompressions = {
+    NONE: 'none',
+    DEFLATE: 'deflate',
+    BROTLI: 'brotli'
+}
+
 /**
  * Error codes supported
  */
@@ -116,7 +125,11 @@ const ErrorReasons = {
     TIMEOUT: 'TIMEOUT',
     HOST_INVALID: 'HOST_INVALID',
     HOST_INACTIVE: 'HOST_INACTIVE',
-    NO_STATE_KEY: 'NO_STATE_KEY'
+    NO_STATE_KEY: 'NO_STATE_KEY',
+    ABORTED: 'ABORTED',
+    VALIDATION_ERR: 'VALIDATION_ERR',
+    CONNECTION_ERR: 'CONNECTION_ERR',
+    INVALID_SIGNATURE: 'INVALID_SIGNATURE'
 }
 
 /**
@@ -235,6 +248,7 @@ module.exports = {
     EvernodeConstants,
     EventTypes,
     MemoFormats,
+    PayloadCompressions,
     ErrorCodes,
     ErrorReasons,
     HookStateKeys,
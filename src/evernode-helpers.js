@@ -1,6 +1,6 @@
+const { Buffer } = require('buffer');
 const { EvernodeConstants, URITokenTypes } = require('./evernode-common');
 const { TransactionHelper } = require('./transaction-helper');
-const { XrplApi } = require('./xrpl-api');
 
 const NFT_PAGE_LEDGER_ENTRY_TYPE_HEX = '0050';
 
@@ -1,11 +1,17 @@
 const crypto = require("crypto");
 const codec = require('ripple-address-codec');
+const { Buffer } = require('buffer');
+const XahauDefinitions = require('./xahau-definitions.json');
+const { ValidationError } = require('./errors');
 
 const LEDGER_ENTRY_TYPES = {
     HOOK_DEFINITION: 68, // Decimal value of ASCII 'D'
     ACCOUNT: 97 // Decimal value of ASCII 'a'
 }
 
+const HOOK_ON_BITS = 256n;
+const SET_HOOK_TYPE_CODE = 22; // HookOn bit of SetHook is active high, Others are active low.
+
 class HookHelpers {
 
     static getKeylet(type, index) {
@@ -32,6 +38,53 @@ class HookHelpers {
         return digest.substring(0, 64).toUpperCase();
     }
 
+    /**
+     * Computes the hook hash of a hook wasm binary. This is the hash used in HookDefinition entries and governance candidates.
+     * @param {Buffer|string} wasm Wasm binary as a buffer or hex string.
+     * @returns {string} Hex encoded hook hash.
+     */
+    static getHookHash(wasm) {
+        const wasmBuf = Buffer.isBuffer(wasm) ? wasm : Buffer.from(wasm, 'hex');
+        if (!wasmBuf.length)
+            throw new ValidationError('Hook wasm cannot be empty.');
+        return crypto.createHash('sha512').update(wasmBuf).digest('hex').substring(0, 64).toUpperCase();
+    }
+
+    /**
+     * Computes the HookOn mask which fires the hook only on the given transaction types.
+     * @param {Array<string|number>} [transactionTypes] Transaction type names or codes. Eg: ['Payment', 'URITokenBuy']
+     * If not given, The hook fires on all transaction types except SetHook.
+     * @returns {string} Hex encoded HookOn mask.
+     */
+    static getHookOn(transactionTypes = null) {
+        if (!transactionTypes?.length)
+            return '0'.repeat(64);
+
+        let mask = ((1n << HOOK_ON_BITS) - 1n) ^ (1n << BigInt(SET_HOOK_TYPE_CODE));
+        for (const type of transactionTypes) {
+            const code = (typeof type === 'number') ? type : XahauDefinitions.TRANSACTION_TYPES[type];
+            if (code === undefined || code < 0 || code >= Number(HOOK_ON_BITS))
+                throw new ValidationError(`Invalid transaction type ${type} for HookOn.`);
+
+            if (code === SET_HOOK_TYPE_CODE)
+                mask |= (1n << BigInt(code));
+            else
+                mask &= ~(1n << BigInt(code));
+        }
+        return mask.toString(16).padStart(64, '0').toUpperCase();
+    }
+
+    /**
+     * Gets a hook namespace. 256-bit hex values are kept as they are and other strings are hashed with SHA-256.
+     * @param {string} namespace Namespace or a namespace name.
+     * @returns {string} Hex encoded namespace.
+     */
+    static getNamespace(namespace) {
+        if (/^[0-9A-Fa-f]{64}$/.test(namespace))
+            return namespace.toUpperCase();
+        return crypto.createHash('sha256').update(namespace).digest('hex').toUpperCase();
+    }
+
     static getAccountIndex(address) {
         const typeBuf = Buffer.alloc(2, 0);
         typeBuf.writeInt16BE(LEDGER_ENTRY_TYPES.ACCOUNT);
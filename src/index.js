@@ -7,15 +7,26 @@ const { TenantClient, TenantEvents } = require("./clients/tenant-client");
 const { HostClient, HostEvents } = require("./clients/host-client");
 const { FoundationClient, FoundationEvents } = require("./clients/foundation-client");
 const { XrplApi } = require('./xrpl-api');
-const { XrplApiEvents, XrplConstants } = require('./xrpl-common');
+const { MockXrplServer } = require('./mock-xrpl-server');
+const { XrplApiEvents, XrplConstants, HookSetFlags } = require('./xrpl-common');
 const { XrplAccount } = require('./xrpl-account');
-const { EvernodeConstants, HookStateKeys, HookParamKeys, EventTypes } = require('./evernode-common');
+const { EvernodeConstants, HookStateKeys, HookParamKeys, EventTypes, ErrorCodes, ErrorReasons, PayloadCompressions } = require('./evernode-common');
+const { PayloadHelpers } = require('./payload-helpers');
 const { XflHelpers } = require('./xfl-helpers');
 const { StateHelpers } = require('./state-helpers');
 const { UtilHelpers } = require('./util-helpers');
 const { TransactionHelper } = require('./transaction-helper');
 const { EncryptionHelper } = require('./encryption-helper');
 const { EvernodeHelpers } = require('./evernode-helpers');
+const { Logger, LogLevels } = require('./logger');
+const { Signer, SeedSigner, KeyPairSigner, CallbackSigner, RemoteSigner } = require('./signers');
+const { WalletHelpers, Keystore } = require('./wallet');
+const { KeyProvider, LocalKeyProvider, CallbackKeyProvider } = require('./key-providers');
+const { EscrowHelpers } = require('./escrow-helpers');
+const { CheckHelpers } = require('./check-helpers');
+const { MultiSignSession } = require('./multi-sign-session');
+const { HookHelpers } = require('./hook-helpers');
+const { EvernodeError, ValidationError, HostUnavailableError, TransactionFailedError, TimeoutError, ConnectionError, LeaseError, AbortError } = require('./errors');
 
 
 module.exports = {
@@ -32,6 +43,7 @@ module.exports = {
     FoundationClient,
     FoundationEvents,
     XrplApi,
+    MockXrplServer,
     XrplApiEvents,
     XrplConstants,
     XrplAccount,
@@ -47,5 +59,34 @@ module.exports = {
     EventTypes,
     HookTypes,
     HookClientFactory,
-    EvernodeHelpers
+    EvernodeHelpers,
+    Logger,
+    LogLevels,
+    ErrorCodes,
+    ErrorReasons,
+    EvernodeError,
+    ValidationError,
+    HostUnavailableError,
+    TransactionFailedError,
+    TimeoutError,
+    ConnectionError,
+    LeaseError,
+    AbortError,
+    Signer,
+    SeedSigner,
+    KeyPairSigner,
+    CallbackSigner,
+    RemoteSigner,
+    KeyProvider,
+    LocalKeyProvider,
+    CallbackKeyProvider,
+    EscrowHelpers,
+    CheckHelpers,
+    MultiSignSession,
+    HookHelpers,
+    HookSetFlags,
+    WalletHelpers,
+    Keystore,
+    PayloadHelpers,
+    PayloadCompressions
 }
\ No newline at end of file
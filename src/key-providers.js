@@ -0,0 +1,92 @@
+const { EncryptionHelper } = require('./encryption-helper');
+const { ValidationError } = require('./errors');
+
+/**
+ * Provides the message key used to decrypt the messages sent to an account.
+ * Implementations decrypt the data themselves, So the private key can stay outside the library.
+ */
+class KeyProvider {
+    /**
+     * Gets the public key which the senders encrypt the messages with.
+     * @returns {Promise<string>} Hex encoded public key.
+     */
+    async getPublicKey() {
+        throw new ValidationError(`${this.constructor.name} does not implement getPublicKey().`);
+    }
+
+    /**
+     * Decrypts data encrypted with the public key.
+     * @param {Buffer} encryptedBuf Encrypted data.
+     * @returns {Promise<Buffer|null>} Decrypted data or null if decryption fails.
+     */
+    async decrypt() {
+        throw new ValidationError(`${this.constructor.name} does not implement decrypt().`);
+    }
+}
+
+/**
+ * Decrypts with a private key kept in memory.
+ */
+class LocalKeyProvider extends KeyProvider {
+    #privateKey;
+    #publicKey;
+
+    /**
+     * @param {string} privateKey Hex encoded private key.
+     * @param {string} [publicKey] Hex encoded public key of the private key.
+     */
+    constructor(privateKey, publicKey = null) {
+        super();
+        if (!privateKey)
+            throw new ValidationError('Private key cannot be empty.');
+        this.#privateKey = privateKey;
+        this.#publicKey = publicKey;
+    }
+
+    async getPublicKey() {
+        if (!this.#publicKey)
+            throw new ValidationError('Public key of the local key provider is not specified.');
+        return this.#publicKey;
+    }
+
+    async decrypt(encryptedBuf) {
+        return await EncryptionHelper.decryptBuffer(this.#privateKey, encryptedBuf);
+    }
+}
+
+/**
+ * Decrypts through a user supplied callback. Eg: A KMS or HSM client.
+ */
+class CallbackKeyProvider extends KeyProvider {
+    #publicKey;
+    #decrypt;
+
+    /**
+     * @param {Object} options Key provider options.
+     * @param {string|Function} options.publicKey Hex encoded public key or an async function returning it.
+     * @param {Function} options.decrypt Async function `(encryptedBuf) => Buffer` returning the decrypted data or null.
+     */
+    constructor(options = {}) {
+        super();
+        if (!options.publicKey || typeof options.decrypt !== 'function')
+            throw new ValidationError('CallbackKeyProvider requires publicKey and decrypt options.');
+        this.#publicKey = options.publicKey;
+        this.#decrypt = options.decrypt;
+    }
+
+    async getPublicKey() {
+        if (typeof this.#publicKey === 'function')
+            this.#publicKey = await this.#publicKey();
+        return this.#publicKey;
+    }
+
+    async decrypt(encryptedBuf) {
+        return await this.#decrypt(encryptedBuf);
+    }
+}
+
+module.exports = {
+    KeyProvider,
+    LocalKeyProvider,
+    CallbackKeyProvider
+}
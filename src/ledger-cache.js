@@ -0,0 +1,88 @@
+const DEFAULT_MAX_ENTRIES = 1000;
+
+/**
+ * Size limited cache of ledger reads which are valid only within a single validated ledger.
+ * Least recently used entries are evicted when the size limit is reached.
+ */
+class LedgerCache {
+    #entries = new Map();
+    #maxEntries;
+    #ledgerIndex = null;
+    #hits = 0;
+    #misses = 0;
+    #evictions = 0;
+
+    /**
+     * @param {Object} [options={}] - Optional configuration options.
+     * @param {number} [options.maxEntries=1000] - Maximum number of entries kept in the cache.
+     */
+    constructor(options = {}) {
+        this.#maxEntries = options.maxEntries || DEFAULT_MAX_ENTRIES;
+    }
+
+    /**
+     * Gets a cached value of the given ledger.
+     * @param {string} key - Cache key.
+     * @param {number} ledgerIndex - Validated ledger index the value should belong to.
+     * @returns {Object} Object with the `value` if found, Otherwise undefined.
+     */
+    get(key, ledgerIndex) {
+        const entry = this.#entries.get(key);
+        if (!entry || entry.ledgerIndex !== ledgerIndex) {
+            this.#misses++;
+            return undefined;
+        }
+
+        // Move the entry to the end to keep the recently used order.
+        this.#entries.delete(key);
+        this.#entries.set(key, entry);
+        this.#hits++;
+        return { value: JSON.parse(entry.value) };
+    }
+
+    /**
+     * Caches a value read at the given ledger.
+     * @param {string} key - Cache key.
+     * @param {any} value - JSON serializable value.
+     * @param {number} ledgerIndex - Validated ledger index the value was read at.
+     */
+    set(key, value, ledgerIndex) {
+        if (this.#ledgerIndex !== null && ledgerIndex !== this.#ledgerIndex)
+            return;
+
+        this.#entries.delete(key);
+        this.#entries.set(key, { value: JSON.stringify(value ?? null), ledgerIndex: ledgerIndex });
+        while (this.#entries.size > this.#maxEntries) {
+            this.#entries.delete(this.#entries.keys().next().value);
+            this.#evictions++;
+        }
+    }
+
+    /**
+     * Removes all the entries and moves the cache to a new ledger.
+     * @param {number} [ledgerIndex] - The new validated ledger index.
+     */
+    clear(ledgerIndex = null) {
+        this.#entries.clear();
+        this.#ledgerIndex = ledgerIndex;
+    }
+
+    /**
+     * Gets the cache statistics.
+     * @returns {Object} Cache statistics (hits, misses, evictions, size, maxEntries, ledgerIndex).
+     */
+    getStats() {
+        return {
+            hits: this.#hits,
+            misses: this.#misses,
+            evictions: this.#evictions,
+            size: this.#entries.size,
+            maxEntries: this.#maxEntries,
+            ledgerIndex: this.#ledgerIndex
+        };
+    }
+}
+
+module.exports = {
+    LedgerCache
+}
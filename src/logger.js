@@ -0,0 +1,119 @@
+const { Defaults } = require('./defaults');
+
+/**
+ * Log levels supported by the library logger in the increasing order of severity.
+ */
+const LogLevels = {
+    DEBUG: 'debug',
+    INFO: 'info',
+    WARN: 'warn',
+    ERROR: 'error',
+    NONE: 'none'
+}
+
+const LEVEL_ORDER = [LogLevels.DEBUG, LogLevels.INFO, LogLevels.WARN, LogLevels.ERROR, LogLevels.NONE];
+const DEFAULT_LOG_LEVEL = LogLevels.INFO;
+
+/**
+ * Logger used by the library internals. Writes to a console-compatible sink (An object with debug, info, warn and error methods)
+ * which is taken from the constructor, `Defaults.values.logger` or `console` in that order.
+ * Sink methods are called as `(message, fields)`, fields are omitted when there are none.
+ */
+class Logger {
+    #sink;
+    #level;
+    #fields;
+
+    /**
+     * Creates a logger.
+     * @param {Object} [sink] - Console-compatible logger to write to. Defaults to `Defaults.values.logger` or `console`.
+     * @param {Object} [options={}] - Optional configuration options.
+     * @param {string} [options.level] - Minimum log level. Defaults to `Defaults.values.logLevel` or 'info'.
+     * @param {Object} [options.fields={}] - Structured fields attached to every log entry.
+     */
+    constructor(sink = null, options = {}) {
+        // Allow passing another Logger instance as the sink.
+        if (sink instanceof Logger)
+            return sink.child(options.fields, options.level);
+
+        this.#sink = sink;
+        this.#level = options.level;
+        this.#fields = options.fields || {};
+    }
+
+    #getSink() {
+        return this.#sink || Defaults.values.logger || console;
+    }
+
+    #isEnabled(level) {
+        const minLevel = this.#level || Defaults.values.logLevel || DEFAULT_LOG_LEVEL;
+        return LEVEL_ORDER.indexOf(level) >= LEVEL_ORDER.indexOf(minLevel);
+    }
+
+    #write(level, message, fields) {
+        if (!this.#isEnabled(level))
+            return;
+
+        const sink = this.#getSink();
+        const func = (typeof sink[level] === 'function') ? sink[level] : sink.log;
+        if (typeof func !== 'function')
+            return;
+
+        const allFields = { ...this.#fields, ...(fields || {}) };
+        if (Object.keys(allFields).length > 0)
+            func.call(sink, message, allFields);
+        else
+            func.call(sink, message);
+    }
+
+    /**
+     * Creates a logger which writes to the same sink with additional fields.
+     * @param {Object} fields - Structured fields attached to every log entry of the child.
+     * @param {string} [level] - Minimum log level of the child. Defaults to the level of this logger.
+     * @returns {Logger} The child logger.
+     */
+    child(fields = {}, level = null) {
+        return new Logger(this.#sink, { level: level || this.#level, fields: { ...this.#fields, ...fields } });
+    }
+
+    /**
+     * Logs a debug message.
+     * @param {string} message - Log message.
+     * @param {Object} [fields] - Structured fields.
+     */
+    debug(message, fields) {
+        this.#write(LogLevels.DEBUG, message, fields);
+    }
+
+    /**
+     * Logs an info message.
+     * @param {string} message - Log message.
+     * @param {Object} [fields] - Structured fields.
+     */
+    info(message, fields) {
+        this.#write(LogLevels.INFO, message, fields);
+    }
+
+    /**
+     * Logs a warning message.
+     * @param {string} message - Log message.
+     * @param {Object} [fields] - Structured fields.
+     */
+    warn(message, fields) {
+        this.#write(LogLevels.WARN, message, fields);
+    }
+
+    /**
+     * Logs an error message.
+     * @param {string} message - Log message.
+     * @param {Object} [fields] - Structured fields.
+     */
+    error(message, fields) {
+        this.#write(LogLevels.ERROR, message, fields);
+    }
+}
+
+module.exports = {
+    Logger,
+    LogLevels
+}
@@ -0,0 +1,1166 @@
+const xrpl = require('xrpl');
+const codec = require('ripple-address-codec');
+const kp = require('ripple-keypairs');
+const crypto = require("crypto");
+const { Buffer } = require('buffer');
+const { EventEmitter } = require('events');
+const { XrplHelpers } = require('./xrpl-helpers');
+const { StateHelpers } = require('./state-helpers');
+const { EvernodeConstants } = require('./evernode-common');
+const { XrplTransactionTypes } = require('./xrpl-common');
+const { EscrowHelpers } = require('./escrow-helpers');
+const { CheckHelpers } = require('./check-helpers');
+const { HookHelpers } = require('./hook-helpers');
+const { UtilHelpers } = require('./util-helpers');
+const { ValidationError } = require('./errors');
+const XahauDefinitions = require('./xahau-definitions.json');
+
+const DEFAULT_NETWORK_ID = 21338;
+const DEFAULT_BASE_FEE = '10';
+const DEFAULT_LEDGER_INTERVAL = 1000;
+const DEFAULT_RESERVE_BASE = 1000000;
+const DEFAULT_RESERVE_INC = 200000;
+const TX_HASH_PREFIX = '54584E00';
+const LSF_DISABLE_MASTER = 0x00100000;
+const LSF_REQUIRE_DEST_TAG = 0x00020000;
+const LSF_BURNABLE = 0x00000001;
+const TICKET_SPACE_KEY = '0054';
+const SIGNER_LIST_SPACE_KEY = '0053';
+const HOOK_SPACE_KEY = '0048';
+const URI_TOKEN_SPACE_KEY = '0055';
+const ACCOUNT_DELETE_SEQUENCE_GAP = 256;
+const DELETED_WITH_ACCOUNT = ['Offer', 'SignerList', 'Ticket', 'DepositPreauth', 'NFTokenOffer'];
+
+const ENGINE_RESULT_MESSAGES = {
+    tesSUCCESS: 'The transaction was applied. Only final in a validated ledger.',
+    tecHOOK_REJECTED: 'Rejected by hook on sending or receiving account.',
+    tecNO_DST_INSUF_XRP: 'Destination does not exist. Too little XAH sent to create it.',
+    tecUNFUNDED_PAYMENT: 'Insufficient XAH balance to send.',
+    tecPATH_DRY: 'Path could not send partial amount.',
+    tecNO_LINE: 'No such line.',
+    tecNO_TARGET: 'Target of transaction is not found.',
+    tecNO_ENTRY: 'No matching entry found.',
+    tecNO_PERMISSION: 'No permission to perform requested operation.',
+    tecCRYPTOCONDITION_ERROR: 'Malformed, invalid, or mismatched conditional or fulfillment.',
+    tecUNFUNDED: 'Not enough XAH to satisfy the reserve requirement.',
+    tecEXPIRED: 'Expiration time is passed.',
+    tecPATH_PARTIAL: 'Path could not send full amount.',
+    temREDUNDANT: 'The transaction is redundant.',
+    tefPAST_SEQ: 'This sequence number has already passed.',
+    tefMAX_LEDGER: 'Ledger sequence too high.',
+    tefALREADY: 'The exact transaction was already in this ledger.',
+    tefNO_TICKET: 'Ticket is not in ledger.',
+    terPRE_TICKET: 'Ticket is not yet in ledger.',
+    terPRE_SEQ: 'Missing/inapplicable prior transaction.',
+    terNO_ACCOUNT: 'The source account does not exist.',
+    temSEQ_AND_TICKET: 'Transaction contains a TicketSequence and a non-zero Sequence.',
+    telINSUF_FEE_P: 'Fee insufficient.',
+    tefNOT_MULTI_SIGNING: 'Account has no appropriate list of multi-signers.',
+    tefBAD_SIGNATURE: 'A signature is provided for a non-signer.',
+    tefBAD_QUORUM: 'Signatures provided do not meet the quorum.',
+    terNO_HOOK: 'No hook with that hash exists on the ledger.',
+    tecDUPLICATE: 'Ledger object already exists.',
+    temDST_IS_SRC: 'Destination may not be source.',
+    tecNO_DST: 'Destination does not exist. Send XAH to create it.',
+    tecDST_TAG_NEEDED: 'A destination tag is required.',
+    tecTOO_SOON: 'It is too early to attempt the requested operation. Please wait.',
+    tecHAS_OBLIGATIONS: 'The account cannot be deleted since it has obligations.',
+    tecINSUFFICIENT_PAYMENT: 'Insufficient amount to buy the URI token.'
+};
+
+const THROTTLING_MESSAGES = {
+    slowDown: 'You are placing too much load on the server.',
+    tooBusy: 'The server is too busy to help you now.'
+};
+
+// Maps AccountSet asf flags to the AccountRoot lsf flags we keep track of.
+const ACCOUNT_SET_FLAGS = {
+    [xrpl.AccountSetAsfFlags.asfDisableMaster]: LSF_DISABLE_MASTER
+};
+
+function clone(obj) {
+    return obj === undefined ? undefined : JSON.parse(JSON.stringify(obj));
+}
+
+function sha512Half(hex) {
+    return crypto.createHash('sha512').update(Buffer.from(hex, 'hex')).digest('hex').substring(0, 64).toUpperCase();
+}
+
+function getLedgerHash(ledgerIndex) {
+    return sha512Half(Buffer.from(`ledger${ledgerIndex}`).toString('hex'));
+}
+
+function ticketIndex(address, ticketSequence) {
+    return sha512Half(TICKET_SPACE_KEY + Buffer.from(codec.decodeAccountID(address)).toString('hex') + ticketSequence.toString(16).padStart(8, '0'));
+}
+
+function signerListIndex(address) {
+    return sha512Half(SIGNER_LIST_SPACE_KEY + Buffer.from(codec.decodeAccountID(address)).toString('hex') + '00000000');
+}
+
+function uriTokenIndex(issuer, uri) {
+    return sha512Half(URI_TOKEN_SPACE_KEY + Buffer.from(codec.decodeAccountID(issuer)).toString('hex') + uri);
+}
+
+// Accounts which see the transaction in their subscriptions and account_tx.
+function affectedAccounts(record) {
+    return [
+        record.tx.Account,
+        record.tx.Destination,
+        ...(record.meta.HookExecutions || []).map(h => h.HookExecution.HookAccount),
+        ...(record.meta.AffectedNodes || []).flatMap(n => {
+            const node = n.ModifiedNode || n.CreatedNode || n.DeletedNode;
+            return [node.FinalFields?.Owner, node.PreviousFields?.Owner];
+        })
+    ];
+}
+
+function rippledError(request, error, errorMessage, fields = {}) {
+    const err = new Error(errorMessage || error);
+    err.data = { ...fields, error: error, error_message: errorMessage, request: request, status: 'error', type: 'response' };
+    return err;
+}
+
+/**
+ * Client side of the in-memory transport. Mimics the parts of xrpl.Client used by XrplApi.
+ */
+class MockXrplClient extends EventEmitter {
+    #server;
+    #connected = false;
+    #requestId = 0;
+
+    constructor(server, url) {
+        super();
+        this.#server = server;
+        this.url = url;
+        this.accounts = new Set();
+        this.streams = new Set();
+    }
+
+    async connect() {
+        if (this.#connected)
+            return;
+        this.#connected = true;
+        this.#server.attach(this);
+        this.emit('connected');
+    }
+
+    async disconnect() {
+        this.drop(1000);
+    }
+
+    /**
+     * Closes the connection without a request from the client, Like a dropped socket.
+     * @param {number} [code=1006] Close code.
+     */
+    drop(code = 1006) {
+        if (!this.#connected)
+            return;
+        this.#connected = false;
+        this.accounts.clear();
+        this.streams.clear();
+        this.#server.detach(this);
+        this.emit('disconnected', code);
+    }
+
+    isConnected() {
+        return this.#connected;
+    }
+
+    async request(request) {
+        if (!this.#connected)
+            throw new xrpl.NotConnectedError('Websocket connection is not open.');
+
+        const result = this.#server.handleRequest(this, clone(request));
+        return { id: ++this.#requestId, result: clone(result), type: 'response' };
+    }
+
+    async getLedgerIndex() {
+        const resp = await this.request({ command: 'ledger', ledger_index: 'validated' });
+        return resp.result.ledger_index;
+    }
+
+    /**
+     * Pushes a stream message to the client in the same way a websocket message would arrive.
+     * @param {string} event Stream event name.
+     * @param {object} message Stream message.
+     */
+    push(event, message) {
+        // Messages are not delivered once the connection is closed, like a real socket.
+        setTimeout(() => this.#connected && this.emit(event, clone(message)), 0);
+    }
+}
+
+/**
+ * In-memory stand-in for a Xahau rippled server. Pass it as the transport of an XrplApi to run
+ * the library without a network connection. Signatures are not verified and only a subset of
+ * transaction types change the ledger state, account hooks can be emulated with setHook().
+ */
+class MockXrplServer {
+    #helpers;
+    #definitions;
+    #networkId;
+    #baseFee;
+    #ledgerInterval;
+    #ledgerTimer = null;
+    #clients = new Set();
+    #objects = new Map(); // Ledger object index -> { owners, namespace, node }
+    #lines = new Map(); // holder:issuer:currency -> trust line
+    #transactions = new Map(); // Tx hash -> validated or pending transaction
+    #queue = [];
+    #hooks = new Map(); // Account address -> hook handler
+    #transfers = []; // URI token ownership changes { ledgerIndex, from, to, node } kept to answer account_objects of past ledgers.
+    #throttled = { count: 0, error: null };
+
+    /**
+     * Creates an in-memory ledger.
+     * @param {Object} [options={}] - Optional configuration options.
+     * @param {Object} [options.definitions] - Server definitions to serve, bundled Xahau definitions are used by default.
+     * @param {number} [options.ledgerIndex=1] - Ledger index to start from.
+     * @param {number} [options.networkID=21338] - Network id reported in server_info.
+     * @param {string} [options.baseFee='10'] - Base fee in drops.
+     * @param {number} [options.ledgerInterval=1000] - Ledger close interval in milliseconds. Set 0 to close ledgers manually with closeLedger().
+     */
+    constructor(options = {}) {
+        this.#definitions = options.definitions || XahauDefinitions;
+        this.#helpers = new XrplHelpers(this.#definitions);
+        this.#networkId = options.networkID ?? DEFAULT_NETWORK_ID;
+        this.#baseFee = options.baseFee || DEFAULT_BASE_FEE;
+        this.#ledgerInterval = options.ledgerInterval ?? DEFAULT_LEDGER_INTERVAL;
+        this.ledgerIndex = options.ledgerIndex || 1;
+        this.ledgerHash = getLedgerHash(this.ledgerIndex);
+    }
+
+    /**
+     * Creates a client connected to this server. Used by XrplApi in place of xrpl.Client.
+     * @param {string} url - Server url the XrplApi was configured with.
+     * @returns {MockXrplClient} Client bound to this server.
+     */
+    createClient(url) {
+        return new MockXrplClient(this, url);
+    }
+
+    attach(client) {
+        this.#clients.add(client);
+        if (this.#ledgerInterval && !this.#ledgerTimer)
+            this.#ledgerTimer = setInterval(() => this.closeLedger(), this.#ledgerInterval);
+    }
+
+    detach(client) {
+        this.#clients.delete(client);
+        if (this.#clients.size === 0)
+            this.stop();
+    }
+
+    /**
+     * Drops the connections of all the clients. Messages which are not delivered yet are lost.
+     * @param {number} [code=1006] Close code reported to the clients.
+     */
+    dropConnections(code = 1006) {
+        for (const client of [...this.#clients])
+            client.drop(code);
+    }
+
+    /**
+     * Stops automatic ledger closing.
+     */
+    stop() {
+        if (this.#ledgerTimer) {
+            clearInterval(this.#ledgerTimer);
+            this.#ledgerTimer = null;
+        }
+    }
+
+    /**
+     * Creates or funds an account.
+     * @param {string} address - Account address.
+     * @param {string|number} [balance] - Amount in drops to add to the balance.
+     * @returns {Object} The account root.
+     */
+    fundAccount(address, balance = 100000000000) {
+        let account = this.getAccount(address);
+        if (!account) {
+            account = {
+                LedgerEntryType: 'AccountRoot',
+                Account: address,
+                Balance: '0',
+                Flags: 0,
+                OwnerCount: 0,
+                Sequence: this.ledgerIndex,
+                index: xrpl.hashes.hashAccountRoot(address)
+            };
+            this.setLedgerEntry(account);
+        }
+        account.Balance = (BigInt(account.Balance) + BigInt(balance)).toString();
+        return account;
+    }
+
+    /**
+     * Gets the account root of an account.
+     * @param {string} address - Account address.
+     * @returns {Object|null} The account root or null if the account does not exist.
+     */
+    getAccount(address) {
+        return this.#objects.get(xrpl.hashes.hashAccountRoot(address))?.node || null;
+    }
+
+    /**
+     * Adds or replaces a ledger object.
+     * @param {Object} node - Ledger object with an index field.
+     * @param {Array<string>} [owners] - Accounts which list this object in account_objects.
+     * @param {string} [namespace] - Hook namespace of a HookState object.
+     */
+    setLedgerEntry(node, owners = null, namespace = null) {
+        if (!node.index)
+            throw new ValidationError('Ledger entry index is required.');
+        this.#objects.set(node.index, { owners: owners || (node.Account ? [node.Account] : []), namespace: namespace, node: node });
+    }
+
+    /**
+     * Removes a ledger object.
+     * @param {string} index - Ledger object index.
+     */
+    deleteLedgerEntry(index) {
+        this.#objects.delete(index);
+    }
+
+    /**
+     * Sets a hook state entry of an account.
+     * @param {string} address - Hook account address.
+     * @param {string} key - State key hex.
+     * @param {string} data - State data hex, entry is removed if empty.
+     * @param {string} [namespace=EvernodeConstants.HOOK_NAMESPACE] - Hook namespace.
+     */
+    setHookState(address, key, data, namespace = EvernodeConstants.HOOK_NAMESPACE) {
+        const index = StateHelpers.getHookStateIndex(address, key, namespace);
+        if (!data) {
+            this.deleteLedgerEntry(index);
+            return;
+        }
+        this.setLedgerEntry({
+            LedgerEntryType: 'HookState',
+            Flags: 0,
+            HookStateKey: key.toUpperCase(),
+            HookStateData: data.toUpperCase(),
+            OwnerNode: '0',
+            index: index
+        }, [address], namespace.toUpperCase());
+    }
+
+    /**
+     * Sets a trust line balance from the holder's perspective.
+     * @param {string} holder - Holder account address.
+     * @param {string} issuer - Issuer account address.
+     * @param {string} currency - Currency code.
+     * @param {string} [balance='0'] - Balance.
+     * @param {string} [limit='0'] - Trust limit of the holder.
+     */
+    setTrustLine(holder, issuer, currency, balance = '0', limit = '0') {
+        this.#lines.set(`${holder}:${issuer}:${currency}`, { holder, issuer, currency, balance: balance.toString(), limit: limit.toString() });
+    }
+
+    /**
+     * Emulates a hook on an account. The handler is called with every transaction sent from or to the account
+     * and can modify the ledger through this server or queue transactions with emitTransaction().
+     * @param {string} address - Hook account address.
+     * @param {Function} handler - Function(tx, server) returning nothing to accept or { reject: 'reason' } to roll back.
+     */
+    setHook(address, handler) {
+        if (handler)
+            this.#hooks.set(address, handler);
+        else
+            this.#hooks.delete(address);
+    }
+
+    /**
+     * Rejects the next requests like a rippled server under load.
+     * @param {number} [count=1] - Number of requests to reject.
+     * @param {string} [error='slowDown'] - Error code to return. (slowDown or tooBusy)
+     */
+    throttle(count = 1, error = 'slowDown') {
+        this.#throttled = { count: count, error: error };
+    }
+
+    /**
+     * Queues an already authorized transaction to be applied in the next ledger.
+     * Used to emulate hook emitted transactions and transactions of external parties.
+     * @param {Object} tx - Transaction json.
+     * @returns {string} Transaction hash.
+     */
+    emitTransaction(tx) {
+        const hash = sha512Half(crypto.randomBytes(32).toString('hex'));
+        this.#queue.push({ tx: { ...tx, hash }, emitted: true });
+        return hash;
+    }
+
+    /**
+     * Applies the queued transactions, closes the ledger and publishes stream messages.
+     * @returns {number} The closed ledger index.
+     */
+    closeLedger() {
+        const ledgerIndex = this.ledgerIndex + 1;
+        const ledgerHash = getLedgerHash(ledgerIndex);
+
+        const queue = this.#queue;
+        this.#queue = [];
+        const applied = [];
+        for (const entry of queue) {
+            if (!entry.emitted && entry.tx.LastLedgerSequence && entry.tx.LastLedgerSequence < ledgerIndex) {
+                this.#transactions.delete(entry.tx.hash);
+                continue;
+            }
+            const record = this.#applyTransaction(entry, ledgerIndex, ledgerHash, applied.length);
+            this.#transactions.set(record.tx.hash, record);
+            applied.push(record);
+        }
+
+        this.ledgerIndex = ledgerIndex;
+        this.ledgerHash = ledgerHash;
+
+        for (const client of this.#clients) {
+            // Like rippled, ledgerClosed is published before the transactions of the ledger.
+            if (client.streams.has('ledger')) {
+                client.push('ledgerClosed', {
+                    type: 'ledgerClosed',
+                    fee_base: Number(this.#baseFee),
+                    ledger_hash: ledgerHash,
+                    ledger_index: ledgerIndex,
+                    ledger_time: Math.floor(Date.now() / 1000) - 946684800,
+                    reserve_base: DEFAULT_RESERVE_BASE,
+                    txn_count: applied.length,
+                    validated_ledgers: `1-${ledgerIndex}`
+                });
+            }
+            for (const record of applied) {
+                if (affectedAccounts(record).some(a => a && client.accounts.has(a))) {
+                    client.push('transaction', {
+                        type: 'transaction',
+                        validated: true,
+                        engine_result: record.meta.TransactionResult,
+                        engine_result_code: this.#definitions.TRANSACTION_RESULTS[record.meta.TransactionResult],
+                        engine_result_message: ENGINE_RESULT_MESSAGES[record.meta.TransactionResult] || '',
+                        ledger_hash: ledgerHash,
+                        ledger_index: ledgerIndex,
+                        transaction: record.tx,
+                        meta: record.meta
+                    });
+                }
+            }
+        }
+
+        return ledgerIndex;
+    }
+
+    #applyTransaction(entry, ledgerIndex, ledgerHash, txIndex) {
+        const tx = entry.tx;
+        const meta = { TransactionIndex: txIndex, TransactionResult: 'tesSUCCESS' };
+        const record = { tx, meta, ledger_index: ledgerIndex, ledger_hash: ledgerHash, validated: true };
+
+        const account = this.getAccount(tx.Account);
+        if (!entry.emitted && account) {
+            // Ticket based transactions consume the ticket instead of the account sequence.
+            if (tx.TicketSequence !== undefined)
+                this.#objects.delete(ticketIndex(tx.Account, tx.TicketSequence));
+            else
+                account.Sequence++;
+            account.Balance = (BigInt(account.Balance) - BigInt(tx.Fee || 0)).toString();
+        }
+
+        // Let the hooks of both ends decide before the transaction takes effect.
+        const hookExecutions = [];
+        for (const hookAccount of [...new Set([tx.Account, tx.Destination])]) {
+            const handler = hookAccount && this.#hooks.get(hookAccount);
+            if (!handler)
+                continue;
+            const res = handler(clone(tx), this) || {};
+            const message = res.reject || res.message || '';
+            hookExecutions.push({
+                HookExecution: {
+                    HookAccount: hookAccount,
+                    HookResult: res.reject ? 2 : 3,
+                    HookReturnCode: (res.code ?? 0).toString(16),
+                    HookReturnString: Buffer.from(message).toString('hex').toUpperCase()
+                }
+            });
+            if (res.reject) {
+                meta.TransactionResult = 'tecHOOK_REJECTED';
+                break;
+            }
+        }
+        if (hookExecutions.length)
+            meta.HookExecutions = hookExecutions;
+
+        if (meta.TransactionResult === 'tesSUCCESS')
+            meta.TransactionResult = this.#applyEffects(tx, meta);
+
+        return record;
+    }
+
+    #applyEffects(tx, meta) {
+        const account = this.getAccount(tx.Account);
+        switch (tx.TransactionType) {
+            case XrplTransactionTypes.PAYMENT: {
+                if (typeof tx.Amount === 'string') {
+                    if (BigInt(account?.Balance || 0) < BigInt(tx.Amount))
+                        return 'tecUNFUNDED_PAYMENT';
+                    if (!this.getAccount(tx.Destination) && BigInt(tx.Amount) < BigInt(DEFAULT_RESERVE_BASE))
+                        return 'tecNO_DST_INSUF_XRP';
+                    account.Balance = (BigInt(account.Balance) - BigInt(tx.Amount)).toString();
+                    this.fundAccount(tx.Destination, tx.Amount);
+                }
+                else if (!this.#transferIssued(tx.Account, tx.Destination, tx.Amount)) {
+                    return 'tecPATH_DRY';
+                }
+                meta.delivered_amount = tx.Amount;
+                return 'tesSUCCESS';
+            }
+            case XrplTransactionTypes.TRUST_SET: {
+                const { currency, issuer, value } = tx.LimitAmount;
+                const line = this.#lines.get(`${tx.Account}:${issuer}:${currency}`);
+                // Lines back in the default state are removed.
+                if (Number(value) === 0 && Number(line?.balance || 0) === 0)
+                    this.#lines.delete(`${tx.Account}:${issuer}:${currency}`);
+                else
+                    this.setTrustLine(tx.Account, issuer, currency, line?.balance || '0', value);
+                return 'tesSUCCESS';
+            }
+            case XrplTransactionTypes.ACCOUNT_SET: {
+                for (const field of ['Domain', 'MessageKey', 'EmailHash', 'WalletLocator', 'TransferRate']) {
+                    if (tx[field] === '' || tx[field] === 0 || /^0+$/.test(tx[field]))
+                        delete account[field];
+                    else if (tx[field] !== undefined)
+                        account[field] = tx[field];
+                }
+                if (ACCOUNT_SET_FLAGS[tx.SetFlag])
+                    account.Flags |= ACCOUNT_SET_FLAGS[tx.SetFlag];
+                if (ACCOUNT_SET_FLAGS[tx.ClearFlag])
+                    account.Flags &= ~ACCOUNT_SET_FLAGS[tx.ClearFlag];
+                return 'tesSUCCESS';
+            }
+            case XrplTransactionTypes.TICKET_CREATE: {
+                for (let i = 0; i < tx.TicketCount; i++) {
+                    const ticketSequence = account.Sequence + i;
+                    this.setLedgerEntry({
+                        LedgerEntryType: 'Ticket',
+                        Account: tx.Account,
+                        Flags: 0,
+                        OwnerNode: '0',
+                        PreviousTxnID: tx.hash,
+                        PreviousTxnLgrSeq: this.ledgerIndex + 1,
+                        TicketSequence: ticketSequence,
+                        index: ticketIndex(tx.Account, ticketSequence)
+                    });
+                }
+                account.Sequence += tx.TicketCount;
+                return 'tesSUCCESS';
+            }
+            case XrplTransactionTypes.SET_REGULAR_KEY: {
+                if (tx.RegularKey)
+                    account.RegularKey = tx.RegularKey;
+                else
+                    delete account.RegularKey;
+                return 'tesSUCCESS';
+            }
+            case XrplTransactionTypes.SIGNER_LIST_SET: {
+                const index = signerListIndex(tx.Account);
+                const exists = this.#objects.has(index);
+                if (!tx.SignerQuorum) {
+                    if (exists) {
+                        this.deleteLedgerEntry(index);
+                        account.OwnerCount = Math.max(0, account.OwnerCount - 1);
+                    }
+                    return 'tesSUCCESS';
+                }
+                this.setLedgerEntry({
+                    LedgerEntryType: 'SignerList',
+                    Flags: 0,
+                    OwnerNode: '0',
+                    PreviousTxnID: tx.hash,
+                    PreviousTxnLgrSeq: this.ledgerIndex + 1,
+                    SignerListID: 0,
+                    SignerQuorum: tx.SignerQuorum,
+                    SignerEntries: tx.SignerEntries,
+                    index: index
+                }, [tx.Account]);
+                if (!exists)
+                    account.OwnerCount++;
+                return 'tesSUCCESS';
+            }
+            case XrplTransactionTypes.SET_HOOK: {
+                // Hook wasm is not executed, Only the hook definitions and the account hooks are kept.
+                const hooksIndex = sha512Half(HOOK_SPACE_KEY + Buffer.from(codec.decodeAccountID(tx.Account)).toString('hex'));
+                const hooks = clone(this.#objects.get(hooksIndex)?.node?.Hooks) || [];
+                for (const [position, { Hook: hook }] of tx.Hooks.entries()) {
+                    if (!hook || !Object.keys(hook).length)
+                        continue;
+                    if (hook.CreateCode === '') {
+                        hooks[position] = { Hook: {} };
+                        continue;
+                    }
+
+                    const hookHash = hook.CreateCode ? HookHelpers.getHookHash(hook.CreateCode) : (hook.HookHash || hooks[position]?.Hook?.HookHash);
+                    const definitionIndex = hookHash && HookHelpers.getHookDefinitionIndex(hookHash);
+                    if (!hookHash || (!hook.CreateCode && !this.#objects.has(definitionIndex)))
+                        return 'terNO_HOOK';
+
+                    if (hook.CreateCode && !this.#objects.has(definitionIndex)) {
+                        this.setLedgerEntry({
+                            LedgerEntryType: 'HookDefinition',
+                            CreateCode: hook.CreateCode,
+                            HookApiVersion: hook.HookApiVersion ?? 0,
+                            HookHash: hookHash,
+                            HookNamespace: hook.HookNamespace,
+                            HookOn: hook.HookOn,
+                            HookSetTxnID: tx.hash,
+                            Flags: 0,
+                            ReferenceCount: '0',
+                            index: definitionIndex
+                        }, []);
+                    }
+
+                    const fields = { ...hook };
+                    delete fields.CreateCode;
+                    delete fields.HookApiVersion;
+                    delete fields.Flags;
+                    hooks[position] = { Hook: { ...(hooks[position]?.Hook || {}), ...fields, HookHash: hookHash } };
+                }
+                for (let i = 0; i < hooks.length; i++)
+                    hooks[i] = hooks[i] || { Hook: {} };
+
+                this.setLedgerEntry({
+                    LedgerEntryType: 'Hook',
+                    Account: tx.Account,
+                    Flags: 0,
+                    OwnerNode: '0',
+                    PreviousTxnID: tx.hash,
+                    PreviousTxnLgrSeq: this.ledgerIndex + 1,
+                    Hooks: hooks,
+                    index: hooksIndex
+                });
+                return 'tesSUCCESS';
+            }
+            case XrplTransactionTypes.ESCROW_CREATE: {
+                if (typeof tx.Amount === 'string') {
+                    if (BigInt(account.Balance) < BigInt(tx.Amount))
+                        return 'tecUNFUNDED';
+                    account.Balance = (BigInt(account.Balance) - BigInt(tx.Amount)).toString();
+                }
+                else {
+                    const { currency, issuer, value } = tx.Amount;
+                    const line = this.#lines.get(`${tx.Account}:${issuer}:${currency}`);
+                    if (!line)
+                        return 'tecNO_LINE';
+                    if (Number(line.balance) < Number(value))
+                        return 'tecUNFUNDED';
+                    line.balance = (Number(line.balance) - Number(value)).toString();
+                }
+                const escrowSequence = tx.TicketSequence ?? tx.Sequence;
+                const escrow = {
+                    LedgerEntryType: 'Escrow',
+                    Account: tx.Account,
+                    Destination: tx.Destination,
+                    Amount: tx.Amount,
+                    Flags: 0,
+                    OwnerNode: '0',
+                    PreviousTxnID: tx.hash,
+                    PreviousTxnLgrSeq: this.ledgerIndex + 1,
+                    index: EscrowHelpers.getEscrowIndex(tx.Account, escrowSequence)
+                };
+                for (const field of ['FinishAfter', 'CancelAfter', 'Condition', 'DestinationTag', 'SourceTag']) {
+                    if (tx[field] !== undefined)
+                        escrow[field] = tx[field];
+                }
+                this.setLedgerEntry(escrow, [...new Set([tx.Account, tx.Destination])]);
+                account.OwnerCount++;
+                return 'tesSUCCESS';
+            }
+            case XrplTransactionTypes.ESCROW_FINISH:
+            case XrplTransactionTypes.ESCROW_CANCEL: {
+                const escrow = this.#objects.get(EscrowHelpers.getEscrowIndex(tx.Owner, tx.OfferSequence))?.node;
+                if (!escrow)
+                    return 'tecNO_TARGET';
+
+                const now = UtilHelpers.toRippleTime(new Date());
+                const cancellable = escrow.CancelAfter !== undefined && now > escrow.CancelAfter;
+                let recipient;
+                if (tx.TransactionType === XrplTransactionTypes.ESCROW_CANCEL) {
+                    if (!cancellable)
+                        return 'tecNO_PERMISSION';
+                    recipient = escrow.Account;
+                }
+                else {
+                    if (cancellable || (escrow.FinishAfter !== undefined && now <= escrow.FinishAfter))
+                        return 'tecNO_PERMISSION';
+                    if (escrow.Condition && (!tx.Fulfillment || tx.Condition !== escrow.Condition || !EscrowHelpers.verifyFulfillment(escrow.Condition, tx.Fulfillment)))
+                        return 'tecCRYPTOCONDITION_ERROR';
+                    recipient = escrow.Destination;
+                }
+
+                if (typeof escrow.Amount === 'string') {
+                    this.fundAccount(recipient, escrow.Amount);
+                }
+                else {
+                    const { currency, issuer, value } = escrow.Amount;
+                    if (recipient !== issuer) {
+                        const line = this.#lines.get(`${recipient}:${issuer}:${currency}`);
+                        if (!line)
+                            return 'tecNO_LINE';
+                        line.balance = (Number(line.balance) + Number(value)).toString();
+                    }
+                }
+                this.deleteLedgerEntry(escrow.index);
+                const owner = this.getAccount(escrow.Account);
+                if (owner)
+                    owner.OwnerCount = Math.max(0, owner.OwnerCount - 1);
+                return 'tesSUCCESS';
+            }
+            case XrplTransactionTypes.CHECK_CREATE: {
+                if (tx.Destination === tx.Account)
+                    return 'temREDUNDANT';
+                const checkSequence = tx.TicketSequence ?? tx.Sequence;
+                const check = {
+                    LedgerEntryType: 'Check',
+                    Account: tx.Account,
+                    Destination: tx.Destination,
+                    SendMax: tx.SendMax,
+                    Sequence: checkSequence,
+                    Flags: 0,
+                    OwnerNode: '0',
+                    PreviousTxnID: tx.hash,
+                    PreviousTxnLgrSeq: this.ledgerIndex + 1,
+                    index: CheckHelpers.getCheckIndex(tx.Account, checkSequence)
+                };
+                for (const field of ['Expiration', 'DestinationTag', 'SourceTag', 'InvoiceID']) {
+                    if (tx[field] !== undefined)
+                        check[field] = tx[field];
+                }
+                this.setLedgerEntry(check, [tx.Account, tx.Destination]);
+                account.OwnerCount++;
+                return 'tesSUCCESS';
+            }
+            case XrplTransactionTypes.CHECK_CANCEL:
+            case XrplTransactionTypes.CHECK_CASH: {
+                const check = this.#objects.get(tx.CheckID)?.node;
+                if (!check || check.LedgerEntryType !== 'Check')
+                    return 'tecNO_ENTRY';
+
+                const expired = check.Expiration !== undefined && UtilHelpers.toRippleTime(new Date()) >= check.Expiration;
+                if (tx.TransactionType === XrplTransactionTypes.CHECK_CANCEL) {
+                    if (!expired && tx.Account !== check.Account && tx.Account !== check.Destination)
+                        return 'tecNO_PERMISSION';
+                }
+                else {
+                    if (tx.Account !== check.Destination)
+                        return 'tecNO_PERMISSION';
+                    if (expired)
+                        return 'tecEXPIRED';
+
+                    const isNative = typeof check.SendMax === 'string';
+                    const valueOf = (amount) => isNative ? BigInt(amount) : Number(amount.value);
+                    const sendMax = valueOf(check.SendMax);
+                    const line = isNative ? null : this.#lines.get(`${check.Account}:${check.SendMax.issuer}:${check.SendMax.currency}`);
+                    const available = isNative ? BigInt(this.getAccount(check.Account)?.Balance || 0) : (check.Account === check.SendMax.issuer ? sendMax : Number(line?.balance || 0));
+
+                    let delivered;
+                    if (tx.Amount !== undefined) {
+                        delivered = valueOf(tx.Amount);
+                        if (delivered > sendMax || delivered > available)
+                            return 'tecPATH_PARTIAL';
+                    }
+                    else {
+                        delivered = available < sendMax ? available : sendMax;
+                        if (delivered < valueOf(tx.DeliverMin))
+                            return 'tecPATH_PARTIAL';
+                    }
+
+                    if (isNative) {
+                        const sender = this.getAccount(check.Account);
+                        sender.Balance = (BigInt(sender.Balance) - delivered).toString();
+                        this.fundAccount(tx.Account, delivered.toString());
+                        meta.delivered_amount = delivered.toString();
+                    }
+                    else {
+                        const { currency, issuer } = check.SendMax;
+                        const destLine = this.#lines.get(`${tx.Account}:${issuer}:${currency}`);
+                        if (tx.Account !== issuer && !destLine)
+                            return 'tecNO_LINE';
+                        if (check.Account !== issuer)
+                            line.balance = (Number(line.balance) - delivered).toString();
+                        if (tx.Account !== issuer)
+                            destLine.balance = (Number(destLine.balance) + delivered).toString();
+                        meta.delivered_amount = { currency, issuer, value: delivered.toString() };
+                    }
+                }
+
+                this.deleteLedgerEntry(check.index);
+                const owner = this.getAccount(check.Account);
+                if (owner)
+                    owner.OwnerCount = Math.max(0, owner.OwnerCount - 1);
+                return 'tesSUCCESS';
+            }
+            case XrplTransactionTypes.URI_TOKEN_MINT: {
+                const index = uriTokenIndex(tx.Account, tx.URI);
+                if (this.#objects.has(index))
+                    return 'tecDUPLICATE';
+                this.setLedgerEntry({
+                    LedgerEntryType: 'URIToken',
+                    Owner: tx.Account,
+                    Issuer: tx.Account,
+                    URI: tx.URI,
+                    ...(tx.Digest ? { Digest: tx.Digest } : {}),
+                    Flags: tx.Flags || 0,
+                    OwnerNode: '0',
+                    PreviousTxnID: tx.hash,
+                    PreviousTxnLgrSeq: this.ledgerIndex + 1,
+                    index: index
+                }, [tx.Account]);
+                account.OwnerCount++;
+                return 'tesSUCCESS';
+            }
+            case XrplTransactionTypes.URI_TOKEN_BURN:
+            case XrplTransactionTypes.URI_TOKEN_CREATE_SELL_OFFER:
+            case XrplTransactionTypes.URI_TOKEN_CANCEL_SELL_OFFER: {
+                const token = this.#objects.get(tx.URITokenID)?.node;
+                if (!token || token.LedgerEntryType !== 'URIToken')
+                    return 'tecNO_ENTRY';
+
+                if (tx.TransactionType === XrplTransactionTypes.URI_TOKEN_BURN) {
+                    if (tx.Account !== token.Owner && !(tx.Account === token.Issuer && (token.Flags & LSF_BURNABLE)))
+                        return 'tecNO_PERMISSION';
+                    this.deleteLedgerEntry(token.index);
+                    const owner = this.getAccount(token.Owner);
+                    if (owner)
+                        owner.OwnerCount = Math.max(0, owner.OwnerCount - 1);
+                    return 'tesSUCCESS';
+                }
+
+                if (tx.Account !== token.Owner)
+                    return 'tecNO_PERMISSION';
+                if (tx.TransactionType === XrplTransactionTypes.URI_TOKEN_CREATE_SELL_OFFER) {
+                    token.Amount = tx.Amount;
+                    if (tx.Destination)
+                        token.Destination = tx.Destination;
+                    else
+                        delete token.Destination;
+                }
+                else {
+                    delete token.Amount;
+                    delete token.Destination;
+                }
+                return 'tesSUCCESS';
+            }
+            case XrplTransactionTypes.URI_TOKEN_BUY_OFFER: {
+                const token = this.#objects.get(tx.URITokenID)?.node;
+                if (!token || token.LedgerEntryType !== 'URIToken' || !token.Amount)
+                    return 'tecNO_ENTRY';
+                if (tx.Account === token.Owner || (token.Destination && token.Destination !== tx.Account))
+                    return 'tecNO_PERMISSION';
+
+                const price = token.Amount;
+                if (typeof price === 'string') {
+                    if (typeof tx.Amount !== 'string' || BigInt(tx.Amount) < BigInt(price))
+                        return 'tecINSUFFICIENT_PAYMENT';
+                    if (BigInt(account.Balance) < BigInt(tx.Amount))
+                        return 'tecUNFUNDED_PAYMENT';
+                    account.Balance = (BigInt(account.Balance) - BigInt(tx.Amount)).toString();
+                    this.fundAccount(token.Owner, tx.Amount);
+                }
+                else {
+                    if (typeof tx.Amount === 'string' || tx.Amount.currency !== price.currency || tx.Amount.issuer !== price.issuer || Number(tx.Amount.value) < Number(price.value))
+                        return 'tecINSUFFICIENT_PAYMENT';
+                    if (!this.#transferIssued(tx.Account, token.Owner, tx.Amount))
+                        return 'tecPATH_DRY';
+                }
+
+                const seller = this.getAccount(token.Owner);
+                if (seller)
+                    seller.OwnerCount = Math.max(0, seller.OwnerCount - 1);
+                account.OwnerCount++;
+
+                this.#transfers.push({ ledgerIndex: this.ledgerIndex + 1, from: token.Owner, to: tx.Account, node: clone(token) });
+                meta.AffectedNodes = [{
+                    ModifiedNode: {
+                        LedgerEntryType: 'URIToken',
+                        LedgerIndex: token.index,
+                        FinalFields: { Owner: tx.Account, Issuer: token.Issuer, URI: token.URI },
+                        PreviousFields: { Owner: token.Owner, Amount: token.Amount }
+                    }
+                }];
+                token.Owner = tx.Account;
+                delete token.Amount;
+                delete token.Destination;
+                this.setLedgerEntry(token, [tx.Account]);
+                return 'tesSUCCESS';
+            }
+            case XrplTransactionTypes.ACCOUNT_DELETE: {
+                if (tx.Destination === tx.Account)
+                    return 'temDST_IS_SRC';
+                const destination = this.getAccount(tx.Destination);
+                if (!destination)
+                    return 'tecNO_DST';
+                if ((destination.Flags & LSF_REQUIRE_DEST_TAG) && tx.DestinationTag === undefined)
+                    return 'tecDST_TAG_NEEDED';
+                // The sequence is already consumed, So compare with the sequence of this transaction.
+                if ((tx.TicketSequence ?? tx.Sequence) + ACCOUNT_DELETE_SEQUENCE_GAP > this.ledgerIndex + 1)
+                    return 'tecTOO_SOON';
+
+                const owned = [...this.#objects.values()].filter(o => o.owners.includes(tx.Account) && o.node.LedgerEntryType !== 'AccountRoot');
+                const hasLines = [...this.#lines.values()].some(l => l.holder === tx.Account || l.issuer === tx.Account);
+                if (hasLines || owned.some(o => !DELETED_WITH_ACCOUNT.includes(o.node.LedgerEntryType)))
+                    return 'tecHAS_OBLIGATIONS';
+
+                for (const o of owned)
+                    this.deleteLedgerEntry(o.node.index);
+                destination.Balance = (BigInt(destination.Balance) + BigInt(account.Balance)).toString();
+                meta.DeliveredAmount = account.Balance;
+                this.deleteLedgerEntry(account.index);
+                return 'tesSUCCESS';
+            }
+            default:
+                // Other transaction types are accepted without ledger changes unless a hook handles them.
+                return 'tesSUCCESS';
+        }
+    }
+
+    #preflight(tx, hash) {
+        const account = this.getAccount(tx.Account);
+        if (!account)
+            return 'terNO_ACCOUNT';
+        if (this.#transactions.has(hash))
+            return 'tefALREADY';
+        if (tx.LastLedgerSequence && tx.LastLedgerSequence <= this.ledgerIndex)
+            return 'tefMAX_LEDGER';
+        if (BigInt(tx.Fee || 0) < BigInt(this.#baseFee))
+            return 'telINSUF_FEE_P';
+
+        if (tx.Signers) {
+            const multiSignResult = this.#checkMultiSignatures(tx);
+            if (multiSignResult !== 'tesSUCCESS')
+                return multiSignResult;
+        }
+
+        const queued = this.#queue.filter(e => !e.emitted && e.tx.Account === tx.Account);
+        const expectedSeq = account.Sequence + queued.reduce((n, e) => n + (e.tx.TicketSequence === undefined ? 1 : 0) + (e.tx.TicketCount || 0), 0);
+        if (tx.TicketSequence !== undefined) {
+            if (tx.Sequence !== 0)
+                return 'temSEQ_AND_TICKET';
+            if (!this.#objects.has(ticketIndex(tx.Account, tx.TicketSequence)))
+                return tx.TicketSequence >= expectedSeq ? 'terPRE_TICKET' : 'tefNO_TICKET';
+            if (queued.some(e => e.tx.TicketSequence === tx.TicketSequence))
+                return 'tefNO_TICKET';
+            return 'tesSUCCESS';
+        }
+
+        if (tx.Sequence < expectedSeq)
+            return 'tefPAST_SEQ';
+        if (tx.Sequence > expectedSeq)
+            return 'terPRE_SEQ';
+
+        return 'tesSUCCESS';
+    }
+
+    #checkMultiSignatures(tx) {
+        const signerList = this.#objects.get(signerListIndex(tx.Account))?.node;
+        if (!signerList)
+            return 'tefNOT_MULTI_SIGNING';
+
+        const { Signers, ...unsigned } = tx;
+        delete unsigned.hash;
+        let weight = 0;
+        for (const { Signer } of Signers) {
+            const entry = signerList.SignerEntries.find(e => e.SignerEntry.Account === Signer.Account);
+            if (!entry)
+                return 'tefBAD_SIGNATURE';
+            try {
+                if (!kp.verify(this.#helpers.encodeForSigning(unsigned, Signer.Account), Signer.TxnSignature, Signer.SigningPubKey))
+                    return 'tefBAD_SIGNATURE';
+            }
+            catch (e) {
+                return 'tefBAD_SIGNATURE';
+            }
+            weight += entry.SignerEntry.SignerWeight;
+        }
+        return weight >= signerList.SignerQuorum ? 'tesSUCCESS' : 'tefBAD_QUORUM';
+    }
+
+    #submit(request) {
+        let tx;
+        try {
+            tx = this.#helpers.decode(request.tx_blob);
+        }
+        catch (e) {
+            throw rippledError(request, 'invalidTransaction', 'fails local checks: Invalid transaction blob.');
+        }
+
+        const hash = sha512Half(TX_HASH_PREFIX + request.tx_blob);
+        const engineResult = this.#preflight(tx, hash);
+        tx.hash = hash;
+
+        if (engineResult === 'tesSUCCESS') {
+            const record = { tx, meta: null, validated: false };
+            this.#transactions.set(hash, record);
+            this.#queue.push({ tx });
+        }
+
+        return {
+            accepted: engineResult === 'tesSUCCESS',
+            applied: engineResult === 'tesSUCCESS',
+            engine_result: engineResult,
+            engine_result_code: this.#definitions.TRANSACTION_RESULTS[engineResult],
+            engine_result_message: ENGINE_RESULT_MESSAGES[engineResult] || '',
+            tx_blob: request.tx_blob,
+            tx_json: tx
+        };
+    }
+
+    #page(request, items, field) {
+        const start = request.marker ? parseInt(request.marker) : 0;
+        const limit = request.limit || items.length;
+        const result = { [field]: items.slice(start, start + limit) };
+        if (start + limit < items.length)
+            result.marker = (start + limit).toString();
+        return result;
+    }
+
+    #requireAccount(request) {
+        const account = this.getAccount(request.account);
+        if (!account)
+            throw rippledError(request, 'actNotFound', 'Account not found.');
+        return account;
+    }
+
+    /**
+     * Moves an issued currency amount between two trust lines.
+     * @returns {boolean} False if the sender does not have enough balance or the receiver does not have a line.
+     */
+    #transferIssued(from, to, amount) {
+        const { currency, issuer, value } = amount;
+        const fromLine = (from !== issuer) ? this.#lines.get(`${from}:${issuer}:${currency}`) : null;
+        const toLine = (to !== issuer) ? this.#lines.get(`${to}:${issuer}:${currency}`) : null;
+        if ((from !== issuer && (!fromLine || Number(fromLine.balance) < Number(value))) || (to !== issuer && !toLine))
+            return false;
+
+        if (fromLine)
+            fromLine.balance = (Number(fromLine.balance) - Number(value)).toString();
+        if (toLine)
+            toLine.balance = (Number(toLine.balance) + Number(value)).toString();
+        return true;
+    }
+
+    /**
+     * Gets the objects of an account. URI tokens are given as they were at the requested ledger if it is a past ledger.
+     */
+    #getAccountObjects(account, ledgerIndex) {
+        let objects = [...this.#objects.values()].filter(o => o.owners.includes(account) && o.node.LedgerEntryType !== 'AccountRoot').map(o => o.node);
+        if (typeof ledgerIndex === 'number' && ledgerIndex < this.ledgerIndex) {
+            const later = this.#transfers.filter(t => t.ledgerIndex > ledgerIndex);
+            objects = objects.filter(o => !later.some(t => t.to === account && t.node.index === o.index));
+            for (const transfer of later.filter(t => t.from === account)) {
+                // Only the earliest later transfer holds the token as it was at the requested ledger.
+                if (!objects.some(o => o.index === transfer.node.index))
+                    objects.push(transfer.node);
+            }
+        }
+        return objects;
+    }
+
+    /**
+     * Handles a request sent by a client.
+     * @param {MockXrplClient} client - The requesting client.
+     * @param {Object} request - Request object.
+     * @returns {Object} The result object of the response.
+     */
+    handleRequest(client, request) {
+        if (this.#throttled.count > 0) {
+            this.#throttled.count--;
+            throw rippledError(request, this.#throttled.error, THROTTLING_MESSAGES[this.#throttled.error]);
+        }
+
+        const ledger = { ledger_index: this.ledgerIndex, ledger_hash: this.ledgerHash, validated: true };
+        switch (request.command) {
+            case 'server_state':
+                return { state: { server_state: 'full', network_id: this.#networkId, validated_ledger: { seq: this.ledgerIndex, hash: this.ledgerHash, base_fee: Number(this.#baseFee) } } };
+            case 'server_info':
+                return { info: { server_state: 'full', network_id: this.#networkId, validated_ledger: { seq: this.ledgerIndex, hash: this.ledgerHash, base_fee_xrp: Number(this.#baseFee) / 1000000, reserve_base_xrp: DEFAULT_RESERVE_BASE / 1000000, reserve_inc_xrp: DEFAULT_RESERVE_INC / 1000000 } } };
+            case 'server_definitions':
+                // Like rippled, only the hash is returned if the client already has the same definitions.
+                return (request.hash && request.hash === this.#definitions.hash) ? { hash: this.#definitions.hash } : this.#definitions;
+            case 'ledger': {
+                const ledgerIndex = (typeof request.ledger_index === 'number' && request.ledger_index <= this.ledgerIndex) ? request.ledger_index : this.ledgerIndex;
+                const ledgerHash = getLedgerHash(ledgerIndex);
+                return { ledger_index: ledgerIndex, ledger_hash: ledgerHash, validated: true, ledger: { ledger_index: ledgerIndex.toString(), ledger_hash: ledgerHash, closed: true } };
+            }
+            case 'fee':
+                return { ledger_current_index: this.ledgerIndex + 1, drops: { base_fee: this.#baseFee, median_fee: this.#baseFee, minimum_fee: this.#baseFee, open_ledger_fee: this.#baseFee } };
+            case 'account_info':
+                return { ...ledger, account_data: this.#requireAccount(request) };
+            case 'account_objects': {
+                this.#requireAccount(request);
+                let objects = this.#getAccountObjects(request.account, request.ledger_index);
+                if (request.type)
+                    objects = objects.filter(o => o.LedgerEntryType.toLowerCase() === request.type.replace(/_/g, '').toLowerCase());
+                return { ...ledger, account: request.account, ...this.#page(request, objects, 'account_objects') };
+            }
+            case 'account_namespace': {
+                this.#requireAccount(request);
+                const entries = [...this.#objects.values()].filter(o => o.namespace === request.namespace_id?.toUpperCase() && o.owners.includes(request.account)).map(o => o.node);
+                return { ...ledger, account: request.account, namespace_id: request.namespace_id, ...this.#page(request, entries, 'namespace_entries') };
+            }
+            case 'account_lines': {
+                this.#requireAccount(request);
+                const lines = [...this.#lines.values()].filter(l => l.holder === request.account || l.issuer === request.account).map(l => (l.holder === request.account) ?
+                    { account: l.issuer, balance: l.balance, currency: l.currency, limit: l.limit, limit_peer: '0', quality_in: 0, quality_out: 0 } :
+                    { account: l.holder, balance: (-Number(l.balance)).toString(), currency: l.currency, limit: '0', limit_peer: l.limit, quality_in: 0, quality_out: 0 });
+                return { ...ledger, account: request.account, ...this.#page(request, lines, 'lines') };
+            }
+            case 'account_tx': {
+                this.#requireAccount(request);
+                const min = (request.ledger_index_min > 0) ? request.ledger_index_min : 0;
+                const max = (request.ledger_index_max > 0) ? request.ledger_index_max : this.ledgerIndex;
+                let txs = [...this.#transactions.values()].filter(t => t.validated && t.ledger_index >= min && t.ledger_index <= max &&
+                    affectedAccounts(t).includes(request.account));
+                if (!request.forward)
+                    txs = txs.reverse();
+                txs = txs.map(t => ({ ledger_index: t.ledger_index, meta: t.meta, tx: { ...t.tx, ledger_index: t.ledger_index }, validated: true }));
+                return { account: request.account, ledger_index_min: min, ledger_index_max: max, ...this.#page(request, txs, 'transactions') };
+            }
+            case 'ledger_entry': {
+                const entry = this.#objects.get(request.index);
+                if (!entry)
+                    throw rippledError(request, 'entryNotFound', 'Entry not found.', ledger);
+                return { ...ledger, index: request.index, node: entry.node };
+            }
+            case 'tx': {
+                const record = this.#transactions.get(request.transaction);
+                if (!record)
+                    throw rippledError(request, 'txnNotFound', 'Transaction not found.');
+                return { ...record.tx, ...(record.validated ? { ledger_index: record.ledger_index, meta: record.meta } : {}), validated: record.validated };
+            }
+            case 'submit':
+                return this.#submit(request);
+            case 'submit_multisigned': {
+                let txBlob;
+                try {
+                    txBlob = this.#helpers.encode(request.tx_json);
+                }
+                catch (e) {
+                    throw rippledError(request, 'invalidTransaction', 'fails local checks: Invalid transaction.');
+                }
+                return this.#submit({ ...request, tx_blob: txBlob });
+            }
+            case 'subscribe':
+            case 'unsubscribe': {
+                const add = request.command === 'subscribe';
+                (request.accounts || []).forEach(a => add ? client.accounts.add(a) : client.accounts.delete(a));
+                (request.streams || []).forEach(s => add ? client.streams.add(s) : client.streams.delete(s));
+                return (add && request.streams?.includes('ledger')) ? { ...ledger, fee_base: Number(this.#baseFee), reserve_base: DEFAULT_RESERVE_BASE } : {};
+            }
+            default:
+                throw rippledError(request, 'unknownCmd', 'Unknown method.');
+        }
+    }
+}
+
+module.exports = {
+    MockXrplServer
+}
@@ -0,0 +1,315 @@
+const kp = require('ripple-keypairs');
+const codec = require('ripple-address-codec');
+const { Buffer } = require('buffer');
+const { ValidationError, TransactionFailedError, TimeoutError } = require('./errors');
+const { SequenceManager } = require('./sequence-manager');
+
+const SESSION_VERSION = 1;
+
+function compareAccounts(a, b) {
+    return Buffer.compare(Buffer.from(codec.decodeAccountID(a)), Buffer.from(codec.decodeAccountID(b)));
+}
+
+/**
+ * Coordinates signing a transaction by the members of the signer list of its account.
+ * The coordinator creates the session from a prepared transaction and shares `JSON.stringify(session)` with the signers.
+ * Each signer loads it with `MultiSignSession.fromJSON()` and returns the partial signature from `sign()`.
+ * The coordinator adds the partial signatures and submits once the quorum is reached.
+ * Sessions are usually long lived, So prepare the transaction with a higher `maxLedgerIndex` (Eg: XrplConstants.MULTISIGN_MAX_LEDGER_OFFSET)
+ * and preferably with a ticket, So other transactions of the account do not invalidate its sequence.
+ * Sequences and tickets reserved by the account sequence manager stay reserved until the session is submitted or released with release().
+ */
+class MultiSignSession {
+    #xrplApi;
+    #id;
+    #transaction;
+    #signerList;
+    #signatures = new Map();
+
+    constructor(xrplApi, data) {
+        if (!xrplApi)
+            throw new ValidationError('xrplApi is required for a multi-sign session.');
+        if (!data?.transaction || !data?.signerList)
+            throw new ValidationError('Invalid multi-sign session data.');
+        if (data.version !== SESSION_VERSION)
+            throw new ValidationError(`Unsupported multi-sign session version ${data.version}.`);
+
+        this.#xrplApi = xrplApi;
+        this.#transaction = { ...data.transaction, SigningPubKey: '' };
+        delete this.#transaction.Signers;
+        delete this.#transaction.TxnSignature;
+        this.#signerList = data.signerList;
+        this.#id = this.#computeId();
+        if (data.id && data.id !== this.#id)
+            throw new ValidationError('Multi-sign session id does not match the transaction.');
+
+        // Signatures carried in the JSON are checked like the added ones, So a tampered session does not get combined.
+        // Authorization of the signing keys needs the ledger and it's checked by the ledger on submission.
+        for (const signature of (data.signatures || [])) {
+            this.#verifySignature(signature);
+            this.#signatures.set(signature.account, signature);
+        }
+    }
+
+    /**
+     * Creates a session for a prepared transaction. The signer list of the transaction account is taken from the ledger.
+     * @param {XrplApi} xrplApi XrplApi instance.
+     * @param {Object} preparedTransaction Transaction prepared by a XrplAccount prepare* method.
+     * @param {Object} [options={}] Session options.
+     * @param {string} [options.fee] Transaction fee. Defaults to the prepared fee multiplied by one plus the number of signers, As each signature adds a base fee.
+     * @returns {Promise<MultiSignSession>} The session.
+     */
+    static async create(xrplApi, preparedTransaction, options = {}) {
+        const signerList = await MultiSignSession.getSignerList(xrplApi, preparedTransaction.Account);
+        if (!signerList)
+            throw new ValidationError(`Account ${preparedTransaction.Account} does not have a signer list.`);
+
+        const transaction = { ...preparedTransaction };
+        transaction.Fee = options.fee ? options.fee + '' : (BigInt(transaction.Fee || 0) * BigInt(signerList.signers.length + 1)).toString();
+
+        return new MultiSignSession(xrplApi, {
+            version: SESSION_VERSION,
+            transaction: transaction,
+            signerList: signerList
+        });
+    }
+
+    /**
+     * Loads a session shared as JSON.
+     * @param {string|Object} json Session JSON string or object.
+     * @param {XrplApi} xrplApi XrplApi instance.
+     * @returns {MultiSignSession} The session.
+     */
+    static fromJSON(json, xrplApi) {
+        let data;
+        try {
+            data = (typeof json === 'string') ? JSON.parse(json) : json;
+        }
+        catch (e) {
+            throw new ValidationError('Invalid multi-sign session JSON.', { cause: e });
+        }
+        return new MultiSignSession(xrplApi, data);
+    }
+
+    /**
+     * Gets the signer list of an account from the ledger.
+     * @param {XrplApi} xrplApi XrplApi instance.
+     * @param {string} address Account address.
+     * @returns {Promise<Object|null>} Signer list or null if the account does not have one. Format: {quorum: number, signers: [{account, weight}]}.
+     */
+    static async getSignerList(xrplApi, address) {
+        const lists = await xrplApi.getAccountObjects(address, { type: 'signer_list' });
+        const list = lists?.find(l => l.LedgerEntryType === 'SignerList');
+        if (!list)
+            return null;
+        return {
+            quorum: list.SignerQuorum,
+            signers: list.SignerEntries.map(e => ({ account: e.SignerEntry.Account, weight: e.SignerEntry.SignerWeight }))
+        };
+    }
+
+    /**
+     * Session id. This is the hash of the unsigned transaction, So the partial signatures cannot be mixed between sessions.
+     */
+    get id() {
+        return this.#id;
+    }
+
+    /**
+     * Unsigned transaction of the session.
+     */
+    get transaction() {
+        return { ...this.#transaction };
+    }
+
+    /**
+     * Signer list which the session was created with.
+     */
+    get signerList() {
+        return { quorum: this.#signerList.quorum, signers: this.#signerList.signers.map(s => ({ ...s })) };
+    }
+
+    #getHelper() {
+        if (!this.#xrplApi.xrplHelper)
+            throw new ValidationError('Server definitions are not loaded, Connect the xrplApi first.');
+        return this.#xrplApi.xrplHelper;
+    }
+
+    #computeId() {
+        const helper = this.#getHelper();
+        return helper.computeHash(helper.encode(this.#transaction));
+    }
+
+    /**
+     * Signs the session transaction as a signer list member.
+     * @param {XrplAccount} xrplAcc Signer list member account with a secret or a signer.
+     * @returns {Promise<Object>} Partial signature to send to the coordinator. Format: {version, sessionId, account, signingPubKey, txnSignature}.
+     */
+    async sign(xrplAcc) {
+        if (!this.#signerList.signers.some(s => s.account === xrplAcc.address))
+            throw new ValidationError(`${xrplAcc.address} is not a member of the signer list.`);
+
+        const signed = await xrplAcc.signAsync({ ...this.#transaction }, true);
+        const signer = this.#getHelper().decode(signed.tx_blob).Signers[0].Signer;
+        return {
+            version: SESSION_VERSION,
+            sessionId: this.#id,
+            account: signer.Account,
+            signingPubKey: signer.SigningPubKey,
+            txnSignature: signer.TxnSignature
+        };
+    }
+
+    /**
+     * Validates and adds a partial signature. A later signature of the same account replaces the earlier one.
+     * @param {string|Object} partialSignature Partial signature returned by sign(), As a JSON string or object.
+     * @returns {Promise<Object>} Session status. See getStatus().
+     */
+    async addSignature(partialSignature) {
+        const signature = (typeof partialSignature === 'string') ? JSON.parse(partialSignature) : partialSignature;
+        this.#verifySignature(signature);
+
+        // Signers which are not funded accounts can only sign with the key of the address.
+        const authorized = (await this.#xrplApi.isAccountExists(signature.account)) ?
+            await this.#xrplApi.isValidKeyForAddress(signature.signingPubKey, signature.account) :
+            kp.deriveAddress(signature.signingPubKey) === signature.account;
+        if (!authorized)
+            throw new ValidationError(`Signing key is not authorized for ${signature.account}.`);
+
+        this.#signatures.set(signature.account, {
+            version: SESSION_VERSION,
+            sessionId: this.#id,
+            account: signature.account,
+            signingPubKey: signature.signingPubKey,
+            txnSignature: signature.txnSignature
+        });
+        return this.getStatus();
+    }
+
+    #verifySignature(signature) {
+        if (!signature?.account || !signature?.signingPubKey || !signature?.txnSignature)
+            throw new ValidationError('Invalid partial signature.');
+        if (signature.sessionId !== this.#id)
+            throw new ValidationError('Partial signature does not belong to this session.');
+        if (!this.#signerList.signers.some(s => s.account === signature.account))
+            throw new ValidationError(`${signature.account} is not a member of the signer list.`);
+
+        let verified = false;
+        try {
+            const signingData = this.#getHelper().encodeForSigning(this.#transaction, signature.account);
+            verified = kp.verify(signingData, signature.txnSignature, signature.signingPubKey);
+        }
+        catch (e) {
+            verified = false;
+        }
+        if (!verified)
+            throw new ValidationError(`Invalid signature from ${signature.account}.`);
+    }
+
+    /**
+     * Gets the signing progress of the session.
+     * @returns {Object} Status. Format: {weight, quorum, complete, signed: [accounts], pending: [accounts]}.
+     */
+    getStatus() {
+        const signed = this.#signerList.signers.filter(s => this.#signatures.has(s.account));
+        const weight = signed.reduce((total, s) => total + s.weight, 0);
+        return {
+            weight: weight,
+            quorum: this.#signerList.quorum,
+            complete: weight >= this.#signerList.quorum,
+            signed: signed.map(s => s.account),
+            pending: this.#signerList.signers.filter(s => !this.#signatures.has(s.account)).map(s => s.account)
+        };
+    }
+
+    /**
+     * Combines the collected signatures into the multi-signed transaction.
+     * @returns {Object} Multi-signed transaction.
+     */
+    combine() {
+        const status = this.getStatus();
+        if (!status.complete)
+            throw new ValidationError(`Signer quorum is not reached. Collected weight ${status.weight} of ${status.quorum}.`);
+
+        return {
+            ...this.#transaction,
+            SigningPubKey: '',
+            // Signers should be sorted by the account id.
+            Signers: [...this.#signatures.values()]
+                .sort((a, b) => compareAccounts(a.account, b.account))
+                .map(s => ({ Signer: { Account: s.account, SigningPubKey: s.signingPubKey, TxnSignature: s.txnSignature } }))
+        };
+    }
+
+    /**
+     * Submits the multi-signed transaction and waits for the validation.
+     * The signer list is checked again on the ledger, So a changed signer list fails before submission.
+     * @param {Object} [options={}] Submission options. `submissionRef` takes the submission references and `signal` stops waiting for the result.
+     * @returns {Promise<Object>} Result of the transaction.
+     */
+    async submit(options = {}) {
+        const current = await MultiSignSession.getSignerList(this.#xrplApi, this.#transaction.Account);
+        const unchanged = current && current.quorum === this.#signerList.quorum &&
+            current.signers.length === this.#signerList.signers.length &&
+            current.signers.every(s => this.#signerList.signers.some(o => o.account === s.account && o.weight === s.weight));
+        if (!unchanged)
+            throw new ValidationError(`Signer list of ${this.#transaction.Account} has changed since the session was created.`);
+
+        const submissionRef = options.submissionRef || {};
+        let resultCode = null;
+        try {
+            const result = await this.#xrplApi.submitMultisignedAndWait(this.combine(), submissionRef, { signal: options.signal });
+            resultCode = result.code;
+            return result;
+        }
+        catch (e) {
+            // Validated failures carry the final code, Otherwise take the preliminary result of the submission.
+            if (e instanceof TransactionFailedError && e.details?.meta?.TransactionResult)
+                resultCode = e.code;
+            else if (!(e instanceof TimeoutError))
+                resultCode = submissionRef.submissionResult?.result?.engine_result;
+            throw e;
+        }
+        finally {
+            const manager = SequenceManager.find(this.#xrplApi, this.#transaction.Account);
+            if (manager) {
+                if (this.#transaction.TicketSequence)
+                    manager.releaseTicket(this.#transaction.TicketSequence);
+                else
+                    manager.finalize(this.#transaction.Sequence, resultCode);
+            }
+        }
+    }
+
+    /**
+     * Releases the sequence or the ticket reserved for the session transaction when the session is abandoned,
+     * So the next transactions of the account can use it. Only needed on the coordinator which prepared the transaction.
+     */
+    release() {
+        const manager = SequenceManager.find(this.#xrplApi, this.#transaction.Account);
+        if (!manager)
+            return;
+        if (this.#transaction.TicketSequence)
+            manager.releaseTicket(this.#transaction.TicketSequence);
+        else
+            manager.release(this.#transaction.Sequence);
+    }
+
+    /**
+     * Gets the portable representation of the session. Used by JSON.stringify().
+     * @returns {Object} Session data.
+     */
+    toJSON() {
+        return {
+            version: SESSION_VERSION,
+            id: this.#id,
+            transaction: this.#transaction,
+            signerList: this.#signerList,
+            signatures: [...this.#signatures.values()]
+        };
+    }
+}
+
+module.exports = {
+    MultiSignSession
+}
@@ -0,0 +1,223 @@
+const zlib = require('zlib');
+const kp = require('ripple-keypairs');
+const { Buffer } = require('buffer');
+const { PayloadCompressions } = require('./evernode-common');
+const { EncryptionHelper } = require('./encryption-helper');
+const { ValidationError } = require('./errors');
+
+// Payload: <flags(1)><data>
+// Flags bit 0 marks encrypted data, bits 1-2 hold the compression and bit 3 marks signed data. So 0x00 (Plain) and 0x01 (Encrypted) payloads of the older clients stay the same.
+const ENCRYPTED_FLAG = 0x01;
+const COMPRESSION_SHIFT = 1;
+const COMPRESSION_MASK = 0x06;
+const SIGNED_FLAG = 0x08;
+const COMPRESSION_CODES = {
+    [PayloadCompressions.NONE]: 0,
+    [PayloadCompressions.DEFLATE]: 1,
+    [PayloadCompressions.BROTLI]: 2
+};
+
+// Chunk memo: <chunk flag(1)><index(1)><count(1)><part of the payload>
+const CHUNK_FLAG = 0x80;
+const CHUNK_HEADER_SIZE = 3;
+const MAX_CHUNKS = 255;
+
+// Signed data: <public key length(1)><public key><signature length(1)><signature><data>
+// The signature is over the data (Plaintext JSON) and it is compressed and encrypted together with the data.
+
+const MAX_DECOMPRESSED_SIZE = 1024 * 1024; // Guards against decompression bombs.
+
+/**
+ * Encodes and decodes the acquire and acquire-success payloads carried in the transaction memos.
+ * Payloads can be signed, compressed and encrypted, And large payloads can be split into chunks carried in several memos.
+ */
+class PayloadHelpers {
+    /**
+     * Encodes a payload into base64 memo data.
+     * @param {Object} data Payload object.
+     * @param {Object} [options={}] Encoding options.
+     * @param {string} [options.encryptionKey] Hex public key to encrypt the payload with. Not encrypted if not given.
+     * @param {Object} [options.encryptionOptions] Options passed to the encryption. Eg: { iv, ephemPrivateKey }.
+     * @param {string} [options.compression='none'] Compression. One of PayloadCompressions. The payload is compressed before the encryption.
+     * @param {number} [options.chunkSize] Maximum payload bytes per memo. The payload is split into chunks if it is larger.
+     * @param {Signer} [options.signer] Signer to sign the payload with. Eg: XrplAccount.getSigner(). The receiver can verify the signature against the sender account keys. Not signed if not given.
+     * @returns {Promise<Array<string>>} Base64 memo data, One per memo.
+     */
+    static async encode(data, options = {}) {
+        const compression = options.compression || PayloadCompressions.NONE;
+        if (COMPRESSION_CODES[compression] === undefined)
+            throw new ValidationError(`Unsupported payload compression ${compression}.`);
+
+        let body = Buffer.from(JSON.stringify(data));
+        let flags = COMPRESSION_CODES[compression] << COMPRESSION_SHIFT;
+        if (options.signer) {
+            const signed = await options.signer.signMessage(body.toString('hex'));
+            const publicKey = Buffer.from(signed.publicKey, 'hex');
+            const signature = Buffer.from(signed.signature, 'hex');
+            body = Buffer.concat([Buffer.from([publicKey.length]), publicKey, Buffer.from([signature.length]), signature, body]);
+            flags |= SIGNED_FLAG;
+        }
+
+        body = compress(body, compression);
+        if (options.encryptionKey) {
+            body = await EncryptionHelper.encryptBuffer(options.encryptionKey, body, options.encryptionOptions || {});
+            if (!body)
+                throw new ValidationError('Payload encryption failed.');
+            flags |= ENCRYPTED_FLAG;
+        }
+
+        const payload = Buffer.concat([Buffer.from([flags]), body]);
+        if (!options.chunkSize || payload.length <= options.chunkSize)
+            return [payload.toString('base64')];
+
+        // Chunk size includes the chunk header.
+        const partSize = options.chunkSize - CHUNK_HEADER_SIZE;
+        if (partSize <= 0)
+            throw new ValidationError(`Payload chunk size should be larger than ${CHUNK_HEADER_SIZE}.`);
+
+        const count = Math.ceil(payload.length / partSize);
+        if (count > MAX_CHUNKS)
+            throw new ValidationError(`Payload needs ${count} chunks which exceeds the maximum of ${MAX_CHUNKS}.`);
+
+        const chunks = [];
+        for (let i = 0; i < count; i++) {
+            const part = payload.slice(i * partSize, (i + 1) * partSize);
+            chunks.push(Buffer.concat([Buffer.from([CHUNK_FLAG, i, count]), part]).toString('base64'));
+        }
+        return chunks;
+    }
+
+    /**
+     * Reassembles the payload from the memo data. Chunks can be in any order.
+     * @param {Array<string>} memoData Base64 memo data of the payload memos.
+     * @returns {Buffer} The payload.
+     * @throws {ValidationError} If the chunks are incomplete or inconsistent.
+     */
+    static join(memoData) {
+        const bufs = memoData.map(d => Buffer.from(d, 'base64'));
+        if (!bufs.length || bufs[0].length === 0)
+            throw new ValidationError('Empty payload.');
+        if (!(bufs[0][0] & CHUNK_FLAG))
+            return bufs[0];
+
+        const count = bufs[0][2];
+        const parts = new Array(count);
+        for (const buf of bufs) {
+            if (buf.length < CHUNK_HEADER_SIZE || !(buf[0] & CHUNK_FLAG) || buf[2] !== count || buf[1] >= count)
+                throw new ValidationError('Invalid payload chunk.');
+            parts[buf[1]] = buf.slice(CHUNK_HEADER_SIZE);
+        }
+        if (parts.length !== count || [...parts].some(p => !p))
+            throw new ValidationError(`Payload chunks are missing. Expected ${count} chunks.`);
+        return Buffer.concat(parts);
+    }
+
+    /**
+     * Checks whether a payload is encrypted.
+     * @param {Buffer} payload The payload.
+     * @returns {boolean} True if encrypted.
+     */
+    static isEncrypted(payload) {
+        return !!(payload[0] & ENCRYPTED_FLAG);
+    }
+
+    /**
+     * Decodes a payload.
+     * @param {Buffer} payload The payload returned by join().
+     * @param {KeyProvider|string} [keyProvider] Key provider or private key to decrypt the payload with.
+     * @returns {Promise<Object|null>} Payload object or null if the decryption fails.
+     */
+    static async decode(payload, keyProvider = null) {
+        return (await PayloadHelpers.open(payload, keyProvider))?.data ?? null;
+    }
+
+    /**
+     * Decodes a payload along with its signature.
+     * The signature is only checked against the signed data here. Check the public key against the sender account with XrplApi.isValidKeyForAddress().
+     * @param {Buffer} payload The payload returned by join().
+     * @param {KeyProvider|string} [keyProvider] Key provider or private key to decrypt the payload with.
+     * @returns {Promise<Object|null>} Decoded payload or null if the decryption fails.
+     * Format: {data: Object, signer: {publicKey: string, signature: string, valid: boolean} | null}. Signer is null for unsigned payloads.
+     */
+    static async open(payload, keyProvider = null) {
+        const flags = payload[0];
+        let body = payload.slice(1);
+
+        if (flags & ENCRYPTED_FLAG) {
+            if (!keyProvider)
+                return null;
+            try {
+                body = (typeof keyProvider.decrypt === 'function') ?
+                    await keyProvider.decrypt(body) :
+                    await EncryptionHelper.decryptBuffer(keyProvider, body);
+            }
+            catch (e) {
+                // Payloads encrypted for another key.
+                body = null;
+            }
+            if (!body)
+                return null;
+        }
+
+        const code = (flags & COMPRESSION_MASK) >> COMPRESSION_SHIFT;
+        const compression = Object.keys(COMPRESSION_CODES).find(k => COMPRESSION_CODES[k] === code);
+        if (!compression)
+            throw new ValidationError(`Unsupported payload flags ${flags}.`);
+
+        body = decompress(Buffer.from(body), compression);
+
+        let signer = null;
+        if (flags & SIGNED_FLAG) {
+            const publicKeyLen = body[0];
+            const publicKey = body.slice(1, 1 + publicKeyLen);
+            const signatureLen = body[1 + publicKeyLen];
+            const signature = body.slice(2 + publicKeyLen, 2 + publicKeyLen + signatureLen);
+            body = body.slice(2 + publicKeyLen + signatureLen);
+            if (!publicKeyLen || publicKey.length !== publicKeyLen || !signatureLen || signature.length !== signatureLen)
+                throw new ValidationError('Invalid payload signature.');
+
+            signer = {
+                publicKey: publicKey.toString('hex').toUpperCase(),
+                signature: signature.toString('hex').toUpperCase(),
+                valid: false
+            };
+            try {
+                signer.valid = kp.verify(body.toString('hex'), signer.signature, signer.publicKey);
+            }
+            catch (e) {
+                signer.valid = false;
+            }
+        }
+
+        return {
+            data: JSON.parse(body.toString()),
+            signer: signer
+        };
+    }
+}
+
+function compress(buf, compression) {
+    switch (compression) {
+        case PayloadCompressions.DEFLATE:
+            return zlib.deflateSync(buf);
+        case PayloadCompressions.BROTLI:
+            return zlib.brotliCompressSync(buf);
+        default:
+            return buf;
+    }
+}
+
+function decompress(buf, compression) {
+    switch (compression) {
+        case PayloadCompressions.DEFLATE:
+            return zlib.inflateSync(buf, { maxOutputLength: MAX_DECOMPRESSED_SIZE });
+        case PayloadCompressions.BROTLI:
+            return zlib.brotliDecompressSync(buf, { maxOutputLength: MAX_DECOMPRESSED_SIZE });
+        default:
+            return buf;
+    }
+}
+
+module.exports = {
+    PayloadHelpers
+}
@@ -0,0 +1,89 @@
+const DEFAULT_REQUESTS_PER_SECOND = 10;
+
+/**
+ * Token bucket rate limiter. Tokens are refilled continuously at the configured rate up to the burst size,
+ * callers waiting for a token are served in FIFO order.
+ */
+class RateLimiter {
+    #rate; // Tokens per millisecond.
+    #requestsPerSecond;
+    #burst;
+    #tokens;
+    #lastRefill;
+    #waiters = [];
+    #timer = null;
+
+    /**
+     * @param {Object} [options={}] - Optional configuration options.
+     * @param {number} [options.requestsPerSecond=10] - Sustained number of requests allowed per second.
+     * @param {number} [options.burst] - Maximum number of requests allowed at once. Defaults to requestsPerSecond.
+     */
+    constructor(options = {}) {
+        this.#requestsPerSecond = options.requestsPerSecond || DEFAULT_REQUESTS_PER_SECOND;
+        this.#rate = this.#requestsPerSecond / 1000;
+        this.#burst = Math.max(1, options.burst || this.#requestsPerSecond);
+        this.#tokens = this.#burst;
+        this.#lastRefill = Date.now();
+    }
+
+    #refill() {
+        const now = Date.now();
+        this.#tokens = Math.min(this.#burst, this.#tokens + ((now - this.#lastRefill) * this.#rate));
+        this.#lastRefill = now;
+    }
+
+    #schedule() {
+        if (this.#timer)
+            return;
+
+        this.#refill();
+        const wait = Math.max(0, Math.ceil((1 - this.#tokens) / this.#rate));
+        this.#timer = setTimeout(() => {
+            this.#timer = null;
+            this.#refill();
+            while (this.#waiters.length > 0 && this.#tokens >= 1) {
+                this.#tokens--;
+                this.#waiters.shift()();
+            }
+            if (this.#waiters.length > 0)
+                this.#schedule();
+        }, wait);
+    }
+
+    /**
+     * Waits until a request is allowed and takes a token.
+     * @returns {Promise<void>}
+     */
+    async acquire() {
+        // Take a token right away only if nobody is waiting, so the waiting callers are served first.
+        if (this.#waiters.length === 0) {
+            this.#refill();
+            if (this.#tokens >= 1) {
+                this.#tokens--;
+                return;
+            }
+        }
+        await new Promise((resolve) => {
+            this.#waiters.push(resolve);
+            this.#schedule();
+        });
+    }
+
+    /**
+     * Gets the limiter status.
+     * @returns {Object} Status (requestsPerSecond, burst, tokens, waiting).
+     */
+    getStats() {
+        this.#refill();
+        return {
+            requestsPerSecond: this.#requestsPerSecond,
+            burst: this.#burst,
+            tokens: Math.floor(this.#tokens),
+            waiting: this.#waiters.length
+        };
+    }
+}
+
+module.exports = {
+    RateLimiter
+}
@@ -0,0 +1,203 @@
+const { ValidationError } = require('./errors');
+
+// Result code prefixes of the transactions which are included in a validated ledger and consume the sequence.
+const SEQUENCE_CONSUMED_PREFIXES = ['tes', 'tec'];
+// Pending sequences and reserved tickets older than this are treated as abandoned (Eg: prepared but never submitted).
+// The ones with a known LastLedgerSequence are kept until the ledger passes it instead, As they can be submitted until then.
+const PENDING_TIMEOUT = 300000;
+
+// Sequence managers shared among the XrplAccount instances of the same address. XrplApi -> Map(address -> SequenceManager)
+const sharedManagers = new WeakMap();
+
+/**
+ * Allocates account sequences locally so multiple transactions from the same account can be prepared and submitted concurrently.
+ * Keeps track of the pending sequences and resyncs with the ledger when a sequence gap is detected.
+ * Also keeps the tickets which are in use so concurrent ticket based transactions do not pick the same ticket.
+ */
+class SequenceManager {
+    #xrplApi;
+    #address;
+    #nextSequence = null;
+    #needsResync = true;
+    #syncPromise = null;
+    #pending = new Map(); // Sequence -> { allocatedAt, lastLedgerSequence }
+    #dropPendingOnSync = false;
+    #lastFinalized = null;
+    #reservedTickets = new Map(); // Ticket sequence -> { allocatedAt, lastLedgerSequence }
+
+    /**
+     * @param {XrplApi} xrplApi - XrplApi instance used to read the account sequence.
+     * @param {string} address - Account address.
+     */
+    constructor(xrplApi, address) {
+        this.#xrplApi = xrplApi;
+        this.#address = address;
+    }
+
+    /**
+     * Gets the sequence manager shared by all the accounts of the given address on the given XrplApi.
+     * @param {XrplApi} xrplApi - XrplApi instance.
+     * @param {string} address - Account address.
+     * @returns {SequenceManager} The shared sequence manager.
+     */
+    static get(xrplApi, address) {
+        let managers = sharedManagers.get(xrplApi);
+        if (!managers) {
+            managers = new Map();
+            sharedManagers.set(xrplApi, managers);
+        }
+        if (!managers.has(address))
+            managers.set(address, new SequenceManager(xrplApi, address));
+        return managers.get(address);
+    }
+
+    /**
+     * Finds the sequence manager of the given address without creating one.
+     * @param {XrplApi} xrplApi - XrplApi instance.
+     * @param {string} address - Account address.
+     * @returns {SequenceManager|null} The shared sequence manager or null if there's none.
+     */
+    static find(xrplApi, address) {
+        return sharedManagers.get(xrplApi)?.get(address) || null;
+    }
+
+    #isExpired(entry, now) {
+        return entry.lastLedgerSequence ?
+            (this.#xrplApi.ledgerIndex > entry.lastLedgerSequence) :
+            (now - entry.allocatedAt) > PENDING_TIMEOUT;
+    }
+
+    async #sync() {
+        // Share a single account_info request among the concurrent callers.
+        if (!this.#syncPromise) {
+            this.#syncPromise = (async () => {
+                try {
+                    const info = await this.#xrplApi.getAccountInfo(this.#address);
+                    this.#nextSequence = info.Sequence;
+                    // Sequences below the ledger sequence are already consumed.
+                    const now = Date.now();
+                    for (const [seq, entry] of this.#pending.entries()) {
+                        if (seq < info.Sequence || this.#dropPendingOnSync || this.#isExpired(entry, now))
+                            this.#pending.delete(seq);
+                    }
+                    this.#needsResync = false;
+                    this.#dropPendingOnSync = false;
+                }
+                finally {
+                    this.#syncPromise = null;
+                }
+            })();
+        }
+        await this.#syncPromise;
+    }
+
+    /**
+     * Allocates the next sequence for a transaction.
+     * @param {number} [lastLedgerSequence] - LastLedgerSequence of the transaction. The sequence is kept pending until the ledger passes it.
+     * @returns {Promise<number>} The allocated sequence.
+     */
+    async allocate(lastLedgerSequence = null) {
+        while (this.#needsResync || this.#nextSequence === null)
+            await this.#sync();
+
+        // Skip the sequences which are still in flight after a resync.
+        while (this.#pending.has(this.#nextSequence))
+            this.#nextSequence++;
+
+        const sequence = this.#nextSequence++;
+        this.#pending.set(sequence, { allocatedAt: Date.now(), lastLedgerSequence: lastLedgerSequence });
+        return sequence;
+    }
+
+    /**
+     * Releases an allocated sequence which is not going to be submitted. The sequence is reused by the next allocation.
+     * @param {number} sequence - Allocated sequence.
+     */
+    release(sequence) {
+        if (!this.#pending.delete(sequence))
+            return;
+
+        if (this.#nextSequence !== null && sequence < this.#nextSequence)
+            this.#nextSequence = sequence;
+    }
+
+    /**
+     * Records the outcome of a transaction submitted with an allocated sequence.
+     * @param {number} sequence - Sequence of the transaction.
+     * @param {string} [resultCode] - Final or preliminary result code. A resync is scheduled if the sequence was not consumed.
+     */
+    finalize(sequence, resultCode = null) {
+        if (!this.#pending.has(sequence))
+            return;
+
+        this.#pending.delete(sequence);
+        if (resultCode && SEQUENCE_CONSUMED_PREFIXES.includes(resultCode.substring(0, 3)))
+            this.#lastFinalized = Math.max(this.#lastFinalized || 0, sequence);
+        else // tef, tem, tel, ter or unknown outcomes leave a gap or mean we are out of sync (Eg: terPRE_SEQ, tefPAST_SEQ).
+            this.#needsResync = true;
+
+        // There's a gap below this sequence, So the pending sequences above the ledger sequence can't go through either.
+        if (resultCode === 'terPRE_SEQ')
+            this.#dropPendingOnSync = true;
+    }
+
+    /**
+     * Reserves a ticket for a transaction.
+     * @param {number} [ticket] - Ticket sequence to reserve. An available ticket of the account is picked if not specified.
+     * @param {number} [lastLedgerSequence] - LastLedgerSequence of the transaction. The ticket is kept reserved until the ledger passes it.
+     * @returns {Promise<number>} The reserved ticket sequence.
+     */
+    async reserveTicket(ticket = null, lastLedgerSequence = null) {
+        if (!ticket) {
+            const tickets = (await this.#xrplApi.getAccountObjects(this.#address, { type: 'ticket' }))
+                .map(t => t.TicketSequence).sort((a, b) => a - b);
+
+            // Reconcile the reservations with the ledger. Consumed tickets are gone from the account objects
+            // (Eg: submitted through XrplApi.submit) and the old reservations are treated as abandoned.
+            const now = Date.now();
+            for (const [reserved, entry] of this.#reservedTickets.entries()) {
+                if (!tickets.includes(reserved) || this.#isExpired(entry, now))
+                    this.#reservedTickets.delete(reserved);
+            }
+
+            ticket = tickets.find(t => !this.#reservedTickets.has(t));
+            if (!ticket)
+                throw new ValidationError('No tickets available.');
+        }
+        this.#reservedTickets.set(ticket, { allocatedAt: Date.now(), lastLedgerSequence: lastLedgerSequence });
+        return ticket;
+    }
+
+    /**
+     * Releases a reserved ticket once its transaction is completed or abandoned.
+     * @param {number} ticket - Ticket sequence.
+     */
+    releaseTicket(ticket) {
+        this.#reservedTickets.delete(ticket);
+    }
+
+    /**
+     * Schedules a resync with the ledger before the next allocation.
+     */
+    invalidate() {
+        this.#needsResync = true;
+    }
+
+    /**
+     * Gets the allocation status.
+     * @returns {Object} Status (nextSequence, pending sequences, lastFinalized, needsResync and reservedTickets).
+     */
+    getStatus() {
+        return {
+            nextSequence: this.#nextSequence,
+            pending: [...this.#pending.keys()].sort((a, b) => a - b),
+            lastFinalized: this.#lastFinalized,
+            needsResync: this.#needsResync,
+            reservedTickets: [...this.#reservedTickets.keys()].sort((a, b) => a - b)
+        };
+    }
+}
+
+module.exports = {
+    SequenceManager
+}
@@ -0,0 +1,283 @@
+const http = require('http');
+const https = require('https');
+const kp = require('ripple-keypairs');
+const { derive } = require('xrpl-accountlib');
+const { Buffer } = require('buffer');
+const { ValidationError, TimeoutError, ConnectionError } = require('./errors');
+
+const DEFAULT_REMOTE_TIMEOUT = 30000;
+
+/**
+ * Signs transactions on behalf of an account. Implementations keep the private key wherever they like
+ * and only need to provide the public key and sign the given signing data.
+ * The signature format is the same as `ripple-keypairs` sign() (DER for secp256k1 keys, raw for ed25519 keys).
+ */
+class Signer {
+    /**
+     * Gets the public key of the signing key.
+     * @returns {Promise<string>} Hex encoded public key.
+     */
+    async getPublicKey() {
+        throw new ValidationError(`${this.constructor.name} does not implement getPublicKey().`);
+    }
+
+    /**
+     * Signs the given transaction signing data.
+     * @param {string} signingData Hex encoded signing data.
+     * @param {Object} tx Transaction which is being signed. Can be used for approval checks. Null when signing a message. See signMessage().
+     * @returns {Promise<string>} Hex encoded signature.
+     */
+    async signData() {
+        throw new ValidationError(`${this.constructor.name} does not implement signData().`);
+    }
+
+    /**
+     * Signs a transaction.
+     * @param {Object} tx Transaction object.
+     * @param {XrplHelpers} xrplHelper Helpers used to encode the transaction.
+     * @param {string} [multiSignAs] Signer account address if the transaction is for multisigning.
+     * @returns {Promise<Object>} The signed transaction hash and blob. Format: {hash: string, tx_blob: string}
+     */
+    async signTransaction(tx, xrplHelper, multiSignAs = null) {
+        const publicKey = await this.getPublicKey();
+        const signingTx = { ...tx, SigningPubKey: multiSignAs ? '' : publicKey };
+        const signingData = xrplHelper.encodeForSigning(signingTx, multiSignAs);
+        const signature = (await this.signData(signingData, signingTx))?.toUpperCase();
+
+        // Do not submit transactions with bad signatures from a misbehaving signer.
+        let verified = false;
+        try {
+            verified = !!signature && kp.verify(signingData, signature, publicKey);
+        }
+        catch (e) {
+            verified = false;
+        }
+        if (!verified)
+            throw new ValidationError(`${this.constructor.name} returned an invalid signature.`);
+
+        if (multiSignAs)
+            signingTx.Signers = [{ Signer: { Account: multiSignAs, SigningPubKey: publicKey, TxnSignature: signature } }];
+        else
+            signingTx.TxnSignature = signature;
+
+        const txBlob = xrplHelper.encode(signingTx);
+        return {
+            hash: xrplHelper.computeHash(txBlob),
+            tx_blob: txBlob
+        };
+    }
+
+    /**
+     * Signs an arbitrary message with the signing key. Eg: To prove the origin of an off-ledger payload.
+     * @param {string} message Hex encoded message.
+     * @returns {Promise<Object>} The public key and the detached signature. Format: {publicKey: string, signature: string}
+     */
+    async signMessage(message) {
+        const publicKey = await this.getPublicKey();
+        const signature = (await this.signData(message, null))?.toUpperCase();
+
+        let verified = false;
+        try {
+            verified = !!signature && kp.verify(message, signature, publicKey);
+        }
+        catch (e) {
+            verified = false;
+        }
+        if (!verified)
+            throw new ValidationError(`${this.constructor.name} returned an invalid signature.`);
+
+        return {
+            publicKey: publicKey,
+            signature: signature
+        };
+    }
+}
+
+/**
+ * Signs with a family seed kept in memory. Signing is synchronous.
+ */
+class SeedSigner extends Signer {
+    #secret;
+    #keyPair;
+
+    /**
+     * @param {string} secret Family seed.
+     */
+    constructor(secret) {
+        super();
+        if (!secret)
+            throw new ValidationError('Signer secret cannot be empty.');
+        this.#secret = secret;
+        this.#keyPair = kp.deriveKeypair(secret);
+    }
+
+    async getPublicKey() {
+        return this.#keyPair.publicKey;
+    }
+
+    async signData(signingData) {
+        return kp.sign(signingData, this.#keyPair.privateKey);
+    }
+
+    /**
+     * Signs a transaction with the seed. Multisigning signs as the address derived from the seed.
+     * @param {Object} tx Transaction object.
+     * @param {XrplHelpers} xrplHelper Helpers used to encode the transaction.
+     * @param {string} [multiSignAs] Any value to sign for multisigning.
+     * @returns {Object} The signed transaction hash and blob. Format: {hash: string, tx_blob: string}
+     */
+    signTransaction(tx, xrplHelper, multiSignAs = null) {
+        return xrplHelper.sign(tx, this.#secret, !!multiSignAs);
+    }
+}
+
+/**
+ * Signs with a key pair kept in memory. Used for the keys which do not have a family seed. Eg: Keys derived from a mnemonic.
+ */
+class KeyPairSigner extends Signer {
+    #publicKey;
+    #privateKey;
+
+    /**
+     * @param {string} privateKey Hex encoded private key.
+     * @param {string} [publicKey] Hex encoded public key. Derived from the private key if not given.
+     */
+    constructor(privateKey, publicKey = null) {
+        super();
+        if (!privateKey)
+            throw new ValidationError('Signer private key cannot be empty.');
+        this.#privateKey = privateKey.toUpperCase();
+        this.#publicKey = (publicKey || derive.privatekey(this.#privateKey).keypair.publicKey).toUpperCase();
+    }
+
+    async getPublicKey() {
+        return this.#publicKey;
+    }
+
+    async signData(signingData) {
+        return kp.sign(signingData, this.#privateKey);
+    }
+}
+
+/**
+ * Signs through a user supplied callback. Eg: A KMS or HSM client.
+ */
+class CallbackSigner extends Signer {
+    #publicKey;
+    #sign;
+
+    /**
+     * @param {Object} options Signer options.
+     * @param {string|Function} options.publicKey Hex encoded public key or an async function returning it.
+     * @param {Function} options.sign Async function `(signingData, tx) => signature` returning the hex encoded signature.
+     */
+    constructor(options = {}) {
+        super();
+        if (!options.publicKey || typeof options.sign !== 'function')
+            throw new ValidationError('CallbackSigner requires publicKey and sign options.');
+        this.#publicKey = options.publicKey;
+        this.#sign = options.sign;
+    }
+
+    async getPublicKey() {
+        if (typeof this.#publicKey === 'function')
+            this.#publicKey = await this.#publicKey();
+        return this.#publicKey;
+    }
+
+    async signData(signingData, tx) {
+        return await this.#sign(signingData, tx);
+    }
+}
+
+/**
+ * Signs through a remote signing service over HTTP(S).
+ * The service should accept `POST <url>/sign` with `{ keyId, signingData, transaction }` and respond `{ signature }`.
+ * If the public key is not given, It is taken from `GET <url>/public-key?keyId=<keyId>` which should respond `{ publicKey }`.
+ */
+class RemoteSigner extends Signer {
+    #url;
+    #keyId;
+    #publicKey;
+    #headers;
+    #timeout;
+
+    /**
+     * @param {string} url Base url of the signing service.
+     * @param {Object} [options={}] Signer options.
+     * @param {string} [options.keyId] Identifier of the signing key in the service.
+     * @param {string} [options.publicKey] Hex encoded public key. Fetched from the service if not given.
+     * @param {Object} [options.headers={}] Additional request headers. Eg: Authorization.
+     * @param {number} [options.timeout=30000] Request timeout in milliseconds.
+     */
+    constructor(url, options = {}) {
+        super();
+        if (!url)
+            throw new ValidationError('RemoteSigner url cannot be empty.');
+        this.#url = url.replace(/\/+$/, '');
+        this.#keyId = options.keyId;
+        this.#publicKey = options.publicKey;
+        this.#headers = options.headers || {};
+        this.#timeout = options.timeout || DEFAULT_REMOTE_TIMEOUT;
+    }
+
+    #request(method, path, body = null) {
+        const url = new URL(this.#url + path);
+        const data = body ? JSON.stringify(body) : null;
+        const client = url.protocol === 'http:' ? http : https;
+
+        return new Promise((resolve, reject) => {
+            const req = client.request(url, {
+                method: method,
+                headers: {
+                    ...(data ? { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(data) } : {}),
+                    ...this.#headers
+                },
+                timeout: this.#timeout
+            }, res => {
+                let chunks = [];
+                res.on('data', chunk => chunks.push(chunk));
+                res.on('end', () => {
+                    const text = Buffer.concat(chunks).toString();
+                    if (res.statusCode < 200 || res.statusCode >= 300)
+                        return reject(new ConnectionError(`Signing service responded ${res.statusCode}: ${text || res.statusMessage}`, { statusCode: res.statusCode }));
+                    try {
+                        resolve(JSON.parse(text));
+                    }
+                    catch (e) {
+                        reject(new ConnectionError('Invalid response from the signing service.', { cause: e }));
+                    }
+                });
+            });
+            req.on('timeout', () => req.destroy(new TimeoutError('Signing service request timed out.')));
+            req.on('error', err => reject(err instanceof TimeoutError ? err : new ConnectionError(`Signing service request failed: ${err.message}`, { cause: err })));
+            if (data)
+                req.write(data);
+            req.end();
+        });
+    }
+
+    async getPublicKey() {
+        if (!this.#publicKey) {
+            const query = this.#keyId ? `?keyId=${encodeURIComponent(this.#keyId)}` : '';
+            const res = await this.#request('GET', `/public-key${query}`);
+            if (!res?.publicKey)
+                throw new ConnectionError('Signing service did not return a public key.');
+            this.#publicKey = res.publicKey;
+        }
+        return this.#publicKey;
+    }
+
+    async signData(signingData, tx) {
+        const res = await this.#request('POST', '/sign', { keyId: this.#keyId, signingData: signingData, transaction: tx });
+        return res?.signature;
+    }
+}
+
+module.exports = {
+    Signer,
+    SeedSigner,
+    KeyPairSigner,
+    CallbackSigner,
+    RemoteSigner
+}
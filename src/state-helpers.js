@@ -2,6 +2,7 @@ const codec = require('ripple-address-codec');
 const { Buffer } = require('buffer');
 const { HookStateKeys, EvernodeConstants } = require('./evernode-common');
 const { XflHelpers } = require('./xfl-helpers');
+const { ValidationError } = require('./errors');
 const crypto = require("crypto");
 const { sha512Half } = require('xrpl-binary-codec/dist/hashes');
 
@@ -294,6 +295,7 @@ class StateHelpers {
     static decodeTokenIdState(stateDataBuf) {
         return {
             address: codec.encodeAccountID(stateDataBuf.slice(HOST_ADDRESS_OFFSET, HOST_CPU_MODEL_NAME_OFFSET)),
+            // eslint-disable-next-line no-control-regex
             cpuModelName: stateDataBuf.slice(HOST_CPU_MODEL_NAME_OFFSET, HOST_CPU_COUNT_OFFSET).toString().replace(/\x00+$/, ''), // Remove trailing \x00 characters.
             cpuCount: stateDataBuf.readUInt16LE(HOST_CPU_COUNT_OFFSET),
             cpuMHz: stateDataBuf.readUInt16LE(HOST_CPU_SPEED_OFFSET),
@@ -369,6 +371,7 @@ class StateHelpers {
         let data = {
             ownerAddress: codec.encodeAccountID(stateDataBuf.slice(CANDIDATE_OWNER_ADDRESS_OFFSET, CANDIDATE_IDX_OFFSET)),
             index: stateDataBuf.readUInt32LE(CANDIDATE_IDX_OFFSET),
+            // eslint-disable-next-line no-control-regex
             shortName: stateDataBuf.slice(CANDIDATE_SHORT_NAME_OFFSET, CANDIDATE_CREATED_TIMESTAMP_OFFSET).toString().replace(/\x00+$/, ''), // Remove trailing \x00 characters.
             createdTimestamp: Number(stateDataBuf.readBigUInt64LE(CANDIDATE_CREATED_TIMESTAMP_OFFSET)),
             proposalFee: XflHelpers.toString(stateDataBuf.readBigInt64LE(CANDIDATE_PROPOSAL_FEE_OFFSET)),
@@ -636,14 +639,14 @@ class StateHelpers {
             }
         }
         else
-            throw { type: 'Validation Error', message: 'Invalid state key.' };
+            throw new ValidationError('Invalid state key.', { type: 'Validation Error' });
     }
 
     /**
      * Decodes a state key into a type and key.
      * @param {Buffer} stateKey - The buffer containing the state key.
      * @returns {Object} An object containing the key as a hexadecimal string and its type.
-     * @throws {Object} Throws a Validation Error if the state key is invalid.
+     * @throws {ValidationError} If the state key is invalid.
      */
     static decodeStateKey(stateKey) {
         const hexKey = stateKey.toString('hex').toUpperCase();
@@ -711,7 +714,7 @@ class StateHelpers {
             };
         }
         else
-            throw { type: 'Validation Error', message: 'Invalid state key.' };
+            throw new ValidationError('Invalid state key.', { type: 'Validation Error' });
     }
 
     /**
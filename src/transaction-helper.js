@@ -1,3 +1,4 @@
+const { Buffer } = require('buffer');
 const { MemoFormats, HookParamKeys } = require('./evernode-common');
 
 /**
@@ -5,6 +5,8 @@ const { EvernodeConstants } = require('./evernode-common');
 const { TransactionHelper } = require('./transaction-helper');
 const { EvernodeHelpers } = require('./evernode-helpers');
 
+const RIPPLE_EPOCH_OFFSET = 946684800; // Seconds between the UNIX epoch and the Ripple epoch.
+
 /**
  * Provides utility helper functions for various operations.
  */
@@ -67,6 +69,26 @@ class UtilHelpers {
         }
     }
 
+    /**
+     * Converts a time to Ripple epoch seconds (Seconds since 2000-01-01) used by the ledger time fields.
+     * @param {Date|number} time - Date or Ripple epoch seconds.
+     * @returns {number} The Ripple epoch seconds.
+     */
+    static toRippleTime(time) {
+        if (time instanceof Date)
+            return Math.floor(time.getTime() / 1000) - RIPPLE_EPOCH_OFFSET;
+        return time;
+    }
+
+    /**
+     * Converts Ripple epoch seconds to a Date.
+     * @param {number} rippleTime - Ripple epoch seconds.
+     * @returns {Date} The date.
+     */
+    static fromRippleTime(rippleTime) {
+        return new Date((rippleTime + RIPPLE_EPOCH_OFFSET) * 1000);
+    }
+
     /**
      * Derives a keypair from a given secret.
      * @param {string} secret - The secret used to derive the keypair.
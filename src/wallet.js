@@ -0,0 +1,349 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require("crypto");
+const kp = require('ripple-keypairs');
+const { Buffer } = require('buffer');
+const { derive, generate, utils } = require('xrpl-accountlib');
+const { SeedSigner, KeyPairSigner } = require('./signers');
+const { ValidationError } = require('./errors');
+
+const KEYSTORE_VERSION = 1;
+const DEFAULT_DERIVATION_PATH = "m/44'/144'/0'/0/0";
+const DERIVATION_PATH_REGEX = /^m\/44'\/144'\/(\d+)'\/(\d+)\/(\d+)$/;
+const KEY_TYPES = {
+    SEED: 'seed',
+    MNEMONIC: 'mnemonic'
+};
+
+const SCRYPT_DEFAULTS = { n: 32768, r: 8, p: 1 };
+const KEY_LENGTH = 32;
+const CIPHER = 'aes-256-gcm';
+
+function scrypt(passphrase, salt, params) {
+    return new Promise((resolve, reject) => {
+        crypto.scrypt(passphrase, salt, KEY_LENGTH, { N: params.n, r: params.r, p: params.p, maxmem: 256 * params.n * params.r }, (err, key) => {
+            if (err)
+                reject(new ValidationError('Keystore key derivation failed.', { cause: err }));
+            else
+                resolve(key);
+        });
+    });
+}
+
+/**
+ * Helpers to create account keys from mnemonics and family seeds.
+ * A key is a plain object. Format: {type, address, publicKey, privateKey, seed, mnemonic, mnemonicPassphrase, derivationPath}.
+ * Only the fields relevant to the key type are set, The others are null.
+ */
+class WalletHelpers {
+    /**
+     * Generates a BIP39 mnemonic.
+     * @param {number} [strength=256] Entropy bits. 128 gives 12 words and 256 gives 24 words.
+     * @returns {string} Space separated mnemonic words.
+     */
+    static generateMnemonic(strength = 256) {
+        if (![128, 160, 192, 224, 256].includes(strength))
+            throw new ValidationError('Mnemonic strength should be one of 128, 160, 192, 224 or 256.');
+        return generate.mnemonic({ strength: strength }).secret.mnemonic;
+    }
+
+    /**
+     * Checks whether a mnemonic has valid BIP39 words and checksum.
+     * @param {string} mnemonic Mnemonic words.
+     * @returns {boolean} True if the mnemonic is valid.
+     */
+    static isValidMnemonic(mnemonic) {
+        return typeof mnemonic === 'string' && utils.isValidMnemnic(mnemonic.trim());
+    }
+
+    /**
+     * Derives an account key from a BIP39 mnemonic.
+     * @param {string} mnemonic Mnemonic words.
+     * @param {Object} [options={}] Derivation options.
+     * @param {string} [options.derivationPath="m/44'/144'/0'/0/0"] BIP44 derivation path of the XRPL coin type.
+     * @param {string} [options.passphrase] Optional BIP39 passphrase.
+     * @returns {Object} Account key.
+     */
+    static fromMnemonic(mnemonic, options = {}) {
+        if (!this.isValidMnemonic(mnemonic))
+            throw new ValidationError('Invalid mnemonic.');
+
+        const derivationPath = options.derivationPath || DEFAULT_DERIVATION_PATH;
+        const match = derivationPath.match(DERIVATION_PATH_REGEX);
+        if (!match)
+            throw new ValidationError(`Invalid derivation path ${derivationPath}. Expected m/44'/144'/<account>'/<change>/<index>.`);
+
+        const words = mnemonic.trim().split(/\s+/).join(' ');
+        const account = derive.mnemonic(words, {
+            passphrase: options.passphrase || undefined,
+            accountPath: match[1],
+            changePath: match[2],
+            addressIndex: Number(match[3])
+        });
+        return {
+            type: KEY_TYPES.MNEMONIC,
+            address: account.address,
+            publicKey: account.keypair.publicKey,
+            privateKey: account.keypair.privateKey,
+            seed: null,
+            mnemonic: words,
+            mnemonicPassphrase: options.passphrase || null,
+            derivationPath: account.secret.path
+        };
+    }
+
+    /**
+     * Generates a new family seed.
+     * @param {string} [algorithm='ed25519'] Key algorithm. 'ed25519' or 'ecdsa-secp256k1'.
+     * @returns {string} Family seed.
+     */
+    static generateSeed(algorithm = 'ed25519') {
+        return kp.generateSeed({ algorithm: algorithm });
+    }
+
+    /**
+     * Imports an account key from a family seed.
+     * @param {string} seed Family seed.
+     * @returns {Object} Account key.
+     */
+    static fromSeed(seed) {
+        let keypair;
+        try {
+            keypair = kp.deriveKeypair(seed);
+        }
+        catch (e) {
+            throw new ValidationError('Invalid family seed.', { cause: e });
+        }
+        return {
+            type: KEY_TYPES.SEED,
+            address: kp.deriveAddress(keypair.publicKey),
+            publicKey: keypair.publicKey,
+            privateKey: keypair.privateKey,
+            seed: seed,
+            mnemonic: null,
+            mnemonicPassphrase: null,
+            derivationPath: null
+        };
+    }
+
+    /**
+     * Exports the family seed of an account key.
+     * @param {Object} key Account key.
+     * @returns {string} Family seed.
+     * @throws {ValidationError} If the key is derived from a mnemonic, Since those keys do not have a family seed.
+     */
+    static exportSeed(key) {
+        if (key?.type !== KEY_TYPES.SEED || !key.seed)
+            throw new ValidationError('Mnemonic derived keys do not have a family seed, Export the mnemonic and the derivation path instead.');
+        return key.seed;
+    }
+
+    /**
+     * Gets a signer for an account key.
+     * @param {Object} key Account key.
+     * @returns {Signer} SeedSigner for seed keys and KeyPairSigner for mnemonic keys.
+     */
+    static getSigner(key) {
+        return key.seed ? new SeedSigner(key.seed) : new KeyPairSigner(key.privateKey, key.publicKey);
+    }
+}
+
+/**
+ * Encrypted JSON keystore. Keys are kept in named profiles, Each having an account key and optionally a reputation account key.
+ * Secrets of a profile are encrypted with AES-256-GCM using a key derived from the passphrase with scrypt.
+ * Addresses are kept in clear text so the profiles can be listed without the passphrase.
+ */
+class Keystore {
+    #profiles = {};
+
+    /**
+     * @param {Object} [data] Keystore data returned by toJSON().
+     */
+    constructor(data = null) {
+        if (data) {
+            if (data.version !== KEYSTORE_VERSION)
+                throw new ValidationError(`Unsupported keystore version ${data.version}.`);
+            this.#profiles = { ...(data.profiles || {}) };
+        }
+    }
+
+    /**
+     * Loads a keystore file. An empty keystore is returned if the file does not exist.
+     * @param {string} filePath Keystore file path.
+     * @returns {Keystore} The keystore.
+     */
+    static load(filePath) {
+        if (!fs.existsSync(filePath))
+            return new Keystore();
+        try {
+            return new Keystore(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+        }
+        catch (e) {
+            if (e instanceof ValidationError)
+                throw e;
+            throw new ValidationError(`Invalid keystore file: ${filePath}`, { cause: e });
+        }
+    }
+
+    /**
+     * Saves the keystore to a file readable only by the owner.
+     * @param {string} filePath Keystore file path.
+     */
+    save(filePath) {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        // Write to a temporary file and rename so a failed write does not corrupt the existing keystore.
+        const tmpPath = `${filePath}.${Date.now()}${Math.floor(Math.random() * 1000)}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(this, null, 2), { mode: 0o600 });
+        fs.renameSync(tmpPath, filePath);
+    }
+
+    /**
+     * Lists the profiles without decrypting them.
+     * @returns {Array<Object>} Profiles. Format: [{name, address, reputationAddress}].
+     */
+    getProfiles() {
+        return Object.entries(this.#profiles).map(([name, p]) => ({ name: name, address: p.address, reputationAddress: p.reputationAddress || null }));
+    }
+
+    /**
+     * Checks whether a profile exists.
+     * @param {string} name Profile name.
+     * @returns {boolean} True if the profile exists.
+     */
+    hasProfile(name) {
+        return !!this.#profiles[name];
+    }
+
+    /**
+     * Adds a profile to the keystore.
+     * @param {string} name Profile name.
+     * @param {string} passphrase Passphrase to encrypt the profile.
+     * @param {Object|string} account Account key from WalletHelpers or a family seed.
+     * @param {Object|string} [reputation] Reputation account key or family seed of a host.
+     * @param {Object} [options={}] Options.
+     * @param {boolean} [options.overwrite=false] Replace an existing profile with the same name.
+     * @param {Object} [options.scrypt] Scrypt parameters {n, r, p}. Defaults to {n: 32768, r: 8, p: 1}.
+     * @returns {Promise<Object>} Added profile. Format: {name, address, reputationAddress}.
+     */
+    async addProfile(name, passphrase, account, reputation = null, options = {}) {
+        if (!name)
+            throw new ValidationError('Profile name cannot be empty.');
+        if (!passphrase)
+            throw new ValidationError('Passphrase cannot be empty.');
+        if (this.#profiles[name] && !options.overwrite)
+            throw new ValidationError(`Profile ${name} already exists.`);
+
+        const accountKey = (typeof account === 'string') ? WalletHelpers.fromSeed(account) : account;
+        const reputationKey = (typeof reputation === 'string') ? WalletHelpers.fromSeed(reputation) : reputation;
+        if (!accountKey?.address)
+            throw new ValidationError('Account key is required.');
+        if (reputationKey && reputationKey.address === accountKey.address)
+            throw new ValidationError('Reputation account should be different from the account.');
+
+        const params = { ...SCRYPT_DEFAULTS, ...(options.scrypt || {}) };
+        const salt = crypto.randomBytes(32);
+        const iv = crypto.randomBytes(12);
+        const key = await scrypt(passphrase, salt, params);
+
+        const profile = { address: accountKey.address, reputationAddress: reputationKey?.address || null };
+        const cipher = crypto.createCipheriv(CIPHER, key, iv);
+        cipher.setAAD(Buffer.from(getAssociatedData(name, profile)));
+        const plain = JSON.stringify({ account: toSecret(accountKey), reputation: reputationKey ? toSecret(reputationKey) : null });
+        const ciphertext = Buffer.concat([cipher.update(plain, 'utf8'), cipher.final()]);
+
+        this.#profiles[name] = {
+            ...profile,
+            crypto: {
+                kdf: 'scrypt',
+                kdfparams: { ...params, dklen: KEY_LENGTH, salt: salt.toString('hex') },
+                cipher: CIPHER,
+                iv: iv.toString('hex'),
+                tag: cipher.getAuthTag().toString('hex'),
+                ciphertext: ciphertext.toString('hex')
+            },
+            createdAt: new Date().toISOString()
+        };
+        return { name: name, ...profile };
+    }
+
+    /**
+     * Decrypts a profile.
+     * @param {string} name Profile name.
+     * @param {string} passphrase Passphrase of the profile.
+     * @returns {Promise<Object>} Decrypted profile. Format: {name, account, reputation}. Keys are in the WalletHelpers format and reputation is null if the profile does not have one.
+     * @throws {ValidationError} If the profile does not exist or the passphrase is wrong.
+     */
+    async unlock(name, passphrase) {
+        const profile = this.#profiles[name];
+        if (!profile)
+            throw new ValidationError(`Profile ${name} does not exist.`);
+
+        const c = profile.crypto;
+        if (c?.kdf !== 'scrypt' || c?.cipher !== CIPHER)
+            throw new ValidationError(`Unsupported encryption of profile ${name}.`);
+
+        const key = await scrypt(passphrase || '', Buffer.from(c.kdfparams.salt, 'hex'), c.kdfparams);
+        let secrets;
+        try {
+            const decipher = crypto.createDecipheriv(CIPHER, key, Buffer.from(c.iv, 'hex'));
+            decipher.setAAD(Buffer.from(getAssociatedData(name, profile)));
+            decipher.setAuthTag(Buffer.from(c.tag, 'hex'));
+            secrets = JSON.parse(Buffer.concat([decipher.update(Buffer.from(c.ciphertext, 'hex')), decipher.final()]).toString('utf8'));
+        }
+        catch (e) {
+            throw new ValidationError(`Could not decrypt profile ${name}. Passphrase is wrong or the keystore is corrupted.`);
+        }
+
+        const account = fromSecret(secrets.account);
+        const reputation = secrets.reputation ? fromSecret(secrets.reputation) : null;
+        if (account.address !== profile.address || (reputation?.address || null) !== (profile.reputationAddress || null))
+            throw new ValidationError(`Keys of profile ${name} do not match its addresses.`);
+
+        return { name: name, account: account, reputation: reputation };
+    }
+
+    /**
+     * Removes a profile.
+     * @param {string} name Profile name.
+     * @returns {boolean} True if the profile existed.
+     */
+    removeProfile(name) {
+        const exists = !!this.#profiles[name];
+        delete this.#profiles[name];
+        return exists;
+    }
+
+    /**
+     * Gets the keystore data to be saved. Used by JSON.stringify().
+     * @returns {Object} Keystore data.
+     */
+    toJSON() {
+        return {
+            version: KEYSTORE_VERSION,
+            profiles: this.#profiles
+        };
+    }
+}
+
+// Binds the clear text fields to the ciphertext, So the addresses of a profile cannot be swapped.
+function getAssociatedData(name, profile) {
+    return `${name}:${profile.address}:${profile.reputationAddress || ''}`;
+}
+
+// Secret part of a key which is kept encrypted in the keystore.
+function toSecret(key) {
+    return key.type === KEY_TYPES.MNEMONIC ?
+        { type: KEY_TYPES.MNEMONIC, mnemonic: key.mnemonic, mnemonicPassphrase: key.mnemonicPassphrase, derivationPath: key.derivationPath } :
+        { type: KEY_TYPES.SEED, seed: key.seed };
+}
+
+function fromSecret(secret) {
+    return secret.type === KEY_TYPES.MNEMONIC ?
+        WalletHelpers.fromMnemonic(secret.mnemonic, { passphrase: secret.mnemonicPassphrase, derivationPath: secret.derivationPath }) :
+        WalletHelpers.fromSeed(secret.seed);
+}
+
+module.exports = {
+    WalletHelpers,
+    Keystore
+}
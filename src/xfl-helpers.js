@@ -1,3 +1,5 @@
+const { ValidationError } = require('./errors');
+
 const minMantissa = 1000000000000000n
 const maxMantissa = 9999999999999999n
 const minExponent = -96
@@ -12,11 +14,11 @@ class XflHelpers {
      * Retrieves the exponent of the XFL float number.
      * @param {bigint} xfl - The XFL float number.
      * @returns {bigint} The exponent of the XFL float number.
-     * @throws {string} Throws an error if the XFL float number is negative.
+     * @throws {ValidationError} Throws an error if the XFL float number is negative.
      */
     static getExponent(xfl) {
         if (xfl < 0n)
-            throw "Invalid XFL";
+            throw new ValidationError("Invalid XFL");
         if (xfl == 0n)
             return 0n;
         return ((xfl >> 54n) & 0xFFn) - 97n;
@@ -26,11 +28,11 @@ class XflHelpers {
      * Retrieves the mantissa of the XFL float number.
      * @param {bigint} xfl - The XFL float number.
      * @returns {bigint} The mantissa of the XFL float number.
-     * @throws {string} Throws an error if the XFL float number is negative.
+     * @throws {ValidationError} Throws an error if the XFL float number is negative.
      */
     static getMantissa(xfl) {
         if (xfl < 0n)
-            throw "Invalid XFL";
+            throw new ValidationError("Invalid XFL");
         if (xfl == 0n)
             return 0n;
         return xfl - ((xfl >> 54n) << 54n);
@@ -40,11 +42,11 @@ class XflHelpers {
      * Checks if the XFL float number is negative.
      * @param {bigint} xfl - The XFL float number.
      * @returns {boolean} `true` if the XFL float number is negative, otherwise `false`.
-     * @throws {string} Throws an error if the XFL float number is negative.
+     * @throws {ValidationError} Throws an error if the XFL float number is negative.
      */
     static isNegative(xfl) {
         if (xfl < 0n)
-            throw "Invalid XFL";
+            throw new ValidationError("Invalid XFL");
         if (xfl == 0n)
             return false;
         return ((xfl >> 62n) & 1n) == 0n;
@@ -54,11 +56,11 @@ class XflHelpers {
      * Converts an XFL float number to its string representation.
      * @param {bigint} xfl - The XFL float number.
      * @returns {string} The string representation of the XFL float number.
-     * @throws {string} Throws an error if the XFL float number is negative.
+     * @throws {ValidationError} Throws an error if the XFL float number is negative.
      */
     static toString(xfl) {
         if (xfl < 0n)
-            throw "Invalid XFL";
+            throw new ValidationError("Invalid XFL");
         if (xfl == 0n)
             return '0';
 
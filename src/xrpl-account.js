@@ -1,11 +1,28 @@
 const xrpl = require('xrpl');
 const codec = require('ripple-address-codec');
 const crypto = require("crypto");
-const { XrplConstants, XrplTransactionTypes } = require('./xrpl-common');
+const { Buffer } = require('buffer');
+const { XrplConstants, XrplTransactionTypes, HookSetFlags } = require('./xrpl-common');
 const { TransactionHelper } = require('./transaction-helper');
 const { EventEmitter } = require('./event-emitter');
 const { Defaults } = require('./defaults');
 const { UtilHelpers } = require('./util-helpers');
+const { Logger } = require('./logger');
+const { SequenceManager } = require('./sequence-manager');
+const { XrplHelpers } = require('./xrpl-helpers');
+const { AbortHelpers } = require('./abort-helpers');
+const { ValidationError, TransactionFailedError, TimeoutError, AbortError } = require('./errors');
+const { SeedSigner } = require('./signers');
+const { EscrowHelpers } = require('./escrow-helpers');
+const { CheckHelpers } = require('./check-helpers');
+const { HookHelpers } = require('./hook-helpers');
+
+const MAX_HOOKS = 10; // Maximum hook positions of an account.
+const ACCOUNT_DELETE_SEQUENCE_GAP = 256; // Account sequence should be this far behind the ledger index to delete the account.
+const TEARDOWN_RETRY_INTERVAL = 10000;
+const ZERO_WALLET_LOCATOR = '0'.repeat(64); // AccountSet removes the WalletLocator when it is set to zero.
+const LSF_REQUIRE_DEST_TAG = 0x00020000;
+const DELETED_WITH_ACCOUNT = ['Offer', 'SignerList', 'Ticket', 'DepositPreauth', 'NFTokenOffer']; // Ledger objects removed by AccountDelete itself.
 
 /**
  * Represents an XRP Ledger account and provides methods for account management.
@@ -15,23 +32,38 @@ class XrplAccount {
     #events = new EventEmitter();
     #subscribed = false;
     #txStreamHandler;
+    #logger;
+    #sequenceManager = null;
+    #offlineHelper = null;
+    #signer = null;
 
     /**
     * Constructs an XrplAccount instance.
     * @param {string|null} address - The account address (optional).
     * @param {string|null} secret - The secret key (optional).
     * @param {Object} options - Additional options (optional).
+    * @param {Object} [options.xrplApi] - The XRPL API instance.
+    * @param {Object} [options.logger] - Console-compatible logger to use instead of the default logger.
+    * @param {boolean} [options.manageSequence=false] - Allocate transaction sequences locally so concurrent transactions from this account do not collide.
+    * @param {boolean} [options.offline=false] - Prepare and sign transactions without a network connection. Sequence, fee, maxLedgerIndex and networkID should be given in the transaction options.
+    * @param {Object|string} [options.definitions] - Server definitions object or definitions json file path used in offline mode. Defaults to the bundled Xahau definitions.
+    * @param {Signer} [options.signer] - Signer used instead of the secret to sign the transactions. Eg: A CallbackSigner or RemoteSigner.
     */
     constructor(address = null, secret = null, options = {}) {
         if (!address && !secret)
-            throw "Both address and secret cannot be empty";
+            throw new ValidationError("Both address and secret cannot be empty");
+        if (options.signer && secret)
+            throw new ValidationError("Secret and signer cannot be specified together.");
 
         this.address = address;
         this.secret = secret;
         this.xrplApi = options.xrplApi || Defaults.values.xrplApi;
+        this.#logger = new Logger(options.logger);
 
-        if (!this.xrplApi)
-            throw "XrplAccount: xrplApi not specified.";
+        if (options.offline)
+            this.#offlineHelper = XrplHelpers.fromDefinitions(options.definitions);
+        else if (!this.xrplApi)
+            throw new ValidationError("XrplAccount: xrplApi not specified.");
 
         if (!this.address && this.secret) {
             this.wallet = xrpl.Wallet.fromSeed(this.secret);
@@ -45,6 +77,11 @@ class XrplAccount {
                 this.wallet = xrpl.Wallet.fromSeed(this.secret, { masterAddress: this.address });
         }
 
+        this.#signer = options.signer || (this.secret ? new SeedSigner(this.secret) : null);
+
+        if (options.manageSequence && !this.#offlineHelper)
+            this.#sequenceManager = SequenceManager.get(this.xrplApi, this.address);
+
         this.#txStreamHandler = (eventName, tx, error) => {
             this.#events.emit(eventName, tx, error);
         };
@@ -84,7 +121,7 @@ class XrplAccount {
      */
     deriveKeypair() {
         if (!this.secret)
-            throw 'Cannot derive key pair: Account secret is empty.';
+            throw new ValidationError('Cannot derive key pair: Account secret is empty.');
 
         return UtilHelpers.deriveKeypair(this.secret);
     }
@@ -178,6 +215,26 @@ class XrplAccount {
         return await this.xrplApi.getAccountObjects(fromAccount, { type: "check" });
     }
 
+    /**
+     * Retrieves the outstanding checks sent and received by the account in decoded form.
+     * @returns {Promise<Object>} Decoded checks. Format: {outgoing: Array<Object>, incoming: Array<Object>}. See CheckHelpers.decodeCheck().
+     */
+    async getOutstandingChecks() {
+        const checks = (await this.xrplApi.getAccountObjects(this.address, { type: "check" })).map(c => CheckHelpers.decodeCheck(c));
+        return {
+            outgoing: checks.filter(c => c.sender === this.address),
+            incoming: checks.filter(c => c.destination === this.address)
+        };
+    }
+
+    /**
+     * Retrieves the escrows of the account (Both created by and destined to the account).
+     * @returns {Promise<Array<Object>>} The list of escrows.
+     */
+    async getEscrows() {
+        return await this.xrplApi.getAccountObjects(this.address, { type: "escrow" });
+    }
+
     /**
      * Retrieves the NFTs for the account.
      * @returns {Promise<Array<Object>>} The list of NFTs.
@@ -225,6 +282,15 @@ class XrplAccount {
         return await this.xrplApi.getAccountObjects(this.address, options);
     }
 
+    /**
+     * Iterates the account objects page by page.
+     * @param {Object} [options={}] The options for retrieving account objects. pageSize and marker control the paging.
+     * @returns {AsyncGenerator<Object>} Pages as { items, marker }.
+     */
+    async *iterateAccountObjects(options = {}) {
+        yield* this.xrplApi.iterateAccountObjects(this.address, options);
+    }
+
     /**
      * Retrieves namespace entries for the account.
      * @param {string} namespaceId The ID of the namespace to retrieve entries for.
@@ -235,6 +301,16 @@ class XrplAccount {
         return await this.xrplApi.getNamespaceEntries(this.address, namespaceId, options);
     }
 
+    /**
+     * Iterates the namespace entries of the account page by page.
+     * @param {string} namespaceId The ID of the namespace to retrieve entries for.
+     * @param {Object} [options={}] The options for retrieving namespace entries. pageSize and marker control the paging.
+     * @returns {AsyncGenerator<Object>} Pages as { items, marker }.
+     */
+    async *iterateNamespaceEntries(namespaceId, options = {}) {
+        yield* this.xrplApi.iterateNamespaceEntries(this.address, namespaceId, options);
+    }
+
     /**
      * Retrieves the flags set on the account.
      * @returns {Promise<Object>} The account flags.
@@ -254,12 +330,33 @@ class XrplAccount {
         return await this.xrplApi.getAccountTrx(this.address, { ledger_index_min: minLedgerIndex, ledger_index_max: maxLedgerIndex, forward: isForward });
     }
 
+    /**
+     * Retrieves the tickets of the account which are available to be used.
+     * @returns {Promise<Array<number>>} The list of ticket sequences in ascending order.
+     */
+    async getTickets() {
+        return (await this.getAccountObjects({ type: 'ticket' })).map(t => t.TicketSequence).sort((a, b) => a - b);
+    }
+
+    /**
+     * Iterates account transactions within a specified ledger range page by page.
+     * @param {number} [minLedgerIndex=-1] The minimum ledger index to retrieve transactions from.
+     * @param {number} [maxLedgerIndex=-1] The maximum ledger index to retrieve transactions from.
+     * @param {boolean} [isForward=true] Whether to retrieve transactions in forward order.
+     * @param {Object} [options={}] Paging options. pageSize and marker.
+     * @returns {AsyncGenerator<Object>} Pages as { items, marker }.
+     */
+    async *iterateAccountTrx(minLedgerIndex = -1, maxLedgerIndex = -1, isForward = true, options = {}) {
+        yield* this.xrplApi.iterateAccountTrx(this.address, { ...options, ledger_index_min: minLedgerIndex, ledger_index_max: maxLedgerIndex, forward: isForward });
+    }
+
     /**
      * Checks if the current wallet has a valid key pair for the account.
      * @returns {Promise<boolean>} True if the key pair is valid, otherwise false.
      */
     async hasValidKeyPair() {
-        return await this.xrplApi.isValidKeyForAddress(this.wallet.publicKey, this.address);
+        const publicKey = this.wallet?.publicKey || await this.#signer?.getPublicKey();
+        return await this.xrplApi.isValidKeyForAddress(publicKey, this.address);
     }
 
     /**
@@ -270,7 +367,7 @@ class XrplAccount {
      */
     async setAccountFields(fields, options = {}) {
         const preparedTxn = await this.prepareSetAccountFields(fields, options);
-        return await this.signAndSubmit(preparedTxn, options.submissionRef);
+        return await this.signAndSubmit(preparedTxn, options.submissionRef, { signal: options.signal });
     }
 
     /**
@@ -284,7 +381,7 @@ class XrplAccount {
     async prepareSetAccountFields(fields, options = {}) {
 
         if (!options?.allowEmptyAccountSet && Object.keys(fields ?? {}).length === 0)
-            throw "AccountSet fields cannot be empty.";
+            throw new ValidationError("AccountSet fields cannot be empty.");
 
         delete options?.allowEmptyAccountSet;
 
@@ -325,7 +422,7 @@ class XrplAccount {
     async setSignerList(signerList = [], options = {}) {
 
         const preparedTxn = await this.prepareSetSignerList(signerList, options);
-        return await this.signAndSubmit(preparedTxn, options.submissionRef);
+        return await this.signAndSubmit(preparedTxn, options.submissionRef, { signal: options.signal });
     }
 
     /**
@@ -336,17 +433,17 @@ class XrplAccount {
      */
     async prepareSetSignerList(signerList = [], options = {}) {
         if (options.signerQuorum < 0)
-            throw ("Everpocket: quorum can't be less than zero.");
+            throw new ValidationError("Everpocket: quorum can't be less than zero.");
 
         if (options.signerQuorum > 0 && signerList.length >= 0) {
             let totalWeight = 0;
             for (const signer of signerList) {
                 if (!(signer.account && signer.account.length > 0 && signer.weight && signer.weight > 0))
-                    throw ("Everpocket: Signer list is invalid");
+                    throw new ValidationError("Everpocket: Signer list is invalid");
                 totalWeight += signerList.weight;
             }
             if (totalWeight < options.signerQuorum)
-                throw ("Everpocket: Total weight is less than the quorum");
+                throw new ValidationError("Everpocket: Total weight is less than the quorum");
         }
 
         signerList = signerList.sort((a, b) => a.account < b.account ? -1 : 1);
@@ -369,6 +466,44 @@ class XrplAccount {
         return await this.#prepareSubmissionTransaction(signerListTx, options);
     }
 
+    /**
+     * Installs, updates or removes the hooks of the account.
+     * @param {Array<Object|null>} hooks Hooks by the hook position (Max 10). Null keeps the hook in that position unchanged. See prepareSetHooks() for the hook format.
+     * @param {Object} [options={}] Additional options for the transaction.
+     * @returns {Promise<Object>} The result of the sign and submit operation.
+     */
+    async setHooks(hooks, options = {}) {
+        const preparedTxn = await this.prepareSetHooks(hooks, options);
+        return await this.signAndSubmit(preparedTxn, options.submissionRef, { signal: options.signal });
+    }
+
+    /**
+     * Prepares a SetHook transaction.
+     * @param {Array<Object|null>} hooks Hooks by the hook position (Max 10). Null keeps the hook in that position unchanged.
+     * Hook format: { wasm, hash, namespace, hookOn, transactionTypes, parameters, grants, apiVersion, flags, delete }
+     * - wasm: Wasm binary (Buffer or hex) to install. Or hash: Hook hash of an existing hook definition to install or update.
+     * - namespace: Hook namespace, Required with wasm. See HookHelpers.getNamespace().
+     * - hookOn: HookOn mask. Or transactionTypes: Transaction types to fire the hook on. See HookHelpers.getHookOn().
+     * - parameters: Hook parameters as [{ name, value }] in hex.
+     * - grants: Hook grants as [{ hookHash, authorize }].
+     * - apiVersion: Hook API version of the wasm. Defaults to 0.
+     * - flags: HookSetFlags. Defaults to HookSetFlags.OVERRIDE when installing.
+     * - delete: Set true to remove the hook in the position.
+     * @param {Object} [options={}] Additional options for the transaction.
+     * @returns {Promise<Object>} The prepared SetHook transaction.
+     */
+    async prepareSetHooks(hooks, options = {}) {
+        if (!hooks?.length || hooks.length > MAX_HOOKS)
+            throw new ValidationError(`Hooks should contain 1 to ${MAX_HOOKS} hook positions.`);
+
+        return await this.#prepareSubmissionTransaction({
+            TransactionType: XrplTransactionTypes.SET_HOOK,
+            Account: this.address,
+            Hooks: hooks.map(h => formatHook(h)),
+            HookParameters: TransactionHelper.formatHookParams(options.hookParams)
+        }, options);
+    }
+
     /**
      * Invokes a transaction to a specified address.
      * @param {string} toAddr The destination address.
@@ -378,7 +513,7 @@ class XrplAccount {
      */
     async invoke(toAddr, blobObj = null, options = {}) {
         const preparedTxn = await this.prepareInvoke(toAddr, blobObj, options);
-        return await this.signAndSubmit(preparedTxn, options.submissionRef);
+        return await this.signAndSubmit(preparedTxn, options.submissionRef, { signal: options.signal });
     }
 
     /**
@@ -419,7 +554,7 @@ class XrplAccount {
      */
     async makePayment(toAddr, amount, currency = null, issuer = null, memos = null, options = {}) {
         const preparedTxn = await this.prepareMakePayment(toAddr, amount, currency, issuer, memos, options);
-        return await this.signAndSubmit(preparedTxn, options.submissionRef);
+        return await this.signAndSubmit(preparedTxn, options.submissionRef, { signal: options.signal });
     }
 
     /**
@@ -458,7 +593,7 @@ class XrplAccount {
      */
     async setTrustLine(currency, issuer, limit, allowRippling = false, memos = null, options = {}) {
         const preparedTxn = await this.prepareSetTrustLine(currency, issuer, limit, allowRippling, memos, options);
-        return await this.signAndSubmit(preparedTxn, options.submissionRef);
+        return await this.signAndSubmit(preparedTxn, options.submissionRef, { signal: options.signal });
     }
 
     /**
@@ -474,7 +609,7 @@ class XrplAccount {
     async prepareSetTrustLine(currency, issuer, limit, allowRippling = false, memos = null, options = {}) {
 
         if (typeof limit !== 'string')
-            throw "Limit must be a string.";
+            throw new ValidationError("Limit must be a string.");
 
         let tx = {
             TransactionType: XrplTransactionTypes.TRUST_SET,
@@ -503,12 +638,12 @@ class XrplAccount {
      */
     async setRegularKey(regularKey, memos = null, options = {}) {
         const preparedTxn = await this.prepareSetRegularKey(regularKey, memos, options);
-        return await this.signAndSubmit(preparedTxn, options.submissionRef);
+        return await this.signAndSubmit(preparedTxn, options.submissionRef, { signal: options.signal });
     }
 
     /**
      * Prepares a transaction to set the regular key for the account.
-     * @param {string} regularKey The regular key to set.
+     * @param {string|null} regularKey The regular key to set. Null removes the regular key.
      * @param {Array|null} [memos=null] Optional memos to attach to the transaction.
      * @param {Object} [options={}] Additional options for the transaction.
      * @returns {Promise<Object>} The prepared regular key transaction.
@@ -518,7 +653,179 @@ class XrplAccount {
         return await this.#prepareSubmissionTransaction({
             TransactionType: XrplTransactionTypes.SET_REGULAR_KEY,
             Account: this.address,
-            RegularKey: regularKey,
+            ...(regularKey ? { RegularKey: regularKey } : {}),
+            Memos: TransactionHelper.formatMemos(memos),
+            HookParameters: TransactionHelper.formatHookParams(options.hookParams)
+        }, options);
+    }
+
+    /**
+     * Rotates the regular key of the account and switches the account to sign with the new key.
+     * The new key is verified by submitting an AccountSet signed with it before the master key is disabled.
+     * If the verification fails the previous regular key is restored with the current key. This needs the current key
+     * to be the master key, Since the previous regular key is no longer valid once the new one is set.
+     * @param {string|Signer} newKey Secret or signer of the new regular key.
+     * @param {Object} [options={}] Rotation options.
+     * @param {boolean} [options.disableMaster=false] Disable the master key after the new key is verified.
+     * @param {boolean} [options.rollback=true] Restore the previous regular key if the verification fails.
+     * @param {Object} [options.verificationFields={}] Fields to set in the verifying AccountSet. Eg: { MessageKey: '...' }
+     * @param {AbortSignal} [options.signal] Stops waiting for the results of the transactions.
+     * @returns {Promise<Object>} Rotation result. Format: {regularKey, previousRegularKey, masterDisabled}.
+     * @throws {ValidationError} If the new key could not be verified. `rolledBack` tells whether the previous regular key was restored.
+     */
+    async rotateRegularKey(newKey, options = {}) {
+        if (!this.#signer)
+            throw new ValidationError('Cannot rotate the regular key: Account has no secret or signer.');
+
+        const newSigner = (typeof newKey === 'string') ? new SeedSigner(newKey) : newKey;
+        if (typeof newSigner?.signTransaction !== 'function')
+            throw new ValidationError('New key should be a secret or a signer.');
+        const regularKey = UtilHelpers.deriveAddress(await newSigner.getPublicKey());
+        if (regularKey === this.address)
+            throw new ValidationError('Regular key cannot be the master key of the account.');
+
+        const previousRegularKey = (await this.getInfo())?.RegularKey || null;
+        const txOptions = { signal: options.signal };
+        await this.setRegularKey(regularKey, null, txOptions);
+
+        const newKeyAcc = new XrplAccount(this.address, null, { xrplApi: this.xrplApi, manageSequence: !!this.#sequenceManager, signer: newSigner });
+        try {
+            await newKeyAcc.setAccountFields(options.verificationFields || {}, { ...txOptions, allowEmptyAccountSet: true });
+        }
+        catch (e) {
+            this.#logger.error("New regular key verification failed.", { address: this.address, regularKey: regularKey, error: e });
+            let rolledBack = false;
+            if (options.rollback ?? true) {
+                try {
+                    await this.setRegularKey(previousRegularKey, null, txOptions);
+                    rolledBack = true;
+                }
+                catch (rollbackErr) {
+                    this.#logger.error("Regular key rollback failed.", { address: this.address, error: rollbackErr });
+                }
+            }
+            throw new ValidationError(`New regular key verification failed${rolledBack ? ', Restored the previous regular key' : ''}.`,
+                { cause: e, regularKey: regularKey, previousRegularKey: previousRegularKey, rolledBack: rolledBack });
+        }
+
+        if (options.disableMaster)
+            await newKeyAcc.setAccountFields({ Flags: { asfDisableMaster: true } }, txOptions);
+
+        this.#signer = newSigner;
+        this.secret = (typeof newKey === 'string') ? newKey : null;
+        this.wallet = this.secret ? xrpl.Wallet.fromSeed(this.secret, { masterAddress: this.address }) : undefined;
+
+        return {
+            regularKey: regularKey,
+            previousRegularKey: previousRegularKey,
+            masterDisabled: !!options.disableMaster
+        };
+    }
+
+    /**
+     * Creates tickets which can be used to submit transactions out of the sequence order.
+     * @param {number} count Number of tickets to create.
+     * @param {Array|null} [memos=null] Optional memos to attach to the transaction.
+     * @param {Object} [options={}] Additional options for the transaction.
+     * @returns {Promise<Object>} The result of the sign and submit operation.
+     */
+    async createTickets(count, memos = null, options = {}) {
+        const preparedTxn = await this.prepareCreateTickets(count, memos, options);
+        return await this.signAndSubmit(preparedTxn, options.submissionRef, { signal: options.signal });
+    }
+
+    /**
+     * Prepares a TicketCreate transaction.
+     * @param {number} count Number of tickets to create (1 to 250).
+     * @param {Array|null} [memos=null] Optional memos to attach to the transaction.
+     * @param {Object} [options={}] Additional options for the transaction.
+     * @returns {Promise<Object>} The prepared TicketCreate transaction.
+     */
+    async prepareCreateTickets(count, memos = null, options = {}) {
+        if (!Number.isInteger(count) || count < 1 || count > 250)
+            throw new ValidationError("Ticket count should be between 1 and 250.");
+
+        return await this.#prepareSubmissionTransaction({
+            TransactionType: XrplTransactionTypes.TICKET_CREATE,
+            Account: this.address,
+            TicketCount: count,
+            Memos: TransactionHelper.formatMemos(memos),
+            HookParameters: TransactionHelper.formatHookParams(options.hookParams)
+        }, options);
+    }
+
+    /**
+     * Creates a check which the destination can cash later.
+     * @param {string} toAddr The destination address.
+     * @param {string} amount The maximum amount the destination can cash (Drops for XAH).
+     * @param {string|null} [currency=null] Currency code for token checks. Eg: EVR.
+     * @param {string|null} [issuer=null] Issuer for token checks.
+     * @param {Object} [terms={}] Optional check terms.
+     * @param {Date|number} [terms.expiration] Time (Date or Ripple epoch seconds) after which the check cannot be cashed.
+     * @param {number} [terms.destinationTag] Destination tag.
+     * @param {string} [terms.invoiceId] Invoice ID. See CheckHelpers.formatInvoiceId().
+     * @param {Array|null} [memos=null] Optional memos to attach to the transaction.
+     * @param {Object} [options={}] Additional options for the transaction.
+     * @returns {Promise<Object>} The result of the sign and submit operation.
+     */
+    async createCheck(toAddr, amount, currency = null, issuer = null, terms = {}, memos = null, options = {}) {
+        const preparedTxn = await this.prepareCreateCheck(toAddr, amount, currency, issuer, terms, memos, options);
+        return await this.signAndSubmit(preparedTxn, options.submissionRef, { signal: options.signal });
+    }
+
+    /**
+     * Prepares a check create transaction.
+     * The check ID is CheckHelpers.getCheckIndex() of the account and the Sequence (Or the TicketSequence) of this transaction.
+     * @param {string} toAddr The destination address.
+     * @param {string} amount The maximum amount the destination can cash (Drops for XAH).
+     * @param {string|null} [currency=null] Currency code for token checks. Eg: EVR.
+     * @param {string|null} [issuer=null] Issuer for token checks.
+     * @param {Object} [terms={}] Optional check terms. Same as createCheck().
+     * @param {Array|null} [memos=null] Optional memos to attach to the transaction.
+     * @param {Object} [options={}] Additional options for the transaction.
+     * @returns {Promise<Object>} The prepared check create transaction.
+     */
+    async prepareCreateCheck(toAddr, amount, currency = null, issuer = null, terms = {}, memos = null, options = {}) {
+        if (toAddr === this.address)
+            throw new ValidationError("Cannot create a check to the same account.");
+
+        return await this.#prepareSubmissionTransaction({
+            TransactionType: XrplTransactionTypes.CHECK_CREATE,
+            Account: this.address,
+            Destination: toAddr,
+            SendMax: makeAmountObject(amount, currency, issuer),
+            ...((terms.expiration !== undefined && terms.expiration !== null) ? { Expiration: UtilHelpers.toRippleTime(terms.expiration) } : {}),
+            ...(terms.destinationTag !== undefined ? { DestinationTag: terms.destinationTag } : {}),
+            ...(terms.invoiceId ? { InvoiceID: CheckHelpers.formatInvoiceId(terms.invoiceId) } : {}),
+            Memos: TransactionHelper.formatMemos(memos),
+            HookParameters: TransactionHelper.formatHookParams(options.hookParams)
+        }, options);
+    }
+
+    /**
+     * Cancels a check. The sender and the destination can cancel at any time, Others only after the check is expired.
+     * @param {Object|string} check The check object or the check ID.
+     * @param {Array|null} [memos=null] Optional memos to attach to the transaction.
+     * @param {Object} [options={}] Additional options for the transaction.
+     * @returns {Promise<Object>} The result of the sign and submit operation.
+     */
+    async cancelCheck(check, memos = null, options = {}) {
+        const preparedTxn = await this.prepareCancelCheck(check, memos, options);
+        return await this.signAndSubmit(preparedTxn, options.submissionRef, { signal: options.signal });
+    }
+
+    /**
+     * Prepares a check cancel transaction.
+     * @param {Object|string} check The check object or the check ID.
+     * @param {Array|null} [memos=null] Optional memos to attach to the transaction.
+     * @param {Object} [options={}] Additional options for the transaction.
+     * @returns {Promise<Object>} The prepared check cancel transaction.
+     */
+    async prepareCancelCheck(check, memos = null, options = {}) {
+        return await this.#prepareSubmissionTransaction({
+            TransactionType: XrplTransactionTypes.CHECK_CANCEL,
+            Account: this.address,
+            CheckID: getCheckId(check),
             Memos: TransactionHelper.formatMemos(memos),
             HookParameters: TransactionHelper.formatHookParams(options.hookParams)
         }, options);
@@ -528,38 +835,39 @@ class XrplAccount {
      * Cashes a check for the account.
      * @param {Object} check The check object with details.
      * @param {Object} [options={}] Additional options for the transaction.
+     * @param {string} [options.deliverMin] Cash whatever the sender can pay up to the check amount, But not less than this amount.
+     * If not specified the full check amount is cashed.
      * @returns {Promise<Object>} The result of the sign and submit operation.
      */
     async cashCheck(check, options = {}) {
         const preparedTxn = await this.prepareCashCheck(check, options);
-        return await this.signAndSubmit(preparedTxn, options.submissionRef);
+        return await this.signAndSubmit(preparedTxn, options.submissionRef, { signal: options.signal });
     }
 
     /**
      * prepeare Cash a check for the account.
      * @param {Object} check The check object with details.
      * @param {Object} [options={}] Additional options for the transaction.
+     * @param {string} [options.deliverMin] Minimum amount to cash for a partial cash. Same as cashCheck().
      * @returns {Promise<Object>} The result of the prepare operation.
      */
     async prepareCashCheck(check, options = {}) {
-        const checkIDhasher = crypto.createHash('sha512')
-        checkIDhasher.update(Buffer.from('0043', 'hex'))
-        checkIDhasher.update(Buffer.from(codec.decodeAccountID(check.Account)))
-        const seqBuf = Buffer.alloc(4)
-        seqBuf.writeUInt32BE(check.Sequence, 0)
-        checkIDhasher.update(seqBuf)
-        const checkID = checkIDhasher.digest('hex').slice(0, 64).toUpperCase()
-        console.log("Calculated checkID:", checkID);
+        const checkID = getCheckId(check);
+        this.#logger.debug("Calculated checkID: " + checkID, { address: this.address });
+
+        const sendMax = check.SendMax;
+        const isNative = typeof sendMax === 'string';
+        const amountObj = (value) => isNative ? value : { currency: sendMax.currency, issuer: sendMax.issuer, value: value };
+        if (options.deliverMin !== undefined && typeof options.deliverMin !== 'string')
+            throw new ValidationError("Deliver min must be a string.");
 
         return await this.#prepareSubmissionTransaction({
             TransactionType: XrplTransactionTypes.CHECK_CASH,
             Account: this.address,
             CheckID: checkID,
-            Amount: {
-                currency: check.SendMax.currency,
-                issuer: check.SendMax.issuer,
-                value: check.SendMax.value
-            },
+            ...(options.deliverMin !== undefined ?
+                { DeliverMin: amountObj(options.deliverMin) } :
+                { Amount: amountObj(isNative ? sendMax : sendMax.value) }),
         }, options);
     }
 
@@ -578,7 +886,7 @@ class XrplAccount {
      */
     async offerSell(sellAmount, sellCurrency, sellIssuer, forAmount, forCurrency, forIssuer = null, expiration = 4294967295, memos = null, options = {}) {
         const preparedTxn = await this.prepareOfferSell(sellAmount, sellCurrency, sellIssuer, forAmount, forCurrency, forIssuer, expiration, memos, options);
-        return await this.signAndSubmit(preparedTxn, options.submissionRef);
+        return await this.signAndSubmit(preparedTxn, options.submissionRef, { signal: options.signal });
     }
 
 
@@ -626,7 +934,7 @@ class XrplAccount {
      */
     async offerBuy(buyAmount, buyCurrency, buyIssuer, forAmount, forCurrency, forIssuer = null, expiration = 4294967295, memos = null, options = {}) {
         const preparedTxn = await this.prepareOfferBuy(buyAmount, buyCurrency, buyIssuer, forAmount, forCurrency, forIssuer, expiration, memos, options);
-        return await this.signAndSubmit(preparedTxn, options.submissionRef);
+        return await this.signAndSubmit(preparedTxn, options.submissionRef, { signal: options.signal });
     }
 
     /**
@@ -667,7 +975,7 @@ class XrplAccount {
      */
     async cancelOffer(offerSequence, memos = null, options = {}) {
         const preparedTxn = await this.prepareCancelOffer(offerSequence, memos, options);
-        return await this.signAndSubmit(preparedTxn, options.submissionRef);
+        return await this.signAndSubmit(preparedTxn, options.submissionRef, { signal: options.signal });
     }
 
     /**
@@ -687,9 +995,132 @@ class XrplAccount {
         }, options);
     }
 
+    /**
+     * Creates an escrow which holds the amount until it's finished by the destination or cancelled.
+     * @param {string} toAddr The destination address.
+     * @param {string} amount The amount to escrow (Drops for XRP).
+     * @param {string|null} [currency=null] Currency code for token escrows.
+     * @param {string|null} [issuer=null] Issuer for token escrows.
+     * @param {Object} [terms={}] Release terms. At least one of finishAfter or condition is required.
+     * @param {Date|number} [terms.finishAfter] Time (Date or Ripple epoch seconds) after which the escrow can be finished.
+     * @param {Date|number} [terms.cancelAfter] Time (Date or Ripple epoch seconds) after which the escrow can be cancelled.
+     * @param {string} [terms.condition] Hex encoded crypto-condition which the fulfillment should satisfy. See EscrowHelpers.generateConditionPair().
+     * @param {number} [terms.destinationTag] Destination tag.
+     * @param {Array|null} [memos=null] Optional memos to attach to the transaction.
+     * @param {Object} [options={}] Additional options for the transaction.
+     * @returns {Promise<Object>} The result of the sign and submit operation.
+     */
+    async createEscrow(toAddr, amount, currency = null, issuer = null, terms = {}, memos = null, options = {}) {
+        const preparedTxn = await this.prepareCreateEscrow(toAddr, amount, currency, issuer, terms, memos, options);
+        return await this.signAndSubmit(preparedTxn, options.submissionRef, { signal: options.signal });
+    }
+
+    /**
+     * Prepares an escrow create transaction.
+     * The escrow is identified by the owner and the Sequence (Or the TicketSequence) of this transaction.
+     * @param {string} toAddr The destination address.
+     * @param {string} amount The amount to escrow (Drops for XRP).
+     * @param {string|null} [currency=null] Currency code for token escrows.
+     * @param {string|null} [issuer=null] Issuer for token escrows.
+     * @param {Object} [terms={}] Release terms. Same as createEscrow().
+     * @param {Array|null} [memos=null] Optional memos to attach to the transaction.
+     * @param {Object} [options={}] Additional options for the transaction.
+     * @returns {Promise<Object>} The prepared escrow create transaction.
+     */
+    async prepareCreateEscrow(toAddr, amount, currency = null, issuer = null, terms = {}, memos = null, options = {}) {
+        const finishAfter = (terms.finishAfter !== undefined && terms.finishAfter !== null) ? UtilHelpers.toRippleTime(terms.finishAfter) : undefined;
+        const cancelAfter = (terms.cancelAfter !== undefined && terms.cancelAfter !== null) ? UtilHelpers.toRippleTime(terms.cancelAfter) : undefined;
+
+        if (finishAfter === undefined && !terms.condition)
+            throw new ValidationError("Escrow requires a finishAfter time or a condition.");
+        if (finishAfter !== undefined && cancelAfter !== undefined && cancelAfter <= finishAfter)
+            throw new ValidationError("Escrow cancelAfter time must be after the finishAfter time.");
+
+        return await this.#prepareSubmissionTransaction({
+            TransactionType: XrplTransactionTypes.ESCROW_CREATE,
+            Account: this.address,
+            Destination: toAddr,
+            Amount: makeAmountObject(amount, currency, issuer),
+            ...(finishAfter !== undefined ? { FinishAfter: finishAfter } : {}),
+            ...(cancelAfter !== undefined ? { CancelAfter: cancelAfter } : {}),
+            ...(terms.condition ? { Condition: terms.condition.toUpperCase() } : {}),
+            ...(terms.destinationTag !== undefined ? { DestinationTag: terms.destinationTag } : {}),
+            Memos: TransactionHelper.formatMemos(memos),
+            HookParameters: TransactionHelper.formatHookParams(options.hookParams)
+        }, options);
+    }
+
+    /**
+     * Finishes an escrow and delivers the escrowed amount to its destination.
+     * @param {string} owner The address of the account which created the escrow.
+     * @param {number} offerSequence The Sequence (Or the TicketSequence) of the escrow create transaction.
+     * @param {string|null} [fulfillment=null] Hex encoded fulfillment if the escrow has a condition.
+     * @param {Array|null} [memos=null] Optional memos to attach to the transaction.
+     * @param {Object} [options={}] Additional options for the transaction.
+     * @returns {Promise<Object>} The result of the sign and submit operation.
+     */
+    async finishEscrow(owner, offerSequence, fulfillment = null, memos = null, options = {}) {
+        const preparedTxn = await this.prepareFinishEscrow(owner, offerSequence, fulfillment, memos, options);
+        return await this.signAndSubmit(preparedTxn, options.submissionRef, { signal: options.signal });
+    }
+
+    /**
+     * Prepares an escrow finish transaction.
+     * @param {string} owner The address of the account which created the escrow.
+     * @param {number} offerSequence The Sequence (Or the TicketSequence) of the escrow create transaction.
+     * @param {string|null} [fulfillment=null] Hex encoded fulfillment if the escrow has a condition.
+     * @param {Array|null} [memos=null] Optional memos to attach to the transaction.
+     * @param {Object} [options={}] Additional options for the transaction.
+     * @returns {Promise<Object>} The prepared escrow finish transaction.
+     */
+    async prepareFinishEscrow(owner, offerSequence, fulfillment = null, memos = null, options = {}) {
+        return await this.#prepareSubmissionTransaction({
+            TransactionType: XrplTransactionTypes.ESCROW_FINISH,
+            Account: this.address,
+            Owner: owner,
+            OfferSequence: offerSequence,
+            // Condition is required along with the fulfillment, It's derived from the fulfillment.
+            ...(fulfillment ? { Condition: EscrowHelpers.getCondition(fulfillment), Fulfillment: fulfillment.toUpperCase() } : {}),
+            Memos: TransactionHelper.formatMemos(memos),
+            HookParameters: TransactionHelper.formatHookParams(options.hookParams)
+        }, options);
+    }
+
+    /**
+     * Cancels an expired escrow and returns the escrowed amount to its owner.
+     * @param {string} owner The address of the account which created the escrow.
+     * @param {number} offerSequence The Sequence (Or the TicketSequence) of the escrow create transaction.
+     * @param {Array|null} [memos=null] Optional memos to attach to the transaction.
+     * @param {Object} [options={}] Additional options for the transaction.
+     * @returns {Promise<Object>} The result of the sign and submit operation.
+     */
+    async cancelEscrow(owner, offerSequence, memos = null, options = {}) {
+        const preparedTxn = await this.prepareCancelEscrow(owner, offerSequence, memos, options);
+        return await this.signAndSubmit(preparedTxn, options.submissionRef, { signal: options.signal });
+    }
+
+    /**
+     * Prepares an escrow cancel transaction.
+     * @param {string} owner The address of the account which created the escrow.
+     * @param {number} offerSequence The Sequence (Or the TicketSequence) of the escrow create transaction.
+     * @param {Array|null} [memos=null] Optional memos to attach to the transaction.
+     * @param {Object} [options={}] Additional options for the transaction.
+     * @returns {Promise<Object>} The prepared escrow cancel transaction.
+     */
+    async prepareCancelEscrow(owner, offerSequence, memos = null, options = {}) {
+        return await this.#prepareSubmissionTransaction({
+            TransactionType: XrplTransactionTypes.ESCROW_CANCEL,
+            Account: this.address,
+            Owner: owner,
+            OfferSequence: offerSequence,
+            Memos: TransactionHelper.formatMemos(memos),
+            HookParameters: TransactionHelper.formatHookParams(options.hookParams)
+        }, options);
+    }
+
     async mintNft(uri, taxon, transferFee, flags = {}, memos = null, options = {}) {
         const preparedTxn = await this.prepareMintNft(uri, taxon, transferFee, flags, memos, options);
-        return await this.signAndSubmit(preparedTxn, options.submissionRef);
+        return await this.signAndSubmit(preparedTxn, options.submissionRef, { signal: options.signal });
     }
 
     async prepareMintNft(uri, taxon, transferFee, flags = {}, memos = null, options = {}) {
@@ -707,7 +1138,7 @@ class XrplAccount {
 
     async offerSellNft(nfTokenId, amount, currency, issuer = null, destination = null, expiration = 4294967295, memos = null, options = {}) {
         const preparedTxn = await this.prepareOfferSellNft(nfTokenId, amount, currency, issuer, destination, expiration, memos, options);
-        return await this.signAndSubmit(preparedTxn, options.submissionRef);
+        return await this.signAndSubmit(preparedTxn, options.submissionRef, { signal: options.signal });
     }
 
     async prepareOfferSellNft(nfTokenId, amount, currency, issuer = null, destination = null, expiration = 4294967295, memos = null, options = {}) {
@@ -729,7 +1160,7 @@ class XrplAccount {
 
     async offerBuyNft(nfTokenId, owner, amount, currency, issuer = null, expiration = 4294967295, memos = null, options = {}) {
         const preparedTxn = await this.prepareOfferSellNft(nfTokenId, owner, amount, currency, issuer, expiration, memos, options);
-        return await this.signAndSubmit(preparedTxn, options.submissionRef);
+        return await this.signAndSubmit(preparedTxn, options.submissionRef, { signal: options.signal });
     }
 
     async prepareOfferBuyNft(nfTokenId, owner, amount, currency, issuer = null, expiration = 4294967295, memos = null, options = {}) {
@@ -752,7 +1183,7 @@ class XrplAccount {
 
     async sellNft(offerId, memos = null, options = {}) {
         const preparedTxn = await this.prepareSellNft(offerId, memos, options);
-        return await this.signAndSubmit(preparedTxn, options.submissionRef);
+        return await this.signAndSubmit(preparedTxn, options.submissionRef, { signal: options.signal });
     }
 
     async prepareSellNft(offerId, memos = null, options = {}) {
@@ -768,7 +1199,7 @@ class XrplAccount {
 
     async buyNft(offerId, memos = null, options = {}) {
         const preparedTxn = await this.prepareBuyNft(offerId, memos, options);
-        return await this.signAndSubmit(preparedTxn, options.submissionRef);
+        return await this.signAndSubmit(preparedTxn, options.submissionRef, { signal: options.signal });
     }
 
     async prepareBuyNft(offerId, memos = null, options = {}) {
@@ -784,7 +1215,7 @@ class XrplAccount {
 
     async burnNft(nfTokenId, owner = null, memos = null, options = {}) {
         const preparedTxn = await this.prepareBurnNft(nfTokenId, owner, memos, options);
-        return await this.signAndSubmit(preparedTxn, options.submissionRef);
+        return await this.signAndSubmit(preparedTxn, options.submissionRef, { signal: options.signal });
     }
 
     async prepareBurnNft(nfTokenId, owner = null, memos = null, options = {}) {
@@ -875,22 +1306,23 @@ class XrplAccount {
                     details: r
                 };
 
-                console.log("Transaction result: " + txResult.code);
+                this.#logger.info("Transaction result: " + txResult.code, { txHash: txResult.id, address: this.address });
                 const hookExecRes = txResult.details?.meta?.HookExecutions?.map(o => {
                     return {
                         result: o.HookExecution?.HookResult,
                         returnCode: parseInt(o.HookExecution?.HookReturnCode, 16),
+                        // eslint-disable-next-line no-control-regex
                         message: TransactionHelper.hexToASCII(o.HookExecution?.HookReturnString).replace(/\x00+$/, '')
                     }
                 });
                 if (txResult.code === "tesSUCCESS")
                     resolve({ ...txResult, ...(hookExecRes ? { hookExecutionResult: hookExecRes } : {}) });
                 else
-                    reject({ ...txResult, ...(hookExecRes ? { hookExecutionResult: hookExecRes } : {}) });
+                    reject(new TransactionFailedError({ ...txResult, ...(hookExecRes ? { hookExecutionResult: hookExecRes } : {}) }));
             }
             catch (err) {
-                console.log("Error submitting transaction:", err);
-                reject({ error: err });
+                this.#logger.error("Error submitting transaction.", { address: this.address, error: err });
+                reject(new TransactionFailedError({ error: err }, `Error submitting transaction: ${err?.message || err}`));
             }
 
         });
@@ -898,12 +1330,49 @@ class XrplAccount {
 
     /**
      * Signs the given transaction and returns the signed blob and its hash.
+     * Only the accounts which sign with a secret can sign synchronously, Use signAsync() with the other signers.
      * @param {Object} tx Transaction object.
      * @param {boolean} [isMultiSign=false] Whether the transaction is for multisigning.
      * @returns {Object} The signed transaction hash and blob. Format: {hash: string, tx_blob: string}
      */
     sign(tx, isMultiSign = false) {
-        return this.xrplApi.xrplHelper.sign(tx, this.secret, isMultiSign)
+        if (!this.#signer)
+            throw new ValidationError('Cannot sign: Account has no secret or signer.');
+        if (!(this.#signer instanceof SeedSigner))
+            throw new ValidationError('Cannot sign synchronously: Account signs through an asynchronous signer, Use signAsync().');
+        return this.#signer.signTransaction(tx, this.#getXrplHelper(), isMultiSign ? this.address : null);
+    }
+
+    /**
+     * Signs the given transaction with the account secret or signer and returns the signed blob and its hash.
+     * @param {Object} tx Transaction object.
+     * @param {boolean} [isMultiSign=false] Whether the transaction is for multisigning.
+     * @returns {Promise<Object>} The signed transaction hash and blob. Format: {hash: string, tx_blob: string}
+     */
+    async signAsync(tx, isMultiSign = false) {
+        if (!this.#signer)
+            throw new ValidationError('Cannot sign: Account has no secret or signer.');
+        return await this.#signer.signTransaction(tx, this.#getXrplHelper(), isMultiSign ? this.address : null);
+    }
+
+    /**
+     * Gets the signer which signs the transactions of the account.
+     * @returns {Signer|null} The signer or null if the account cannot sign.
+     */
+    getSigner() {
+        return this.#signer;
+    }
+
+    /**
+     * Checks whether the account prepares and signs transactions without a network connection.
+     * @returns {boolean} True if the account is in offline mode.
+     */
+    isOffline() {
+        return !!this.#offlineHelper;
+    }
+
+    #getXrplHelper() {
+        return this.#offlineHelper || this.xrplApi.xrplHelper;
     }
 
     // URIToken related methods
@@ -918,7 +1387,7 @@ class XrplAccount {
      */
     async mintURIToken(uri, digest = null, flags = {}, options = {}) {
         const preparedTxn = await this.prepareMintURIToken(uri, digest, flags, options);
-        return await this.signAndSubmit(preparedTxn, options.submissionRef);
+        return await this.signAndSubmit(preparedTxn, options.submissionRef, { signal: options.signal });
     }
 
     /**
@@ -951,7 +1420,7 @@ class XrplAccount {
      */
     async burnURIToken(uriTokenID, options = {}) {
         const preparedTxn = await this.prepareBurnURIToken(uriTokenID, options);
-        return await this.signAndSubmit(preparedTxn, options.submissionRef);
+        return await this.signAndSubmit(preparedTxn, options.submissionRef, { signal: options.signal });
     }
 
     /**
@@ -982,7 +1451,7 @@ class XrplAccount {
      */
     async sellURIToken(uriTokenID, amount, currency, issuer = null, toAddr = null, memos = null, options = {}) {
         const preparedTxn = await this.prepareSellURIToken(uriTokenID, amount, currency, issuer, toAddr, memos, options);
-        return await this.signAndSubmit(preparedTxn, options.submissionRef);
+        return await this.signAndSubmit(preparedTxn, options.submissionRef, { signal: options.signal });
     }
 
     /**
@@ -1026,7 +1495,7 @@ class XrplAccount {
      */
     async buyURIToken(uriToken, memos = null, options = {}) {
         const preparedTxn = await this.prepareBuyURIToken(uriToken, memos, options);
-        return await this.signAndSubmit(preparedTxn, options.submissionRef);
+        return await this.signAndSubmit(preparedTxn, options.submissionRef, { signal: options.signal });
     }
 
     /**
@@ -1061,7 +1530,7 @@ class XrplAccount {
      */
     async clearURITokenOffer(uriTokenID, options = {}) {
         const preparedTxn = await this.prepareClearURITokenOffer(uriTokenID, options);
-        return await this.signAndSubmit(preparedTxn, options.submissionRef);
+        return await this.signAndSubmit(preparedTxn, options.submissionRef, { signal: options.signal });
     }
 
     /**
@@ -1107,7 +1576,7 @@ class XrplAccount {
      */
     generateIssuedURITokenId(uri, isHexUri = false) {
         if (uri.length < 1 || uri.length > 256)
-            throw 'Invalid URI';
+            throw new ValidationError('Invalid URI');
 
         const URITOKEN_LEDGER_TYPE_PREFIX = 85; // Decimal value of ASCII 'U'
         const accIdHex = (codec.decodeAccountID(this.address)).toString('hex').toUpperCase();
@@ -1130,30 +1599,328 @@ class XrplAccount {
     }
 
 
+    /**
+     * Deletes the account and sends the remaining XAH balance to the destination.
+     * @param {string} destination Address which receives the remaining balance.
+     * @param {number|null} [destinationTag=null] Destination tag.
+     * @param {Array|null} [memos=null] Optional memos to attach to the transaction.
+     * @param {Object} [options={}] Additional options for the transaction.
+     * @returns {Promise<Object>} The result of the sign and submit operation.
+     */
+    async deleteAccount(destination, destinationTag = null, memos = null, options = {}) {
+        const preparedTxn = await this.prepareDeleteAccount(destination, destinationTag, memos, options);
+        return await this.signAndSubmit(preparedTxn, options.submissionRef, { signal: options.signal });
+    }
+
+    /**
+     * Prepares an AccountDelete transaction. The network charges the owner reserve increment as the fee of this transaction.
+     * @param {string} destination Address which receives the remaining balance.
+     * @param {number|null} [destinationTag=null] Destination tag.
+     * @param {Array|null} [memos=null] Optional memos to attach to the transaction.
+     * @param {Object} [options={}] Additional options for the transaction.
+     * @returns {Promise<Object>} The prepared AccountDelete transaction.
+     */
+    async prepareDeleteAccount(destination, destinationTag = null, memos = null, options = {}) {
+        if (!destination || destination === this.address)
+            throw new ValidationError("Destination should be a different account.");
+
+        const tx = {
+            TransactionType: XrplTransactionTypes.ACCOUNT_DELETE,
+            Account: this.address,
+            Destination: destination,
+            Memos: TransactionHelper.formatMemos(memos),
+            HookParameters: TransactionHelper.formatHookParams(options.hookParams)
+        };
+
+        if (destinationTag !== null && destinationTag !== undefined)
+            tx.DestinationTag = destinationTag;
+
+        return await this.#prepareSubmissionTransaction(tx, options);
+    }
+
+    /**
+     * Plans the steps to delete the account without submitting anything.
+     * URIToken sell offers are cleared and the URITokens are burned, WalletLocator and MessageKey are cleared, Trust line balances are returned to the issuers,
+     * Trust lines are removed and checks are cancelled before the account is deleted.
+     * Ledger objects which cannot be removed by these steps are reported as blockers.
+     * @param {string} destination Address which receives the remaining balance.
+     * @param {Object} [options={}] Planning options.
+     * @param {number} [options.destinationTag] Destination tag for the remaining balance.
+     * @returns {Promise<Object>} Teardown plan. Format: {address, destination, balance, ownerCount, steps: [{action, id, description, reserve}],
+     * blockers: [{type, id, reason}], deletedWithAccount: [{type, id}], reserve: {base, perObject, reclaimable}, deletableFromLedger}.
+     * Balance and reserve amounts are in drops. Reserve amounts are null if the server does not report the reserves.
+     */
+    async planTeardown(destination, options = {}) {
+        const info = await this.getInfo();
+        if (!info)
+            throw new ValidationError(`Account ${this.address} does not exist.`);
+
+        const [objects, lines, serverInfo] = await Promise.all([
+            this.getAccountObjects(),
+            this.getTrustLines(),
+            this.xrplApi.getServerInfo()
+        ]);
+
+        const validatedLedger = serverInfo?.info?.validated_ledger;
+        const hasReserves = validatedLedger?.reserve_base_xrp !== undefined && validatedLedger?.reserve_inc_xrp !== undefined;
+        const reserveBase = hasReserves ? BigInt(xrpl.xrpToDrops(validatedLedger.reserve_base_xrp)) : null;
+        const reservePerObject = hasReserves ? BigInt(xrpl.xrpToDrops(validatedLedger.reserve_inc_xrp)) : null;
+        const objectReserve = (count = 1) => hasReserves ? (reservePerObject * BigInt(count)).toString() : null;
+
+        const steps = [];
+        const blockers = [];
+        const deletedWithAccount = [];
+
+        const uriTokens = objects.filter(o => o.LedgerEntryType === 'URIToken' && o.Owner === this.address);
+        for (const token of uriTokens.filter(t => t.Amount !== undefined)) {
+            steps.push({ action: 'clearURITokenOffer', id: token.index, description: `Clear the sell offer of URIToken ${token.index}.`, reserve: objectReserve(0) });
+        }
+        for (const token of uriTokens) {
+            steps.push({ action: 'burnURIToken', id: token.index, description: `Burn URIToken ${token.index}.`, reserve: objectReserve() });
+        }
+
+        // Host registration info is kept in these fields, So they are cleared before the EVR trust line is removed.
+        const accountFields = ['WalletLocator', 'MessageKey'].filter(f => info[f]);
+        if (accountFields.length) {
+            steps.push({
+                action: 'clearAccountFields', id: this.address, description: `Clear the ${accountFields.join(' and ')} of the account.`, reserve: objectReserve(0),
+                fields: accountFields
+            });
+        }
+
+        for (const line of lines) {
+            const id = `${line.currency}:${line.account}`;
+            if (Number(line.balance) < 0) {
+                blockers.push({ type: 'RippleState', id: id, reason: `Holders still have ${-Number(line.balance)} ${line.currency} issued by the account.` });
+                continue;
+            }
+            if (Number(line.limit) === 0 && Number(line.balance) === 0) {
+                if (Number(line.limit_peer) > 0)
+                    blockers.push({ type: 'RippleState', id: id, reason: `${line.account} should remove its trust line for ${line.currency}.` });
+                continue;
+            }
+            if (Number(line.balance) > 0) {
+                steps.push({
+                    action: 'returnTrustLineBalance', id: id, description: `Return ${line.balance} ${line.currency} to the issuer ${line.account}.`, reserve: objectReserve(0),
+                    currency: line.currency, issuer: line.account, amount: line.balance
+                });
+            }
+            steps.push({
+                action: 'removeTrustLine', id: id, description: `Remove the ${line.currency} trust line to ${line.account}.`, reserve: objectReserve(),
+                currency: line.currency, issuer: line.account
+            });
+        }
+
+        for (const obj of objects) {
+            if (obj.LedgerEntryType === 'URIToken' && obj.Owner === this.address)
+                continue;
+            else if (obj.LedgerEntryType === 'Check')
+                steps.push({ action: 'cancelCheck', id: obj.index, description: `Cancel check ${obj.index}.`, reserve: objectReserve(obj.Account === this.address ? 1 : 0) });
+            else if (DELETED_WITH_ACCOUNT.includes(obj.LedgerEntryType))
+                deletedWithAccount.push({ type: obj.LedgerEntryType, id: obj.index });
+            else if (obj.LedgerEntryType === 'Escrow')
+                blockers.push({ type: obj.LedgerEntryType, id: obj.index, reason: 'Escrow should be finished or cancelled.' });
+            else if (obj.LedgerEntryType === 'Hook')
+                blockers.push({ type: obj.LedgerEntryType, id: obj.index, reason: 'Hooks should be removed with setHooks().' });
+            else if (obj.LedgerEntryType === 'HookState')
+                blockers.push({ type: obj.LedgerEntryType, id: obj.index, reason: 'Hook state should be cleared.' });
+            else
+                blockers.push({ type: obj.LedgerEntryType, id: obj.index, reason: `${obj.LedgerEntryType} objects cannot be removed by the teardown.` });
+        }
+
+        steps.push({ action: 'deleteAccount', id: this.address, description: `Delete the account and send the remaining balance to ${destination}.`, reserve: hasReserves ? reserveBase.toString() : null });
+
+        const destinationInfo = (destination && destination !== this.address) ? await this.xrplApi.getAccountInfo(destination).catch(() => null) : null;
+        if (!destination || destination === this.address)
+            blockers.push({ type: 'Destination', id: destination || null, reason: 'Destination should be a different account.' });
+        else if (!destinationInfo)
+            blockers.push({ type: 'Destination', id: destination, reason: 'Destination account does not exist.' });
+        else if ((destinationInfo.Flags & LSF_REQUIRE_DEST_TAG) && (options.destinationTag === undefined || options.destinationTag === null))
+            blockers.push({ type: 'Destination', id: destination, reason: 'Destination requires a destination tag.' });
+
+        // Each step before the deletion consumes a sequence.
+        const deletableFromLedger = info.Sequence + (steps.length - 1) + ACCOUNT_DELETE_SEQUENCE_GAP;
+        if (deletableFromLedger > this.xrplApi.ledgerIndex)
+            blockers.push({ type: 'Sequence', id: this.address, reason: `Account cannot be deleted until ledger ${deletableFromLedger}.` });
+
+        return {
+            address: this.address,
+            destination: destination,
+            balance: info.Balance,
+            ownerCount: info.OwnerCount,
+            steps: steps,
+            blockers: blockers,
+            deletedWithAccount: deletedWithAccount,
+            reserve: {
+                base: hasReserves ? reserveBase.toString() : null,
+                perObject: hasReserves ? reservePerObject.toString() : null,
+                reclaimable: hasReserves ? (reserveBase + reservePerObject * BigInt(info.OwnerCount)).toString() : null
+            },
+            deletableFromLedger: deletableFromLedger
+        };
+    }
+
+    /**
+     * Deletes the account after removing the ledger objects which prevent the deletion. See planTeardown() for the steps.
+     * The steps are executed in order and each step is retried on failure.
+     * @param {string} destination Address which receives the remaining balance.
+     * @param {Object} [options={}] Teardown options.
+     * @param {boolean} [options.dryRun=false] Only return the plan without submitting anything.
+     * @param {number} [options.destinationTag] Destination tag for the remaining balance.
+     * @param {number} [options.maxRetryAttempts=3] Maximum submission attempts of a step.
+     * @param {number} [options.retryInterval=10000] Milliseconds to wait before retrying a step.
+     * @param {AbortSignal} [options.signal] Stops the teardown between and during the steps.
+     * @returns {Promise<Object>} The plan with the results of the executed steps as `results`.
+     * @throws {ValidationError} If the plan has blockers. `blockers` lists them.
+     */
+    async teardown(destination, options = {}) {
+        const plan = await this.planTeardown(destination, options);
+        if (options.dryRun)
+            return plan;
+
+        if (plan.blockers.length)
+            throw new ValidationError(`Account ${this.address} cannot be deleted: ${plan.blockers.map(b => b.reason).join(' ')}`, { blockers: plan.blockers });
+
+        const results = [];
+        for (const step of plan.steps) {
+            AbortHelpers.throwIfAborted(options.signal);
+            this.#logger.info(`Teardown: ${step.description}`, { address: this.address });
+            const result = await this.#submitTeardownStep(step, destination, options);
+            results.push({ action: step.action, id: step.id, result: result });
+        }
+
+        return { ...plan, results: results };
+    }
+
+    async #submitTeardownStep(step, destination, options) {
+        const maxAttempts = options.maxRetryAttempts || 3;
+        const submissionRef = {};
+        for (let attempt = 1; ; attempt++) {
+            const txOptions = { submissionRef: submissionRef, signal: options.signal };
+            try {
+                switch (step.action) {
+                    case 'clearURITokenOffer':
+                        return await this.clearURITokenOffer(step.id, txOptions);
+                    case 'burnURIToken':
+                        return await this.burnURIToken(step.id, txOptions);
+                    case 'returnTrustLineBalance':
+                        return await this.makePayment(step.issuer, step.amount, step.currency, step.issuer, null, txOptions);
+                    case 'clearAccountFields':
+                        return await this.setAccountFields(Object.fromEntries(step.fields.map(f => [f, f === 'WalletLocator' ? ZERO_WALLET_LOCATOR : ''])), txOptions);
+                    case 'removeTrustLine':
+                        return await this.setTrustLine(step.currency, step.issuer, '0', false, null, txOptions);
+                    case 'cancelCheck':
+                        return await this.cancelCheck(step.id, null, txOptions);
+                    case 'deleteAccount':
+                        return await this.deleteAccount(destination, options.destinationTag ?? null, null, txOptions);
+                    default:
+                        throw new ValidationError(`Unknown teardown step ${step.action}.`);
+                }
+            }
+            catch (e) {
+                if (attempt >= maxAttempts || e instanceof AbortError || e instanceof ValidationError || e.code === "tefPAST_SEQ" || e.code === "tefALREADY")
+                    throw e;
+
+                const failedTxHash = submissionRef?.submissionResult?.result?.tx_json?.hash;
+                this.#logger.error(`Teardown step ${step.action} attempt ${attempt} failed. Retrying...`, { txHash: failedTxHash, address: this.address, error: e });
+                await AbortHelpers.sleep(options.retryInterval ?? TEARDOWN_RETRY_INTERVAL, options.signal);
+
+                // The failed attempt could have been validated after the error.
+                if (failedTxHash) {
+                    const txResponse = await this.xrplApi.getTransactionValidatedResults(failedTxHash);
+                    if (txResponse && txResponse.code === "tesSUCCESS")
+                        return txResponse;
+                }
+            }
+        }
+    }
+
+
     /**
      * Prepare a transaction for submission. (Signing Free)
      * @param {object} tx Partially prepared transaction.
      * @param {*} options Options regarding to the transaction submission.
+     * `options.ticket` submits the transaction with a ticket (Sequence 0). Pass `true` to pick an available ticket of the account.
+     * `options.signal` (AbortSignal) cancels the preparation and stops waiting for the result when the transaction is submitted.
      * @returns {Promise<Object>} Submission transaction.
      */
     async #prepareSubmissionTransaction(tx, options) {
+        AbortHelpers.throwIfAborted(options.signal);
+        if (this.#offlineHelper)
+            return this.#prepareOfflineTransaction(tx, options);
+
         // Attach tx options to the transaction.
         const txOptions = {
             LastLedgerSequence: options.maxLedgerIndex || (this.xrplApi.ledgerIndex + XrplConstants.MAX_LEDGER_OFFSET),
-            Sequence: options.sequence || await this.getSequence(),
             SigningPubKey: '', // This field is required for fee calculation.
             Fee: '0', // This field is required for fee calculation.
             NetworkID: Defaults.values.networkID
         }
 
+        if (options.ticket) {
+            // Reserve the ticket so concurrent submissions of this account do not use the same ticket.
+            txOptions.Sequence = 0;
+            txOptions.TicketSequence = await SequenceManager.get(this.xrplApi, this.address).reserveTicket(options.ticket === true ? null : options.ticket, txOptions.LastLedgerSequence);
+        }
+        else {
+            txOptions.Sequence = options.sequence || (this.#sequenceManager ? await this.#sequenceManager.allocate(txOptions.LastLedgerSequence) : await this.getSequence());
+        }
+
         if (options?.Flags)
             txOptions.Flags = options.Flags;
 
         Object.assign(tx, txOptions);
-        const txnBlob = this.xrplApi.xrplHelper.encode(tx);
-        const fees = options.fee || (options.feeUplift ? (`${options.feeUplift + Number(await this.xrplApi.getTransactionFee(txnBlob))}`) : await this.xrplApi.getTransactionFee(txnBlob));
-        delete tx['SigningPubKey'];
-        tx.Fee = fees + '';
+        try {
+            const txnBlob = this.#getXrplHelper().encode(tx);
+            const fees = options.fee || (options.feeUplift ? (`${options.feeUplift + Number(await this.xrplApi.getTransactionFee(txnBlob))}`) : await this.xrplApi.getTransactionFee(txnBlob));
+            delete tx['SigningPubKey'];
+            tx.Fee = fees + '';
+            return tx;
+        }
+        catch (e) {
+            // Give the allocated sequence or the ticket back, Otherwise they stay reserved for a transaction which is never submitted.
+            this.releasePrepared(tx);
+            throw e;
+        }
+    }
+
+    /**
+     * Releases the sequence or the ticket reserved for a prepared transaction which is not going to be submitted.
+     * Call this when a prepared transaction is abandoned, So the next transactions can use the sequence or the ticket.
+     * @param {object} preparedTransaction Prepared transaction.
+     */
+    releasePrepared(preparedTransaction) {
+        if (preparedTransaction.TicketSequence)
+            SequenceManager.get(this.xrplApi, this.address).releaseTicket(preparedTransaction.TicketSequence);
+        else if (this.#sequenceManager)
+            this.#sequenceManager.release(preparedTransaction.Sequence);
+    }
+
+    /**
+     * Prepare a transaction with the caller supplied submission fields without contacting the network.
+     * @param {object} tx Partially prepared transaction.
+     * @param {*} options Options regarding to the transaction submission. `sequence` or `ticket`, `fee`, `maxLedgerIndex` and `networkID` are required.
+     * @returns {Object} Submission transaction.
+     */
+    #prepareOfflineTransaction(tx, options) {
+        const networkID = options.networkID ?? Defaults.values.networkID;
+        if (!(options.sequence || typeof options.ticket === 'number') || !options.fee || !options.maxLedgerIndex || networkID === undefined)
+            throw new ValidationError("Offline transactions require sequence (or a ticket number), fee, maxLedgerIndex and networkID options.");
+
+        Object.assign(tx, {
+            LastLedgerSequence: options.maxLedgerIndex,
+            Sequence: options.ticket ? 0 : options.sequence,
+            Fee: options.fee + '',
+            NetworkID: networkID
+        });
+
+        if (options.ticket)
+            tx.TicketSequence = options.ticket;
+        if (options?.Flags)
+            tx.Flags = options.Flags;
+
+        // Validate the transaction against the definitions so errors surface before carrying it to the online machine.
+        this.#offlineHelper.encode(tx);
         return tx;
     }
 
@@ -1161,11 +1928,50 @@ class XrplAccount {
      * Sign and submit prepared transaction.
      * @param {object} preparedTransaction Prepared transaction.
      * @param {object} submissionRef [Optional] Reference object to take submission references.
+     * @param {object} options [Optional] Submission options. `signal` stops waiting for the transaction result.
      * @returns {Promise<Object>} result of the submitted transaction.
      */
-    async signAndSubmit(preparedTransaction, submissionRef = {}) {
-        const signedTxn = this.sign(preparedTransaction, false);
-        return await this.xrplApi.submitAndWait(preparedTransaction, signedTxn.tx_blob, submissionRef);
+    async signAndSubmit(preparedTransaction, submissionRef = {}, options = {}) {
+        const ticket = preparedTransaction.TicketSequence;
+        if (!this.#sequenceManager && !ticket) {
+            const signedTxn = await this.signAsync(preparedTransaction, false);
+            return await this.xrplApi.submitAndWait(preparedTransaction, signedTxn.tx_blob, submissionRef, options);
+        }
+
+        let resultCode = null;
+        try {
+            // Signing is inside the try, So the sequence or the ticket is released if the signer fails.
+            const signedTxn = await this.signAsync(preparedTransaction, false);
+            const result = await this.xrplApi.submitAndWait(preparedTransaction, signedTxn.tx_blob, submissionRef, options);
+            resultCode = result.code;
+            return result;
+        }
+        catch (e) {
+            // Validated failures carry the final code, Otherwise take the preliminary result of the submission.
+            if (e instanceof TransactionFailedError && e.details?.meta?.TransactionResult)
+                resultCode = e.code;
+            else if (!(e instanceof TimeoutError))
+                resultCode = submissionRef?.submissionResult?.result?.engine_result;
+            throw e;
+        }
+        finally {
+            if (ticket)
+                SequenceManager.get(this.xrplApi, this.address).releaseTicket(ticket);
+            else
+                this.#sequenceManager.finalize(preparedTransaction.Sequence, resultCode);
+
+            // Created tickets move the account sequence forward.
+            if (this.#sequenceManager && preparedTransaction.TransactionType === XrplTransactionTypes.TICKET_CREATE)
+                this.#sequenceManager.invalidate();
+        }
+    }
+
+    /**
+     * Gets the local sequence allocation status of the account.
+     * @returns {Object|null} Status (nextSequence, pending, lastFinalized, needsResync, reservedTickets) or null if the sequences are not managed locally.
+     */
+    getSequenceStatus() {
+        return this.#sequenceManager ? this.#sequenceManager.getStatus() : null;
     }
 
     /**
@@ -1178,9 +1984,63 @@ class XrplAccount {
     }
 }
 
+function getCheckId(check) {
+    if (typeof check === 'string')
+        return check.toUpperCase();
+    return check.index || CheckHelpers.getCheckIndex(check.Account, check.Sequence);
+}
+
+function formatHook(hook) {
+    if (!hook)
+        return { Hook: {} };
+
+    if (hook.delete)
+        return { Hook: { CreateCode: '', Flags: HookSetFlags.OVERRIDE | (hook.flags || 0) } };
+
+    if (hook.wasm && hook.hash)
+        throw new ValidationError("Hook wasm and hash cannot be specified together.");
+    if (hook.wasm && !hook.namespace)
+        throw new ValidationError("Hook namespace is required to install a hook wasm.");
+
+    const formatted = {};
+    if (hook.wasm) {
+        formatted.CreateCode = (Buffer.isBuffer(hook.wasm) ? hook.wasm.toString('hex') : hook.wasm).toUpperCase();
+        formatted.HookApiVersion = hook.apiVersion ?? 0;
+    }
+    else if (hook.hash) {
+        formatted.HookHash = hook.hash.toUpperCase();
+    }
+
+    if (hook.namespace)
+        formatted.HookNamespace = HookHelpers.getNamespace(hook.namespace);
+
+    if (hook.hookOn)
+        formatted.HookOn = hook.hookOn.toUpperCase();
+    else if (hook.transactionTypes || hook.wasm)
+        formatted.HookOn = HookHelpers.getHookOn(hook.transactionTypes);
+
+    if (hook.parameters?.length)
+        formatted.HookParameters = TransactionHelper.formatHookParams(hook.parameters);
+
+    if (hook.grants?.length) {
+        formatted.HookGrants = hook.grants.map(g => ({
+            HookGrant: {
+                ...(g.hookHash ? { HookHash: g.hookHash.toUpperCase() } : {}),
+                ...(g.authorize ? { Authorize: g.authorize } : {})
+            }
+        }));
+    }
+
+    const flags = hook.flags ?? ((hook.wasm || hook.hash) ? HookSetFlags.OVERRIDE : 0);
+    if (flags)
+        formatted.Flags = flags;
+
+    return { Hook: formatted };
+}
+
 function makeAmountObject(amount, currency = null, issuer = null) {
     if (typeof amount !== 'string')
-        throw "Amount must be a string.";
+        throw new ValidationError("Amount must be a string.");
 
     const amountObj = !issuer ? amount : {
         currency: currency,
@@ -6,6 +6,12 @@ const { TransactionHelper } = require('./transaction-helper');
 const { XrplApiEvents } = require('./xrpl-common');
 const { XrplAccount } = require('./xrpl-account');
 const { XrplHelpers } = require('./xrpl-helpers');
+const { XrplServerPool } = require('./xrpl-server-pool');
+const { Logger } = require('./logger');
+const { LedgerCache } = require('./ledger-cache');
+const { RateLimiter } = require('./rate-limiter');
+const { AbortHelpers } = require('./abort-helpers');
+const { ValidationError, TransactionFailedError, TimeoutError, ConnectionError } = require('./errors');
 
 const MAX_PAGE_LIMIT = 400;
 const API_REQ_TYPE = {
@@ -21,9 +27,23 @@ const RESPONSE_WATCH_TIMEOUT = 1000
 const NETWORK_MODES = {
     INSUFFICIENT_NETWORK_MODE: 'InsufficientNetworkMode'
 }
+const THROTTLING_ERRORS = ['slowDown', 'tooBusy']
+const DEFAULT_RETRY_OPTIONS = {
+    maxRetries: 3,
+    baseDelay: 500,
+    maxDelay: 10000
+}
 
 const FUNCTIONING_SERVER_STATES = ['full', 'validating', 'proposing']
 const LEDGER_DESYNC_TIME = 20000
+const DEFAULT_MAX_IN_FLIGHT_REQUESTS = 10
+const DEFAULT_HEALTH_CHECK_INTERVAL = 60000
+const PROCESSED_TX_CACHE_SIZE = 5000
+const SERVER_SWITCH_REASONS = {
+    RECONNECT: 'reconnect',
+    PRIMARY_RECOVERED: 'primary_recovered',
+    UNHEALTHY: 'unhealthy'
+}
 
 /**
  * Class representing an XRPL API client.
@@ -36,12 +56,33 @@ class XrplApi {
     #events = new EventEmitter();
     #addressSubscriptions = [];
     #isPermanentlyDisconnected = false;
-    #isConnectionAcquired = false;
+    #maxInFlightRequests;
+    #inFlightRequests = 0;
+    #requestQueue = [];
+    #exclusiveOperation = null; // Promise of the operation (Disconnect or server switch) which runs while no request is in flight.
+    #heldRequests = [];
+    #resolveDrain = null;
+    #disconnectPromise = null;
     #isClientAcquired = false;
     #isPrimaryServerConnected = false;
     #isFallbackServerConnected = false;
     #xrplClientOptions;
     #autoReconnect;
+    #transport;
+    #serverPool;
+    #connectedServer = null;
+    #healthCheckInterval;
+    #healthCheckTimer = null;
+    #isSwitchingServer = false;
+    #ledgerTimeout = null;
+    #lastProcessedLedgers = {}; // Address -> last closed ledger while subscribed. Transactions of that ledger may not have arrived yet.
+    #processedTxHashes = new Set();
+    #logger;
+    #cache = null;
+    #definitionsCache;
+    #bundledDefinitions;
+    #rateLimiter = null;
+    #retryOptions;
 
     /**
      * @param {string|null} rippledServer - The URL of the primary rippled server or null if not used.
@@ -49,6 +90,16 @@ class XrplApi {
      * @param {Array<string>} [options.fallbackRippledServers=[]] - List of fallback server URLs.
      * @param {Object} [options.xrplClientOptions={}] - Options for the xrpl client.
      * @param {boolean} [options.autoReconnect=true] - Whether to automatically reconnect.
+     * @param {number} [options.maxInFlightRequests=10] - Maximum number of requests sent to the server concurrently. Excess requests are queued in FIFO order.
+     * @param {Object} [options.logger] - Console-compatible logger to use instead of the default logger.
+     * @param {boolean|Object} [options.cache=false] - Enables caching ledger entry and namespace reads within a validated ledger. Pass { maxEntries } to limit the cache size.
+     * @param {number} [options.healthCheckInterval=60000] - Interval in milliseconds to check the health of the servers, Switch back to the primary once it recovers and leave an unhealthy server. Only runs when fallback servers are given, Set 0 to disable.
+     * @param {string} [options.definitionsCache] - Path of a file to persist the server definitions. Cached definitions are used on connect and refreshed in the background.
+     * @param {boolean} [options.bundledDefinitions=false] - Start with the bundled Xahau definitions when there are no cached definitions and refresh them in the background.
+     * @param {boolean|Object} [options.rateLimit=false] - Limits the outgoing requests with a token bucket. Pass { requestsPerSecond, burst } to configure the limits.
+     * @param {Object|boolean} [options.retry] - Retries requests throttled by the server (slowDown, tooBusy) with exponential backoff and jitter. { maxRetries=3, baseDelay=500, maxDelay=10000 } in milliseconds, false disables retries.
+     * Can be overridden per request with a `retry` field in the request options. (Eg: getAccountObjects(address, { retry: { maxRetries: 10 } }))
+     * @param {Object} [options.transport] - Transport which creates the underlying clients through createClient(url, xrplClientOptions). Defaults to xrpl.Client, use MockXrplServer to run against an in-memory ledger.
      */
     constructor(rippledServer = null, options = {}) {
         if (rippledServer == '-') {
@@ -59,10 +110,24 @@ class XrplApi {
         this.#fallbackServers = options.fallbackRippledServers || Defaults.values.fallbackRippledServers || [];
 
         if (!this.#primaryServer && (!this.#fallbackServers || !this.#fallbackServers.length))
-            throw 'Either primaryServer or fallbackServers required.';
+            throw new ValidationError('Either primaryServer or fallbackServers required.');
 
         this.#xrplClientOptions = options.xrplClientOptions;
+        this.#logger = new Logger(options.logger);
+        if (options.cache)
+            this.#cache = new LedgerCache(typeof options.cache === 'object' ? options.cache : {});
         this.#autoReconnect = options.autoReconnect ?? true;
+        this.#maxInFlightRequests = Math.max(1, options.maxInFlightRequests || DEFAULT_MAX_IN_FLIGHT_REQUESTS);
+        this.#healthCheckInterval = options.healthCheckInterval ?? DEFAULT_HEALTH_CHECK_INTERVAL;
+        this.#definitionsCache = options.definitionsCache || Defaults.values.definitionsCache;
+        this.#bundledDefinitions = options.bundledDefinitions ?? false;
+        if (options.rateLimit)
+            this.#rateLimiter = new RateLimiter(typeof options.rateLimit === 'object' ? options.rateLimit : {});
+        this.#retryOptions = (options.retry === false) ? { maxRetries: 0 } : { ...DEFAULT_RETRY_OPTIONS, ...options.retry };
+        this.#serverPool = new XrplServerPool([this.#primaryServer, ...this.#fallbackServers].filter(s => s));
+        this.#transport = options.transport || {
+            createClient: (url, clientOptions) => new xrpl.Client(url, clientOptions)
+        };
     }
 
     async #acquireClient() {
@@ -77,19 +142,72 @@ class XrplApi {
     }
 
     async #acquireConnection() {
-        while (this.#isConnectionAcquired) {
-            await new Promise((resolve) => setTimeout(resolve, 100));
+        // Requests made during an exclusive operation wait until it completes.
+        if (this.#exclusiveOperation)
+            return await new Promise((resolve) => this.#heldRequests.push(resolve));
+
+        // Take a free slot only if nobody is waiting, so queued requests are served in FIFO order.
+        if (this.#inFlightRequests < this.#maxInFlightRequests && this.#requestQueue.length === 0) {
+            this.#inFlightRequests++;
+            return;
         }
-        this.#isConnectionAcquired = true;
+        await new Promise((resolve) => this.#requestQueue.push(resolve));
     }
 
     #releaseConnection() {
-        this.#isConnectionAcquired = false;
+        // Hand the slot over to the next queued request if there's any.
+        const next = this.#requestQueue.shift();
+        if (next) {
+            next();
+            return;
+        }
+
+        this.#inFlightRequests--;
+        if (this.#inFlightRequests === 0 && this.#resolveDrain) {
+            this.#resolveDrain();
+            this.#resolveDrain = null;
+        }
+    }
+
+    /**
+     * Runs an operation once the requests in flight and the queued requests complete.
+     * Requests made meanwhile are held until the operation completes. Exclusive operations run one after the other.
+     * @param {Function} operation Async function to run.
+     * @returns {Promise<any>} Result of the operation.
+     */
+    async #runExclusive(operation) {
+        while (this.#exclusiveOperation)
+            await this.#exclusiveOperation.catch(() => { });
+
+        this.#exclusiveOperation = (async () => {
+            try {
+                if (this.#inFlightRequests > 0)
+                    await new Promise((resolve) => this.#resolveDrain = resolve);
+                return await operation();
+            }
+            finally {
+                this.#exclusiveOperation = null;
+                // Let the held requests through.
+                const held = this.#heldRequests;
+                this.#heldRequests = [];
+                for (const resolve of held) {
+                    if (this.#inFlightRequests < this.#maxInFlightRequests) {
+                        this.#inFlightRequests++;
+                        resolve();
+                    }
+                    else {
+                        this.#requestQueue.push(resolve);
+                    }
+                }
+            }
+        })();
+        return await this.#exclusiveOperation;
     }
 
     async #setXrplClient(client) {
         try {
             if (this.#client) { // Clear all listeners if there's an already created client.
+                clearTimeout(this.#ledgerTimeout);
                 await this.#client.removeAllListeners();
                 await this.#client.disconnect();
             }
@@ -97,7 +215,7 @@ class XrplApi {
             this.#client = client;
         }
         catch (e) {
-            console.log("Error occurred in Client initiation:", e)
+            this.#logger.error("Error occurred in Client initiation.", { error: e })
         }
     }
 
@@ -111,19 +229,20 @@ class XrplApi {
         const serverState = resp?.result?.state?.server_state;
 
         if (!FUNCTIONING_SERVER_STATES.includes(serverState))
-            throw "Client might have functioning issues."
+            throw new ConnectionError("Client might have functioning issues.");
     }
 
     async #initEventListeners(client) {
         // First remove all the listeners.
-        let ledgerTimeout;
         try {
             await client.removeAllListeners();
         }
-        catch { }
+        catch {
+            // The client may not have any listeners yet.
+        }
 
         client.on('error', (errorCode, errorMessage) => {
-            console.log(errorCode + ': ' + errorMessage);
+            this.#logger.error(errorCode + ': ' + errorMessage, { server: client.url });
         });
 
         client.on('connected', async () => {
@@ -137,26 +256,26 @@ class XrplApi {
             this.#isFallbackServerConnected = false;
 
             if (this.#autoReconnect && !this.#isPermanentlyDisconnected) {
-                console.log(`Connection failure for ${client.url} (code:${code})`);
-                console.log("Re-initializing xrpl client.");
+                this.#logger.warn(`Connection failure for ${client.url} (code:${code})`, { server: client.url, code: code });
+                this.#logger.info("Re-initializing xrpl client.");
                 try {
                     await this.#connectXrplClient(true);
                 }
                 catch (e) {
-                    console.log("Error occurred while re-initializing", e)
+                    this.#logger.error("Error occurred while re-initializing", { error: e })
                 }
             }
-            if (ledgerTimeout)
-                clearTimeout(ledgerTimeout);
+            if (this.#ledgerTimeout)
+                clearTimeout(this.#ledgerTimeout);
         });
 
 
         client.on('ledgerClosed', (ledger) => {
-            if (ledgerTimeout) {
-                clearTimeout(ledgerTimeout);
+            if (this.#ledgerTimeout) {
+                clearTimeout(this.#ledgerTimeout);
             }
 
-            ledgerTimeout = setTimeout(async () => {
+            this.#ledgerTimeout = setTimeout(async () => {
                 try {
                     let serverState = await this.getServerState();
                     if (!FUNCTIONING_SERVER_STATES.includes(serverState)) {
@@ -164,71 +283,92 @@ class XrplApi {
                     }
                 } catch (e) {
                     if (e.name === 'TimeoutError') {
-                        console.error("Server timeout detected.");
+                        this.#logger.error("Server timeout detected.", { server: this.#connectedServer });
                         this.#events.emit(XrplApiEvents.DISCONNECTED, 408);
                     }
                     else
-                        console.error("Error occurred while listening to server de-syncs.", e);
+                        this.#logger.error("Error occurred while listening to server de-syncs.", { server: this.#connectedServer, error: e });
                 } finally {
-                    clearTimeout(ledgerTimeout);
+                    clearTimeout(this.#ledgerTimeout);
                 }
             }, LEDGER_DESYNC_TIME);
 
             this.ledgerIndex = ledger.ledger_index;
+            this.#cache?.clear(ledger.ledger_index);
+            // Transactions of a ledger are streamed after its ledgerClosed, So the subscriptions are only up to date with the previous ledger.
+            // Backfill replays from this ledger inclusive and the already delivered transactions are skipped by their hashes.
+            for (const address of Object.keys(this.#lastProcessedLedgers))
+                this.#lastProcessedLedgers[address] = ledger.ledger_index;
+            if (this.#connectedServer)
+                this.#serverPool.recordLedger(this.#connectedServer, ledger.ledger_index);
             this.#events.emit(XrplApiEvents.LEDGER, ledger);
         });
 
         client.on("transaction", async (data) => {
             try {
-                if (data.validated) {
-                    // NFTokenAcceptOffer transactions does not contain a Destination. So we check whether the accepted offer is created by which subscribed account
-                    if (data.transaction.TransactionType === 'URITokenBuy') {
-                        // We take all the offers created by subscribed accounts in previous ledger until we get the respective offer.
-                        for (const subscription of this.#addressSubscriptions) {
-                            const acc = new XrplAccount(subscription.address, null, { xrplApi: this });
-                            // Here we access the offers that were there in this account based on the given ledger index.
-                            const offers = await acc.getURITokens({ ledger_index: data.ledger_index - 1 });
-                            // Filter out the matching URI token offer for the scenario.
-                            const offer = offers.find(o => o.index === data.transaction.URITokenID && o.Amount);
-                            // When we find the respective offer. We populate the destination and offer info and then we break the loop.
-                            if (offer) {
-                                // We populate some sell offer properties to the transaction to be sent with the event.
-                                data.transaction.Destination = subscription.address;
-                                // Replace the offer with the found offer object.
-                                data.transaction.URITokenSellOffer = offer;
-                                break;
-                            }
-                        }
-                    }
+                await this.#handleTransaction(data);
+            } catch (e) {
+                this.#logger.error("Error occurred while listening to transactions.", { txHash: data?.transaction?.hash, error: e })
+            }
+        });
+    }
 
-                    const matches = this.#addressSubscriptions.filter(s => s.address === data.transaction.Destination); // Only incoming transactions.
-                    if (matches.length > 0) {
-                        const tx = {
-                            LedgerHash: data.ledger_hash,
-                            LedgerIndex: data.ledger_index,
-                            ...data.transaction
-                        };
-
-                        if (data.meta?.delivered_amount)
-                            tx.DeliveredAmount = data.meta.delivered_amount;
-
-                        // Create an object copy. Otherwise xrpl client will mutate the transaction object,
-                        const eventName = tx.TransactionType.toLowerCase();
-                        // Emit the event only for successful transactions, Otherwise emit error.
-                        if (data.engine_result === "tesSUCCESS") {
-                            tx.Memos = TransactionHelper.deserializeMemos(tx.Memos);
-                            tx.HookParameters = TransactionHelper.deserializeHookParams(tx.HookParameters);
-                            matches.forEach(s => s.handler(eventName, tx));
-                        }
-                        else {
-                            matches.forEach(s => s.handler(eventName, null, data.engine_result_message));
-                        }
+    async #handleTransaction(data) {
+        if (data.validated) {
+            // Skip the transactions which are already delivered to the handlers (Could happen with backfilled transactions).
+            const hash = data.transaction.hash;
+            if (hash) {
+                if (this.#processedTxHashes.has(hash))
+                    return;
+                this.#processedTxHashes.add(hash);
+                if (this.#processedTxHashes.size > PROCESSED_TX_CACHE_SIZE)
+                    this.#processedTxHashes.delete(this.#processedTxHashes.values().next().value);
+            }
+
+            // NFTokenAcceptOffer transactions does not contain a Destination. So we check whether the accepted offer is created by which subscribed account
+            if (data.transaction.TransactionType === 'URITokenBuy') {
+                // We take all the offers created by subscribed accounts in previous ledger until we get the respective offer.
+                for (const subscription of this.#addressSubscriptions) {
+                    const acc = new XrplAccount(subscription.address, null, { xrplApi: this });
+                    // Here we access the offers that were there in this account based on the given ledger index.
+                    const offers = await acc.getURITokens({ ledger_index: data.ledger_index - 1 });
+                    // Filter out the matching URI token offer for the scenario.
+                    const offer = offers.find(o => o.index === data.transaction.URITokenID && o.Amount);
+                    // When we find the respective offer. We populate the destination and offer info and then we break the loop.
+                    if (offer) {
+                        // We populate some sell offer properties to the transaction to be sent with the event.
+                        data.transaction.Destination = subscription.address;
+                        // Replace the offer with the found offer object.
+                        data.transaction.URITokenSellOffer = offer;
+                        break;
                     }
                 }
-            } catch (e) {
-                console.log("Error occurred while listening to transactions.", e)
             }
-        });
+
+            const matches = this.#addressSubscriptions.filter(s => s.address === data.transaction.Destination); // Only incoming transactions.
+            if (matches.length > 0) {
+                const tx = {
+                    LedgerHash: data.ledger_hash,
+                    LedgerIndex: data.ledger_index,
+                    ...data.transaction
+                };
+
+                if (data.meta?.delivered_amount)
+                    tx.DeliveredAmount = data.meta.delivered_amount;
+
+                // Create an object copy. Otherwise xrpl client will mutate the transaction object,
+                const eventName = tx.TransactionType.toLowerCase();
+                // Emit the event only for successful transactions, Otherwise emit error.
+                if (data.engine_result === "tesSUCCESS") {
+                    tx.Memos = TransactionHelper.deserializeMemos(tx.Memos);
+                    tx.HookParameters = TransactionHelper.deserializeHookParams(tx.HookParameters);
+                    matches.forEach(s => s.handler(eventName, tx));
+                }
+                else {
+                    matches.forEach(s => s.handler(eventName, null, data.engine_result_message || data.engine_result));
+                }
+            }
+        }
     }
 
     async #attemptFallbackServerReconnect(maxRounds, attemptsPerServer = 3) {
@@ -237,7 +377,8 @@ class XrplApi {
 
         await this.#acquireClient();
 
-        const fallbackServers = this.#fallbackServers;
+        // Try the healthiest fallback servers first.
+        const fallbackServers = this.#serverPool.rank(this.#fallbackServers);
         let round = 0;
         while (!this.#isPermanentlyDisconnected && !this.#isPrimaryServerConnected && !this.#isFallbackServerConnected && (!maxRounds || round < maxRounds)) { // Keep attempting until consumer calls disconnect() manually or if the primary server is disconnected.
             ++round;
@@ -249,26 +390,27 @@ class XrplApi {
                         break serverIterator;
                     }
                     ++attempt;
-                    const client = new xrpl.Client(server, this.#xrplClientOptions);
+                    const client = this.#transport.createClient(server, this.#xrplClientOptions);
                     try {
                         if (!this.#isPrimaryServerConnected) {
                             await this.#handleClientConnect(client);
                             this.#isFallbackServerConnected = true;
+                            this.#connectedServer = server;
                         }
                         break serverIterator;
                     }
                     catch (e) {
                         this.#releaseClient();
-                        console.log(`Error occurred while connecting to fallback server ${server}`);
+                        this.#logger.warn(`Error occurred while connecting to fallback server ${server}`, { server: server, error: e });
                         await new Promise(resolve => setTimeout(resolve, 1000));
                         if (client.isConnected()) {
-                            console.log('Connection closure already handled');
+                            this.#logger.debug('Connection closure already handled', { server: server });
                             await client.disconnect();
                         }
 
                         if (!this.#isPermanentlyDisconnected) {
                             if (!maxRounds || round < maxRounds)
-                                console.log(`Fallback server ${server} connection attempt ${attempt} failed. Retrying in ${2 * round}s...`);
+                                this.#logger.info(`Fallback server ${server} connection attempt ${attempt} failed. Retrying in ${2 * round}s...`, { server: server });
                             else
                                 return { error: `Fallback server ${server} connection max attempts failed.`, exception: e };
                             await new Promise(resolve => setTimeout(resolve, 2 * round * 1000));
@@ -287,25 +429,26 @@ class XrplApi {
         let attempt = 0;
         while (!this.#isPermanentlyDisconnected && !this.#isPrimaryServerConnected && !this.#isFallbackServerConnected) { // Keep attempting until consumer calls disconnect() manually.
             ++attempt;
-            const client = new xrpl.Client(this.#primaryServer, this.#xrplClientOptions);
+            const client = this.#transport.createClient(this.#primaryServer, this.#xrplClientOptions);
             try {
                 await this.#handleClientConnect(client);
                 this.#isPrimaryServerConnected = true;
+                this.#connectedServer = this.#primaryServer;
                 break;
             }
             catch (e) {
                 this.#releaseClient();
-                console.log("Error occurred while re-connecting to the primary server")
+                this.#logger.warn("Error occurred while re-connecting to the primary server", { server: this.#primaryServer, error: e })
                 await new Promise(resolve => setTimeout(resolve, 1000));
                 if (client.isConnected()) {
-                    console.log('Connection closure already handled');
+                    this.#logger.debug('Connection closure already handled', { server: this.#primaryServer });
                     await client.disconnect();
                 }
 
                 if (!this.#isPermanentlyDisconnected) {
                     const delaySec = 2 * attempt; // Retry with backoff delay.
                     if (!maxAttempts || attempt < maxAttempts)
-                        console.log(`Primary server ${this.#primaryServer} attempt ${attempt} failed. Retrying in ${delaySec}s...`);
+                        this.#logger.info(`Primary server ${this.#primaryServer} attempt ${attempt} failed. Retrying in ${delaySec}s...`, { server: this.#primaryServer });
                     else
                         return { error: `Primary server ${this.#primaryServer} connection max attempts failed.`, exception: e };
                     await new Promise(resolve => setTimeout(resolve, delaySec * 1000));
@@ -317,6 +460,7 @@ class XrplApi {
     }
 
     async #connectXrplClient(reconnect = false) {
+        const previousServer = this.#connectedServer;
         let res = [];
         if (reconnect) {
             if (this.#primaryServer) {
@@ -333,8 +477,10 @@ class XrplApi {
             }
         }
 
-        if (res.filter(r => r && !r.error).length == 0)
-            throw res.filter(r => r && r.error).map(r => r.error);
+        if (res.filter(r => r && !r.error).length == 0) {
+            const errors = res.filter(r => r && r.error).map(r => r.error);
+            throw new ConnectionError(errors.join(' '), { errors: errors });
+        }
 
         // After connection established, check again whether maintainConnections has become false.
         // This is in case the consumer has called disconnect() while connection is being established.
@@ -342,13 +488,14 @@ class XrplApi {
             await this.#waitForConnection();
             this.#releaseClient();
 
-            this.ledgerIndex = await this.#getLedgerIndex();
+            await this.#initSubscriptions();
 
-            this.#subscribeToStream('ledger');
+            if (previousServer && previousServer !== this.#connectedServer)
+                this.#emitServerSwitch(previousServer, SERVER_SWITCH_REASONS.RECONNECT);
 
-            // Re-subscribe to existing account address subscriptions (in case this is a reconnect)
-            if (this.#addressSubscriptions.length > 0)
-                await this.#handleClientRequest({ command: 'subscribe', accounts: this.#addressSubscriptions.map(s => s.address) });
+            // Each check probes the other servers, So there's nothing to check without fallback servers.
+            if (this.#healthCheckInterval && this.#fallbackServers.length && !this.#healthCheckTimer)
+                this.#healthCheckTimer = setInterval(() => this.#checkServerHealth(), this.#healthCheckInterval);
         }
         else {
             this.#releaseClient();
@@ -356,42 +503,241 @@ class XrplApi {
         }
     }
 
-    async #requestWithPaging(requestObj, requestType) {
-        let res = [];
-        let checked = false;
-        let resp;
-        let count = requestObj?.limit;
-
-        while ((!count || count > 0) && (!checked || resp?.result?.marker)) {
-            checked = true;
-            if (requestObj.command === 'account_lines') {
-                requestObj.limit = 1000;
-            } else {
-                requestObj.limit = count ? Math.min(count, MAX_PAGE_LIMIT) : MAX_PAGE_LIMIT;
+    async #initSubscriptions() {
+        this.ledgerIndex = await this.#getLedgerIndex();
+        this.#cache?.clear(this.ledgerIndex);
+
+        this.#subscribeToStream('ledger');
+
+        // Re-subscribe to existing account address subscriptions (in case this is a reconnect)
+        if (this.#addressSubscriptions.length > 0) {
+            await this.#handleClientRequest({ command: 'subscribe', accounts: this.#addressSubscriptions.map(s => s.address) });
+            await this.#backfillMissedTransactions();
+        }
+    }
+
+    async #backfillMissedTransactions() {
+        for (const [address, lastLedger] of Object.entries(this.#lastProcessedLedgers)) {
+            if (!lastLedger)
+                continue;
+
+            try {
+                // Transactions of the last closed ledger could have been missed as well, So it's replayed too.
+                const txList = await this.getAccountTrx(address, { ledger_index_min: lastLedger, ledger_index_max: -1, forward: true });
+                if (txList.length > 0)
+                    this.#logger.info(`Checking ${txList.length} transactions of ${address} since ledger ${lastLedger} for missed ones.`, { address: address });
+
+                // account_tx does not contain the ledger hash in every API version, So take it from the ledger when missing.
+                const ledgerHashes = {};
+                for (const t of txList.filter(t => t.validated)) {
+                    const ledgerIndex = t.ledger_index || t.tx?.ledger_index;
+                    let ledgerHash = t.ledger_hash || t.tx?.ledger_hash;
+                    if (!ledgerHash && ledgerIndex) {
+                        if (!ledgerHashes[ledgerIndex]) {
+                            const resp = await this.#handleClientRequest({ command: 'ledger', ledger_index: ledgerIndex });
+                            ledgerHashes[ledgerIndex] = resp?.result?.ledger_hash || resp?.result?.ledger?.ledger_hash;
+                        }
+                        ledgerHash = ledgerHashes[ledgerIndex];
+                    }
+
+                    // account_tx does not return the result message, So the handlers get the result code on failures.
+                    await this.#handleTransaction({
+                        validated: true,
+                        ledger_index: ledgerIndex,
+                        ledger_hash: ledgerHash,
+                        engine_result: t.meta?.TransactionResult,
+                        transaction: { ...t.tx },
+                        meta: t.meta
+                    });
+                }
+                this.#lastProcessedLedgers[address] = Math.max(this.#lastProcessedLedgers[address] || 0, this.ledgerIndex);
+            }
+            catch (e) {
+                this.#logger.error(`Error occurred while replaying missed transactions of ${address}.`, { address: address, error: e });
+            }
+        }
+    }
+
+    #emitServerSwitch(previousServer, reason) {
+        this.#logger.info(`Switched server from ${previousServer} to ${this.#connectedServer} (reason:${reason})`, { server: this.#connectedServer, previousServer: previousServer, reason: reason });
+        this.#events.emit(XrplApiEvents.SERVER_SWITCHED, {
+            from: previousServer,
+            to: this.#connectedServer,
+            reason: reason,
+            fromHealth: this.#serverPool.getHealth(previousServer),
+            toHealth: this.#serverPool.getHealth(this.#connectedServer)
+        });
+    }
+
+    async #probeServer(url) {
+        const client = this.#transport.createClient(url, this.#xrplClientOptions);
+        let startTime = Date.now();
+        try {
+            await client.connect();
+            startTime = Date.now();
+            const resp = await client.request({ command: 'server_state' });
+            this.#serverPool.recordRequest(url, Date.now() - startTime);
+            this.#serverPool.recordState(url, resp?.result?.state?.server_state, resp?.result?.state?.validated_ledger?.seq);
+        }
+        catch (e) {
+            this.#serverPool.recordRequest(url, Date.now() - startTime, true);
+            this.#serverPool.recordState(url, null);
+        }
+        finally {
+            if (client.isConnected())
+                await client.disconnect().catch(e => this.#logger.error('Error occurred while disconnecting.', { error: e }));
+        }
+    }
+
+    async #checkServerHealth() {
+        if (this.#isPermanentlyDisconnected || this.#isSwitchingServer || !(this.#isPrimaryServerConnected || this.#isFallbackServerConnected))
+            return;
+
+        const currentServer = this.#connectedServer;
+        try {
+            const resp = await this.#handleClientRequest({ command: 'server_state' });
+            this.#serverPool.recordState(currentServer, resp?.result?.state?.server_state, resp?.result?.state?.validated_ledger?.seq);
+        }
+        catch (e) {
+            this.#serverPool.recordState(currentServer, null);
+        }
+
+        const otherServers = [this.#primaryServer, ...this.#fallbackServers].filter(s => s && s !== currentServer);
+        await Promise.all(otherServers.map(s => this.#probeServer(s)));
+
+        // Move back to the primary whenever it's healthy, Otherwise leave the current server only if it's unhealthy.
+        if (this.#primaryServer && currentServer !== this.#primaryServer && this.#serverPool.isHealthy(this.#primaryServer)) {
+            await this.#switchServer(this.#primaryServer, SERVER_SWITCH_REASONS.PRIMARY_RECOVERED);
+        }
+        else if (!this.#serverPool.isHealthy(currentServer)) {
+            const bestServer = this.#serverPool.rank(otherServers)[0];
+            if (bestServer && this.#serverPool.isHealthy(bestServer))
+                await this.#switchServer(bestServer, SERVER_SWITCH_REASONS.UNHEALTHY);
+        }
+    }
+
+    async #switchServer(server, reason) {
+        if (this.#isPermanentlyDisconnected || this.#isSwitchingServer)
+            return;
+
+        this.#isSwitchingServer = true;
+        const previousServer = this.#connectedServer;
+        const client = this.#transport.createClient(server, this.#xrplClientOptions);
+
+        let switched = false;
+        try {
+            // Wait for the requests in flight, So no request is sent through the client being replaced.
+            switched = await this.#runExclusive(async () => {
+                if (this.#isPermanentlyDisconnected)
+                    return false;
+                await this.#replaceClient(client, server);
+                return true;
+            });
+        }
+        catch (e) {
+            this.#logger.warn(`Error occurred while switching to server ${server}`, { server: server, error: e });
+            this.#serverPool.recordRequest(server, 0, true);
+        }
+
+        try {
+            if (switched) {
+                await this.#initSubscriptions();
+                this.#emitServerSwitch(previousServer, reason);
+            }
+            else if (client.isConnected()) {
+                await client.disconnect().catch(e => this.#logger.error('Error occurred while disconnecting.', { error: e }));
             }
-            if (resp?.result?.marker)
-                requestObj.marker = resp?.result?.marker;
-            else
-                delete requestObj.marker;
-            resp = (await this.#handleClientRequest(requestObj));
-            if (resp?.result && resp?.result[requestType])
-                res.push(...resp.result[requestType]);
-            if (count)
-                count -= requestObj.limit;
         }
+        finally {
+            this.#isSwitchingServer = false;
+        }
+    }
+
+    async #replaceClient(client, server) {
+        // Check the server before replacing the current client.
+        await client.connect();
+        const resp = await client.request({ command: 'server_state', ledger_index: "current" });
+        if (!FUNCTIONING_SERVER_STATES.includes(resp?.result?.state?.server_state))
+            throw new ConnectionError("Client might have functioning issues.");
+
+        await this.#handleClientConnect(client);
+        await this.#setXrplClient(client);
+        this.#isPrimaryServerConnected = (server === this.#primaryServer);
+        this.#isFallbackServerConnected = !this.#isPrimaryServerConnected;
+        this.#connectedServer = server;
+    }
+
+    async #requestWithPaging(requestObj, requestType) {
+        const { limit, marker, ...request } = requestObj;
+        let res = [];
+        for await (const page of this.#iteratePages(request, requestType, { limit: limit, marker: marker }))
+            res.push(...page.items);
 
         return res;
     }
 
+    /**
+     * Requests a paged command page by page.
+     * @param {Object} request - Request without the paging fields.
+     * @param {string} requestType - Result field which contains the page items.
+     * @param {Object} [options={}] - Paging options. pageSize, marker to resume from and limit of the total items.
+     * @returns {AsyncGenerator<Object>} Pages as { items, marker, ledgerIndex }. marker is undefined in the last page, ledgerIndex is the ledger the server read the page from if reported.
+     */
+    async *#iteratePages(request, requestType, options = {}) {
+        let marker = options.marker;
+        let count = options.limit || null;
+        const pageSize = (request.command === 'account_lines') ? 1000 : (options.pageSize || MAX_PAGE_LIMIT);
+
+        do {
+            const limit = (count !== null && request.command !== 'account_lines') ? Math.min(count, pageSize) : pageSize;
+            const resp = await this.#handleClientRequest({ ...request, limit: limit, ...(marker ? { marker: marker } : {}) });
+            marker = resp?.result?.marker;
+            if (count !== null)
+                count -= limit;
+            yield { items: resp?.result?.[requestType] || [], marker: marker, ledgerIndex: resp?.result?.ledger_index };
+        } while (marker && (count === null || count > 0));
+    }
+
     async #handleClientRequest(request = {}) {
+        // Retry options are not a part of the rippled request.
+        const { retry, ...clientRequest } = request;
+        const retryOptions = (retry === false) ? { maxRetries: 0 } : { ...this.#retryOptions, ...retry };
+
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this.#sendClientRequest(clientRequest);
+            }
+            catch (e) {
+                if (!THROTTLING_ERRORS.includes(e?.data?.error) || attempt >= retryOptions.maxRetries || this.#isPermanentlyDisconnected)
+                    throw e;
+
+                // Exponential backoff with jitter, So the throttled clients do not retry all at once.
+                const delay = Math.min(retryOptions.maxDelay, retryOptions.baseDelay * (2 ** attempt));
+                const jitteredDelay = Math.floor((delay / 2) + (Math.random() * delay / 2));
+                this.#logger.warn(`Request throttled by the server, Retrying in ${jitteredDelay}ms.`, { server: this.#connectedServer, command: clientRequest.command, error: e.data.error, attempt: attempt + 1 });
+                await new Promise(resolve => setTimeout(resolve, jitteredDelay));
+            }
+        }
+    }
+
+    async #sendClientRequest(request) {
+        if (this.#rateLimiter)
+            await this.#rateLimiter.acquire();
+
         await this.#acquireConnection();
+        const server = this.#connectedServer;
+        const startTime = Date.now();
         try {
             const response = await this.#client.request(request);
             this.#releaseConnection();
+            this.#serverPool.recordRequest(server, Date.now() - startTime);
             return response;
         }
         catch (e) {
             this.#releaseConnection();
+            // Error responses from the server are valid outcomes, Only the transport failures and network mode errors count against the server.
+            const isServerFailure = !e?.data || e.data.error_message === NETWORK_MODES.INSUFFICIENT_NETWORK_MODE;
+            this.#serverPool.recordRequest(server, Date.now() - startTime, isServerFailure);
             if (e?.data?.error_message === NETWORK_MODES.INSUFFICIENT_NETWORK_MODE) {
                 this.#events.emit(XrplApiEvents.SERVER_DESYNCED, { "event_type": "on_error", "error_code": e.data?.error_code, "error_message": e.data.error_message });
             }
@@ -433,6 +779,14 @@ class XrplApi {
         return true;
     }
 
+    /**
+     * Checks whether the API is connected to a server.
+     * @returns {boolean} True if connected and not disconnected by the user.
+     */
+    isConnected() {
+        return !this.#isPermanentlyDisconnected && !!this.#client?.isConnected();
+    }
+
     /**
      * Connects to the XRPL API.
      * @returns {Promise<void>}
@@ -443,8 +797,46 @@ class XrplApi {
         if (!this.#client || !this.#client.isConnected()) {
             await this.#connectXrplClient();
         }
-        const definitions = await this.#handleClientRequest({ command: 'server_definitions' })
-        this.xrplHelper = new XrplHelpers(definitions.result);
+
+        if (this.xrplHelper || this.#loadDefinitionsSnapshot()) {
+            // Encoding and signing can start with the known definitions while the latest are checked.
+            this.#refreshDefinitions().catch(e => this.#logger.warn('Error occurred while refreshing server definitions.', { error: e }));
+        }
+        else {
+            await this.#refreshDefinitions();
+        }
+    }
+
+    #loadDefinitionsSnapshot() {
+        const definitions = (this.#definitionsCache && XrplHelpers.readDefinitionsCache(this.#definitionsCache)) ||
+            (this.#bundledDefinitions ? XrplHelpers.getBundledDefinitions() : null);
+        if (!definitions)
+            return false;
+
+        this.xrplHelper = new XrplHelpers(definitions);
+        return true;
+    }
+
+    async #refreshDefinitions() {
+        const currentHash = this.xrplHelper?.definitionsHash;
+        // The server only returns the hash if the definitions match the given hash.
+        const resp = await this.#handleClientRequest({ command: 'server_definitions', ...(currentHash ? { hash: currentHash } : {}) });
+        const definitions = resp.result;
+        if (!definitions?.FIELDS || (currentHash && definitions.hash === currentHash))
+            return;
+
+        this.xrplHelper = new XrplHelpers(definitions);
+        if (currentHash)
+            this.#logger.info('Server definitions updated.', { hash: definitions.hash });
+
+        if (this.#definitionsCache) {
+            try {
+                XrplHelpers.writeDefinitionsCache(this.#definitionsCache, definitions);
+            }
+            catch (e) {
+                this.#logger.warn('Error occurred while writing the server definitions cache.', { path: this.#definitionsCache, error: e });
+            }
+        }
     }
 
     /**
@@ -452,20 +844,29 @@ class XrplApi {
      * @returns {Promise<void>}
      */
     async disconnect() {
-        await this.#acquireConnection();
+        // Concurrent calls share the same disconnection.
+        if (!this.#disconnectPromise) {
+            this.#disconnectPromise = this.#disconnectClient().finally(() => {
+                this.#disconnectPromise = null;
+            });
+        }
+        return await this.#disconnectPromise;
+    }
 
-        try {
-            this.#isPermanentlyDisconnected = true;
+    async #disconnectClient() {
+        // Stop the background work right away, So nothing new is started while the requests in flight complete.
+        this.#isPermanentlyDisconnected = true;
+        if (this.#healthCheckTimer) {
+            clearInterval(this.#healthCheckTimer);
+            this.#healthCheckTimer = null;
+        }
+        clearTimeout(this.#ledgerTimeout);
 
+        await this.#runExclusive(async () => {
             if (this.#client && this.#client.isConnected()) {
-                await this.#client.disconnect().catch(console.error);
+                await this.#client.disconnect().catch(e => this.#logger.error('Error occurred while disconnecting.', { error: e }));
             }
-            this.#releaseConnection();
-        }
-        catch (e) {
-            this.#releaseConnection();
-            throw e;
-        }
+        });
     }
 
     async #getLedgerIndex() {
@@ -556,6 +957,14 @@ class XrplApi {
         return resp?.result;
     }
 
+    /**
+     * Gets the health statistics of the configured servers.
+     * @returns {Array<Object>} List of server health statistics (url, latency, errorRate, serverState, ledgerIndex, ledgerLag, healthy, connected).
+     */
+    getServerHealth() {
+        return this.#serverPool.getAllHealth().map(h => ({ ...h, connected: h.url === this.#connectedServer }));
+    }
+
     /**
      * Gets account objects for a specified address.
      * @param {string} address - The account address.
@@ -566,6 +975,47 @@ class XrplApi {
         return this.#requestWithPaging({ command: 'account_objects', account: address, ...options }, API_REQ_TYPE.ACCOUNT_OBJECTS);
     }
 
+    /**
+     * Iterates the account objects of an address page by page. Break the loop to stop fetching further pages.
+     * @param {string} address - The account address.
+     * @param {Object} [options={}] - Optional parameters for the request.
+     * @param {number} [options.pageSize=400] - Number of objects requested per page.
+     * @param {any} [options.marker] - Marker of a previous page to resume from.
+     * @returns {AsyncGenerator<Object>} Pages as { items, marker }.
+     * @example for await (const page of xrplApi.iterateAccountObjects(address, { type: 'ticket' })) { ... }
+     */
+    async *iterateAccountObjects(address, options = {}) {
+        const { pageSize, marker, ...params } = options;
+        yield* this.#iteratePages({ command: 'account_objects', account: address, ...params }, API_REQ_TYPE.ACCOUNT_OBJECTS, { pageSize, marker });
+    }
+
+    /**
+     * Iterates the namespace entries of an address page by page. Break the loop to stop fetching further pages.
+     * @param {string} address - The account address.
+     * @param {string} namespaceId - The namespace ID.
+     * @param {Object} [options={}] - Optional parameters for the request.
+     * @param {number} [options.pageSize=400] - Number of entries requested per page.
+     * @param {any} [options.marker] - Marker of a previous page to resume from.
+     * @returns {AsyncGenerator<Object>} Pages as { items, marker }.
+     */
+    async *iterateNamespaceEntries(address, namespaceId, options = {}) {
+        const { pageSize, marker, ...params } = options;
+        yield* this.#iteratePages({ command: 'account_namespace', account: address, namespace_id: namespaceId, ...params }, API_REQ_TYPE.NAMESPACE_ENTRIES, { pageSize, marker });
+    }
+
+    /**
+     * Iterates the transactions of an address page by page. Break the loop to stop fetching further pages.
+     * @param {string} address - The account address.
+     * @param {Object} [options={}] - Optional parameters for the request. (Eg: ledger_index_min, ledger_index_max, forward)
+     * @param {number} [options.pageSize=400] - Number of transactions requested per page.
+     * @param {any} [options.marker] - Marker of a previous page to resume from.
+     * @returns {AsyncGenerator<Object>} Pages as { items, marker }.
+     */
+    async *iterateAccountTrx(address, options = {}) {
+        const { pageSize, marker, ...params } = options;
+        yield* this.#iteratePages({ command: 'account_tx', account: address, ...params }, API_REQ_TYPE.TRANSACTIONS, { pageSize, marker });
+    }
+
     /**
      * Gets namespace entries for a specified address and namespace ID.
      * @param {string} address - The account address.
@@ -574,7 +1024,20 @@ class XrplApi {
      * @returns {Promise<Array<Object>>} The namespace entries.
      */
     async getNamespaceEntries(address, namespaceId, options) {
-        return this.#requestWithPaging({ command: 'account_namespace', account: address, namespace_id: namespaceId, ...options }, API_REQ_TYPE.NAMESPACE_ENTRIES);
+        // Only the reads from the latest validated ledger are cached.
+        if (!this.#cache || (options && Object.keys(options).length > 0))
+            return this.#requestWithPaging({ command: 'account_namespace', account: address, namespace_id: namespaceId, ...options }, API_REQ_TYPE.NAMESPACE_ENTRIES);
+
+        return await this.#cachedRead(`account_namespace:${address}:${namespaceId}`, async () => {
+            const entries = [];
+            const ledgerIndexes = new Set();
+            for await (const page of this.#iteratePages({ command: 'account_namespace', account: address, namespace_id: namespaceId }, API_REQ_TYPE.NAMESPACE_ENTRIES)) {
+                entries.push(...page.items);
+                ledgerIndexes.add(page.ledgerIndex);
+            }
+            // Pages read from different ledgers are not cached.
+            return { value: entries, ledgerIndex: (ledgerIndexes.size === 1) ? [...ledgerIndexes][0] : null };
+        });
     }
 
     /**
@@ -656,15 +1119,58 @@ class XrplApi {
      * @returns {Promise<Object|null>} The ledger entry or null if not found.
      */
     async getLedgerEntry(index, options) {
-        try {
-            const resp = (await this.#handleClientRequest({ command: 'ledger_entry', index: index, ledger_index: "validated", ...options }));
-            return resp?.result?.node;
+        const read = async () => {
+            try {
+                const resp = (await this.#handleClientRequest({ command: 'ledger_entry', index: index, ledger_index: "validated", ...options }));
+                return { value: resp?.result?.node, ledgerIndex: resp?.result?.ledger_index };
 
-        } catch (e) {
-            if (e?.data?.error === 'entryNotFound')
-                return null;
-            throw e;
-        }
+            } catch (e) {
+                if (e?.data?.error === 'entryNotFound')
+                    return { value: null, ledgerIndex: e.data.ledger_index };
+                throw e;
+            }
+        };
+
+        // Only the reads from the latest validated ledger are cached.
+        if (!this.#cache || (options && Object.keys(options).length > 0))
+            return (await read()).value;
+
+        return await this.#cachedRead(`ledger_entry:${index}`, read);
+    }
+
+    async #cachedRead(key, read) {
+        const cached = this.#cache.get(key, this.ledgerIndex);
+        if (cached)
+            return cached.value;
+
+        // Values are cached under the ledger the server read them from, So the cache drops the ones of another ledger.
+        const { value, ledgerIndex } = await read();
+        if (ledgerIndex)
+            this.#cache.set(key, value, ledgerIndex);
+        return value;
+    }
+
+    /**
+     * Gets the read cache statistics.
+     * @returns {Object|null} Cache statistics (hits, misses, evictions, size, maxEntries, ledgerIndex) or null if caching is not enabled.
+     */
+    getCacheStats() {
+        return this.#cache ? this.#cache.getStats() : null;
+    }
+
+    /**
+     * Gets the request rate limiter status.
+     * @returns {Object|null} Status (requestsPerSecond, burst, tokens, waiting) or null if rate limiting is not enabled.
+     */
+    getRateLimitStats() {
+        return this.#rateLimiter ? this.#rateLimiter.getStats() : null;
+    }
+
+    /**
+     * Removes all the cached ledger reads.
+     */
+    clearCache() {
+        this.#cache?.clear(this.ledgerIndex);
     }
 
     /**
@@ -698,6 +1204,8 @@ class XrplApi {
      */
     async subscribeToAddress(address, handler) {
         this.#addressSubscriptions.push({ address: address, handler: handler });
+        if (!this.#lastProcessedLedgers[address])
+            this.#lastProcessedLedgers[address] = this.ledgerIndex;
         await this.#handleClientRequest({ command: 'subscribe', accounts: [address] });
     }
 
@@ -713,6 +1221,8 @@ class XrplApi {
             if (sub.address === address && sub.handler === handler)
                 this.#addressSubscriptions.splice(i, 1);
         }
+        if (!this.#addressSubscriptions.find(s => s.address === address))
+            delete this.#lastProcessedLedgers[address];
         await this.#handleClientRequest({ command: 'unsubscribe', accounts: [address] });
     }
 
@@ -737,7 +1247,7 @@ class XrplApi {
      */
     async getTransactionValidatedResults(txHash) {
         const txResponse = await this.getTxnInfo(txHash)
-            .catch((e) => {
+            .catch(() => {
                 return null;
             });
 
@@ -759,20 +1269,17 @@ class XrplApi {
      * @param {object} submissionResult - Result of the submission.
      * @returns The applied transaction object.
      */
-    async #waitForFinalTransactionOutcome(txHash, lastLedger, submissionResult) {
+    async #waitForFinalTransactionOutcome(txHash, lastLedger, submissionResult, signal = null) {
         if (lastLedger == null)
-            throw 'Transaction must contain a LastLedgerSequence value for reliable submission.';
+            throw new ValidationError('Transaction must contain a LastLedgerSequence value for reliable submission.');
 
-        await new Promise(r => setTimeout(r, RESPONSE_WATCH_TIMEOUT));
+        await AbortHelpers.sleep(RESPONSE_WATCH_TIMEOUT, signal);
 
         const latestLedger = await this.#getLedgerIndex();
 
         if (lastLedger < latestLedger) {
-            throw {
-                status: 'TOOK_LONG',
-                error: `The latest ledger sequence ${latestLedger} is greater than the transaction's LastLedgerSequence (${lastLedger})`,
-                ...submissionResult
-            };
+            const message = `The latest ledger sequence ${latestLedger} is greater than the transaction's LastLedgerSequence (${lastLedger})`;
+            throw new TimeoutError(message, { status: 'TOOK_LONG', error: message, ...submissionResult });
         }
 
         const txResponse = await this.getTxnInfo(txHash)
@@ -782,56 +1289,61 @@ class XrplApi {
                     return await this.#waitForFinalTransactionOutcome(
                         txHash,
                         lastLedger,
-                        submissionResult
+                        submissionResult,
+                        signal
                     );
                 }
-                throw `${message} \n Preliminary result: ${JSON.stringify(submissionResult, null, 2)}.\nFull error details: ${JSON.stringify(error, null, 2)}`;
+                throw new TransactionFailedError({ error: error, submissionResult: submissionResult }, `${message} \n Preliminary result: ${JSON.stringify(submissionResult, null, 2)}.\nFull error details: ${JSON.stringify(error, null, 2)}`);
             });
 
         if (txResponse.validated)
             return txResponse;
 
-        return await this.#waitForFinalTransactionOutcome(txHash, lastLedger, submissionResult);
+        return await this.#waitForFinalTransactionOutcome(txHash, lastLedger, submissionResult, signal);
     }
 
     /**
      * Arrange the transaction result to a standard format.
      * @param {object} tx - Submitted Transaction
      * @param {object} submissionResult - Response related to that transaction.
+     * @param {AbortSignal} [signal] - Signal to stop waiting for the transaction result.
      * @returns prepared response of the transaction result.
      */
-    async #prepareResponse(tx, submissionResult) {
-        const result = await this.#waitForFinalTransactionOutcome(submissionResult.result.tx_json.hash, tx.LastLedgerSequence, submissionResult);
+    async #prepareResponse(tx, submissionResult, signal = null) {
+        const result = await this.#waitForFinalTransactionOutcome(submissionResult.result.tx_json.hash, tx.LastLedgerSequence, submissionResult, signal);
         const txResult = {
             id: result?.hash,
             code: result?.meta?.TransactionResult,
             details: result
         };
 
-        console.log("Transaction result: " + txResult.code);
+        this.#logger.info("Transaction result: " + txResult.code, { txHash: txResult.id });
         const hookExecRes = txResult.details?.meta?.HookExecutions?.map(o => {
             return {
                 result: o.HookExecution?.HookResult,
                 returnCode: parseInt(o.HookExecution?.HookReturnCode, 16),
+                // eslint-disable-next-line no-control-regex
                 message: TransactionHelper.hexToASCII(o.HookExecution?.HookReturnString).replace(/\x00+$/, '')
             }
         });
         if (txResult.code === "tesSUCCESS")
             return { ...txResult, ...(hookExecRes ? { hookExecutionResult: hookExecRes } : {}) };
         else
-            throw { ...txResult, ...(hookExecRes ? { hookExecutionResult: hookExecRes } : {}) };
+            throw new TransactionFailedError({ ...txResult, ...(hookExecRes ? { hookExecutionResult: hookExecRes } : {}) });
     }
 
     /**
      * Submit a multi-signature transaction and wait for validation.
      * @param {object} tx - Multi-signed transaction object.
      * @param {object} submissionRef - [Optional] Reference object to take submission references.
+     * @param {object} options - [Optional] Options. `signal` stops waiting for the validation, The submitted transaction may still get validated.
      * @returns response object of the validated transaction.
      */
-    async submitMultisignedAndWait(tx, submissionRef = {}) {
+    async submitMultisignedAndWait(tx, submissionRef = {}, options = {}) {
+        AbortHelpers.throwIfAborted(options.signal);
         tx.SigningPubKey = "";
         submissionRef.submissionResult = await this.#handleClientRequest({ command: 'submit_multisigned', tx_json: tx });
-        return await this.#prepareResponse(tx, submissionRef.submissionResult);
+        return await this.#prepareResponse(tx, submissionRef.submissionResult, options.signal);
     }
 
     /**
@@ -848,11 +1360,13 @@ class XrplApi {
      * Submit a single-signature transaction.
      * @param {string} tx_blob - Signed transaction object.
      * @param {object} submissionRef - [Optional] Reference object to take submission references.
+     * @param {object} options - [Optional] Options. `signal` stops waiting for the validation, The submitted transaction may still get validated.
      * @returns response object of the validated transaction.
      */
-    async submitAndWait(tx, tx_blob, submissionRef = {}) {
+    async submitAndWait(tx, tx_blob, submissionRef = {}, options = {}) {
+        AbortHelpers.throwIfAborted(options.signal);
         submissionRef.submissionResult = await this.#handleClientRequest({ command: 'submit', tx_blob: tx_blob });
-        return await this.#prepareResponse(tx, submissionRef.submissionResult);
+        return await this.#prepareResponse(tx, submissionRef.submissionResult, options.signal);
     }
 
     /**
@@ -869,13 +1383,13 @@ class XrplApi {
      * For more details: https://js.xrpl.org/functions/multisign.html
      * @param {Array<string|object>} transactions - An array of signed transactions, either as serialized strings or transaction objects, to combine into a single multi-signed transaction.
      * @returns {string} A single multi-signed transaction in string format that contains all signers from the input transactions.
-     * @throws {Error} If the transactions array is empty.
+     * @throws {ValidationError} If the transactions array is empty.
      */
     multiSign(transactions) {
         if (transactions.length > 0) {
             return xrpl.multisign(transactions);
         } else
-            throw ("Transaction list is empty for multi-signing.");
+            throw new ValidationError("Transaction list is empty for multi-signing.");
     }
 }
 
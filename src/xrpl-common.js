@@ -9,7 +9,8 @@ const XrplApiEvents = {
     NFT_OFFER_ACCEPT: 'nftokenacceptoffer',
     URI_TOKEN_CREATE_SELL_OFFER: 'uritokencreateselloffer', // For Transfers
     URI_TOKEN_BUY: 'uritokenbuy', // For Acquires
-    SERVER_DESYNCED: 'desynced'
+    SERVER_DESYNCED: 'desynced',
+    SERVER_SWITCHED: 'serverswitched'
 }
 
 /**
@@ -17,6 +18,7 @@ const XrplApiEvents = {
  */
 const XrplConstants = {
     MAX_LEDGER_OFFSET: 10,
+    MULTISIGN_MAX_LEDGER_OFFSET: 900, // Around an hour, For the transactions signed through a MultiSignSession.
     XRP: 'XRP',
     XAH: 'XAH',
     MIN_XRP_AMOUNT: '1', // drops - deprecated
@@ -31,9 +33,12 @@ const XrplTransactionTypes = {
     PAYMENT: 'Payment',
     SIGNER_LIST_SET: 'SignerListSet',
     TRUST_SET: 'TrustSet',
+    CHECK_CREATE: 'CheckCreate',
     CHECK_CASH: 'CheckCash',
+    CHECK_CANCEL: 'CheckCancel',
     ACCOUNT_SET: 'AccountSet',
     SET_REGULAR_KEY: 'SetRegularKey',
+    TICKET_CREATE: 'TicketCreate',
     OFFER_CREATE: 'OfferCreate',
     OFFER_CANCEL: 'OfferCancel',
     URI_TOKEN_MINT: 'URITokenMint',
@@ -44,11 +49,26 @@ const XrplTransactionTypes = {
     NF_TOKEN_MINT: 'NFTokenMint',
     NF_TOKEN_CREATE_OFFER: 'NFTokenCreateOffer',
     NF_TOKEN_ACCEPT_OFFER: 'NFTokenAcceptOffer',
-    NF_TOKEN_BURN: 'NFTokenBurn'
+    NF_TOKEN_BURN: 'NFTokenBurn',
+    ESCROW_CREATE: 'EscrowCreate',
+    ESCROW_FINISH: 'EscrowFinish',
+    ESCROW_CANCEL: 'EscrowCancel',
+    SET_HOOK: 'SetHook',
+    ACCOUNT_DELETE: 'AccountDelete'
+}
+
+/**
+ * Flags of the hooks in a SetHook transaction.
+ */
+const HookSetFlags = {
+    OVERRIDE: 1, // Replace the hook in the position.
+    NS_DELETE: 2, // Delete the hook state of the namespace.
+    COLLECT: 4 // Execute the hook on the collect call.
 }
 
 module.exports = {
     XrplApiEvents,
     XrplConstants,
-    XrplTransactionTypes
+    XrplTransactionTypes,
+    HookSetFlags
 }
\ No newline at end of file
@@ -1,8 +1,66 @@
-const { sign, derive, XrplDefinitions, binary } = require('xrpl-accountlib')
+const fs = require('fs');
+const path = require('path');
+const { sign, derive, XrplDefinitions, binary, utils } = require('xrpl-accountlib')
+const BundledDefinitions = require('./xahau-definitions.json');
+const { ValidationError } = require('./errors');
+
 class XrplHelpers {
     definitions;
+    definitionsHash;
     constructor(definition) {
         this.definitions = new XrplDefinitions(definition);
+        this.definitionsHash = definition?.hash || null;
+    }
+
+    /**
+     * Gets the server definitions snapshot bundled with the library.
+     * @returns {Object} Bundled Xahau server definitions.
+     */
+    static getBundledDefinitions() {
+        return BundledDefinitions;
+    }
+
+    /**
+     * Reads server definitions from a cache file.
+     * @param {string} cachePath Path of the cache file.
+     * @returns {Object|null} Cached server definitions or null if the cache does not exist or is not valid.
+     */
+    static readDefinitionsCache(cachePath) {
+        try {
+            const definitions = JSON.parse(fs.readFileSync(cachePath, 'utf8'));
+            return (definitions?.FIELDS && definitions?.TYPES) ? definitions : null;
+        }
+        catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Writes server definitions to a cache file.
+     * @param {string} cachePath Path of the cache file.
+     * @param {Object} definitions Server definitions.
+     */
+    static writeDefinitionsCache(cachePath, definitions) {
+        fs.mkdirSync(path.dirname(cachePath), { recursive: true });
+        // Write to a temporary file and rename so concurrent readers never see a partial file.
+        const tmpPath = `${cachePath}.${Date.now()}${Math.floor(Math.random() * 1000)}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(definitions));
+        fs.renameSync(tmpPath, cachePath);
+    }
+
+    /**
+     * Creates helpers without contacting a server.
+     * @param {Object|string} [definitions] Server definitions object or path to a server definitions json file. Defaults to the bundled Xahau definitions.
+     * @returns {XrplHelpers} Helpers built from the given definitions.
+     */
+    static fromDefinitions(definitions = null) {
+        if (typeof definitions === 'string') {
+            const cached = XrplHelpers.readDefinitionsCache(definitions);
+            if (!cached)
+                throw new ValidationError(`Invalid server definitions file: ${definitions}`);
+            definitions = cached;
+        }
+        return new XrplHelpers(definitions || BundledDefinitions);
     }
     encode(transacion) {
         return binary.encode(transacion, this.definitions);
@@ -11,6 +69,27 @@ class XrplHelpers {
         return binary.decode(transacion, this.definitions)
     }
 
+    /**
+     * Encodes a transaction into the data to be signed.
+     * @param {Object} tx Transaction object with the SigningPubKey.
+     * @param {string} [multiSignAs] Signer account address if the signature is for multisigning.
+     * @returns {string} Hex encoded signing data.
+     */
+    encodeForSigning(tx, multiSignAs = null) {
+        return multiSignAs ?
+            binary.encodeForMultisigning(tx, multiSignAs, this.definitions) :
+            binary.encodeForSigning(tx, this.definitions);
+    }
+
+    /**
+     * Computes the transaction id of a signed transaction.
+     * @param {string} txBlob Signed transaction blob.
+     * @returns {string} Transaction hash.
+     */
+    computeHash(txBlob) {
+        return utils.computeBinaryTransactionHash(txBlob);
+    }
+
     sign(tx, secret, isMultiSign = false) {
         const account = derive.familySeed(secret);
         const signed = sign(tx, (isMultiSign ? [account.signAs(account.address)] : account), this.definitions);
@@ -0,0 +1,156 @@
+const FUNCTIONING_SERVER_STATES = ['full', 'validating', 'proposing'];
+const EWMA_WEIGHT = 0.2; // Weight given to the latest sample in moving averages.
+const MAX_ERROR_RATE = 0.5;
+const MAX_LEDGER_LAG = 3;
+const ERROR_PENALTY = 1000; // Milliseconds added to the score per unit of error rate.
+const LEDGER_LAG_PENALTY = 500; // Milliseconds added to the score per lagging ledger.
+
+/**
+ * Keeps health statistics of a set of rippled servers and ranks them.
+ */
+class XrplServerPool {
+    #servers = {};
+
+    /**
+     * @param {Array<string>} urls - Server urls to track.
+     */
+    constructor(urls = []) {
+        for (const url of urls)
+            this.#getStats(url);
+    }
+
+    #getStats(url) {
+        if (!this.#servers[url]) {
+            this.#servers[url] = {
+                url: url,
+                latency: null,
+                errorRate: 0,
+                requests: 0,
+                errors: 0,
+                serverState: null,
+                ledgerIndex: null,
+                lastChecked: null
+            };
+        }
+        return this.#servers[url];
+    }
+
+    #average(current, sample) {
+        return current === null ? sample : (current * (1 - EWMA_WEIGHT)) + (sample * EWMA_WEIGHT);
+    }
+
+    #latestLedgerIndex() {
+        return Math.max(0, ...Object.values(this.#servers).map(s => s.ledgerIndex || 0));
+    }
+
+    /**
+     * Records the outcome of a request sent to a server.
+     * @param {string} url - Server url.
+     * @param {number} latency - Round trip time in milliseconds.
+     * @param {boolean} [failed=false] - Whether the request failed.
+     */
+    recordRequest(url, latency, failed = false) {
+        const stats = this.#getStats(url);
+        stats.requests++;
+        if (failed)
+            stats.errors++;
+        else
+            stats.latency = this.#average(stats.latency, latency);
+        stats.errorRate = this.#average(stats.errorRate, failed ? 1 : 0);
+    }
+
+    /**
+     * Records the state reported by a server.
+     * @param {string} url - Server url.
+     * @param {string} serverState - Reported server_state.
+     * @param {number} [ledgerIndex] - Last validated ledger index of the server.
+     */
+    recordState(url, serverState, ledgerIndex = null) {
+        const stats = this.#getStats(url);
+        stats.serverState = serverState;
+        if (ledgerIndex)
+            stats.ledgerIndex = ledgerIndex;
+        stats.lastChecked = Date.now();
+    }
+
+    /**
+     * Records the latest ledger seen from a server.
+     * @param {string} url - Server url.
+     * @param {number} ledgerIndex - Ledger index.
+     */
+    recordLedger(url, ledgerIndex) {
+        this.#getStats(url).ledgerIndex = ledgerIndex;
+    }
+
+    /**
+     * Gets the number of ledgers a server is behind the most advanced server in the pool.
+     * @param {string} url - Server url.
+     * @returns {number} Ledger lag.
+     */
+    getLedgerLag(url) {
+        const stats = this.#getStats(url);
+        return stats.ledgerIndex ? this.#latestLedgerIndex() - stats.ledgerIndex : 0;
+    }
+
+    /**
+     * Checks whether a server is healthy.
+     * @param {string} url - Server url.
+     * @returns {boolean} True if the server is functioning, in sync and not failing requests.
+     */
+    isHealthy(url) {
+        const stats = this.#getStats(url);
+        return FUNCTIONING_SERVER_STATES.includes(stats.serverState) &&
+            stats.errorRate <= MAX_ERROR_RATE &&
+            this.getLedgerLag(url) <= MAX_LEDGER_LAG;
+    }
+
+    /**
+     * Calculates a score for a server. Lower is better.
+     * @param {string} url - Server url.
+     * @returns {number} Score of the server.
+     */
+    getScore(url) {
+        const stats = this.#getStats(url);
+        if (!this.isHealthy(url))
+            return Infinity;
+        return (stats.latency || 0) + (stats.errorRate * ERROR_PENALTY) + (this.getLedgerLag(url) * LEDGER_LAG_PENALTY);
+    }
+
+    /**
+     * Orders the given servers from the healthiest to the least healthy. Servers which are not checked yet
+     * are placed before the unhealthy ones and keep their order.
+     * @param {Array<string>} urls - Server urls.
+     * @returns {Array<string>} Ordered server urls.
+     */
+    rank(urls) {
+        const score = (url) => {
+            if (this.#getStats(url).lastChecked === null)
+                return Number.MAX_SAFE_INTEGER - 1;
+            return Math.min(this.getScore(url), Number.MAX_SAFE_INTEGER);
+        };
+        return urls.map((url, i) => ({ url, i, score: score(url) }))
+            .sort((a, b) => (a.score - b.score) || (a.i - b.i))
+            .map(s => s.url);
+    }
+
+    /**
+     * Gets the health statistics of a server.
+     * @param {string} url - Server url.
+     * @returns {Object} Health statistics.
+     */
+    getHealth(url) {
+        return { ...this.#getStats(url), ledgerLag: this.getLedgerLag(url), healthy: this.isHealthy(url) };
+    }
+
+    /**
+     * Gets the health statistics of all the servers.
+     * @returns {Array<Object>} Health statistics list.
+     */
+    getAllHealth() {
+        return Object.keys(this.#servers).map(url => this.getHealth(url));
+    }
+}
+
+module.exports = {
+    XrplServerPool
+}
@@ -0,0 +1,115 @@
+const assert = require('assert');
+const crypto = require('crypto');
+const codec = require('ripple-address-codec');
+const evernode = require('../../src/index');
+const { createNetwork, fundWallet, setupEvernode, fundEvr } = require('./helpers');
+
+const { CheckHelpers } = evernode;
+const EVR = evernode.EvernodeConstants.EVR;
+
+// SHA-512Half of the check ledger space ('C'), the account id and the sequence.
+function checkIndex(address, sequence) {
+    const seq = Buffer.alloc(4);
+    seq.writeUInt32BE(sequence);
+    const data = Buffer.concat([Buffer.from([0, 'C'.charCodeAt(0)]), Buffer.from(codec.decodeAccountID(address)), seq]);
+    return crypto.createHash('sha512').update(data).digest().subarray(0, 32).toString('hex').toUpperCase();
+}
+
+module.exports = {
+    'Check index matches the ledger object index': async () => {
+        const address = 'rHb9CJAWyB4rj91VRWn96DkukG4bwdtyTh';
+        for (const sequence of [1, 255, 65536, 4294967295])
+            assert.strictEqual(CheckHelpers.getCheckIndex(address, sequence), checkIndex(address, sequence));
+
+        const { server, api } = await createNetwork();
+        try {
+            const [sender, receiver] = [fundWallet(server), fundWallet(server)];
+            const acc = new evernode.XrplAccount(sender.classicAddress, sender.seed, { xrplApi: api });
+            const prepared = await acc.prepareCreateCheck(receiver.classicAddress, '1000000');
+            await acc.signAndSubmit(prepared);
+            assert.deepStrictEqual((await acc.getChecks(sender.classicAddress)).map(c => c.index), [checkIndex(sender.classicAddress, prepared.Sequence)]);
+        }
+        finally {
+            await api.disconnect();
+        }
+    },
+
+    'Checks are cashed partially with DeliverMin': async () => {
+        const { server, api } = await createNetwork();
+        try {
+            const evernodeAccounts = setupEvernode(server);
+            const [sender, receiver] = [fundWallet(server), fundWallet(server)];
+            fundEvr(server, evernodeAccounts, sender.classicAddress, '4');
+            fundEvr(server, evernodeAccounts, receiver.classicAddress);
+            const senderAcc = new evernode.XrplAccount(sender.classicAddress, sender.seed, { xrplApi: api });
+            const receiverAcc = new evernode.XrplAccount(receiver.classicAddress, receiver.seed, { xrplApi: api });
+            const evrBalance = async (acc) => (await acc.getTrustLines(EVR, evernodeAccounts.evrIssuer.classicAddress))[0].balance;
+
+            // The sender can pay only 4 of the 10 EVR.
+            await senderAcc.createCheck(receiver.classicAddress, '10', EVR, evernodeAccounts.evrIssuer.classicAddress);
+            const [check] = await receiverAcc.getChecks(sender.classicAddress);
+            await assert.rejects(receiverAcc.cashCheck(check), e => e.code === 'tecPATH_PARTIAL');
+            await assert.rejects(receiverAcc.cashCheck(check, { deliverMin: '5' }), e => e.code === 'tecPATH_PARTIAL');
+            await assert.rejects(receiverAcc.cashCheck(check, { deliverMin: 5 }), evernode.ValidationError);
+
+            const res = await receiverAcc.cashCheck(check, { deliverMin: '3' });
+            assert.strictEqual(res.details.meta.delivered_amount.value, '4');
+            assert.strictEqual(await evrBalance(receiverAcc), '4');
+            assert.strictEqual(await evrBalance(senderAcc), '0');
+            assert.deepStrictEqual(await receiverAcc.getChecks(sender.classicAddress), []);
+        }
+        finally {
+            await api.disconnect();
+        }
+    },
+
+    'Outstanding checks are listed in both directions': async () => {
+        const { server, api } = await createNetwork();
+        try {
+            const evernodeAccounts = setupEvernode(server);
+            const [a, b] = [fundWallet(server), fundWallet(server)];
+            fundEvr(server, evernodeAccounts, b.classicAddress, '50');
+            const accA = new evernode.XrplAccount(a.classicAddress, a.seed, { xrplApi: api });
+            const accB = new evernode.XrplAccount(b.classicAddress, b.seed, { xrplApi: api });
+
+            const expiration = new Date(Math.floor(Date.now() / 1000) * 1000 + 3600000);
+            const fromA = await accA.prepareCreateCheck(b.classicAddress, '2000000', null, null, { expiration: expiration, destinationTag: 7, invoiceId: 'invoice-1' });
+            await accA.signAndSubmit(fromA);
+            const fromB = await accB.prepareCreateCheck(a.classicAddress, '25', EVR, evernodeAccounts.evrIssuer.classicAddress);
+            await accB.signAndSubmit(fromB);
+
+            const checksOfA = await accA.getOutstandingChecks();
+            assert.deepStrictEqual(checksOfA.outgoing, [{
+                id: CheckHelpers.getCheckIndex(a.classicAddress, fromA.Sequence),
+                sender: a.classicAddress,
+                destination: b.classicAddress,
+                sequence: fromA.Sequence,
+                amount: '2000000',
+                currency: evernode.XrplConstants.XAH,
+                issuer: null,
+                expiration: expiration,
+                expired: false,
+                destinationTag: 7,
+                sourceTag: null,
+                invoiceId: CheckHelpers.formatInvoiceId('invoice-1')
+            }]);
+            assert.strictEqual(checksOfA.incoming.length, 1);
+            assert.strictEqual(checksOfA.incoming[0].id, CheckHelpers.getCheckIndex(b.classicAddress, fromB.Sequence));
+            assert.deepStrictEqual([checksOfA.incoming[0].amount, checksOfA.incoming[0].currency, checksOfA.incoming[0].issuer], ['25', EVR, evernodeAccounts.evrIssuer.classicAddress]);
+
+            const checksOfB = await accB.getOutstandingChecks();
+            assert.deepStrictEqual(checksOfB.outgoing, checksOfA.incoming);
+            assert.deepStrictEqual(checksOfB.incoming, checksOfA.outgoing);
+
+            // The sender cancels by id and the destination cancels by the check object.
+            await accA.cancelCheck(checksOfA.outgoing[0].id);
+            const [incoming] = await accA.getChecks(b.classicAddress);
+            await accA.cancelCheck(incoming);
+            assert.deepStrictEqual(await accA.getOutstandingChecks(), { outgoing: [], incoming: [] });
+            assert.deepStrictEqual(await accB.getOutstandingChecks(), { outgoing: [], incoming: [] });
+        }
+        finally {
+            await api.disconnect();
+        }
+    }
+}
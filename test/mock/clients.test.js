@@ -0,0 +1,236 @@
+const assert = require('assert');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { getEventListeners } = require('events');
+const evernode = require('../../src/index');
+const { createNetwork, fundWallet, setupEvernode, fundEvr, registerHost, waitFor } = require('./helpers');
+
+const TOS_HASH = '757A0237B44D8B2BBB04AE2BAD5813858E0AECD2F0B217075E27E0630BA74314';
+
+/**
+ * Starts a response watcher and aborts it while it polls. Resolves with the watch error,
+ * the abort signal and whether the watch timeout was cleared.
+ */
+async function abortWatch(watch, timeout) {
+    const controller = new AbortController();
+    const realSetTimeout = global.setTimeout;
+    const realClearTimeout = global.clearTimeout;
+    let failTimeout = null;
+    let cleared = false;
+    global.setTimeout = (handler, ms, ...args) => {
+        const timer = realSetTimeout(handler, ms, ...args);
+        if (ms === timeout)
+            failTimeout = timer;
+        return timer;
+    };
+    global.clearTimeout = (timer) => {
+        if (timer && timer === failTimeout)
+            cleared = true;
+        return realClearTimeout(timer);
+    };
+    try {
+        const promise = watch({ signal: controller.signal, timeout: timeout });
+        await new Promise(resolve => realSetTimeout(resolve, 300));
+        assert.ok(failTimeout);
+        assert.ok(getEventListeners(controller.signal, 'abort').length > 0);
+        controller.abort();
+        const error = await promise.catch(e => e);
+        return { error, signal: controller.signal, cleared };
+    }
+    finally {
+        global.setTimeout = realSetTimeout;
+        global.clearTimeout = realClearTimeout;
+    }
+}
+
+module.exports = {
+    'XrplAccount makes payments and sets account fields': async () => {
+        const { server, api } = await createNetwork();
+        try {
+            const w1 = fundWallet(server);
+            const w2 = fundWallet(server);
+            const acc = new evernode.XrplAccount(w1.classicAddress, w1.seed, { xrplApi: api });
+
+            const receiver = new evernode.XrplAccount(w2.classicAddress, null, { xrplApi: api });
+            const before = (await receiver.getInfo()).Balance;
+            const res = await acc.makePayment(w2.classicAddress, '1000000');
+            assert.strictEqual(res.code, 'tesSUCCESS');
+            const after = (await receiver.getInfo()).Balance;
+            assert.strictEqual(BigInt(after) - BigInt(before), 1000000n);
+
+            await acc.setAccountFields({ Domain: 'host.example.com' });
+            assert.strictEqual(await acc.getDomain(), 'host.example.com');
+        }
+        finally {
+            await api.disconnect();
+        }
+    },
+
+    'XrplAccount signs synchronously with a secret and asynchronously with signers': async () => {
+        const { server, api } = await createNetwork();
+        try {
+            const wallet = fundWallet(server);
+            const tx = { TransactionType: 'AccountSet', Account: wallet.classicAddress, Sequence: 1, Fee: '10', NetworkID: 21338 };
+
+            const seedAcc = new evernode.XrplAccount(wallet.classicAddress, wallet.seed, { xrplApi: api });
+            const signed = seedAcc.sign({ ...tx });
+            assert.ok(signed.tx_blob && signed.hash);
+            assert.deepStrictEqual(await seedAcc.signAsync({ ...tx }), signed);
+
+            const signer = new evernode.KeyPairSigner(wallet.privateKey, wallet.publicKey);
+            const signerAcc = new evernode.XrplAccount(wallet.classicAddress, null, { xrplApi: api, signer: signer });
+            assert.throws(() => signerAcc.sign({ ...tx }), evernode.ValidationError);
+            assert.deepStrictEqual(await signerAcc.signAsync({ ...tx }), signed);
+        }
+        finally {
+            await api.disconnect();
+        }
+    },
+
+    'XrplAccount loads after the signers and wallet modules': async () => {
+        for (const module of ['signers', 'wallet', 'util-helpers']) {
+            const script = `require('./src/${module}'); const { XrplAccount } = require('./src/xrpl-account');
+                const wallet = require('xrpl').Wallet.generate(); new XrplAccount(wallet.classicAddress, wallet.seed, { xrplApi: {} });`;
+            execFileSync(process.execPath, ['-e', script], { cwd: path.resolve(__dirname, '../..'), stdio: 'pipe' });
+        }
+    },
+
+    'Config is loaded from the config states and shared within a ledger': async () => {
+        const { server, api } = await createNetwork({ ledgerInterval: 0 });
+        try {
+            const evernodeAccounts = setupEvernode(server);
+            const governor = evernodeAccounts.governor.classicAddress;
+            for (let i = 0; i < 5; i++)
+                registerHost(server, evernodeAccounts, fundWallet(server).classicAddress);
+
+            // The governor namespace is not paged through.
+            let reads = 0;
+            const getLedgerEntry = api.getLedgerEntry.bind(api);
+            api.getLedgerEntry = (...args) => { reads++; return getLedgerEntry(...args); };
+            api.getNamespaceEntries = api.iterateNamespaceEntries = () => { throw new Error('Namespace should not be read.'); };
+
+            const loadConfig = (refresh) => evernode.GovernorClient.loadConfig(api, governor, refresh);
+            const [config, shared] = await Promise.all([loadConfig(), loadConfig()]);
+            assert.strictEqual(config, shared);
+            assert.strictEqual(config.registryAddress, evernodeAccounts.registry.classicAddress);
+            assert.strictEqual(config.evrIssuerAddress, evernodeAccounts.evrIssuer.classicAddress);
+            assert.strictEqual(config.momentSize, 3600);
+            assert.strictEqual(config.heartbeatAddress, undefined);
+            const readsPerLoad = reads;
+
+            // The snapshot is kept until a new ledger or a refresh.
+            server.setHookState(governor, evernode.HookStateKeys.MOMENT_SIZE, '0807');
+            assert.strictEqual(await loadConfig(), config);
+            assert.strictEqual((await loadConfig(true)).momentSize, 1800);
+            server.setHookState(governor, evernode.HookStateKeys.MOMENT_SIZE, '100E');
+            server.closeLedger();
+            await waitFor(() => api.ledgerIndex === server.ledgerIndex);
+            assert.strictEqual((await loadConfig()).momentSize, 3600);
+            assert.strictEqual(reads, readsPerLoad * 3);
+        }
+        finally {
+            await api.disconnect();
+        }
+    },
+
+    'Hook client factory reuses a connected XrplApi': async () => {
+        const { server, api } = await createNetwork();
+        try {
+            const evernodeAccounts = setupEvernode(server);
+            const options = { xrplApi: api, governorAddress: evernodeAccounts.governor.classicAddress };
+            const registryClient = await evernode.HookClientFactory.create(evernode.HookTypes.registry, options);
+
+            assert.strictEqual(registryClient.xrplAcc.address, evernodeAccounts.registry.classicAddress);
+            assert.strictEqual(options.config, undefined);
+            assert.ok(api.isConnected());
+        }
+        finally {
+            await api.disconnect();
+        }
+        assert.ok(!api.isConnected());
+    },
+
+    'Tenant acquires a lease from a host': async () => {
+        const { server, api } = await createNetwork();
+        const evernodeAccounts = setupEvernode(server);
+        const hostWallet = fundWallet(server);
+        const tenantWallet = fundWallet(server);
+        fundEvr(server, evernodeAccounts, hostWallet.classicAddress);
+        fundEvr(server, evernodeAccounts, tenantWallet.classicAddress, '100');
+        registerHost(server, evernodeAccounts, hostWallet.classicAddress);
+
+        const options = { xrplApi: api, governorAddress: evernodeAccounts.governor.classicAddress };
+        const host = new evernode.HostClient(hostWallet.classicAddress, hostWallet.seed, options);
+        const tenant = new evernode.TenantClient(tenantWallet.classicAddress, tenantWallet.seed, options);
+        try {
+            await host.connect();
+            await tenant.connect();
+            assert.strictEqual(tenant.config.registryAddress, evernodeAccounts.registry.classicAddress);
+
+            await host.xrplAcc.setAccountFields({ MessageKey: await host.getMessagePublicKey() });
+            await tenant.prepareAccount();
+            await host.offerLease(0, 2, TOS_HASH);
+            assert.strictEqual((await host.getLeaseOffers()).length, 1);
+
+            // Respond to the acquire like the host software does.
+            const received = [];
+            host.on(evernode.HostEvents.AcquireLease, async (data) => {
+                received.push(data);
+                await host.acquireSuccess(data.acquireRefId, data.tenant, { content: { name: data.uriTokenId, domain: 'host.example.com' } }, { signPayload: true });
+            });
+
+            const requirement = { owner_pubkey: 'ed' + 'AB'.repeat(32), contract_id: 'dc411912-bcdd-4f73-af43-32ec45844b9a', image: 'hp', config: { log: 'x'.repeat(600) } };
+            const res = await tenant.acquireLease(hostWallet.classicAddress, requirement, {
+                compression: evernode.PayloadCompressions.DEFLATE,
+                memoChunkSize: 200,
+                signPayload: true,
+                requireSignedPayload: true,
+                timeout: 30000
+            });
+
+            assert.strictEqual(received.length, 1);
+            assert.deepStrictEqual(received[0].payload, requirement);
+            assert.strictEqual(received[0].payloadSignature.verified, true);
+            assert.strictEqual(res.hostVerified, true);
+            assert.strictEqual(res.instance.name, received[0].uriTokenId);
+
+            // The lease token and its price moved to the new owners.
+            const tokens = await tenant.xrplAcc.getURITokens();
+            assert.ok(tokens.some(t => t.index === received[0].uriTokenId));
+            await waitFor(async () => (await host.getLeaseOffers()).length === 0);
+            const lines = await host.xrplAcc.getTrustLines(evernode.EvernodeConstants.EVR, evernodeAccounts.evrIssuer.classicAddress);
+            assert.strictEqual(Number(lines[0].balance), 2);
+        }
+        finally {
+            await host.disconnect();
+            await tenant.disconnect();
+            await api.disconnect();
+        }
+    },
+
+    'Tenant response watchers stop and clean up when aborted': async () => {
+        const { server, api } = await createNetwork();
+        const evernodeAccounts = setupEvernode(server);
+        const tenantWallet = fundWallet(server);
+        const tenant = new evernode.TenantClient(tenantWallet.classicAddress, tenantWallet.seed, { xrplApi: api, governorAddress: evernodeAccounts.governor.classicAddress });
+        try {
+            await tenant.connect();
+            const tx = { id: 'AB'.repeat(32), details: { ledger_index: api.ledgerIndex } };
+
+            for (const watch of [tenant.watchAcquireResponse, tenant.watchExtendResponse]) {
+                const { error, signal, cleared } = await abortWatch((options) => watch.call(tenant, tx, options), 123457);
+                assert.ok(error instanceof evernode.AbortError, `${watch.name} rejected with ${error}`);
+                assert.ok(cleared, `${watch.name} did not clear its timeout`);
+                // The watch loop leaves once the abort wakes it from the poll interval.
+                await waitFor(() => getEventListeners(signal, 'abort').length === 0, 2000);
+
+                // An aborted signal fails the watch before it starts polling.
+                await assert.rejects(watch.call(tenant, tx, { signal: signal }), evernode.AbortError);
+            }
+        }
+        finally {
+            await tenant.disconnect();
+            await api.disconnect();
+        }
+    }
+}
@@ -0,0 +1,73 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const evernode = require('../../src/index');
+const { XrplHelpers } = require('../../src/xrpl-helpers');
+const { waitFor } = require('./helpers');
+
+const BUNDLED = XrplHelpers.getBundledDefinitions();
+
+/**
+ * Connects an XrplApi with a definitions cache to a mock server and records the definitions requests.
+ */
+async function connect(cachePath, definitions = BUNDLED) {
+    const server = new evernode.MockXrplServer({ ledgerInterval: 0, definitions: definitions });
+    const requests = [];
+    const handleRequest = server.handleRequest.bind(server);
+    server.handleRequest = (client, request) => {
+        const result = handleRequest(client, request);
+        if (request.command === 'server_definitions')
+            requests.push({ request, result });
+        return result;
+    };
+    const api = new evernode.XrplApi('mock://local', { transport: server, definitionsCache: cachePath });
+    await api.connect();
+    return { api, requests };
+}
+
+const readHash = (cachePath) => JSON.parse(fs.readFileSync(cachePath, 'utf8')).hash;
+
+module.exports = {
+    'Server definitions are cached and refreshed when the hash differs': async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'evernode-definitions-'));
+        try {
+            const cachePath = path.join(dir, 'cache', 'definitions.json');
+
+            // Without a cache the definitions are fetched on connect and written.
+            let { api, requests } = await connect(cachePath);
+            assert.strictEqual(requests[0].request.hash, undefined);
+            assert.strictEqual(api.xrplHelper.definitionsHash, BUNDLED.hash);
+            assert.strictEqual(readHash(cachePath), BUNDLED.hash);
+            await api.disconnect();
+
+            // The cached definitions are used and the server only confirms the hash.
+            const modifiedAt = fs.statSync(cachePath).mtimeMs;
+            ({ api, requests } = await connect(cachePath));
+            await waitFor(() => requests.length === 1);
+            assert.strictEqual(requests[0].request.hash, BUNDLED.hash);
+            assert.deepStrictEqual(requests[0].result, { hash: BUNDLED.hash });
+            assert.strictEqual(api.xrplHelper.definitionsHash, BUNDLED.hash);
+            assert.strictEqual(fs.statSync(cachePath).mtimeMs, modifiedAt);
+            await api.disconnect();
+
+            // Definitions of the server changed after an amendment.
+            const updated = { ...BUNDLED, hash: 'AB'.repeat(32) };
+            ({ api, requests } = await connect(cachePath, updated));
+            await waitFor(() => api.xrplHelper.definitionsHash === updated.hash);
+            await waitFor(() => readHash(cachePath) === updated.hash);
+            assert.strictEqual(fs.readdirSync(path.dirname(cachePath)).length, 1);
+            await api.disconnect();
+
+            // Unreadable caches are ignored.
+            fs.writeFileSync(cachePath, '{');
+            ({ api, requests } = await connect(cachePath));
+            assert.strictEqual(requests[0].request.hash, undefined);
+            assert.strictEqual(readHash(cachePath), BUNDLED.hash);
+            await api.disconnect();
+        }
+        finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    }
+}
@@ -0,0 +1,78 @@
+const assert = require('assert');
+const xrpl = require('xrpl');
+const evernode = require('../../src/index');
+const { createNetwork, fundWallet, waitFor } = require('./helpers');
+
+const { EscrowHelpers } = evernode;
+
+// PREIMAGE-SHA-256 vectors of the rippled escrow tests. (Empty preimage and "aaa")
+const VECTORS = [
+    { preimage: '', fulfillment: 'A0028000', condition: 'A0258020E3B0C44298FC1C149AFBF4C8996FB92427AE41E4649B934CA495991B7852B855810100' },
+    { preimage: '616161', fulfillment: 'A0058003616161', condition: 'A02580209834876DCFB05CB167A5C24953EBA58C4AC89B1ADF57F28F2F9D09AF107EE8F0810103' }
+];
+
+module.exports = {
+    'Preimage conditions match the known vectors': async () => {
+        for (const vector of VECTORS) {
+            assert.strictEqual(EscrowHelpers.getCondition(vector.fulfillment), vector.condition);
+            assert.strictEqual(EscrowHelpers.verifyFulfillment(vector.condition, vector.fulfillment.toLowerCase()), true);
+        }
+
+        const pair = EscrowHelpers.generateConditionPair(VECTORS[1].preimage);
+        assert.deepStrictEqual(pair, { preimage: VECTORS[1].preimage, fulfillment: VECTORS[1].fulfillment, condition: VECTORS[1].condition });
+
+        const random = EscrowHelpers.generateConditionPair();
+        assert.strictEqual(random.preimage.length, 64);
+        assert.strictEqual(EscrowHelpers.verifyFulfillment(random.condition, random.fulfillment), true);
+        assert.strictEqual(EscrowHelpers.verifyFulfillment(VECTORS[0].condition, VECTORS[1].fulfillment), false);
+
+        // Malformed fulfillments do not verify.
+        assert.strictEqual(EscrowHelpers.verifyFulfillment(VECTORS[1].condition, 'A0058003616161FF'), false);
+        assert.throws(() => EscrowHelpers.getCondition('A00580'), evernode.ValidationError);
+        assert.throws(() => EscrowHelpers.generateConditionPair('AB'.repeat(300)), evernode.ValidationError);
+    },
+
+    'Escrow index matches the ledger object index': async () => {
+        const address = 'rHb9CJAWyB4rj91VRWn96DkukG4bwdtyTh';
+        for (const sequence of [1, 255, 65536, 4294967295])
+            assert.strictEqual(EscrowHelpers.getEscrowIndex(address, sequence), xrpl.hashes.hashEscrow(address, sequence));
+    },
+
+    'Escrows are created, finished and cancelled': async () => {
+        const { server, api } = await createNetwork();
+        try {
+            const [owner, destination] = [fundWallet(server), fundWallet(server)];
+            const ownerAcc = new evernode.XrplAccount(owner.classicAddress, owner.seed, { xrplApi: api });
+            const destinationAcc = new evernode.XrplAccount(destination.classicAddress, destination.seed, { xrplApi: api });
+            const balance = async (acc) => BigInt((await acc.getInfo()).Balance);
+            const { condition, fulfillment } = EscrowHelpers.generateConditionPair();
+
+            // Finished by the destination with the fulfillment.
+            const finishable = await ownerAcc.prepareCreateEscrow(destination.classicAddress, '5000000', null, null, { condition: condition, cancelAfter: new Date(Date.now() + 60000) });
+            assert.strictEqual((await ownerAcc.signAndSubmit(finishable)).code, 'tesSUCCESS');
+            const escrows = await ownerAcc.getEscrows();
+            assert.deepStrictEqual(escrows.map(e => e.index), [EscrowHelpers.getEscrowIndex(owner.classicAddress, finishable.Sequence)]);
+            assert.strictEqual(escrows[0].Condition, condition);
+
+            await assert.rejects(destinationAcc.finishEscrow(owner.classicAddress, finishable.Sequence, EscrowHelpers.generateConditionPair().fulfillment),
+                e => e.code === 'tecCRYPTOCONDITION_ERROR');
+            const destinationBalance = await balance(destinationAcc);
+            const finished = await destinationAcc.finishEscrow(owner.classicAddress, finishable.Sequence, fulfillment);
+            assert.strictEqual(await balance(destinationAcc), destinationBalance + 5000000n - BigInt(finished.details.Fee));
+
+            // Cancelled by the owner once expired.
+            const cancellable = await ownerAcc.prepareCreateEscrow(destination.classicAddress, '3000000', null, null, { condition: condition, cancelAfter: new Date(Date.now() + 2000) });
+            await ownerAcc.signAndSubmit(cancellable);
+            await assert.rejects(ownerAcc.cancelEscrow(owner.classicAddress, cancellable.Sequence), e => e.code === 'tecNO_PERMISSION');
+            await waitFor(() => evernode.UtilHelpers.toRippleTime(new Date()) > cancellable.CancelAfter, 5000);
+
+            const ownerBalance = await balance(ownerAcc);
+            const cancelled = await ownerAcc.cancelEscrow(owner.classicAddress, cancellable.Sequence);
+            assert.strictEqual(await balance(ownerAcc), ownerBalance + 3000000n - BigInt(cancelled.details.Fee));
+            assert.deepStrictEqual(await ownerAcc.getEscrows(), []);
+        }
+        finally {
+            await api.disconnect();
+        }
+    }
+}
@@ -0,0 +1,123 @@
+const xrpl = require('xrpl');
+const codec = require('ripple-address-codec');
+const crypto = require('crypto');
+const { Buffer } = require('buffer');
+const evernode = require('../../src/index');
+const { StateHelpers } = require('../../src/state-helpers');
+
+const HOST_ADDR_STATE_SIZE = 135;
+const TOKEN_ID_STATE_SIZE = 124;
+const HOST_HEARTBEAT_OFFSET = 92;
+const MOMENT_BASE_INFO_SIZE = 13;
+const MOMENT_TYPE_OFFSET = 12;
+const MOMENT_TYPE_TIMESTAMP = 1;
+const MOMENT_SIZE = 3600;
+
+function uint16(value) {
+    const buf = Buffer.alloc(2);
+    buf.writeUInt16LE(value);
+    return buf.toString('hex');
+}
+
+/**
+ * Creates a mock ledger and a connected XrplApi.
+ * @param {Object} [options={}] MockXrplServer options. Ledgers close every 200ms by default.
+ * @returns {Promise<Object>} { server, api }
+ */
+async function createNetwork(options = {}) {
+    const server = new evernode.MockXrplServer({ ledgerInterval: 200, ...options });
+    const api = new evernode.XrplApi('mock://local', { transport: server, ...(options.apiOptions || {}) });
+    await api.connect();
+    return { server, api };
+}
+
+/**
+ * Generates and funds a wallet.
+ */
+function fundWallet(server, options = {}) {
+    const wallet = xrpl.Wallet.generate(options.algorithm);
+    server.fundAccount(wallet.classicAddress);
+    return wallet;
+}
+
+/**
+ * Sets up the governor states which the Evernode clients read their config from.
+ * @returns {Object} Governor, registry and EVR issuer wallets.
+ */
+function setupEvernode(server) {
+    const governor = fundWallet(server);
+    const registry = fundWallet(server);
+    const evrIssuer = fundWallet(server);
+
+    const accountId = (address) => Buffer.from(codec.decodeAccountID(address)).toString('hex');
+    server.setHookState(governor.classicAddress, evernode.HookStateKeys.REGISTRY_ADDR, accountId(registry.classicAddress));
+    server.setHookState(governor.classicAddress, evernode.HookStateKeys.EVR_ISSUER_ADDR, accountId(evrIssuer.classicAddress));
+
+    // Timestamp based hourly moments starting from 0 and a heartbeat every moment.
+    const momentBaseInfo = Buffer.alloc(MOMENT_BASE_INFO_SIZE, 0);
+    momentBaseInfo.writeUInt8(MOMENT_TYPE_TIMESTAMP, MOMENT_TYPE_OFFSET);
+    server.setHookState(governor.classicAddress, evernode.HookStateKeys.MOMENT_BASE_INFO, momentBaseInfo.toString('hex'));
+    server.setHookState(governor.classicAddress, evernode.HookStateKeys.MOMENT_SIZE, uint16(MOMENT_SIZE));
+    server.setHookState(governor.classicAddress, evernode.HookStateKeys.HOST_HEARTBEAT_FREQ, uint16(1));
+
+    return { governor, registry, evrIssuer };
+}
+
+/**
+ * Gives an account an EVR trust line with the given balance.
+ */
+function fundEvr(server, evernodeAccounts, address, balance = '0') {
+    server.setTrustLine(address, evernodeAccounts.evrIssuer.classicAddress, evernode.EvernodeConstants.EVR, balance, '1000000');
+}
+
+/**
+ * Registers an active host the way the registry hook would: A registration token issued by the registry
+ * and the host address and token id states in the governor.
+ */
+function registerHost(server, evernodeAccounts, hostAddress) {
+    const uri = evernode.EvernodeConstants.TOKEN_PREFIX_HEX + crypto.randomBytes(16).toString('hex').toUpperCase();
+    const tokenId = crypto.createHash('sha512').update(uri).digest('hex').slice(0, 64).toUpperCase();
+    server.setLedgerEntry({
+        LedgerEntryType: 'URIToken',
+        Owner: hostAddress,
+        Issuer: evernodeAccounts.registry.classicAddress,
+        URI: uri,
+        Flags: 1,
+        OwnerNode: '0',
+        index: tokenId
+    }, [hostAddress]);
+
+    const governor = evernodeAccounts.governor.classicAddress;
+    const addrData = Buffer.alloc(HOST_ADDR_STATE_SIZE, 0);
+    Buffer.from(tokenId, 'hex').copy(addrData, 0);
+    addrData.writeBigUInt64LE(BigInt(Math.floor(Date.now() / 1000)), HOST_HEARTBEAT_OFFSET);
+    server.setHookState(governor, StateHelpers.generateHostAddrStateKey(hostAddress), addrData.toString('hex'));
+
+    const tokenData = Buffer.alloc(TOKEN_ID_STATE_SIZE, 0);
+    Buffer.from(codec.decodeAccountID(hostAddress)).copy(tokenData, 0);
+    server.setHookState(governor, StateHelpers.generateTokenIdStateKey(tokenId), tokenData.toString('hex'));
+    return tokenId;
+}
+
+/**
+ * Waits until the condition returns a truthy value.
+ */
+async function waitFor(condition, timeout = 10000, interval = 100) {
+    const start = Date.now();
+    while (Date.now() - start < timeout) {
+        const res = await condition();
+        if (res)
+            return res;
+        await new Promise(resolve => setTimeout(resolve, interval));
+    }
+    throw new Error('Condition was not met within the timeout.');
+}
+
+module.exports = {
+    createNetwork,
+    fundWallet,
+    setupEvernode,
+    fundEvr,
+    registerHost,
+    waitFor
+}
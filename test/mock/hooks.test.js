@@ -0,0 +1,63 @@
+const assert = require('assert');
+const crypto = require('crypto');
+const evernode = require('../../src/index');
+const { createNetwork, fundWallet } = require('./helpers');
+
+const { HookHelpers } = evernode;
+
+// The mock does not run the wasm, So any bytes after the wasm header do.
+const WASM = Buffer.concat([Buffer.from('0061736D01000000', 'hex'), crypto.randomBytes(64)]);
+
+module.exports = {
+    'Installed hooks get a hook definition': async () => {
+        const { server, api } = await createNetwork();
+        try {
+            const [w1, w2] = [fundWallet(server), fundWallet(server)];
+            const acc1 = new evernode.XrplAccount(w1.classicAddress, w1.seed, { xrplApi: api });
+            const acc2 = new evernode.XrplAccount(w2.classicAddress, w2.seed, { xrplApi: api });
+            const hookHash = HookHelpers.getHookHash(WASM);
+            assert.strictEqual(HookHelpers.getHookHash(WASM.toString('hex')), hookHash);
+            assert.strictEqual(await api.getLedgerEntry(HookHelpers.getHookDefinitionIndex(hookHash)), null);
+
+            await acc1.setHooks([{ wasm: WASM, namespace: 'evernode-test', transactionTypes: ['Payment'] }]);
+            const definition = await api.getLedgerEntry(HookHelpers.getHookDefinitionIndex(hookHash));
+            assert.strictEqual(definition.LedgerEntryType, 'HookDefinition');
+            assert.strictEqual(definition.HookHash, hookHash);
+            assert.strictEqual(definition.HookNamespace, HookHelpers.getNamespace('evernode-test'));
+            assert.strictEqual(definition.HookOn, HookHelpers.getHookOn(['Payment']));
+
+            // Other accounts install the same definition by its hash.
+            await acc2.setHooks([null, { hash: hookHash, namespace: 'other' }]);
+            const [hooks] = (await acc2.getAccountObjects()).filter(o => o.LedgerEntryType === 'Hook');
+            assert.deepStrictEqual(hooks.Hooks[0], { Hook: {} });
+            assert.strictEqual(hooks.Hooks[1].Hook.HookHash, hookHash);
+            assert.strictEqual(hooks.Hooks[1].Hook.HookNamespace, HookHelpers.getNamespace('other'));
+
+            await assert.rejects(acc2.setHooks([{ hash: HookHelpers.getHookHash('AB') }]), e => e.code === 'terNO_HOOK');
+            assert.throws(() => HookHelpers.getHookHash(''), evernode.ValidationError);
+        }
+        finally {
+            await api.disconnect();
+        }
+    },
+
+    'HookOn mask sets the SetHook bit active high': async () => {
+        // Fires on everything except SetHook.
+        assert.strictEqual(HookHelpers.getHookOn(), '0'.repeat(64));
+        assert.strictEqual(HookHelpers.getHookOn([]), '0'.repeat(64));
+
+        // Other transaction type bits are active low.
+        assert.strictEqual(HookHelpers.getHookOn(['Payment']), 'F'.repeat(58) + 'BFFFFE');
+        assert.strictEqual(HookHelpers.getHookOn([0]), HookHelpers.getHookOn(['Payment']));
+        assert.strictEqual(HookHelpers.getHookOn(['Payment', 'Invoke']), 'F'.repeat(39) + '7' + 'F'.repeat(18) + 'BFFFFE');
+
+        // The SetHook bit is set to fire on SetHook.
+        assert.strictEqual(HookHelpers.getHookOn(['SetHook']), 'F'.repeat(64));
+        assert.strictEqual(HookHelpers.getHookOn(['Payment', 'SetHook']), 'F'.repeat(63) + 'E');
+        const mask = BigInt('0x' + HookHelpers.getHookOn(['SetHook', 'Payment']));
+        assert.strictEqual((mask >> 22n) & 1n, 1n);
+
+        assert.throws(() => HookHelpers.getHookOn(['NoSuchType']), evernode.ValidationError);
+        assert.throws(() => HookHelpers.getHookOn([256]), evernode.ValidationError);
+    }
+}
@@ -0,0 +1,121 @@
+const assert = require('assert');
+const evernode = require('../../src/index');
+const { SequenceManager } = require('../../src/sequence-manager');
+const { createNetwork, fundWallet } = require('./helpers');
+
+module.exports = {
+    'Multi-sign session reaches the quorum and submits': async () => {
+        const { server, api } = await createNetwork();
+        try {
+            const [owner, s1, s2, s3, receiver] = [...Array(5).keys()].map(() => fundWallet(server));
+            const ownerAcc = new evernode.XrplAccount(owner.classicAddress, owner.seed, { xrplApi: api });
+            await ownerAcc.setSignerList([
+                { account: s1.classicAddress, weight: 1 },
+                { account: s2.classicAddress, weight: 1 },
+                { account: s3.classicAddress, weight: 1 }
+            ], { signerQuorum: 2 });
+
+            const prepared = await ownerAcc.prepareMakePayment(receiver.classicAddress, '1000', null, null, null, { maxLedgerIndex: api.ledgerIndex + evernode.XrplConstants.MULTISIGN_MAX_LEDGER_OFFSET });
+            const session = await evernode.MultiSignSession.create(api, prepared);
+
+            // Each signer signs its own copy of the session.
+            const sign = async (wallet) => {
+                const copy = evernode.MultiSignSession.fromJSON(JSON.stringify(session), api);
+                return JSON.stringify(await copy.sign(new evernode.XrplAccount(wallet.classicAddress, wallet.seed, { xrplApi: api })));
+            };
+
+            let status = await session.addSignature(await sign(s1));
+            assert.strictEqual(status.complete, false);
+            assert.throws(() => session.combine(), evernode.ValidationError);
+
+            // A signature of another account does not count.
+            const forged = { ...JSON.parse(await sign(s3)), account: s2.classicAddress };
+            await assert.rejects(session.addSignature(forged), evernode.ValidationError);
+
+            status = await session.addSignature(await sign(s2));
+            assert.strictEqual(status.complete, true);
+            assert.deepStrictEqual(status.pending, [s3.classicAddress]);
+
+            const res = await session.submit();
+            assert.strictEqual(res.code, 'tesSUCCESS');
+        }
+        finally {
+            await api.disconnect();
+        }
+    },
+
+    'Multi-sign session keeps its sequence while the account makes other payments': async () => {
+        const { server, api } = await createNetwork();
+        const realNow = Date.now;
+        try {
+            const [owner, s1, receiver] = [...Array(3).keys()].map(() => fundWallet(server));
+            const ownerAcc = new evernode.XrplAccount(owner.classicAddress, owner.seed, { xrplApi: api, manageSequence: true });
+            await ownerAcc.setSignerList([{ account: s1.classicAddress, weight: 1 }], { signerQuorum: 1 });
+
+            const prepared = await ownerAcc.prepareMakePayment(receiver.classicAddress, '1000', null, null, null, { maxLedgerIndex: api.ledgerIndex + evernode.XrplConstants.MULTISIGN_MAX_LEDGER_OFFSET });
+            const session = await evernode.MultiSignSession.create(api, prepared);
+
+            // A resync long after the session was created still skips the session sequence.
+            SequenceManager.get(api, owner.classicAddress).invalidate();
+            Date.now = () => realNow() + 600000;
+            const payment = await ownerAcc.prepareMakePayment(receiver.classicAddress, '1000');
+            Date.now = realNow;
+            assert.strictEqual(payment.Sequence, prepared.Sequence + 1);
+
+            // Both go through once the session transaction fills the sequence before the payment.
+            await session.addSignature(await session.sign(new evernode.XrplAccount(s1.classicAddress, s1.seed, { xrplApi: api })));
+            assert.strictEqual((await session.submit()).code, 'tesSUCCESS');
+            assert.strictEqual((await ownerAcc.signAndSubmit(payment)).code, 'tesSUCCESS');
+            assert.deepStrictEqual(ownerAcc.getSequenceStatus().pending, []);
+            assert.strictEqual(await ownerAcc.getSequence(), prepared.Sequence + 2);
+        }
+        finally {
+            Date.now = realNow;
+            await api.disconnect();
+        }
+    },
+
+    'Released multi-sign session gives its sequence back': async () => {
+        const { server, api } = await createNetwork();
+        try {
+            const [owner, s1, receiver] = [...Array(3).keys()].map(() => fundWallet(server));
+            const ownerAcc = new evernode.XrplAccount(owner.classicAddress, owner.seed, { xrplApi: api, manageSequence: true });
+            await ownerAcc.setSignerList([{ account: s1.classicAddress, weight: 1 }], { signerQuorum: 1 });
+
+            const prepared = await ownerAcc.prepareMakePayment(receiver.classicAddress, '1000');
+            const session = await evernode.MultiSignSession.create(api, prepared);
+            session.release();
+
+            const next = await ownerAcc.prepareMakePayment(receiver.classicAddress, '1000');
+            assert.strictEqual(next.Sequence, prepared.Sequence);
+            ownerAcc.releasePrepared(next);
+        }
+        finally {
+            await api.disconnect();
+        }
+    },
+
+    'Multi-sign session verifies the loaded signatures': async () => {
+        const { server, api } = await createNetwork();
+        try {
+            const [owner, s1, s2, receiver] = [...Array(4).keys()].map(() => fundWallet(server));
+            const ownerAcc = new evernode.XrplAccount(owner.classicAddress, owner.seed, { xrplApi: api });
+            await ownerAcc.setSignerList([{ account: s1.classicAddress, weight: 1 }, { account: s2.classicAddress, weight: 1 }], { signerQuorum: 1 });
+
+            const prepared = await ownerAcc.prepareMakePayment(receiver.classicAddress, '1000');
+            const session = await evernode.MultiSignSession.create(api, prepared);
+            await session.addSignature(await session.sign(new evernode.XrplAccount(s1.classicAddress, s1.seed, { xrplApi: api })));
+
+            const loaded = evernode.MultiSignSession.fromJSON(JSON.stringify(session), api);
+            assert.strictEqual(loaded.getStatus().complete, true);
+
+            // Claim the signature of s1 as the signature of s2.
+            const tampered = JSON.parse(JSON.stringify(session));
+            tampered.signatures[0].account = s2.classicAddress;
+            assert.throws(() => evernode.MultiSignSession.fromJSON(tampered, api), evernode.ValidationError);
+        }
+        finally {
+            await api.disconnect();
+        }
+    }
+}
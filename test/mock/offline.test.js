@@ -0,0 +1,38 @@
+const assert = require('assert');
+const xrpl = require('xrpl');
+const evernode = require('../../src/index');
+const { createNetwork, waitFor } = require('./helpers');
+
+module.exports = {
+    'Offline signed transactions are submitted later': async () => {
+        const sender = xrpl.Wallet.generate();
+        const receiver = xrpl.Wallet.generate();
+
+        // Signed with the bundled definitions before any connection exists.
+        const offlineAcc = new evernode.XrplAccount(sender.classicAddress, sender.seed, { offline: true });
+        assert.strictEqual(offlineAcc.isOffline(), true);
+        await assert.rejects(offlineAcc.prepareMakePayment(receiver.classicAddress, '1000000'), evernode.ValidationError);
+
+        const { server, api } = await createNetwork();
+        try {
+            server.fundAccount(sender.classicAddress);
+            server.fundAccount(receiver.classicAddress);
+            const txOptions = { sequence: server.getAccount(sender.classicAddress).Sequence, fee: '12', maxLedgerIndex: server.ledgerIndex + 20, networkID: 21338 };
+
+            const prepared = await offlineAcc.prepareMakePayment(receiver.classicAddress, '1000000', null, null, null, txOptions);
+            assert.strictEqual(prepared.Sequence, txOptions.sequence);
+            assert.strictEqual(prepared.LastLedgerSequence, txOptions.maxLedgerIndex);
+            const signed = offlineAcc.sign(prepared);
+            assert.deepStrictEqual(xrpl.decode(signed.tx_blob).Amount, '1000000');
+
+            const receiverBalance = BigInt(server.getAccount(receiver.classicAddress).Balance);
+            const res = await api.submit(signed.tx_blob);
+            assert.strictEqual(res.result.engine_result, 'tesSUCCESS');
+            assert.strictEqual(res.result.tx_json.hash, signed.hash);
+            await waitFor(async () => BigInt((await api.getAccountInfo(receiver.classicAddress)).Balance) === receiverBalance + 1000000n);
+        }
+        finally {
+            await api.disconnect();
+        }
+    }
+}
@@ -0,0 +1,90 @@
+const assert = require('assert');
+const xrpl = require('xrpl');
+const evernode = require('../../src/index');
+const { createNetwork, fundWallet } = require('./helpers');
+
+const { PayloadHelpers, PayloadCompressions } = evernode;
+
+const DATA = { owner_pubkey: 'ed' + 'AB'.repeat(32), contract_id: 'dc411912-bcdd-4f73-af43-32ec45844b9a', image: 'hp', config: { log: 'x'.repeat(2000) } };
+
+module.exports = {
+    'Payloads round trip with each compression': async () => {
+        for (const compression of Object.values(PayloadCompressions)) {
+            const memoData = await PayloadHelpers.encode(DATA, { compression: compression });
+            assert.strictEqual(memoData.length, 1);
+
+            const payload = PayloadHelpers.join(memoData);
+            assert.strictEqual(PayloadHelpers.isEncrypted(payload), false);
+            assert.deepStrictEqual(await PayloadHelpers.decode(payload), DATA);
+        }
+    },
+
+    'Chunked payloads join in any order': async () => {
+        const memoData = await PayloadHelpers.encode(DATA, { chunkSize: 256 });
+        assert.ok(memoData.length > 1);
+        assert.ok(memoData.every(d => Buffer.from(d, 'base64').length <= 256));
+
+        const shuffled = [...memoData].reverse();
+        assert.deepStrictEqual(await PayloadHelpers.decode(PayloadHelpers.join(shuffled)), DATA);
+
+        assert.throws(() => PayloadHelpers.join(memoData.slice(1)), evernode.ValidationError);
+        assert.throws(() => PayloadHelpers.join([memoData[0], memoData[0]]), evernode.ValidationError);
+    },
+
+    'Encrypted payloads open with the receiver key only': async () => {
+        const receiver = xrpl.Wallet.generate();
+        const other = xrpl.Wallet.generate();
+        const memoData = await PayloadHelpers.encode(DATA, { encryptionKey: receiver.publicKey, compression: PayloadCompressions.DEFLATE, chunkSize: 200 });
+
+        const payload = PayloadHelpers.join(memoData);
+        assert.strictEqual(PayloadHelpers.isEncrypted(payload), true);
+        assert.strictEqual(await PayloadHelpers.decode(payload), null);
+        assert.strictEqual(await PayloadHelpers.decode(payload, other.privateKey), null);
+        assert.deepStrictEqual(await PayloadHelpers.decode(payload, receiver.privateKey), DATA);
+    },
+
+    'Signed payloads carry a verifiable signature': async () => {
+        for (const algorithm of ['ed25519', 'ecdsa-secp256k1']) {
+            const sender = xrpl.Wallet.generate(algorithm);
+            const signer = new evernode.SeedSigner(sender.seed);
+            const receiver = xrpl.Wallet.generate();
+            const memoData = await PayloadHelpers.encode(DATA, { encryptionKey: receiver.publicKey, compression: PayloadCompressions.BROTLI, chunkSize: 300, signer: signer });
+
+            const opened = await PayloadHelpers.open(PayloadHelpers.join(memoData), receiver.privateKey);
+            assert.deepStrictEqual(opened.data, DATA);
+            assert.strictEqual(opened.signer.publicKey, sender.publicKey.toUpperCase());
+            assert.strictEqual(opened.signer.valid, true);
+        }
+
+        const unsigned = await PayloadHelpers.open(PayloadHelpers.join(await PayloadHelpers.encode(DATA)));
+        assert.strictEqual(unsigned.signer, null);
+    },
+
+    'Tampered payloads fail the signature check': async () => {
+        const sender = xrpl.Wallet.generate();
+        const [memo] = await PayloadHelpers.encode({ amount: 1 }, { signer: new evernode.SeedSigner(sender.seed) });
+
+        // Change the last byte of the JSON ("1}" -> "2}") while keeping the signature.
+        const payload = Buffer.from(memo, 'base64');
+        payload[payload.length - 2] = '2'.charCodeAt(0);
+        const opened = await PayloadHelpers.open(payload);
+        assert.deepStrictEqual(opened.data, { amount: 2 });
+        assert.strictEqual(opened.signer.valid, false);
+    },
+
+    'Payload signing keys are checked against the sender account': async () => {
+        const { server, api } = await createNetwork();
+        try {
+            const sender = fundWallet(server);
+            const other = fundWallet(server);
+            const [memo] = await PayloadHelpers.encode(DATA, { signer: new evernode.XrplAccount(sender.classicAddress, sender.seed, { xrplApi: api }).getSigner() });
+            const { signer } = await PayloadHelpers.open(PayloadHelpers.join([memo]));
+
+            assert.strictEqual(await api.isValidKeyForAddress(signer.publicKey, sender.classicAddress), true);
+            assert.ok(!(await api.isValidKeyForAddress(signer.publicKey, other.classicAddress)));
+        }
+        finally {
+            await api.disconnect();
+        }
+    }
+}
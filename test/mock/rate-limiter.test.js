@@ -0,0 +1,83 @@
+const assert = require('assert');
+const evernode = require('../../src/index');
+const { RateLimiter } = require('../../src/rate-limiter');
+const { createNetwork, fundWallet } = require('./helpers');
+
+/**
+ * Counts the requests which reach the server and keeps their arrival times.
+ */
+function recordRequests(server) {
+    const times = [];
+    const handleRequest = server.handleRequest.bind(server);
+    server.handleRequest = (client, request) => {
+        times.push(Date.now());
+        return handleRequest(client, request);
+    };
+    return times;
+}
+
+module.exports = {
+    'Throttled requests are retried': async () => {
+        const { server, api } = await createNetwork({ apiOptions: { retry: { maxRetries: 2, baseDelay: 20 } } });
+        try {
+            const wallet = fundWallet(server);
+            const times = recordRequests(server);
+
+            server.throttle(2);
+            assert.strictEqual((await api.getAccountInfo(wallet.classicAddress)).Account, wallet.classicAddress);
+            assert.strictEqual(times.length, 3);
+
+            // Backs off between the attempts.
+            assert.ok(times[1] - times[0] >= 9);
+            assert.ok(times[2] - times[1] >= 19);
+
+            // Gives up with the server error once the retries run out.
+            server.throttle(3, 'tooBusy');
+            await assert.rejects(api.getAccountInfo(wallet.classicAddress), e => e.data.error === 'tooBusy');
+            assert.strictEqual(times.length, 6);
+
+            // Retries can be disabled per request.
+            server.throttle(1);
+            await assert.rejects(api.getAccountObjects(wallet.classicAddress, { retry: false }), e => e.data.error === 'slowDown');
+            assert.strictEqual(times.length, 7);
+        }
+        finally {
+            await api.disconnect();
+        }
+    },
+
+    'Rate limited requests are spaced out': async () => {
+        const { server, api } = await createNetwork({ apiOptions: { rateLimit: { requestsPerSecond: 20, burst: 2 } } });
+        try {
+            const wallet = fundWallet(server);
+            // Let the bucket fill up after the connection requests.
+            await new Promise(resolve => setTimeout(resolve, 200));
+            const times = recordRequests(server);
+
+            const start = Date.now();
+            await Promise.all([...Array(6).keys()].map(() => api.getAccountInfo(wallet.classicAddress)));
+
+            // The burst goes through at once and the rest get a token every 50ms.
+            assert.strictEqual(times.length, 6);
+            assert.ok(times[1] - start < 40);
+            for (let i = 2; i < times.length; i++)
+                assert.ok(times[i] - times[i - 1] >= 40, `Request ${i} came ${times[i] - times[i - 1]}ms after the previous one.`);
+            assert.strictEqual(api.getRateLimitStats().waiting, 0);
+        }
+        finally {
+            await api.disconnect();
+        }
+    },
+
+    'Rate limiter serves the waiting callers in order': async () => {
+        const limiter = new RateLimiter({ requestsPerSecond: 50, burst: 1 });
+        const order = [];
+        await Promise.all([0, 1, 2, 3].map(i => limiter.acquire().then(() => order.push(i))));
+        assert.deepStrictEqual(order, [0, 1, 2, 3]);
+        assert.strictEqual(limiter.getStats().waiting, 0);
+
+        const waiting = limiter.acquire();
+        assert.strictEqual(limiter.getStats().waiting, 1);
+        await waiting;
+    }
+}
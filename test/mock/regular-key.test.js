@@ -0,0 +1,66 @@
+const assert = require('assert');
+const xrpl = require('xrpl');
+const evernode = require('../../src/index');
+const { createNetwork, fundWallet } = require('./helpers');
+
+const LSF_DISABLE_MASTER = 0x00100000;
+
+// A signer with a valid public key whose device refuses to sign.
+function refusingSigner(wallet) {
+    return new evernode.CallbackSigner({ publicKey: wallet.publicKey, sign: async () => { throw new Error('Signing refused by the device.'); } });
+}
+
+module.exports = {
+    'Failed regular key rotation restores the previous regular key': async () => {
+        const { server, api } = await createNetwork();
+        try {
+            const wallet = fundWallet(server);
+            const acc = new evernode.XrplAccount(wallet.classicAddress, wallet.seed, { xrplApi: api });
+            const previous = xrpl.Wallet.generate();
+            await acc.setRegularKey(previous.classicAddress);
+
+            const next = xrpl.Wallet.generate();
+            const err = await acc.rotateRegularKey(refusingSigner(next)).then(() => null, e => e);
+            assert.ok(err instanceof evernode.ValidationError);
+            assert.strictEqual(err.rolledBack, true);
+            assert.strictEqual(err.regularKey, next.classicAddress);
+            assert.strictEqual(err.previousRegularKey, previous.classicAddress);
+            assert.match(err.cause.message, /Signing refused/);
+            assert.strictEqual((await acc.getInfo()).RegularKey, previous.classicAddress);
+
+            // The account keeps signing with the master key.
+            const res = await acc.setAccountFields({ Domain: 'example.com' });
+            assert.strictEqual(res.details.SigningPubKey, wallet.publicKey);
+
+            // Without the rollback the new key is left in place.
+            const kept = await acc.rotateRegularKey(refusingSigner(next), { rollback: false }).then(() => null, e => e);
+            assert.strictEqual(kept.rolledBack, false);
+            assert.strictEqual((await acc.getInfo()).RegularKey, next.classicAddress);
+        }
+        finally {
+            await api.disconnect();
+        }
+    },
+
+    'Rotated regular key signs the account transactions': async () => {
+        const { server, api } = await createNetwork();
+        try {
+            const wallet = fundWallet(server);
+            const acc = new evernode.XrplAccount(wallet.classicAddress, wallet.seed, { xrplApi: api });
+            const next = xrpl.Wallet.generate();
+
+            const res = await acc.rotateRegularKey(next.seed, { disableMaster: true });
+            assert.deepStrictEqual(res, { regularKey: next.classicAddress, previousRegularKey: null, masterDisabled: true });
+            const info = await acc.getInfo();
+            assert.strictEqual(info.RegularKey, next.classicAddress);
+            assert.ok(info.Flags & LSF_DISABLE_MASTER);
+
+            const payment = await acc.makePayment(fundWallet(server).classicAddress, '1000');
+            assert.strictEqual(payment.details.SigningPubKey, next.publicKey);
+            assert.strictEqual(acc.secret, next.seed);
+        }
+        finally {
+            await api.disconnect();
+        }
+    }
+}
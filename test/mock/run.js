@@ -0,0 +1,55 @@
+// Runs the tests against the in-memory MockXrplServer. No network access is needed.
+// Usage: node test/mock/run.js [file name filter]
+const fs = require('fs');
+const path = require('path');
+const evernode = require('../../src/index');
+
+const TEST_TIMEOUT = 60000;
+
+async function runTest(name, fn) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Timed out after ${TEST_TIMEOUT}ms.`)), TEST_TIMEOUT);
+    });
+    try {
+        await Promise.race([fn(), timeout]);
+        console.log(`  ok - ${name}`);
+        return true;
+    }
+    catch (e) {
+        console.log(`  FAIL - ${name}`);
+        console.log(e);
+        return false;
+    }
+    finally {
+        clearTimeout(timer);
+    }
+}
+
+async function main() {
+    evernode.Defaults.set({ logLevel: 'error' });
+
+    const filter = process.argv[2];
+    const files = fs.readdirSync(__dirname).filter(f => f.endsWith('.test.js') && (!filter || f.includes(filter))).sort();
+
+    let passed = 0;
+    let failed = 0;
+    for (const file of files) {
+        console.log(file);
+        const tests = require(path.join(__dirname, file));
+        for (const [name, fn] of Object.entries(tests)) {
+            if (await runTest(name, fn))
+                passed++;
+            else
+                failed++;
+        }
+    }
+
+    console.log(`\n${passed} passed, ${failed} failed.`);
+    return failed === 0;
+}
+
+main().then(ok => process.exit(ok ? 0 : 1)).catch(e => {
+    console.error(e);
+    process.exit(1);
+});
@@ -0,0 +1,71 @@
+const assert = require('assert');
+const evernode = require('../../src/index');
+const { SequenceManager } = require('../../src/sequence-manager');
+const { createNetwork, fundWallet } = require('./helpers');
+
+module.exports = {
+    'Concurrent payments get consecutive sequences': async () => {
+        const { server, api } = await createNetwork();
+        try {
+            const w1 = fundWallet(server);
+            const w2 = fundWallet(server);
+            const acc = new evernode.XrplAccount(w1.classicAddress, w1.seed, { xrplApi: api, manageSequence: true });
+            const startSequence = await acc.getSequence();
+
+            const results = await Promise.all([...Array(5).keys()].map(() => acc.makePayment(w2.classicAddress, '1000')));
+            assert.ok(results.every(r => r.code === 'tesSUCCESS'));
+            assert.strictEqual(await acc.getSequence(), startSequence + 5);
+            assert.deepStrictEqual(acc.getSequenceStatus().pending, []);
+        }
+        finally {
+            await api.disconnect();
+        }
+    },
+
+    'Released and failed prepares give their sequences back': async () => {
+        const { server, api } = await createNetwork();
+        try {
+            const w1 = fundWallet(server);
+            const w2 = fundWallet(server);
+            const acc = new evernode.XrplAccount(w1.classicAddress, w1.seed, { xrplApi: api, manageSequence: true });
+            const startSequence = await acc.getSequence();
+
+            const abandoned = await acc.prepareMakePayment(w2.classicAddress, '1000');
+            assert.strictEqual(abandoned.Sequence, startSequence);
+            acc.releasePrepared(abandoned);
+            assert.deepStrictEqual(acc.getSequenceStatus().pending, []);
+
+            // The fee lookup fails after the sequence is allocated.
+            api.getTransactionFee = async () => { throw new Error('Fee lookup failed.'); };
+            await assert.rejects(acc.prepareMakePayment(w2.classicAddress, '1000'), /Fee lookup failed/);
+            delete api.getTransactionFee;
+            assert.deepStrictEqual(acc.getSequenceStatus().pending, []);
+
+            const res = await acc.makePayment(w2.classicAddress, '1000');
+            assert.strictEqual(res.code, 'tesSUCCESS');
+            assert.strictEqual(await acc.getSequence(), startSequence + 1);
+        }
+        finally {
+            await api.disconnect();
+        }
+    },
+
+    'terPRE_SEQ resync drops the pending sequences': async () => {
+        const { server, api } = await createNetwork();
+        try {
+            const wallet = fundWallet(server);
+            const manager = new SequenceManager(api, wallet.classicAddress);
+            const ledgerSequence = (await api.getAccountInfo(wallet.classicAddress)).Sequence;
+
+            const sequences = [await manager.allocate(), await manager.allocate(), await manager.allocate()];
+            assert.deepStrictEqual(sequences, [ledgerSequence, ledgerSequence + 1, ledgerSequence + 2]);
+
+            manager.finalize(sequences[1], 'terPRE_SEQ');
+            assert.strictEqual(await manager.allocate(), ledgerSequence);
+            assert.deepStrictEqual(manager.getStatus().pending, [ledgerSequence]);
+        }
+        finally {
+            await api.disconnect();
+        }
+    }
+}
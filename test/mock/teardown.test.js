@@ -0,0 +1,95 @@
+const assert = require('assert');
+const evernode = require('../../src/index');
+const { createNetwork, fundWallet, setupEvernode, fundEvr, registerHost, waitFor } = require('./helpers');
+
+const STEPS = ['burnURIToken', 'clearAccountFields', 'returnTrustLineBalance', 'removeTrustLine', 'deleteAccount'];
+
+/**
+ * Funds an account which holds the objects a host account leaves behind.
+ */
+async function setupHostAccount(server, api) {
+    const evernodeAccounts = setupEvernode(server);
+    const wallet = fundWallet(server);
+    const destination = fundWallet(server);
+    fundEvr(server, evernodeAccounts, wallet.classicAddress, '25');
+    const tokenId = registerHost(server, evernodeAccounts, wallet.classicAddress);
+
+    const acc = new evernode.XrplAccount(wallet.classicAddress, wallet.seed, { xrplApi: api });
+    await acc.setAccountFields({ WalletLocator: 'AB'.repeat(32), MessageKey: 'ED' + 'CD'.repeat(32) });
+    return { evernodeAccounts, wallet, destination, acc, tokenId };
+}
+
+module.exports = {
+    'Teardown dry run plans the steps without submitting': async () => {
+        const { server, api } = await createNetwork();
+        try {
+            const { destination, acc, tokenId } = await setupHostAccount(server, api);
+            const sequence = await acc.getSequence();
+
+            const plan = await acc.teardown(destination.classicAddress, { dryRun: true });
+            assert.deepStrictEqual(plan.steps.map(s => s.action), STEPS);
+            assert.strictEqual(plan.steps[0].id, tokenId);
+            assert.deepStrictEqual(plan.steps[1].fields, ['WalletLocator', 'MessageKey']);
+            assert.strictEqual(plan.steps[2].amount, '25');
+            assert.strictEqual(plan.deletableFromLedger, sequence + STEPS.length - 1 + 256);
+            assert.deepStrictEqual(plan.blockers.map(b => b.type), ['Sequence']);
+
+            assert.strictEqual(await acc.getSequence(), sequence);
+            assert.strictEqual(await acc.getWalletLocator(), 'AB'.repeat(32));
+            await assert.rejects(acc.teardown(destination.classicAddress), evernode.ValidationError);
+        }
+        finally {
+            await api.disconnect();
+        }
+    },
+
+    'Teardown executes the steps in order and deletes the account': async () => {
+        const { server, api } = await createNetwork();
+        try {
+            const { destination, acc } = await setupHostAccount(server, api);
+            const plan = await acc.planTeardown(destination.classicAddress);
+            while (server.ledgerIndex < plan.deletableFromLedger)
+                server.closeLedger();
+            await waitFor(() => api.ledgerIndex >= plan.deletableFromLedger);
+
+            const destinationBalance = BigInt((await api.getAccountInfo(destination.classicAddress)).Balance);
+            const res = await acc.teardown(destination.classicAddress);
+            assert.deepStrictEqual(res.results.map(r => r.action), STEPS);
+            assert.ok(res.results.every(r => r.result.code === 'tesSUCCESS'));
+            assert.deepStrictEqual(res.results.map(r => r.result.details.TransactionType),
+                ['URITokenBurn', 'AccountSet', 'Payment', 'TrustSet', 'AccountDelete']);
+
+            // Each step is submitted after the previous one is validated.
+            const sequences = res.results.map(r => r.result.details.Sequence);
+            assert.deepStrictEqual(sequences, sequences.map((s, i) => sequences[0] + i));
+
+            await assert.rejects(acc.getInfo(), /Account not found/);
+            assert.ok(BigInt((await api.getAccountInfo(destination.classicAddress)).Balance) > destinationBalance);
+        }
+        finally {
+            await api.disconnect();
+        }
+    },
+
+    'Host client refuses the teardown while registered': async () => {
+        const { server, api } = await createNetwork();
+        try {
+            const { evernodeAccounts, wallet, destination, tokenId } = await setupHostAccount(server, api);
+            const host = new evernode.HostClient(wallet.classicAddress, wallet.seed, { xrplApi: api, governorAddress: evernodeAccounts.governor.classicAddress });
+            await host.connect();
+
+            const sequence = await host.xrplAcc.getSequence();
+            await assert.rejects(host.teardown(destination.classicAddress, { dryRun: true }), evernode.ValidationError);
+            assert.strictEqual(await host.xrplAcc.getSequence(), sequence);
+
+            // Deregister the way the registry hook does.
+            server.deleteLedgerEntry(tokenId);
+            server.setHookState(evernodeAccounts.governor.classicAddress, evernode.StateHelpers.generateHostAddrStateKey(wallet.classicAddress), '');
+            const plan = await host.teardown(destination.classicAddress, { dryRun: true });
+            assert.deepStrictEqual(plan.steps.map(s => s.action), STEPS.slice(1));
+        }
+        finally {
+            await api.disconnect();
+        }
+    }
+}
@@ -0,0 +1,72 @@
+const assert = require('assert');
+const evernode = require('../../src/index');
+const { createNetwork, fundWallet, waitFor } = require('./helpers');
+
+module.exports = {
+    'Concurrent ticket payments use different tickets': async () => {
+        const { server, api } = await createNetwork();
+        try {
+            const w1 = fundWallet(server);
+            const w2 = fundWallet(server);
+            const acc = new evernode.XrplAccount(w1.classicAddress, w1.seed, { xrplApi: api });
+            await acc.createTickets(3);
+
+            const results = await Promise.all([...Array(3).keys()].map(() => acc.makePayment(w2.classicAddress, '1000', null, null, null, { ticket: true })));
+            assert.ok(results.every(r => r.code === 'tesSUCCESS'));
+            assert.strictEqual((await acc.getTickets()).length, 0);
+        }
+        finally {
+            await api.disconnect();
+        }
+    },
+
+    'Released and failed prepares give their tickets back': async () => {
+        const { server, api } = await createNetwork();
+        try {
+            const w1 = fundWallet(server);
+            const w2 = fundWallet(server);
+            const acc = new evernode.XrplAccount(w1.classicAddress, w1.seed, { xrplApi: api, manageSequence: true });
+            await acc.createTickets(1);
+
+            const abandoned = await acc.prepareMakePayment(w2.classicAddress, '1000', null, null, null, { ticket: true });
+            assert.deepStrictEqual(acc.getSequenceStatus().reservedTickets, [abandoned.TicketSequence]);
+            acc.releasePrepared(abandoned);
+            assert.deepStrictEqual(acc.getSequenceStatus().reservedTickets, []);
+
+            api.getTransactionFee = async () => { throw new Error('Fee lookup failed.'); };
+            await assert.rejects(acc.prepareMakePayment(w2.classicAddress, '1000', null, null, null, { ticket: true }), /Fee lookup failed/);
+            delete api.getTransactionFee;
+            assert.deepStrictEqual(acc.getSequenceStatus().reservedTickets, []);
+
+            const res = await acc.makePayment(w2.classicAddress, '1000', null, null, null, { ticket: true });
+            assert.strictEqual(res.code, 'tesSUCCESS');
+        }
+        finally {
+            await api.disconnect();
+        }
+    },
+
+    'Tickets consumed outside signAndSubmit are reconciled': async () => {
+        const { server, api } = await createNetwork();
+        try {
+            const w1 = fundWallet(server);
+            const w2 = fundWallet(server);
+            const acc = new evernode.XrplAccount(w1.classicAddress, w1.seed, { xrplApi: api, manageSequence: true });
+            await acc.createTickets(2);
+
+            // Submitted directly through the XrplApi, So the reservation is never released by the account.
+            const prepared = await acc.prepareMakePayment(w2.classicAddress, '1000', null, null, null, { ticket: true });
+            const signed = acc.sign(prepared);
+            await api.submitAndWait(prepared, signed.tx_blob);
+            await waitFor(async () => (await acc.getTickets()).length === 1);
+
+            // The last ticket is still available since the consumed one is dropped from the reservations.
+            const res = await acc.makePayment(w2.classicAddress, '1000', null, null, null, { ticket: true });
+            assert.strictEqual(res.code, 'tesSUCCESS');
+            assert.deepStrictEqual(acc.getSequenceStatus().reservedTickets, []);
+        }
+        finally {
+            await api.disconnect();
+        }
+    }
+}
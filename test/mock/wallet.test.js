@@ -0,0 +1,57 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const evernode = require('../../src/index');
+
+const { Keystore, WalletHelpers } = evernode;
+
+// Cheap scrypt parameters to keep the tests fast.
+const SCRYPT = { n: 1024, r: 8, p: 1 };
+
+module.exports = {
+    'Keystore profiles round trip through a file': async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'evernode-keystore-'));
+        try {
+            const filePath = path.join(dir, 'keys', 'keystore.json');
+            const mnemonic = WalletHelpers.generateMnemonic(128);
+            const account = WalletHelpers.fromMnemonic(mnemonic);
+            const reputationSeed = WalletHelpers.generateSeed('ecdsa-secp256k1');
+
+            const keystore = Keystore.load(filePath);
+            assert.deepStrictEqual(keystore.getProfiles(), []);
+            await keystore.addProfile('host', 'passphrase', account, reputationSeed, { scrypt: SCRYPT });
+            await assert.rejects(keystore.addProfile('host', 'passphrase', reputationSeed, null, { scrypt: SCRYPT }), evernode.ValidationError);
+            keystore.save(filePath);
+            assert.strictEqual(fs.statSync(filePath).mode & 0o777, 0o600);
+
+            const loaded = Keystore.load(filePath);
+            const reputationAddress = WalletHelpers.fromSeed(reputationSeed).address;
+            assert.deepStrictEqual(loaded.getProfiles(), [{ name: 'host', address: account.address, reputationAddress: reputationAddress }]);
+
+            const unlocked = await loaded.unlock('host', 'passphrase');
+            assert.strictEqual(unlocked.account.address, account.address);
+            assert.strictEqual(WalletHelpers.fromMnemonic(unlocked.account.mnemonic).address, account.address);
+            assert.strictEqual(WalletHelpers.exportSeed(unlocked.reputation), reputationSeed);
+            assert.strictEqual(await WalletHelpers.getSigner(unlocked.account).getPublicKey(), await WalletHelpers.getSigner(account).getPublicKey());
+
+            await assert.rejects(loaded.unlock('host', 'wrong passphrase'), evernode.ValidationError);
+            await assert.rejects(loaded.unlock('tenant', 'passphrase'), evernode.ValidationError);
+        }
+        finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    },
+
+    'Keystore rejects profiles with swapped addresses': async () => {
+        const keystore = new Keystore();
+        const account = WalletHelpers.fromSeed(WalletHelpers.generateSeed());
+        const other = WalletHelpers.fromSeed(WalletHelpers.generateSeed());
+        await keystore.addProfile('tenant', 'passphrase', account, null, { scrypt: SCRYPT });
+
+        const data = JSON.parse(JSON.stringify(keystore));
+        data.profiles.tenant.address = other.address;
+        await assert.rejects(new Keystore(data).unlock('tenant', 'passphrase'), evernode.ValidationError);
+        assert.throws(() => new Keystore({ ...data, version: 0 }), evernode.ValidationError);
+    }
+}
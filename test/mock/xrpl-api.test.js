@@ -0,0 +1,133 @@
+const assert = require('assert');
+const xrpl = require('xrpl');
+const evernode = require('../../src/index');
+const { createNetwork, fundWallet, waitFor } = require('./helpers');
+
+function withTimeout(promise, ms, message) {
+    let timer;
+    return Promise.race([
+        promise.finally(() => clearTimeout(timer)),
+        new Promise((resolve, reject) => timer = setTimeout(() => reject(new Error(message)), ms))
+    ]);
+}
+
+module.exports = {
+    'Queued requests are served in FIFO order': async () => {
+        const { server, api } = await createNetwork({ apiOptions: { maxInFlightRequests: 2 } });
+        try {
+            const wallet = fundWallet(server);
+            const order = [];
+            await Promise.all([...Array(10).keys()].map(i => api.getAccountInfo(wallet.classicAddress).then(() => order.push(i))));
+            assert.deepStrictEqual(order, [...Array(10).keys()]);
+        }
+        finally {
+            await api.disconnect();
+        }
+    },
+
+    'Concurrent disconnects complete': async () => {
+        const { api } = await createNetwork({ apiOptions: { maxInFlightRequests: 3 } });
+        await withTimeout(Promise.all([api.disconnect(), api.disconnect(), api.disconnect()]), 5000, 'Concurrent disconnects did not complete.');
+    },
+
+    'Disconnect waits for the requests in flight': async () => {
+        const { server, api } = await createNetwork({ apiOptions: { maxInFlightRequests: 2 } });
+        const wallet = fundWallet(server);
+        const requests = [...Array(6).keys()].map(() => api.getAccountInfo(wallet.classicAddress).then(() => 'done', () => 'failed'));
+        await withTimeout(api.disconnect(), 5000, 'Disconnect did not complete.');
+
+        // The requests sent before the disconnection are not cut off by it.
+        assert.deepStrictEqual(await Promise.all(requests), Array(6).fill('done'));
+    },
+
+    'Transactions missed while reconnecting are replayed once': async () => {
+        const { server, api } = await createNetwork();
+        try {
+            const sender = fundWallet(server);
+            const receiver = fundWallet(server);
+            const senderAcc = new evernode.XrplAccount(sender.classicAddress, sender.seed, { xrplApi: api });
+            const receiverAcc = new evernode.XrplAccount(receiver.classicAddress, null, { xrplApi: api });
+
+            const payments = [];
+            receiverAcc.on(evernode.XrplApiEvents.PAYMENT, (tx, error) => payments.push({ tx, error }));
+            await receiverAcc.subscribe();
+
+            // Drop the connection after the ledgerClosed of the payment ledger, Before its transactions arrive.
+            let dropped = null;
+            api.on(evernode.XrplApiEvents.LEDGER, (ledger) => {
+                if (!dropped && ledger.txn_count > 0) {
+                    dropped = ledger;
+                    server.dropConnections();
+                }
+            });
+            const res = await senderAcc.makePayment(receiver.classicAddress, '1000');
+            assert.strictEqual(res.code, 'tesSUCCESS');
+            assert.ok(dropped);
+
+            await waitFor(() => payments.length > 0);
+            // Let a few more ledgers close, So a duplicate would have shown up.
+            const ledgerIndex = api.ledgerIndex;
+            await waitFor(() => api.ledgerIndex >= ledgerIndex + 3);
+            assert.strictEqual(payments.length, 1);
+            assert.ok(!payments[0].error);
+            assert.strictEqual(payments[0].tx.LedgerIndex, dropped.ledger_index);
+            assert.strictEqual(payments[0].tx.LedgerHash, dropped.ledger_hash);
+        }
+        finally {
+            await api.disconnect();
+        }
+    },
+
+    'Reconnects after a disconnect': async () => {
+        const { server, api } = await createNetwork();
+        const wallet = fundWallet(server);
+        await api.disconnect();
+        await api.connect();
+        try {
+            assert.strictEqual((await api.getAccountInfo(wallet.classicAddress)).Account, wallet.classicAddress);
+        }
+        finally {
+            await api.disconnect();
+        }
+    }
+,
+
+    'Cached reads are kept under the ledger they were read from': async () => {
+        const { server, api } = await createNetwork({ ledgerInterval: 0, apiOptions: { cache: true } });
+        try {
+            const wallet = fundWallet(server);
+            const index = xrpl.hashes.hashAccountRoot(wallet.classicAddress);
+            const missing = xrpl.hashes.hashAccountRoot(xrpl.Wallet.generate().classicAddress);
+
+            const balance = (await api.getLedgerEntry(index)).Balance;
+            assert.strictEqual(await api.getLedgerEntry(missing), null);
+            assert.strictEqual((await api.getLedgerEntry(index)).Balance, balance);
+            assert.strictEqual(await api.getLedgerEntry(missing), null);
+            assert.strictEqual(api.getCacheStats().hits, 2);
+
+            // Entries of the next ledger read before its ledgerClosed arrives are not cached for the current one.
+            server.fundAccount(wallet.classicAddress, '1000');
+            const other = fundWallet(server);
+            const otherIndex = xrpl.hashes.hashAccountRoot(other.classicAddress);
+            server.closeLedger();
+            assert.strictEqual((await api.getLedgerEntry(index)).Balance, balance);
+            assert.ok(await api.getLedgerEntry(otherIndex));
+            assert.ok(await api.getLedgerEntry(otherIndex));
+            assert.strictEqual(api.getCacheStats().size, 2);
+            assert.strictEqual(api.getCacheStats().hits, 3);
+
+            // ledgerClosed moves the cache to the new ledger.
+            await waitFor(() => api.ledgerIndex === server.ledgerIndex);
+            assert.strictEqual(api.getCacheStats().size, 0);
+            assert.strictEqual(api.getCacheStats().ledgerIndex, server.ledgerIndex);
+            const updated = (await api.getLedgerEntry(index)).Balance;
+            assert.strictEqual(BigInt(updated), BigInt(balance) + 1000n);
+            assert.strictEqual((await api.getLedgerEntry(index)).Balance, updated);
+            assert.strictEqual(api.getCacheStats().size, 1);
+            assert.strictEqual(api.getCacheStats().hits, 4);
+        }
+        finally {
+            await api.disconnect();
+        }
+    }
+}
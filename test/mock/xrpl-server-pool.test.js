@@ -0,0 +1,138 @@
+const assert = require('assert');
+const evernode = require('../../src/index');
+const { XrplServerPool } = require('../../src/xrpl-server-pool');
+const { waitFor } = require('./helpers');
+
+const PRIMARY = 'wss://primary';
+const FALLBACK1 = 'wss://fallback1';
+const FALLBACK2 = 'wss://fallback2';
+
+/**
+ * Transport with a mock server per url. Servers in `down` refuse connections and
+ * servers in `states` report the given server_state.
+ */
+function createTransport(urls) {
+    const servers = Object.fromEntries(urls.map(url => [url, new evernode.MockXrplServer({ ledgerInterval: 0 })]));
+    const transport = {
+        servers: servers,
+        down: new Set(),
+        states: {},
+        createClient: (url) => {
+            const client = servers[url].createClient(url);
+            const connect = client.connect.bind(client);
+            const request = client.request.bind(client);
+            client.connect = async () => {
+                if (transport.down.has(url))
+                    throw new Error('Connection refused.');
+                await connect();
+            };
+            client.request = async (req) => {
+                const resp = await request(req);
+                if (req.command === 'server_state' && transport.states[url])
+                    resp.result.state.server_state = transport.states[url];
+                return resp;
+            };
+            return client;
+        }
+    };
+    return transport;
+}
+
+function connectedServer(api) {
+    return api.getServerHealth().find(h => h.connected)?.url;
+}
+
+module.exports = {
+    'Server pool ranks healthy servers first': async () => {
+        const pool = new XrplServerPool([PRIMARY, FALLBACK1, FALLBACK2]);
+        assert.deepStrictEqual(pool.rank([FALLBACK1, FALLBACK2]), [FALLBACK1, FALLBACK2]);
+
+        pool.recordState(PRIMARY, 'full', 100);
+        pool.recordRequest(PRIMARY, 50);
+        pool.recordState(FALLBACK1, 'full', 100);
+        pool.recordRequest(FALLBACK1, 10);
+        pool.recordState(FALLBACK2, 'syncing', 100);
+        assert.strictEqual(pool.isHealthy(FALLBACK2), false);
+        assert.deepStrictEqual(pool.rank([PRIMARY, FALLBACK1, FALLBACK2]), [FALLBACK1, PRIMARY, FALLBACK2]);
+
+        // A lagging server is unhealthy.
+        pool.recordLedger(FALLBACK1, 90);
+        assert.strictEqual(pool.getLedgerLag(FALLBACK1), 10);
+        assert.strictEqual(pool.isHealthy(FALLBACK1), false);
+        assert.deepStrictEqual(pool.rank([PRIMARY, FALLBACK1]), [PRIMARY, FALLBACK1]);
+
+        // So is a failing one.
+        for (let i = 0; i < 5; i++)
+            pool.recordRequest(PRIMARY, 0, true);
+        assert.strictEqual(pool.isHealthy(PRIMARY), false);
+        assert.strictEqual(pool.getHealth(PRIMARY).errors, 5);
+    },
+
+    'XrplApi switches back to the primary once it recovers': async () => {
+        const transport = createTransport([PRIMARY, FALLBACK1]);
+        transport.down.add(PRIMARY);
+        const api = new evernode.XrplApi(PRIMARY, { fallbackRippledServers: [FALLBACK1], transport: transport, healthCheckInterval: 200 });
+        const switches = [];
+        api.on(evernode.XrplApiEvents.SERVER_SWITCHED, (e) => switches.push(e));
+        try {
+            await api.connect();
+            assert.strictEqual(connectedServer(api), FALLBACK1);
+
+            transport.down.delete(PRIMARY);
+            await waitFor(() => switches.length > 0);
+            assert.strictEqual(switches[0].from, FALLBACK1);
+            assert.strictEqual(switches[0].to, PRIMARY);
+            assert.strictEqual(switches[0].reason, 'primary_recovered');
+            assert.strictEqual(connectedServer(api), PRIMARY);
+
+            // Requests go to the primary after the switch.
+            transport.servers[PRIMARY].fundAccount('rHb9CJAWyB4rj91VRWn96DkukG4bwdtyTh');
+            assert.ok(await api.getAccountInfo('rHb9CJAWyB4rj91VRWn96DkukG4bwdtyTh'));
+        }
+        finally {
+            await api.disconnect();
+        }
+    },
+
+    'XrplApi leaves an unhealthy server for the healthiest one': async () => {
+        const transport = createTransport([FALLBACK1, FALLBACK2]);
+        const api = new evernode.XrplApi('-', { fallbackRippledServers: [FALLBACK1, FALLBACK2], transport: transport, healthCheckInterval: 200 });
+        const switches = [];
+        api.on(evernode.XrplApiEvents.SERVER_SWITCHED, (e) => switches.push(e));
+        try {
+            await api.connect();
+            assert.strictEqual(connectedServer(api), FALLBACK1);
+
+            // Stays while healthy.
+            await new Promise(resolve => setTimeout(resolve, 500));
+            assert.strictEqual(switches.length, 0);
+
+            transport.states[FALLBACK1] = 'syncing';
+            await waitFor(() => switches.length > 0);
+            assert.strictEqual(switches[0].to, FALLBACK2);
+            assert.strictEqual(switches[0].reason, 'unhealthy');
+            assert.strictEqual(switches[0].fromHealth.healthy, false);
+            assert.strictEqual(connectedServer(api), FALLBACK2);
+        }
+        finally {
+            await api.disconnect();
+        }
+    },
+
+    'Health checks are only scheduled with fallback servers': async () => {
+        const transport = createTransport([PRIMARY]);
+        const api = new evernode.XrplApi(PRIMARY, { transport: transport, healthCheckInterval: 100 });
+        try {
+            await api.connect();
+            let requests = 0;
+            const server = transport.servers[PRIMARY];
+            const handleRequest = server.handleRequest.bind(server);
+            server.handleRequest = (client, request) => { requests++; return handleRequest(client, request); };
+            await new Promise(resolve => setTimeout(resolve, 300));
+            assert.strictEqual(requests, 0);
+        }
+        finally {
+            await api.disconnect();
+        }
+    }
+}